@@ -0,0 +1,251 @@
+/**
+ * Backtest Endpoint - Walk-forward replay over a small window
+ *
+ * Vercel Serverless Function
+ * POST /api/backtest
+ *
+ * Replays candles through the live feature engineering, cached models,
+ * ensemble and regime gate, one step at a time using only closed bars,
+ * and returns the trade log, equity curve and a metrics report net of
+ * fees/slippage (see utils/backtest-engine and utils/backtest-report).
+ * Longer runs belong in the CLI: node scripts/backtest.js
+ *
+ * REQUEST:
+ * {
+ *   "symbol": "BTC/USDT",            // or "pair": "EURUSD"
+ *   "data": { "1h_close": [...] },   // OPTIONAL - column format; fetched server-side if omitted
+ *   "candles": [{ "timestamp", "open", "high", "low", "close", "volume" }],  // OPTIONAL - 1h candles
+ *   "start": "2024-01-10T00:00:00Z", // OPTIONAL - first step bar
+ *   "end": "2024-01-12T00:00:00Z",   // OPTIONAL - last step bar
+ *   "horizon": "4h",                  // OPTIONAL - model set to replay (default 4h)
+ *   "step": 4,                        // OPTIONAL - bars between predictions (default: horizon)
+ *   "confidence_threshold": 0.5,      // OPTIONAL
+ *   "ensemble_strategy": "equal",     // OPTIONAL
+ *   "costs": { "fee_bps": 10, "slippage_bps": 5 }  // OPTIONAL - forex: spread_pips, slippage_pips
+ * }
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "symbol": "BTC/USDT",
+ *   "config": { "horizon": "4h", "step": 4, "confidence_threshold": 0.5, "truncated": false, ... },
+ *   "summary": { "steps": 30, "trades": 7, "win_rate": 0.57, "total_return": 0.012, ... },
+ *   "trades": [{ "direction": "long", "entry_time": "...", "exit_price": 43150.2, "return": 0.004, ... }],
+ *   "equity_curve": [{ "timestamp": "...", "equity": 10040.1, "position": 1, "class": "UP" }],
+ *   "report": { "returns": {...}, "risk": { "sharpe": 1.4, "max_drawdown": 0.021, ... }, ... },
+ *   "report_html": "<div>...</div>",  // rendered by public/dashboard.js
+ *   "data_source": { "mode": "server", "provider": "Binance", ... }
+ * }
+ */
+
+const { orchestrator, classifyAsset } = require('./fetch-data');
+const { symbolRegistry } = require('../utils/symbol-registry');
+const { runBacktest } = require('../utils/backtest-engine');
+const { buildReport, renderReportHtml } = require('../utils/backtest-report');
+const { resolveHorizon, horizonsFor } = require('../utils/horizons');
+const {
+  CONFIG: ENSEMBLE_CONFIG,
+  isValidStrategy
+} = require('../utils/ensemble-strategies');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Keeps a run inside the 10s function budget
+  MAX_STEPS: 60,
+  MAX_CANDLES: 5000
+};
+
+// ============================================================================
+// REQUEST HANDLER
+// ============================================================================
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use POST.'
+    });
+  }
+
+  const startTime = Date.now();
+  const requestId = `backtest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`[${requestId}] BACKTEST REQUEST`);
+  console.log(`${'='.repeat(70)}`);
+
+  try {
+    // ====== STEP 1: VALIDATE INPUT ======
+    const {
+      symbol: symbolParam,
+      pair,
+      data,
+      candles,
+      start,
+      end,
+      horizon,
+      step,
+      confidence_threshold: confidenceThreshold,
+      ensemble_strategy: ensembleStrategy = ENSEMBLE_CONFIG.DEFAULT_STRATEGY,
+      costs
+    } = req.body || {};
+
+    const symbol = symbolParam || pair;
+
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: symbol (or pair)',
+        example: { symbol: 'BTC/USDT', step: 4, confidence_threshold: 0.5 }
+      });
+    }
+
+    await symbolRegistry.load();
+    const classification = classifyAsset(symbol);
+    if (!classification.valid) {
+      return res.status(400).json({
+        success: false,
+        error: classification.error
+      });
+    }
+
+    if (!isValidStrategy(ensembleStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ensemble_strategy: ${ensembleStrategy}`,
+        supported: ENSEMBLE_CONFIG.STRATEGIES
+      });
+    }
+
+    try {
+      resolveHorizon(classification.assetClass, horizon);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        supported: horizonsFor(classification.assetClass)
+      });
+    }
+
+    if (confidenceThreshold !== undefined &&
+        !(confidenceThreshold >= 0 && confidenceThreshold <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'confidence_threshold must be between 0 and 1'
+      });
+    }
+
+    if (costs !== undefined && (typeof costs !== 'object' || costs === null ||
+        Object.values(costs).some(v => typeof v !== 'number' || v < 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'costs must map cost names to non-negative numbers',
+        example: { fee_bps: 10, slippage_bps: 5 }
+      });
+    }
+
+    if (Array.isArray(candles) && candles.length > CONFIG.MAX_CANDLES) {
+      return res.status(400).json({
+        success: false,
+        error: `Maximum ${CONFIG.MAX_CANDLES} candles per request`,
+        received: candles.length
+      });
+    }
+
+    // ====== STEP 2: CANDLES ======
+    let input = Array.isArray(candles) ? candles : data;
+    let dataSource = { mode: 'client', provider: 'client', synthetic: false, cached: false };
+
+    if (!input) {
+      try {
+        const fetched = await orchestrator.fetchDataWithSource(symbol);
+        input = fetched.data;
+        dataSource = {
+          mode: 'server',
+          provider: fetched.source,
+          synthetic: fetched.synthetic,
+          cached: fetched.cached,
+          stale: fetched.stale,
+          cache_age_ms: fetched.cacheAgeMs,
+          fetched_at: fetched.fetchedAt
+        };
+      } catch (error) {
+        return res.status(error.code === 'QUOTA_EXHAUSTED' ? 429 : 502).json({
+          success: false,
+          error: `Data fetch failed: ${error.message}`,
+          symbol
+        });
+      }
+
+      // Interpolated candles would score the interpolation, not the models
+      if (dataSource.synthetic) {
+        return res.status(422).json({
+          success: false,
+          error: `Only synthetic candles are available for ${symbol}; backtest needs real candles`,
+          data_source: dataSource
+        });
+      }
+    }
+
+    // ====== STEP 3: REPLAY ======
+    const result = await runBacktest(input, {
+      symbol,
+      assetClass: classification.assetClass,
+      start,
+      end,
+      horizon,
+      step,
+      confidenceThreshold,
+      ensembleStrategy,
+      maxSteps: CONFIG.MAX_STEPS
+    });
+
+    const report = buildReport(result, { costs });
+    const elapsed = Date.now() - startTime;
+
+    console.log(`\n${'='.repeat(70)}`);
+    console.log(`[${requestId}] DONE: ${result.summary.steps} steps (${elapsed}ms)`);
+    console.log(`${'='.repeat(70)}\n`);
+
+    return res.status(200).json({
+      success: true,
+      request_id: requestId,
+      ...result,
+      report,
+      report_html: renderReportHtml(report),
+      data_source: dataSource,
+      elapsed_ms: elapsed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+
+    console.error(`\n[${requestId}] ERROR: ${error.message}`);
+    console.log(`${'='.repeat(70)}\n`);
+
+    const isInputError = error.message.includes('Invalid') ||
+      error.message.includes('No usable backtest steps') ||
+      error.message.includes('needs 1h candles');
+
+    return res.status(isInputError ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      ...(error.code === 'CONTRACT_MISMATCH' && { contract: error.contract }),
+      request_id: requestId,
+      elapsed_ms: elapsed,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -1,25 +1,28 @@
 /**
  * Debug endpoint - Check if models are accessible
  * GET /api/check-models
+ * 
+ * Compares every model set (utils/horizons) with its manifest.json
+ * (utils/model-registry). Checksums are skipped unless ?checksums=true.
  */
 
-const fs = require('fs');
-const path = require('path');
+const { CONFIG: HORIZON_CONFIG } = require('../utils/horizons');
+const { describeModels, verifyModelSet } = require('../utils/model-registry');
 
 module.exports = async (req, res) => {
     try {
-        const cryptoDir = path.join(process.cwd(), 'models', 'crypto');
-        const forexDir = path.join(process.cwd(), 'models', 'forex');
+        const checksums = req.query?.checksums === 'true';
+        const result = { cwd: process.cwd() };
+        let allModelsPresent = true;
         
-        const result = {
-            cwd: process.cwd(),
-            crypto: checkDirectory(cryptoDir),
-            forex: checkDirectory(forexDir)
-        };
-        
-        const allModelsPresent = 
-            result.crypto.filesFound === 5 && 
-            result.forex.filesFound === 4;
+        for (const [assetClass, sets] of Object.entries(HORIZON_CONFIG.MODEL_SETS)) {
+            result[assetClass] = {};
+            for (const [horizon, { modelsDir }] of Object.entries(sets)) {
+                const check = checkModelSet(modelsDir, checksums);
+                result[assetClass][horizon] = check;
+                allModelsPresent = allModelsPresent && check.ok;
+            }
+        }
         
         return res.status(allModelsPresent ? 200 : 500).json({
             success: allModelsPresent,
@@ -34,24 +37,25 @@ module.exports = async (req, res) => {
     }
 };
 
-function checkDirectory(dirPath) {
-    const exists = fs.existsSync(dirPath);
-    
-    if (!exists) {
+function checkModelSet(modelsDir, checksums) {
+    try {
+        const verified = verifyModelSet(modelsDir, { checksums });
+        
         return {
-            exists: false,
-            path: dirPath,
-            files: [],
-            filesFound: 0
+            ok: verified.missing.length === 0 && verified.mismatched.length === 0,
+            path: modelsDir,
+            models: describeModels(modelsDir),
+            filesExpected: verified.expected,
+            filesFound: verified.present.length,
+            missing: verified.missing,
+            ...(checksums && { mismatched: verified.mismatched }),
+            unlisted: verified.unlisted
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            path: modelsDir,
+            error: error.message
         };
     }
-    
-    const files = fs.readdirSync(dirPath).filter(f => f.endsWith('.keras'));
-    
-    return {
-        exists: true,
-        path: dirPath,
-        files,
-        filesFound: files.length
-    };
-}
\ No newline at end of file
+}
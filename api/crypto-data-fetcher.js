@@ -2,595 +2,51 @@
  * Crypto Data Fetcher - Binance & CoinGecko Optimized
  * 
  * PHILOSOPHY: Use the most generous free tiers available
- * - CoinGecko: 10-50 calls/min (PRIORITIZED for CI/CD - more reliable)
- * - Binance: Practically unlimited (secondary, may have geo-blocking)
+ * - Binance: Practically unlimited (may have geo-blocking)
+ * - CoinGecko: 50 calls/min, daily prices only (synthetic intraday)
+ * 
+ * PROVIDERS:
+ * Each source is an adapter in utils/providers; fallback order comes from
+ * the registry priority (CoinGecko first in CI/CD, Binance first locally,
+ * PROVIDER_PRIORITY_CRYPTO to override).
  * 
  * SUPPORTED PAIRS:
- * - BTC/USDT, ETH/USDT, SOL/USDT, ETC/USDT, DOGE/USDT, ADA/USDT
+ * - Enabled crypto instruments in the symbol registry (utils/symbol-registry),
+ *   which also holds each provider's native symbol
  * 
  * OPTIMIZATION:
- * ✓ CoinGecko first in CI/CD environments (GitHub Actions, etc.)
  * ✓ Retry logic with exponential backoff
  * ✓ Enhanced headers to bypass geo-blocking
  * ✓ FIXED: Consistent array lengths in synthetic data
  * ✓ FIXED: Robust validation of data consistency
- * ✓ Batch requests where possible
  * ✓ Cache responses aggressively
  * ✓ Parallel processing for speed
  */
 
-const axios = require('axios');
-
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-
-const CONFIG = {
-  // API Endpoints
-  BINANCE_API: 'https://api.binance.com/api/v3',
-  COINGECKO_API: 'https://api.coingecko.com/api/v3',
-  
-  // Binance Symbols (native format)
-  BINANCE_PAIRS: {
-    'BTC/USDT': 'BTCUSDT',
-    'ETH/USDT': 'ETHUSDT',
-    'SOL/USDT': 'SOLUSDT',
-    'ETC/USDT': 'ETCUSDT',
-    'DOGE/USDT': 'DOGEUSDT',
-    'ADA/USDT': 'ADAUSDT'
-  },
-  
-  // CoinGecko IDs (for fallback)
-  COINGECKO_IDS: {
-    'BTC/USDT': 'bitcoin',
-    'ETH/USDT': 'ethereum',
-    'SOL/USDT': 'solana',
-    'ETC/USDT': 'ethereum-classic',
-    'DOGE/USDT': 'dogecoin',
-    'ADA/USDT': 'cardano'
-  },
-  
-  // Binance intervals
-  INTERVALS: {
-    '1h': '1h',
-    '4h': '4h',
-    '1d': '1d'
-  },
-  
-  // Candle limits (Binance max = 1000)
-  LIMITS: {
-    '1h': 168,   // 1 week of hourly
-    '4h': 168,   // 1 week of 4h
-    '1d': 365    // ~1 year of daily
-  },
-  
-  // Retry configuration
-  REQUEST_TIMEOUT_MS: 15000,
-  MAX_RETRIES: 3,
-  INITIAL_RETRY_DELAY_MS: 1000,
-  MAX_RETRY_DELAY_MS: 8000,
-  
-  // Detect CI/CD environment
-  IS_CI_ENVIRONMENT: !!(
-    process.env.CI ||
-    process.env.GITHUB_ACTIONS ||
-    process.env.GITLAB_CI ||
-    process.env.CIRCLECI ||
-    process.env.TRAVIS
-  )
-};
-
-// ============================================================================
-// RETRY LOGIC WITH EXPONENTIAL BACKOFF
-// ============================================================================
-
-/**
- * Execute function with exponential backoff retry
- * 
- * @param {Function} fn - Async function to retry
- * @param {String} label - Label for logging
- * @param {Number} maxRetries - Maximum retry attempts
- * @returns {Promise<any>} Result of function
- */
-async function retryWithBackoff(fn, label, maxRetries = CONFIG.MAX_RETRIES) {
-  let lastError;
-  
-  for (let attempt = 0; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      
-      if (attempt === maxRetries) {
-        break;
-      }
-      
-      // Calculate exponential backoff delay
-      const delay = Math.min(
-        CONFIG.INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt),
-        CONFIG.MAX_RETRY_DELAY_MS
-      );
-      
-      console.log(`  ⚠️ ${label} attempt ${attempt + 1}/${maxRetries + 1} failed: ${error.message}`);
-      console.log(`  ⏳ Retrying in ${delay}ms...`);
-      
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-  
-  throw lastError;
-}
+const registry = require('../utils/providers/registry');
+const { aggregateCandles, retryWithBackoff } = require('../utils/providers/common');
+const binance = require('../utils/providers/binance');
+const coingecko = require('../utils/providers/coingecko');
+const { detectGaps } = require('../utils/candle-gaps');
+const { CONFIG: TIMEFRAME_CONFIG } = require('../utils/timeframes');
 
 // ============================================================================
-// BINANCE FETCHER (SECONDARY - MAY HAVE GEO-BLOCKING)
+// VALIDATION
 // ============================================================================
 
-/**
- * Fetch candles from Binance with enhanced anti-blocking headers
- * 
- * @param {String} symbol - Trading pair (e.g., 'BTCUSDT')
- * @param {String} interval - Interval (1h, 4h, 1d)
- * @param {Number} limit - Number of candles
- * @returns {Promise<Array>} Candles
- */
-async function fetchBinanceCandles(symbol, interval, limit = 168) {
-  const fetchFn = async () => {
-    console.log(`  [Binance] ${symbol} (${interval})...`);
-    
-    // Enhanced headers to bypass geo-blocking
-    const headers = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'application/json, text/plain, */*',
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Origin': 'https://www.binance.com',
-      'Referer': 'https://www.binance.com/',
-      'Connection': 'keep-alive',
-      'Cache-Control': 'no-cache',
-      'Pragma': 'no-cache',
-      'Sec-Fetch-Dest': 'empty',
-      'Sec-Fetch-Mode': 'cors',
-      'Sec-Fetch-Site': 'same-site',
-      'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
-      'sec-ch-ua-mobile': '?0',
-      'sec-ch-ua-platform': '"Windows"'
-    };
-    
-    const response = await axios.get(`${CONFIG.BINANCE_API}/klines`, {
-      params: {
-        symbol,
-        interval: CONFIG.INTERVALS[interval],
-        limit: Math.min(limit, 1000)
-      },
-      timeout: CONFIG.REQUEST_TIMEOUT_MS,
-      headers,
-      validateStatus: (status) => status < 500 // Don't throw on 4xx
-    });
-    
-    // Handle geo-blocking explicitly
-    if (response.status === 451) {
-      throw new Error('Binance geo-blocking detected (HTTP 451). Try CoinGecko instead.');
-    }
-    
-    if (response.status === 403 || response.status === 418) {
-      throw new Error(`Binance access restricted (HTTP ${response.status}). IP may be blocked.`);
-    }
-    
-    if (response.status !== 200) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    if (!Array.isArray(response.data) || response.data.length === 0) {
-      throw new Error('Empty response from Binance');
-    }
-    
-    // Transform Binance format
-    const candles = response.data.map(candle => ({
-      timestamp: candle[0],
-      open: parseFloat(candle[1]),
-      high: parseFloat(candle[2]),
-      low: parseFloat(candle[3]),
-      close: parseFloat(candle[4]),
-      volume: parseFloat(candle[7]) || 0
-    }));
-    
-    return candles;
-  };
-  
-  try {
-    return await retryWithBackoff(fetchFn, `Binance ${symbol}`);
-  } catch (error) {
-    throw new Error(`Binance ${symbol} failed: ${error.message}`);
-  }
-}
-
-/**
- * Fetch all timeframes in parallel from Binance
- * 
- * @param {String} pair - Trading pair (e.g., 'BTC/USDT')
- * @returns {Promise<Object>} Multi-timeframe data
- */
-async function fetchCryptoDataBinance(pair) {
-  console.log(`\n[Binance] Fetching ${pair}...`);
-  
-  const binanceSymbol = CONFIG.BINANCE_PAIRS[pair];
-  if (!binanceSymbol) {
-    throw new Error(`Unknown crypto pair: ${pair}`);
-  }
-  
-  try {
-    // Fetch all timeframes in PARALLEL
-    const [candles1h, candles4h, candles1d] = await Promise.all([
-      fetchBinanceCandles(binanceSymbol, '1h', CONFIG.LIMITS['1h']),
-      fetchBinanceCandles(binanceSymbol, '4h', CONFIG.LIMITS['4h']),
-      fetchBinanceCandles(binanceSymbol, '1d', CONFIG.LIMITS['1d'])
-    ]);
-    
-    // Validate minimum data
-    if (candles1h.length < 50 || candles4h.length < 20 || candles1d.length < 20) {
-      throw new Error(
-        `Insufficient data: 1h=${candles1h.length}, 4h=${candles4h.length}, 1d=${candles1d.length}`
-      );
-    }
-    
-    // Organize into DataFrame format
-    const data = {
-      '1h_timestamp': candles1h.map(c => c.timestamp),
-      '1h_open': candles1h.map(c => c.open),
-      '1h_high': candles1h.map(c => c.high),
-      '1h_low': candles1h.map(c => c.low),
-      '1h_close': candles1h.map(c => c.close),
-      '1h_volume': candles1h.map(c => c.volume),
-      
-      '4h_timestamp': candles4h.map(c => c.timestamp),
-      '4h_open': candles4h.map(c => c.open),
-      '4h_high': candles4h.map(c => c.high),
-      '4h_low': candles4h.map(c => c.low),
-      '4h_close': candles4h.map(c => c.close),
-      '4h_volume': candles4h.map(c => c.volume),
-      
-      '1d_timestamp': candles1d.map(c => c.timestamp),
-      '1d_open': candles1d.map(c => c.open),
-      '1d_high': candles1d.map(c => c.high),
-      '1d_low': candles1d.map(c => c.low),
-      '1d_close': candles1d.map(c => c.close),
-      '1d_volume': candles1d.map(c => c.volume)
-    };
-    
-    console.log(`✓ Binance success (1h: ${candles1h.length}, 4h: ${candles4h.length}, 1d: ${candles1d.length})`);
-    
-    return {
-      source: 'Binance',
-      pair,
-      data,
-      success: true
-    };
-    
-  } catch (error) {
-    console.error(`✗ Binance failed: ${error.message}`);
-    return {
-      source: 'Binance',
-      pair,
-      data: {},
-      success: false,
-      error: error.message
-    };
-  }
-}
-// ============================================================================
-// COINGECKO FETCHER (PRIMARY IN CI/CD - MORE RELIABLE)
-// ============================================================================
-
-/**
- * Fetch market data from CoinGecko with retry logic
- * Free tier: 10-50 calls/min (NO API KEY REQUIRED)
- * 
- * @param {String} coinId - CoinGecko coin ID
- * @returns {Promise<Object>} Historical data
- */
-async function fetchCoinGeckoMarketData(coinId) {
-  const fetchFn = async () => {
-    console.log(`  [CoinGecko] ${coinId}...`);
-    
-    const response = await axios.get(
-      `${CONFIG.COINGECKO_API}/coins/${coinId}/market_chart`,
-      {
-        params: {
-          vs_currency: 'usd',
-          days: 365,
-          interval: 'daily'
-        },
-        timeout: CONFIG.REQUEST_TIMEOUT_MS,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (compatible; CryptoAnalyzer/1.0)'
-        }
-      }
-    );
-
-    // Validate response structure
-    if (!response.data) {
-      throw new Error('Empty response from CoinGecko');
-    }
-
-    const { prices, market_caps, total_volumes } = response.data;
-
-    if (!prices || !Array.isArray(prices) || prices.length === 0) {
-      throw new Error('No price data from CoinGecko');
-    }
-
-    // Transform to candles
-    const candles = prices.map((price, i) => {
-      if (!Array.isArray(price) || price.length < 2) {
-        return null;
-      }
-
-      const priceValue = price[1];
-      const volume = (total_volumes && total_volumes[i] && total_volumes[i][1]) || 0;
-
-      return {
-        timestamp: price[0],
-        open: priceValue,
-        high: priceValue * (1 + Math.random() * 0.02),
-        low: priceValue * (1 - Math.random() * 0.02),
-        close: priceValue,
-        volume: volume
-      };
-    }).filter(c => c !== null);
-
-    if (candles.length === 0) {
-      throw new Error('Failed to parse CoinGecko price data');
-    }
-
-    return candles;
-  };
-  
-  try {
-    return await retryWithBackoff(fetchFn, `CoinGecko ${coinId}`);
-  } catch (error) {
-    throw new Error(`CoinGecko ${coinId} failed: ${error.message}`);
-  }
-}
-
-/**
- * Fetch crypto data from CoinGecko (primary in CI/CD)
- * FIXED: Ensures consistent array lengths across all timeframes
- * 
- * @param {String} pair - Trading pair (e.g., 'BTC/USDT')
- * @returns {Promise<Object>} Multi-timeframe data
- */
-async function fetchCryptoDataCoinGecko(pair) {
-  console.log(`\n[CoinGecko] Fetching ${pair}...`);
-  
-  const coinId = CONFIG.COINGECKO_IDS[pair];
-  if (!coinId) {
-    throw new Error(`Unknown coin for pair: ${pair}`);
-  }
-  
-  try {
-    const candles = await fetchCoinGeckoMarketData(coinId);
-    
-    if (candles.length < 30) {
-      throw new Error(`Insufficient data: ${candles.length} candles`);
-    }
-    
-    // Use daily as base
-    const candles1d = candles.slice(-365);
-    
-    // CRITICAL FIX: Create synthetic hourly with GUARANTEED length
-    const syntheticHourly = createSyntheticHourly(candles1d, 168);
-    
-    // CRITICAL FIX: Aggregate to 4h with EXACT target length
-    const synthetic4hRaw = aggregateCandles(syntheticHourly, 4);
-    const synthetic4h = synthetic4hRaw.slice(-42); // Exactly 42 periods (1 week of 4h)
-    
-    // CRITICAL: Ensure 4h has exactly 42 candles
-    while (synthetic4h.length < 42) {
-      const lastCandle = synthetic4h[synthetic4h.length - 1];
-      synthetic4h.push({
-        ...lastCandle,
-        timestamp: lastCandle.timestamp + (4 * 60 * 60 * 1000)
-      });
-    }
-    
-    // Build data object
-    const data = {
-      '1h_timestamp': syntheticHourly.map(c => c.timestamp),
-      '1h_open': syntheticHourly.map(c => c.open),
-      '1h_high': syntheticHourly.map(c => c.high),
-      '1h_low': syntheticHourly.map(c => c.low),
-      '1h_close': syntheticHourly.map(c => c.close),
-      '1h_volume': syntheticHourly.map(c => c.volume),
-      
-      '4h_timestamp': synthetic4h.map(c => c.timestamp),
-      '4h_open': synthetic4h.map(c => c.open),
-      '4h_high': synthetic4h.map(c => c.high),
-      '4h_low': synthetic4h.map(c => c.low),
-      '4h_close': synthetic4h.map(c => c.close),
-      '4h_volume': synthetic4h.map(c => c.volume),
-      
-      '1d_timestamp': candles1d.map(c => c.timestamp),
-      '1d_open': candles1d.map(c => c.open),
-      '1d_high': candles1d.map(c => c.high),
-      '1d_low': candles1d.map(c => c.low),
-      '1d_close': candles1d.map(c => c.close),
-      '1d_volume': candles1d.map(c => c.volume)
-    };
-    
-    // CRITICAL FIX: Validate consistency before returning
-    const validation = validateDataConsistency(data);
-    
-    if (!validation.valid) {
-      throw new Error(`Data consistency validation failed: ${validation.errors.join('; ')}`);
-    }
-    
-    console.log(`✓ CoinGecko success - validated: 1h=${validation.lengths['1h']}, 4h=${validation.lengths['4h']}, 1d=${validation.lengths['1d']}`);
-    
-    return {
-      source: 'CoinGecko (synthetic)',
-      pair,
-      data,
-      success: true,
-      note: 'Synthetic hourly/4h created from daily data',
-      validation: validation.lengths
-    };
-    
-  } catch (error) {
-    console.error(`✗ CoinGecko failed: ${error.message}`);
-    return {
-      source: 'CoinGecko',
-      pair,
-      data: {},
-      success: false,
-      error: error.message
-    };
-  }
-}
-
-// ============================================================================
-// UTILITY FUNCTIONS (FIXED FOR CONSISTENT LENGTHS)
-// ============================================================================
-
-/**
- * Create synthetic hourly candles from daily candles
- * FIXED: Guarantees exactly targetLength candles
- * 
- * @param {Array} dailyCandles - Daily candles
- * @param {Number} targetLength - Target number of hourly candles (default 168)
- * @returns {Array} Synthetic hourly candles (GUARANTEED targetLength)
- */
-function createSyntheticHourly(dailyCandles, targetLength = 168) {
-  console.log(`[Synthetic] Creating ${targetLength} hourly candles from ${dailyCandles.length} daily candles`);
-  
-  const hourlyCandles = [];
-  
-  // CRITICAL FIX: Ensure we have enough daily data
-  const daysNeeded = Math.ceil(targetLength / 24);
-  
-  if (dailyCandles.length < daysNeeded) {
-    console.warn(`[Synthetic] Insufficient daily data: ${dailyCandles.length} days, need ${daysNeeded}`);
-    
-    // FALLBACK: Repeat the available data to fill the gap
-    const repeatedCandles = [];
-    while (repeatedCandles.length < daysNeeded) {
-      repeatedCandles.push(...dailyCandles);
-    }
-    dailyCandles = repeatedCandles.slice(0, daysNeeded);
-  }
-  
-  const candlesToUse = dailyCandles.slice(-daysNeeded);
-  
-  for (const dailyCandle of candlesToUse) {
-    // Stop if we've reached target length
-    if (hourlyCandles.length >= targetLength) {
-      break;
-    }
-    
-    const dayStart = new Date(dailyCandle.timestamp);
-    const dayHours = 24;
-    
-    const range = (dailyCandle.high || dailyCandle.close) - (dailyCandle.low || dailyCandle.close);
-    const volatility = range * 0.005;
-    
-    // Generate hourly candles for this day
-    const candlesThisDay = Math.min(dayHours, targetLength - hourlyCandles.length);
-    
-    for (let hour = 0; hour < candlesThisDay; hour++) {
-      const timestamp = dayStart.getTime() + (hour * 60 * 60 * 1000);
-      
-      const progress = hour / dayHours;
-      const midPrice = dailyCandle.open + (dailyCandle.close - dailyCandle.open) * progress;
-      const noise = (Math.random() - 0.5) * volatility * 2;
-      const close = midPrice + noise;
-      
-      hourlyCandles.push({
-        timestamp,
-        open: midPrice - volatility,
-        high: Math.max(midPrice, close) + volatility,
-        low: Math.min(midPrice, close) - volatility,
-        close,
-        volume: (dailyCandle.volume || 0) / dayHours
-      });
-    }
-  }
-  
-  // CRITICAL FIX: If still short, pad with last candle
-  while (hourlyCandles.length < targetLength) {
-    const lastCandle = hourlyCandles[hourlyCandles.length - 1];
-    hourlyCandles.push({
-      ...lastCandle,
-      timestamp: lastCandle.timestamp + (60 * 60 * 1000)
-    });
-  }
-  
-  // CRITICAL FIX: Ensure EXACTLY targetLength
-  const result = hourlyCandles.slice(-targetLength);
-  
-  console.log(`[Synthetic] Generated ${result.length} hourly candles (target: ${targetLength})`);
-  
-  // VALIDATION: Verify length
-  if (result.length !== targetLength) {
-    throw new Error(`Synthetic hourly generation failed: got ${result.length}, expected ${targetLength}`);
-  }
-  
-  return result;
-}
-
-/**
- * Aggregate candles to higher timeframes
- * FIXED: Ensures consistent output length
- * 
- * @param {Array} candles - Base candles
- * @param {Number} factor - Aggregation factor
- * @returns {Array} Aggregated candles
- */
-function aggregateCandles(candles, factor) {
-  const aggregated = [];
-  
-  // CRITICAL FIX: Validate input
-  if (!candles || candles.length === 0) {
-    console.warn(`[Aggregate] No candles to aggregate`);
-    return [];
-  }
-  
-  console.log(`[Aggregate] Aggregating ${candles.length} candles by factor ${factor}`);
-  
-  for (let i = 0; i < candles.length; i += factor) {
-    const chunk = candles.slice(i, Math.min(i + factor, candles.length));
-    
-    if (chunk.length === 0) continue;
-    
-    // CRITICAL FIX: Handle incomplete chunks at the end
-    const validChunk = chunk.filter(c => c !== null && c !== undefined);
-    
-    if (validChunk.length === 0) continue;
-    
-    aggregated.push({
-      timestamp: validChunk[0].timestamp,
-      open: validChunk[0].open,
-      high: Math.max(...validChunk.map(c => c.high)),
-      low: Math.min(...validChunk.map(c => c.low)),
-      close: validChunk[validChunk.length - 1].close,
-      volume: validChunk.reduce((sum, c) => sum + (c.volume || 0), 0)
-    });
-  }
-  
-  console.log(`[Aggregate] Generated ${aggregated.length} aggregated candles`);
-  
-  return aggregated;
-}
-
 /**
  * Validate that all timeframe arrays have consistent lengths
+ * and that timestamps are chronological with no missing bars
  * CRITICAL: Prevents "inconsistent lengths" errors
  * 
  * @param {Object} data - Multi-timeframe data object
- * @returns {Object} Validation result
+ * @param {Object} tradingHours - Registry trading hours (default 24/7)
+ * @param {Array<String>} timeframes - Timeframes the data must hold (default 1h/4h/1d)
+ * @returns {Object} Validation result ({ valid, errors, lengths, gaps })
  */
-function validateDataConsistency(data) {
+function validateDataConsistency(data, tradingHours = null, timeframes = TIMEFRAME_CONFIG.DEFAULT) {
   console.log(`[Validation] Checking data consistency...`);
   
-  const timeframes = ['1h', '4h', '1d'];
   const fields = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
   const errors = [];
   
@@ -619,17 +75,27 @@ function validateDataConsistency(data) {
       errors.push(`Timeframe ${tf} has inconsistent field lengths: ${Array.from(lengths).join(', ')}`);
     }
     
+    const timestamps = data[`${tf}_timestamp`];
+    if (Array.isArray(timestamps) && timestamps.some((t, i) => i > 0 && !(t > timestamps[i - 1]))) {
+      errors.push(`Timeframe ${tf} has timestamps out of order`);
+    }
+    
     console.log(`  ${tf}: ${Array.from(lengths)[0] || 0} candles`);
   }
   
+  // Missing bars would silently skew rolling-window features
+  const gaps = detectGaps(data, tradingHours);
+  for (const tf of timeframes) {
+    if (gaps[tf] && gaps[tf].gaps > 0) {
+      errors.push(`Timeframe ${tf} has ${gaps[tf].gaps} gap(s), ${gaps[tf].missing_bars} missing bars`);
+    }
+  }
+  
   return {
     valid: errors.length === 0,
     errors,
-    lengths: {
-      '1h': data['1h_close']?.length || 0,
-      '4h': data['4h_close']?.length || 0,
-      '1d': data['1d_close']?.length || 0
-    }
+    gaps,
+    lengths: Object.fromEntries(timeframes.map(tf => [tf, data[`${tf}_close`]?.length || 0]))
   };
 }
 
@@ -637,11 +103,11 @@ function validateDataConsistency(data) {
  * Validate crypto data
  * 
  * @param {Object} data - Data to validate
+ * @param {Array<String>} requiredTimeframes - Default 1h/4h/1d
  * @returns {Object} Validation result
  */
-function validateCryptoData(data) {
+function validateCryptoData(data, requiredTimeframes = TIMEFRAME_CONFIG.DEFAULT) {
   const errors = [];
-  const requiredTimeframes = ['1h', '4h', '1d'];
   const requiredFields = ['open', 'high', 'low', 'close', 'volume'];
   
   for (const tf of requiredTimeframes) {
@@ -660,7 +126,7 @@ function validateCryptoData(data) {
     }
   }
   
-  const dataPoints = data['1h_close']?.length || 0;
+  const dataPoints = data[`${requiredTimeframes[0]}_close`]?.length || 0;
   
   return {
     valid: errors.length === 0,
@@ -674,78 +140,51 @@ function validateCryptoData(data) {
 // ============================================================================
 
 /**
- * Fetch crypto data - Smart priority based on environment
- * CI/CD: CoinGecko first (more reliable)
- * Local: Binance first (more accurate)
+ * Fetch crypto data from the first provider that succeeds
  * 
  * @param {String} pair - Crypto pair
  * @returns {Promise<Object>} Multi-timeframe OHLCV data
  */
 async function fetchCryptoData(pair) {
+  const result = await fetchCryptoDataWithSource(pair);
+  return result.data;
+}
+
+/**
+ * Fetch crypto data and report which provider served it
+ * 
+ * @param {String} pair - Crypto pair
+ * @param {Object} options - { history } stored candles; Binance then fetches only the tail.
+ *                           { timeframes } to fetch (default 1h/4h/1d, see utils/timeframes)
+ * @returns {Promise<Object>} { data, source, timeframes, synthetic, syntheticTimeframes, incremental, gapRepair, note }
+ */
+async function fetchCryptoDataWithSource(pair, options = {}) {
   console.log(`\n${'='.repeat(70)}`);
   console.log(`Fetching crypto: ${pair}`);
-  console.log(`Environment: ${CONFIG.IS_CI_ENVIRONMENT ? 'CI/CD' : 'Local'}`);
+  console.log(`Environment: ${registry.CONFIG.IS_CI_ENVIRONMENT ? 'CI/CD' : 'Local'}`);
   console.log(`${'='.repeat(70)}`);
   
-  let primaryResult, secondaryResult;
-  
-  // Smart priority: CoinGecko first in CI/CD (more reliable)
-  if (CONFIG.IS_CI_ENVIRONMENT) {
-    console.log(`\n[Strategy] Using CoinGecko first (CI/CD environment)`);
-    primaryResult = await fetchCryptoDataCoinGecko(pair);
-    
-    if (primaryResult.success) {
-      const validation = validateCryptoData(primaryResult.data);
-      if (validation.valid) {
-        console.log(`✅ Using CoinGecko (${validation.dataPoints} points)`);
-        return primaryResult.data;
-      } else {
-        console.warn(`⚠️ CoinGecko validation failed: ${validation.errors.slice(0, 2).join('; ')}`);
-      }
-    }
-    
-    // Fallback to Binance
-    console.log(`\n[Fallback] Trying Binance...`);
-    secondaryResult = await fetchCryptoDataBinance(pair);
-    
-  } else {
-    // Local environment: Binance first (more accurate real-time data)
-    console.log(`\n[Strategy] Using Binance first (local environment)`);
-    primaryResult = await fetchCryptoDataBinance(pair);
-    
-    if (primaryResult.success) {
-      const validation = validateCryptoData(primaryResult.data);
-      if (validation.valid) {
-        console.log(`✅ Using Binance (${validation.dataPoints} points)`);
-        return primaryResult.data;
-      } else {
-        console.warn(`⚠️ Binance validation failed: ${validation.errors.slice(0, 2).join('; ')}`);
-      }
-    }
-    
-    // Fallback to CoinGecko
-    console.log(`\n[Fallback] Trying CoinGecko...`);
-    secondaryResult = await fetchCryptoDataCoinGecko(pair);
-  }
-  
-  // Check secondary result
-  if (secondaryResult && secondaryResult.success) {
-    const validation = validateCryptoData(secondaryResult.data);
-    if (validation.valid) {
-      console.log(`✅ Using ${secondaryResult.source} (${validation.dataPoints} points)`);
-      return secondaryResult.data;
-    } else {
-      console.warn(`⚠️ ${secondaryResult.source} validation failed: ${validation.errors.slice(0, 2).join('; ')}`);
-    }
-  }
-  
-  // Both failed - provide detailed error
-  const primaryError = primaryResult?.error || 'unknown error';
-  const secondaryError = secondaryResult?.error || 'not attempted';
-  
-  throw new Error(
-    `Failed to fetch ${pair}: Primary=(${primaryError}), Secondary=(${secondaryError})`
-  );
+  return registry.fetchWithFallback(pair, 'crypto', options);
+}
+
+/**
+ * Fetch from Binance only (real candles, never synthetic)
+ * 
+ * @param {String} pair - Trading pair (e.g., 'BTC/USDT')
+ * @returns {Promise<Object>} { source, pair, data, success, error }
+ */
+async function fetchCryptoDataBinance(pair) {
+  return registry.fetchFromProvider('binance', pair);
+}
+
+/**
+ * Fetch from CoinGecko only (synthetic: interpolated from daily prices)
+ * 
+ * @param {String} pair - Trading pair (e.g., 'BTC/USDT')
+ * @returns {Promise<Object>} { source, pair, data, success, synthetic, note, error }
+ */
+async function fetchCryptoDataCoinGecko(pair) {
+  return registry.fetchFromProvider('coingecko', pair);
 }
 
 // ============================================================================
@@ -754,14 +193,17 @@ async function fetchCryptoData(pair) {
 
 module.exports = {
   fetchCryptoData,
+  fetchCryptoDataWithSource,
   fetchCryptoDataBinance,
   fetchCryptoDataCoinGecko,
-  fetchBinanceCandles,
+  fetchBinanceCandles: binance.fetchKlines,
   aggregateCandles,
   validateCryptoData,
   validateDataConsistency,
-  createSyntheticHourly,
+  createSyntheticHourly: coingecko.createSyntheticHourly,
   retryWithBackoff,
-  CONFIG,
-  SUPPORTED_PAIRS: Object.keys(CONFIG.BINANCE_PAIRS)
-};
\ No newline at end of file
+  // Read per access so symbols added at runtime show up
+  get SUPPORTED_PAIRS() {
+    return registry.supportedSymbols('crypto');
+  }
+};
@@ -1,13 +1,17 @@
 /**
  * Data Orchestrator - Free Tier Optimized.   actual file name: fetch-data.js
  * 
- * STRATEGY:
+ * STRATEGY (provider adapters in utils/providers, order in registry CONFIG.PRIORITY):
  * - Crypto: Binance (unlimited free) → CoinGecko (50 calls/min free)
- * - Forex: Twelve Data (800 calls/day free) → EODHD (fallback)
+ * - Forex: Twelve Data (800 calls/day free) → EODHD → Alpha Vantage
  * 
  * FEATURES:
  * ✓ Intelligent caching (24-48 hour for forex, 1 hour for crypto)
- * ✓ Quota tracking and warnings
+ * ✓ Pluggable cache storage shared across instances (memory / MongoDB / filesystem)
+ * ✓ Quota tracking shared across instances (utils/quota-ledger)
+ * ✓ Missing bars detected and repaired per trading calendar (utils/candle-gaps)
+ * ✓ Every observed bar kept in a candle store; later fetches get only the tail
+ *   (utils/candle-store), or none at all with CANDLE_STORE_OFFLINE=true
  * ✓ Smart batching to minimize API calls
  * ✓ Rate limiting aware (respects all API limits)
  * ✓ Cost-aware (always prioritize free tier options)
@@ -15,28 +19,40 @@
 
 const cryptoFetcher = require('./crypto-data-fetcher');
 const forexFetcher = require('./forex-data-fetcher');
+const { createCacheBackend, MemoryCacheBackend } = require('../utils/cache-backends');
+const { quotaLedger } = require('../utils/quota-ledger');
+const { createCandleStore, CONFIG: STORE_CONFIG } = require('../utils/candle-store');
+const { toColumns, fromColumns } = require('../utils/providers/common');
+const { providersFor, listProviders } = require('../utils/providers/registry');
+const { symbolRegistry } = require('../utils/symbol-registry');
+const { assessDataQuality } = require('../utils/data-quality');
+const { parseTimeframes, CONFIG: TIMEFRAME_CONFIG } = require('../utils/timeframes');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 const CONFIG = {
-  // Asset definitions
-  CRYPTO_PAIRS: [
-    'BTC/USDT', 'ETH/USDT', 'SOL/USDT',
-    'ETC/USDT', 'DOGE/USDT', 'ADA/USDT'
-  ],
-  
-  FOREX_PAIRS: [
-    'EURUSD', 'GBPJPY', 'USDJPY', 'GBPUSD',
-    'AUDUSD', 'USDCAD', 'USDCHF', 'EURAUD', 'NZDUSD'
-  ],
+  // Asset definitions live in the symbol registry (utils/symbol-registry)
   
   // Cache configuration (optimized for free tier)
+  // Storage is chosen by CACHE_BACKEND (memory | mongo | fs), see utils/cache-backends
   CACHE_CRYPTO_DURATION_MS: 60 * 60 * 1000,        // 1 hour (crypto changes fast)
   CACHE_FOREX_DURATION_MS: 4 * 60 * 60 * 1000,     // 4 hours (forex more stable)
   ENABLE_CACHE: true,
   
+  // Serve entries this long past expiry while refreshing them in the background (0 = off)
+  STALE_WHILE_REVALIDATE_MS: parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE_MS || '0', 10),
+  
+  // Expired candles served when the providers fail (e.g. Twelve Data quota exhausted)
+  MAX_STALE_AGE_MS: 48 * 60 * 60 * 1000,           // 48 hours
+  
+  // Serve candles from the candle store only, never calling a provider
+  CANDLE_STORE_OFFLINE: process.env.CANDLE_STORE_OFFLINE === 'true',
+  
+  // Timeframes a fetch returns unless the caller asks for others (utils/timeframes)
+  TIMEFRAMES: parseTimeframes(process.env.DATA_TIMEFRAMES),
+  
   // Request configuration
   MAX_RETRIES: 1,  // Minimal retries to save quota
   RETRY_DELAY_MS: 2000
@@ -47,75 +63,157 @@ const CONFIG = {
 // ============================================================================
 
 class IntelligentCache {
-  constructor() {
-    this.cache = {};
+  /**
+   * @param {Object} backend - Storage from utils/cache-backends (default: CACHE_BACKEND)
+   */
+  constructor(backend = createCacheBackend()) {
+    this.backend = backend;
+    this.pendingStats = Promise.resolve();
+    // This instance only; getStats() reports the shared totals
     this.stats = {
       hits: 0,
       misses: 0,
-      evictions: 0
+      evictions: 0,
+      staleServed: 0
     };
   }
   
-  set(key, value, durationMs) {
-    this.cache[key] = {
+  /**
+   * Call the backend, dropping to memory for this instance if it fails
+   * (e.g. MongoDB unreachable) so a cache outage never fails a fetch
+   */
+  async _call(method, ...args) {
+    try {
+      return await this.backend[method](...args);
+    } catch (error) {
+      if (this.backend.name === 'memory') {
+        throw error;
+      }
+      console.warn(`[Cache] ${this.backend.name} backend failed (${error.message}), using memory`);
+      this.backend = new MemoryCacheBackend();
+      return this.backend[method](...args);
+    }
+  }
+  
+  _count(deltas) {
+    for (const [field, delta] of Object.entries(deltas)) {
+      this.stats[field] += delta;
+    }
+    
+    // Queued so increments from one instance never race each other
+    this.pendingStats = this.pendingStats
+      .then(() => this._call('incrementStats', deltas))
+      .catch(error => console.warn(`[Cache] Stats update failed: ${error.message}`));
+  }
+  
+  async set(key, value, durationMs, meta = {}) {
+    await this._call('set', key, {
       value,
+      meta,
       timestamp: Date.now(),
       expiresAt: Date.now() + durationMs,
       durationMs
-    };
+    });
   }
   
-  get(key) {
-    if (!this.cache[key]) {
-      this.stats.misses++;
+  /**
+   * Get a fresh entry
+   * With staleWhileRevalidateMs, an entry that expired less than that long
+   * ago is still returned, flagged stale: true, so the caller can refresh it
+   * in the background.
+   * 
+   * @param {String} key - Cache key
+   * @param {Object} options - { staleWhileRevalidateMs }
+   * @returns {Promise<Object|null>} { value, meta, agePercent, ageMs, stale }
+   */
+  async get(key, options = {}) {
+    const { staleWhileRevalidateMs = 0 } = options;
+    const entry = await this._call('get', key);
+    
+    if (!entry) {
+      this._count({ misses: 1 });
+      return null;
+    }
+    
+    const now = Date.now();
+    const stale = entry.expiresAt < now;
+    
+    if (stale && now - entry.expiresAt > staleWhileRevalidateMs) {
+      this._count({ evictions: 1 });
+      return null;
+    }
+    
+    this._count(stale ? { hits: 1, staleServed: 1 } : { hits: 1 });
+    const ageMs = now - entry.timestamp;
+    const agePercent = (ageMs / entry.durationMs * 100).toFixed(0);
+    return { value: entry.value, meta: entry.meta || {}, agePercent, ageMs, stale };
+  }
+  
+  /**
+   * Get an entry even if it has expired
+   * Only meant for fallbacks when no fresh data can be fetched
+   * 
+   * @param {String} key - Cache key
+   * @param {Number} maxAgeMs - Oldest entry to accept
+   * @returns {Promise<Object|null>} { value, meta, ageMs, stale }
+   */
+  async getStale(key, maxAgeMs = Infinity) {
+    const entry = await this._call('get', key);
+    if (!entry) {
       return null;
     }
     
-    const entry = this.cache[key];
-    if (entry.expiresAt < Date.now()) {
-      delete this.cache[key];
-      this.stats.evictions++;
+    const ageMs = Date.now() - entry.timestamp;
+    if (ageMs > maxAgeMs) {
       return null;
     }
     
-    this.stats.hits++;
-    const agePercent = ((Date.now() - entry.timestamp) / entry.durationMs * 100).toFixed(0);
-    return { value: entry.value, agePercent };
+    return {
+      value: entry.value,
+      meta: entry.meta || {},
+      ageMs,
+      stale: entry.expiresAt < Date.now()
+    };
   }
   
-  has(key) {
-    const cached = this.get(key);
+  async has(key) {
+    const cached = await this.get(key);
     return cached !== null;
   }
   
-  getStats() {
-    const total = this.stats.hits + this.stats.misses;
+  /**
+   * Hit/miss totals across every instance sharing the backend
+   * (per-process only for the memory backend)
+   */
+  async getStats() {
+    await this.pendingStats;
+    const stats = await this._call('getStats');
+    const total = stats.hits + stats.misses;
     return {
-      ...this.stats,
-      hitRate: total > 0 ? (this.stats.hits / total * 100).toFixed(1) : 0,
-      itemsInCache: Object.keys(this.cache).length,
-      totalRequests: total
+      backend: this.backend.name,
+      ...stats,
+      hitRate: total > 0 ? (stats.hits / total * 100).toFixed(1) : 0,
+      itemsInCache: await this._call('count'),
+      totalRequests: total,
+      instance: { ...this.stats }
     };
   }
   
-  clear() {
-    this.cache = {};
+  async clear() {
+    await this._call('clear');
   }
 }
 
 const cache = new IntelligentCache();
 
 // ============================================================================
-// REQUEST LOG & QUOTA TRACKING
+// REQUEST LOG
 // ============================================================================
 
+// Provider call counts live in the quota ledger; this is only recent history
 class RequestLog {
   constructor() {
     this.logs = [];
-    this.quotaUsage = {
-      crypto: { binance: 0, coingecko: 0 },
-      forex: { twelvedata: 0, eodhd: 0, alphavantage: 0 }
-    };
   }
   
   log(entry) {
@@ -124,37 +222,12 @@ class RequestLog {
       timestamp: new Date().toISOString()
     });
     
-    // Update quota
-    if (entry.source) {
-      const parts = entry.source.toLowerCase().split(' ');
-      const source = parts[0];
-      const assetClass = entry.assetClass;
-      
-      if (this.quotaUsage[assetClass] && this.quotaUsage[assetClass][source] !== undefined) {
-        this.quotaUsage[assetClass][source]++;
-      }
-    }
-    
     // Keep only last 100 logs
     if (this.logs.length > 100) {
       this.logs = this.logs.slice(-100);
     }
   }
   
-  getQuotaReport() {
-    return {
-      crypto: {
-        binance: `${this.quotaUsage.crypto.binance} requests (unlimited)`,
-        coingecko: `${this.quotaUsage.crypto.coingecko} requests (50/min)`
-      },
-      forex: {
-        twelvedata: `${this.quotaUsage.forex.twelvedata} requests (800/day)`,
-        eodhd: `${this.quotaUsage.forex.eodhd} requests (20/min, paid)`,
-        alphavantage: `${this.quotaUsage.forex.alphavantage} requests (5/min, paid)`
-      }
-    };
-  }
-  
   getRecent(count = 10) {
     return this.logs.slice(-count);
   }
@@ -166,24 +239,32 @@ const requestLog = new RequestLog();
 // ASSET CLASSIFICATION
 // ============================================================================
 
+/**
+ * Classify a symbol against the symbol registry's last loaded snapshot
+ * (await symbolRegistry.load() first to see other instances' changes)
+ */
 function classifyAsset(symbol) {
-  if (CONFIG.CRYPTO_PAIRS.includes(symbol)) {
+  const instrument = symbolRegistry.get(symbol);
+  
+  if (instrument && !instrument.enabled) {
     return {
-      assetClass: 'crypto',
-      symbol,
-      valid: true,
-      primarySource: 'Binance',
-      fallbackSource: 'CoinGecko'
+      assetClass: instrument.assetClass,
+      valid: false,
+      error: `Symbol disabled: ${symbol}`
     };
   }
   
-  if (CONFIG.FOREX_PAIRS.includes(symbol)) {
+  if (instrument) {
+    const { assetClass } = instrument;
+    // Sources in the provider registry's fallback order
+    const [primary, ...fallbacks] = providersFor(symbol, assetClass).map(p => p.label);
     return {
-      assetClass: 'forex',
+      assetClass,
       symbol,
       valid: true,
-      primarySource: 'TwelveData (800/day free)',
-      fallbackSource: 'EODHD'
+      primarySource: primary || null,
+      fallbackSource: fallbacks.join(' → ') || null,
+      tradingHours: instrument.tradingHours
     };
   }
   
@@ -201,7 +282,8 @@ async function fetchWithRetry(symbol, fetchFn, assetClass, retries = 0) {
   try {
     return await fetchFn(symbol);
   } catch (error) {
-    if (retries < CONFIG.MAX_RETRIES) {
+    // Retrying cannot help once the provider quota is gone
+    if (retries < CONFIG.MAX_RETRIES && error.code !== 'QUOTA_EXHAUSTED') {
       console.warn(`[Retry] Attempt ${retries + 1}/${CONFIG.MAX_RETRIES + 1}...`);
       await new Promise(resolve => 
         setTimeout(resolve, CONFIG.RETRY_DELAY_MS * (retries + 1))
@@ -218,26 +300,65 @@ async function fetchWithRetry(symbol, fetchFn, assetClass, retries = 0) {
 // ============================================================================
 
 class DataOrchestrator {
-  constructor() {
+  /**
+   * @param {Object} options - { candleStore } overriding CANDLE_STORE
+   */
+  constructor(options = {}) {
     this.cache = cache;
+    this.candleStore = options.candleStore || createCandleStore();
     this.requestLog = requestLog;
+    this.quotaLedger = quotaLedger;
+    this.revalidating = new Map();  // cache key -> in-flight background refresh
+  }
+  
+  /**
+   * Cache key for a symbol and timeframe set (the default set keeps the bare symbol)
+   */
+  _cacheKey(symbol, timeframes) {
+    return timeframes.join(',') === TIMEFRAME_CONFIG.DEFAULT.join(',')
+      ? `${symbol}`
+      : `${symbol}@${timeframes.join(',')}`;
   }
   
   /**
    * Fetch data for any symbol with smart caching
    * 
    * @param {String} symbol - Trading symbol
+   * @param {Object} options - { timeframes } (default CONFIG.TIMEFRAMES)
    * @returns {Promise<Object>} Multi-timeframe OHLCV data
    */
-  async fetchData(symbol) {
+  async fetchData(symbol, options = {}) {
+    const result = await this.fetchDataWithSource(symbol, options);
+    return result.data;
+  }
+  
+  /**
+   * Fetch data for any symbol and report where it came from
+   * When the providers fail (an exhausted quota or an upstream error), falls
+   * back to the last cached candles (up to MAX_STALE_AGE_MS old) and flags
+   * them with stale: true.
+   * With STALE_WHILE_REVALIDATE_MS set, recently expired candles are served
+   * the same way while a background fetch refreshes the cache.
+   * Each timeframe set is cached separately.
+   * 
+   * @param {String} symbol - Trading symbol
+   * @param {Object} options - { timeframes } to return, e.g. ['15m', '1h', '4h'] (default CONFIG.TIMEFRAMES)
+   * @returns {Promise<Object>} { data, assetClass, timeframes, source, synthetic, quality, cached, stale, revalidating, cacheAgeMs, fetchedAt }
+   * @throws {Error} On an unknown timeframe
+   */
+  async fetchDataWithSource(symbol, options = {}) {
+    const timeframes = parseTimeframes(options.timeframes || CONFIG.TIMEFRAMES);
+    
     console.log(`\n${'='.repeat(70)}`);
-    console.log(`[Orchestrator] Fetching ${symbol}`);
+    console.log(`[Orchestrator] Fetching ${symbol} (${timeframes.join('/')})`);
     console.log(`${'='.repeat(70)}`);
     
     const startTime = Date.now();
+    const cacheKey = this._cacheKey(symbol, timeframes);
     
     try {
       // Classify asset
+      await symbolRegistry.load();
       const classification = classifyAsset(symbol);
       if (!classification.valid) {
         throw new Error(classification.error);
@@ -248,14 +369,19 @@ class DataOrchestrator {
       console.log(`✓ Fallback: ${classification.fallbackSource}`);
       
       // Check cache
-      const cacheKey = `${symbol}`;
       const cacheDuration = classification.assetClass === 'crypto'
         ? CONFIG.CACHE_CRYPTO_DURATION_MS
         : CONFIG.CACHE_FOREX_DURATION_MS;
       
-      const cached = this.cache.get(cacheKey);
-      if (cached && CONFIG.ENABLE_CACHE) {
-        console.log(`\n✅ CACHE HIT (age: ${cached.agePercent}%)`);
+      const cached = CONFIG.ENABLE_CACHE
+        ? await this.cache.get(cacheKey, { staleWhileRevalidateMs: CONFIG.STALE_WHILE_REVALIDATE_MS })
+        : null;
+      if (cached) {
+        console.log(`\n✅ CACHE HIT (age: ${cached.agePercent}%${cached.stale ? ', revalidating' : ''})`);
+        
+        if (cached.stale) {
+          this._revalidate(symbol, classification, cacheDuration, timeframes);
+        }
         
         this.requestLog.log({
           symbol,
@@ -265,44 +391,32 @@ class DataOrchestrator {
           success: true
         });
         
-        return cached.value;
+        return {
+          data: cached.value,
+          assetClass: classification.assetClass,
+          timeframes,
+          source: cached.meta.source || null,
+          synthetic: cached.meta.synthetic || false,
+          quality: assessDataQuality(cached.value, cached.meta),
+          cached: true,
+          stale: cached.stale,
+          revalidating: cached.stale,
+          cacheAgeMs: cached.ageMs,
+          fetchedAt: cached.meta.fetchedAt || null
+        };
       }
       
       // Fetch from API
       console.log(`\n⏳ Fetching from API...`);
       
-      let data;
-      if (classification.assetClass === 'crypto') {
-        data = await fetchWithRetry(symbol, cryptoFetcher.fetchCryptoData, 'crypto');
-      } else {
-        data = await fetchWithRetry(symbol, forexFetcher.fetchForexData, 'forex');
-      }
-      
-      // Validate data - FIXED VERSION
-      const validation = this._validateData(data);
-      if (!validation.valid) {
-        // Log detailed validation errors
-        console.error('[Validation] Failed:');
-        validation.errors.forEach(err => console.error(`  - ${err}`));
-        console.error('[Validation] Timeframe lengths:', validation.timeframeLengths);
-        
-        throw new Error(`Validation failed: ${validation.errors.slice(0, 3).join('; ')}`);
-      }
-      
-      console.log('[Validation] ✓ Passed');
-      console.log(`[Validation] Lengths: 1h=${validation.timeframeLengths['1h']}, 4h=${validation.timeframeLengths['4h']}, 1d=${validation.timeframeLengths['1d']}`);
-      
-      // Cache data
-      if (CONFIG.ENABLE_CACHE) {
-        this.cache.set(cacheKey, data, cacheDuration);
-      }
+      const { data, meta, validation } = await this._fetchAndCache(symbol, classification, cacheDuration, timeframes);
       
       const elapsed = Date.now() - startTime;
       
       this.requestLog.log({
         symbol,
         assetClass: classification.assetClass,
-        source: 'API',
+        source: meta.source || 'API',
         elapsed,
         success: true,
         dataPoints: validation.dataPoints
@@ -311,7 +425,19 @@ class DataOrchestrator {
       console.log(`\n✅ Success (${elapsed}ms, ${validation.dataPoints} points)`);
       console.log(`${'='.repeat(70)}\n`);
       
-      return data;
+      return {
+        data,
+        assetClass: classification.assetClass,
+        timeframes,
+        source: meta.source,
+        synthetic: meta.synthetic,
+        quality: assessDataQuality(data, meta),
+        cached: false,
+        stale: false,
+        revalidating: false,
+        cacheAgeMs: 0,
+        fetchedAt: meta.fetchedAt
+      };
       
     } catch (error) {
       const elapsed = Date.now() - startTime;
@@ -326,12 +452,192 @@ class DataOrchestrator {
       });
       
       console.error(`\n✗ Error: ${error.message}`);
+      
+      // Providers failed: serve the last known candles, clearly marked stale
+      const stale = CONFIG.ENABLE_CACHE
+        ? await this.cache.getStale(cacheKey, CONFIG.MAX_STALE_AGE_MS)
+        : null;
+      
+      if (stale) {
+        console.warn(`⚠️  Serving stale cache for ${symbol} (age: ${(stale.ageMs / 60000).toFixed(0)}min)`);
+        console.log(`${'='.repeat(70)}\n`);
+        
+        return {
+          data: stale.value,
+          assetClass: classifyAsset(symbol).assetClass,
+          timeframes,
+          source: stale.meta.source || null,
+          synthetic: stale.meta.synthetic || false,
+          quality: assessDataQuality(stale.value, stale.meta),
+          cached: true,
+          stale: true,
+          revalidating: false,
+          cacheAgeMs: stale.ageMs,
+          fetchedAt: stale.meta.fetchedAt || null
+        };
+      }
+      
       console.log(`${'='.repeat(70)}\n`);
       
       throw error;
     }
   }
   
+  /**
+   * Fetch candles from the providers, validate them and cache them
+   * 
+   * @param {String} symbol - Trading symbol
+   * @param {Object} classification - From classifyAsset()
+   * @param {Number} cacheDuration - TTL for the asset class
+   * @param {Array<String>} timeframes - Timeframes to return
+   * @returns {Promise<Object>} { data, meta, validation }
+   */
+  async _fetchAndCache(symbol, classification, cacheDuration, timeframes = CONFIG.TIMEFRAMES) {
+    const history = await this._loadHistory(symbol, timeframes);
+    
+    let result;
+    if (CONFIG.CANDLE_STORE_OFFLINE) {
+      result = this._fromHistory(symbol, history, timeframes);
+    } else {
+      const fetchFn = classification.assetClass === 'crypto'
+        ? cryptoFetcher.fetchCryptoDataWithSource
+        : forexFetcher.fetchForexDataWithSource;
+      result = await fetchWithRetry(symbol, (s) => fetchFn(s, { history, timeframes }), classification.assetClass);
+    }
+    const data = result.data;
+    
+    // Kept with the cache entry so cached data reports its quality too
+    const meta = {
+      source: result.source,
+      sources: result.sources || null,
+      incremental: !!result.incremental,
+      synthetic: !!result.synthetic,
+      syntheticTimeframes: result.syntheticTimeframes || [],
+      gapRepair: result.gapRepair || null,
+      tradingHours: classification.tradingHours || null,
+      fetchedAt: new Date().toISOString()
+    };
+    
+    // Validate data - FIXED VERSION
+    const validation = this._validateData(data, timeframes);
+    if (!validation.valid) {
+      // Log detailed validation errors
+      console.error('[Validation] Failed:');
+      validation.errors.forEach(err => console.error(`  - ${err}`));
+      console.error('[Validation] Timeframe lengths:', validation.timeframeLengths);
+      
+      throw new Error(`Validation failed: ${validation.errors.slice(0, 3).join('; ')}`);
+    }
+    
+    console.log('[Validation] ✓ Passed');
+    console.log(`[Validation] Lengths: ${timeframes.map(tf => `${tf}=${validation.timeframeLengths[tf]}`).join(', ')}`);
+    
+    if (!CONFIG.CANDLE_STORE_OFFLINE) {
+      await this._storeCandles(symbol, data, meta, history, timeframes);
+    }
+    
+    // Cache data
+    if (CONFIG.ENABLE_CACHE) {
+      await this.cache.set(this._cacheKey(symbol, timeframes), data, cacheDuration, meta);
+    }
+    
+    return { data, meta, validation };
+  }
+  
+  /**
+   * Stored window per timeframe (CandleStore HISTORY_BARS)
+   * A store failure only costs the tail optimisation, never the fetch.
+   * 
+   * @param {String} symbol - Trading symbol
+   * @param {Array<String>} timeframes - Timeframes to read
+   * @returns {Promise<Object|null>} { '1h': [...], '4h': [...], '1d': [...] }, null when any is empty
+   */
+  async _loadHistory(symbol, timeframes = CONFIG.TIMEFRAMES) {
+    try {
+      const history = {};
+      for (const tf of timeframes) {
+        history[tf] = await this.candleStore.range(symbol, tf, { limit: STORE_CONFIG.HISTORY_BARS[tf] });
+        if (history[tf].length === 0) {
+          return null;
+        }
+      }
+      return history;
+    } catch (error) {
+      console.warn(`[CandleStore] ${this.candleStore.name} read failed for ${symbol}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Build a fetch result from stored candles (CANDLE_STORE_OFFLINE)
+   * 
+   * @returns {Object} { data, source, sources, synthetic, syntheticTimeframes }
+   */
+  _fromHistory(symbol, history, timeframes = CONFIG.TIMEFRAMES) {
+    if (!history) {
+      throw new Error(`No stored candles for ${symbol} (CANDLE_STORE_OFFLINE is set)`);
+    }
+    
+    console.log(`[CandleStore] Offline: serving ${symbol} from ${this.candleStore.name} store`);
+    
+    // Each timeframe reports the provider its newest bar came from
+    const sources = {};
+    for (const [tf, candles] of Object.entries(history)) {
+      sources[tf] = candles[candles.length - 1].source || 'CandleStore';
+    }
+    
+    return {
+      data: toColumns(history, timeframes),
+      source: 'CandleStore',
+      sources,
+      synthetic: false,
+      syntheticTimeframes: []
+    };
+  }
+  
+  /**
+   * Write every observed bar of a fetch into the candle store
+   * Synthetic timeframes are skipped so stored history stays real; bars
+   * older than the newest stored one are already there.
+   */
+  async _storeCandles(symbol, data, meta, history, timeframes = CONFIG.TIMEFRAMES) {
+    try {
+      let written = 0;
+      for (const tf of timeframes) {
+        if (meta.syntheticTimeframes.includes(tf)) continue;
+        const stored = history ? history[tf][history[tf].length - 1].timestamp : -Infinity;
+        const candles = fromColumns(data, tf)
+          .filter(c => c.timestamp >= stored)
+          .map(c => ({ ...c, source: meta.source }));
+        written += await this.candleStore.upsert(symbol, tf, candles);
+      }
+      console.log(`[CandleStore] Stored ${written} bars for ${symbol} (${this.candleStore.name}${meta.incremental ? ', tail fetch' : ''})`);
+    } catch (error) {
+      console.warn(`[CandleStore] ${this.candleStore.name} write failed for ${symbol}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Refresh a stale cache entry in the background
+   * One refresh per cache entry at a time; failures keep the stale entry.
+   * 
+   * @returns {Promise<void>} Resolves when the refresh settles
+   */
+  _revalidate(symbol, classification, cacheDuration, timeframes = CONFIG.TIMEFRAMES) {
+    const key = this._cacheKey(symbol, timeframes);
+    if (this.revalidating.has(key)) {
+      return this.revalidating.get(key);
+    }
+    
+    const refresh = this._fetchAndCache(symbol, classification, cacheDuration, timeframes)
+      .then(() => console.log(`[Cache] Revalidated ${symbol}`))
+      .catch(error => console.warn(`[Cache] Revalidation failed for ${symbol}: ${error.message}`))
+      .finally(() => this.revalidating.delete(key));
+    
+    this.revalidating.set(key, refresh);
+    return refresh;
+  }
+  
   /**
    * Fetch multiple symbols efficiently
    * Uses cache and parallel requests where possible
@@ -346,8 +652,9 @@ class DataOrchestrator {
     const errors = {};
     
     // Separate by asset class for parallel processing efficiency
-    const cryptoSymbols = symbols.filter(s => CONFIG.CRYPTO_PAIRS.includes(s));
-    const forexSymbols = symbols.filter(s => CONFIG.FOREX_PAIRS.includes(s));
+    await symbolRegistry.load();
+    const cryptoSymbols = symbols.filter(s => classifyAsset(s).assetClass === 'crypto');
+    const forexSymbols = symbols.filter(s => classifyAsset(s).assetClass === 'forex');
     
     console.log(`  - Crypto: ${cryptoSymbols.length}`);
     console.log(`  - Forex: ${forexSymbols.length}`);
@@ -390,17 +697,21 @@ class DataOrchestrator {
   }
   
   /**
-   * Get cache statistics
+   * Get cache statistics (shared across instances for mongo/fs backends)
    */
-  getCacheStats() {
+  async getCacheStats() {
     return this.cache.getStats();
   }
   
   /**
-   * Get quota usage report
+   * Get quota usage report: used/remaining budget and reset time per provider,
+   * plus the registered provider adapters
    */
-  getQuotaReport() {
-    return this.requestLog.getQuotaReport();
+  async getQuotaReport() {
+    return {
+      ...(await this.quotaLedger.getReport()),
+      registered: listProviders()
+    };
   }
   
   /**
@@ -411,38 +722,40 @@ class DataOrchestrator {
   }
   
   /**
-   * Get supported symbols
+   * Get supported symbols (enabled in the symbol registry)
    */
   getSupportedSymbols() {
     return {
-      crypto: CONFIG.CRYPTO_PAIRS,
-      forex: CONFIG.FOREX_PAIRS,
-      all: [...CONFIG.CRYPTO_PAIRS, ...CONFIG.FOREX_PAIRS]
+      crypto: symbolRegistry.symbols('crypto'),
+      forex: symbolRegistry.symbols('forex'),
+      all: symbolRegistry.symbols()
     };
   }
   
   /**
    * Get Twelve Data quota status (for forex planning)
    */
-  getTwelveDataStatus() {
+  async getTwelveDataStatus() {
     return forexFetcher.getTwelveDataStats();
   }
   
   /**
    * Clear cache
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await this.cache.clear();
     console.log('[Cache] Cleared');
   }
   
   /**
    * Validate data structure - FIXED VERSION
    * Allows different lengths for different timeframes
+   * 
+   * @param {Object} data - Column format
+   * @param {Array<String>} requiredTimeframes - Default 1h/4h/1d
    */
-  _validateData(data) {
+  _validateData(data, requiredTimeframes = TIMEFRAME_CONFIG.DEFAULT) {
     const errors = [];
-    const requiredTimeframes = ['1h', '4h', '1d'];
     const requiredFields = ['open', 'high', 'low', 'close', 'volume'];
     
     // Store lengths for each timeframe separately
@@ -478,21 +791,24 @@ class DataOrchestrator {
         errors.push(`Inconsistent lengths in ${tf}: ${Array.from(tfLengths).join(', ')}`);
       }
       
+      // Gap detection relies on candles in time order
+      const timestamps = data[`${tf}_timestamp`];
+      if (Array.isArray(timestamps) && timestamps.some((t, i) => i > 0 && !(t > timestamps[i - 1]))) {
+        errors.push(`Timestamps out of order in ${tf}`);
+      }
+      
       timeframeLengths[tf] = Array.from(tfLengths)[0] || 0;
     }
     
     // Optional: Validate minimum data points per timeframe
-    if (timeframeLengths['1h'] && timeframeLengths['1h'] < 50) {
-      errors.push(`Insufficient 1h data: ${timeframeLengths['1h']} < 50`);
-    }
-    if (timeframeLengths['4h'] && timeframeLengths['4h'] < 20) {
-      errors.push(`Insufficient 4h data: ${timeframeLengths['4h']} < 20`);
-    }
-    if (timeframeLengths['1d'] && timeframeLengths['1d'] < 20) {
-      errors.push(`Insufficient 1d data: ${timeframeLengths['1d']} < 20`);
+    for (const tf of requiredTimeframes) {
+      const { minBars } = TIMEFRAME_CONFIG.TIMEFRAMES[tf];
+      if (timeframeLengths[tf] && timeframeLengths[tf] < minBars) {
+        errors.push(`Insufficient ${tf} data: ${timeframeLengths[tf]} < ${minBars}`);
+      }
     }
     
-    const dataPoints = data['1h_close']?.length || 0;
+    const dataPoints = data[`${requiredTimeframes[0]}_close`]?.length || 0;
     
     return {
       valid: errors.length === 0,
@@ -516,8 +832,10 @@ const orchestrator = new DataOrchestrator();
 /**
  * Main fetch endpoint
  * GET /api/fetch-data?symbol=BTC/USDT
+ * GET /api/fetch-data?symbol=BTC/USDT&timeframes=15m,1h,4h,1w
  * GET /api/fetch-data?batch=BTC/USDT,EURUSD,ETH/USDT
  * GET /api/fetch-data?health=true
+ * GET /api/fetch-data?quota=true
  */
 const handler = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -531,14 +849,19 @@ const handler = async (req, res) => {
   // ===== HEALTH CHECK =====
   if (req.query.health === 'true') {
     try {
-      const cacheStats = orchestrator.getCacheStats();
-      const quotaReport = orchestrator.getQuotaReport();
+      await symbolRegistry.load();
+      const cacheStats = await orchestrator.getCacheStats();
+      const quotaReport = await orchestrator.getQuotaReport();
       const recentRequests = orchestrator.getRecentRequests(5);
       
       return res.status(200).json({
         status: 'healthy',
         service: 'fetch-data',
         cache: cacheStats,
+        candleStore: {
+          store: orchestrator.candleStore.name,
+          offline: CONFIG.CANDLE_STORE_OFFLINE
+        },
         quota: quotaReport,
         recentRequests,
         supported: orchestrator.getSupportedSymbols(),
@@ -553,8 +876,26 @@ const handler = async (req, res) => {
     }
   }
 
+  // ===== QUOTA =====
+  if (req.query.quota === 'true') {
+    try {
+      return res.status(200).json({
+        success: true,
+        quota: await orchestrator.getQuotaReport(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      return res.status(503).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   // ===== MAIN FETCH LOGIC =====
   try {
+    await symbolRegistry.load();
     const { symbol, batch } = req.query;
     
     if (!symbol && !batch) {
@@ -562,20 +903,41 @@ const handler = async (req, res) => {
         error: 'Missing parameter',
         usage: {
           single: '/api/fetch-data?symbol=BTC/USDT',
+          timeframes: '/api/fetch-data?symbol=BTC/USDT&timeframes=15m,1h,4h,1w',
           batch: '/api/fetch-data?batch=BTC/USDT,EURUSD',
-          health: '/api/fetch-data?health=true'
+          health: '/api/fetch-data?health=true',
+          quota: '/api/fetch-data?quota=true'
         },
         supported: orchestrator.getSupportedSymbols()
       });
     }
     
     if (symbol) {
-      const data = await orchestrator.fetchData(symbol);
+      let timeframes;
+      try {
+        timeframes = parseTimeframes(req.query.timeframes || CONFIG.TIMEFRAMES);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid timeframes',
+          message: error.message,
+          supported: Object.keys(TIMEFRAME_CONFIG.TIMEFRAMES)
+        });
+      }
+      
+      const { data, source, quality, cached, stale, revalidating, cacheAgeMs } =
+        await orchestrator.fetchDataWithSource(symbol, { timeframes });
       
       return res.status(200).json({
         success: true,
         symbol,
-        dataPoints: data['1h_close']?.length || 0,
+        timeframes,
+        source,
+        cached,
+        stale,
+        revalidating,
+        cacheAgeMs,
+        dataPoints: data[`${timeframes[0]}_close`]?.length || 0,
+        quality,
         timestamp: new Date().toISOString(),
         data
       });
@@ -603,7 +965,13 @@ const handler = async (req, res) => {
 };
 
 // ============================================================================
-// SINGLE EXPORT
+// EXPORTS
 // ============================================================================
 
-module.exports = handler;
\ No newline at end of file
+module.exports = handler;
+
+// Shared with prediction endpoints that fetch candles server-side
+module.exports.orchestrator = orchestrator;
+module.exports.classifyAsset = classifyAsset;
+module.exports.IntelligentCache = IntelligentCache;
+module.exports.CONFIG = CONFIG;
\ No newline at end of file
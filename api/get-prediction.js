@@ -12,6 +12,9 @@
  */
 
 const { connectToDatabase } = require('../utils/mongodb-connection');
+const { buildModelComparison, buildVersionComparison } = require('../utils/model-predictions');
+const { isTimeframe } = require('../utils/timeframes');
+const { documentHorizon, horizonCondition } = require('../utils/horizons');
 
 // ============================================================================
 // CONFIGURATION
@@ -24,8 +27,16 @@ const CONFIG = {
     predictions: 'predictions',
     crypto_predictions: 'crypto_predictions',
     forex_predictions: 'forex_predictions',
+    shadow: 'shadow_predictions',
     metadata: 'metadata'
-  }
+  },
+  COMPARE_MODES: ['models', 'versions'],
+  CLASS_NAMES: ['DOWN', 'NEUTRAL', 'UP'],
+  REGIMES: ['trending', 'ranging', 'high_volatility', 'unknown'],
+  // Most recent documents scanned by ?compare=models (and per collection by ?compare=versions)
+  MAX_COMPARE_DOCS: 2000,
+  // Confidence bucket edges for the reliability table (argmax of 3 classes >= 1/3)
+  RELIABILITY_BUCKETS: [0, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0001]
 };
 
 // ============================================================================
@@ -46,6 +57,14 @@ function buildQuery(params) {
     query.asset_class = params.asset_class;
   }
 
+  // Prediction horizon (documents stored without one were 4h calls)
+  if (params.horizon) {
+    if (!isTimeframe(params.horizon)) {
+      throw new Error('Invalid horizon. Must be a timeframe such as 1h, 4h or 1d');
+    }
+    query.horizon = horizonCondition(params.horizon);
+  }
+
   // Symbol/Pair filter
   if (params.symbol) {
     query.symbol = params.symbol;
@@ -104,6 +123,19 @@ function buildQuery(params) {
     query.stored = stored;
   }
 
+  // Outcome resolution status
+  if (params.resolved) {
+    query.outcome = { $exists: params.resolved === 'true' };
+  }
+
+  // Market regime at prediction time
+  if (params.regime) {
+    if (!CONFIG.REGIMES.includes(params.regime)) {
+      throw new Error(`Invalid regime. Must be one of: ${CONFIG.REGIMES.join(', ')}`);
+    }
+    query['regime.regime'] = params.regime;
+  }
+
   return query;
 }
 
@@ -111,6 +143,23 @@ function buildQuery(params) {
 // RESPONSE FORMATTERS
 // ============================================================================
 
+/**
+ * Format realized outcome (null until resolved)
+ */
+function formatOutcome(doc) {
+  if (!doc.outcome) {
+    return null;
+  }
+
+  return {
+    class: doc.outcome,
+    correct: doc.outcome === doc.class,
+    realized_return: (doc.realized_return || 0).toFixed(6),
+    horizon_hours: doc.horizon_hours || null,
+    resolved_at: doc.resolved_at ? doc.resolved_at.toISOString() : null
+  };
+}
+
 /**
  * Format crypto prediction for response
  */
@@ -120,6 +169,7 @@ function formatCryptoPrediction(doc) {
     timestamp: doc.timestamp ? doc.timestamp.toISOString() : null,
     asset_class: 'crypto',
     symbol: doc.symbol,
+    horizon: documentHorizon(doc),
     prediction: doc.prediction,
     class: doc.class,
     confidence: (doc.confidence || 0).toFixed(4),
@@ -144,6 +194,12 @@ function formatCryptoPrediction(doc) {
       stored: doc.stored !== false,
       storage_id: doc.storage_id || null
     },
+    data_source: doc.data_source || null,
+    data_quality: doc.data_quality || null,
+    regime: doc.regime || null,
+    ensemble: doc.ensemble || null,
+    model_predictions: doc.model_predictions || [],
+    outcome: formatOutcome(doc),
     request_id: doc.request_id || null
   };
 }
@@ -157,6 +213,7 @@ function formatForexPrediction(doc) {
     timestamp: doc.timestamp ? doc.timestamp.toISOString() : null,
     asset_class: 'forex',
     pair: doc.pair,
+    horizon: documentHorizon(doc),
     prediction: doc.prediction,
     class: doc.class,
     confidence: (doc.confidence || 0).toFixed(4),
@@ -180,6 +237,12 @@ function formatForexPrediction(doc) {
       stored: doc.stored !== false,
       storage_id: doc.storage_id || null
     },
+    data_source: doc.data_source || null,
+    data_quality: doc.data_quality || null,
+    regime: doc.regime || null,
+    ensemble: doc.ensemble || null,
+    model_predictions: doc.model_predictions || [],
+    outcome: formatOutcome(doc),
     request_id: doc.request_id || null
   };
 }
@@ -200,6 +263,7 @@ function formatPrediction(doc) {
     timestamp: doc.timestamp ? doc.timestamp.toISOString() : null,
     asset_class: doc.asset_class,
     symbol: doc.symbol || doc.pair,
+    horizon: documentHorizon(doc),
     prediction: doc.prediction,
     class: doc.class,
     confidence: (doc.confidence || 0).toFixed(4),
@@ -285,6 +349,8 @@ async function calculateStats(db, query) {
       avg_inference_time: 0
     };
 
+    const accuracy = await calculateAccuracyStats(collection, query);
+
     return {
       distribution: {
         down: stats.down,
@@ -300,7 +366,8 @@ async function calculateStats(db, query) {
       performance: {
         avg_models_used: (models.avg_models || 0).toFixed(1),
         avg_inference_time_ms: (models.avg_inference_time || 0).toFixed(1)
-      }
+      },
+      accuracy
     };
   } catch (error) {
     console.warn('Stats calculation error:', error.message);
@@ -308,6 +375,243 @@ async function calculateStats(db, query) {
   }
 }
 
+/**
+ * Squared error of one probability against the realized one-hot outcome
+ */
+function brierTerm(field, className) {
+  return {
+    $pow: [
+      {
+        $subtract: [
+          { $ifNull: [`$probabilities.${field}`, 0] },
+          { $cond: [{ $eq: ['$outcome', className] }, 1, 0] }
+        ]
+      },
+      2
+    ]
+  };
+}
+
+/**
+ * Calculate realized accuracy from resolved predictions
+ * Only documents carrying an `outcome` (see resolve-outcomes) are counted,
+ * on top of the caller's filters (an `outcome` or `resolved` filter included)
+ */
+async function calculateAccuracyStats(collection, query) {
+  const resolvedQuery = {
+    $and: [query, { outcome: { $in: CONFIG.CLASS_NAMES } }]
+  };
+
+  // Predicted vs actual counts
+  const pairs = await collection
+    .aggregate([
+      { $match: resolvedQuery },
+      {
+        $group: {
+          _id: { predicted: '$class', actual: '$outcome' },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+    .toArray();
+
+  const report = buildAccuracyReport(pairs);
+
+  if (report.resolved === 0) {
+    return report;
+  }
+
+  // Multi-class Brier score
+  const brierStats = await collection
+    .aggregate([
+      { $match: resolvedQuery },
+      {
+        $group: {
+          _id: null,
+          brier: {
+            $avg: {
+              $add: [
+                brierTerm('down', 'DOWN'),
+                brierTerm('neutral', 'NEUTRAL'),
+                brierTerm('up', 'UP')
+              ]
+            }
+          }
+        }
+      }
+    ])
+    .toArray();
+
+  report.brier_score = (brierStats[0]?.brier || 0).toFixed(4);
+
+  // Reliability table bucketed by confidence
+  const buckets = await collection
+    .aggregate([
+      { $match: resolvedQuery },
+      {
+        $bucket: {
+          groupBy: '$confidence',
+          boundaries: CONFIG.RELIABILITY_BUCKETS,
+          default: 'out_of_range',
+          output: {
+            count: { $sum: 1 },
+            avg_confidence: { $avg: '$confidence' },
+            correct: {
+              $sum: { $cond: [{ $eq: ['$class', '$outcome'] }, 1, 0] }
+            }
+          }
+        }
+      }
+    ])
+    .toArray();
+
+  report.reliability = buckets
+    .filter(b => b._id !== 'out_of_range')
+    .map(b => {
+      const index = CONFIG.RELIABILITY_BUCKETS.indexOf(b._id);
+      const upper = Math.min(CONFIG.RELIABILITY_BUCKETS[index + 1], 1);
+      return {
+        bucket: `${b._id.toFixed(2)}-${upper.toFixed(2)}`,
+        count: b.count,
+        avg_confidence: (b.avg_confidence || 0).toFixed(4),
+        hit_rate: (b.correct / b.count).toFixed(4),
+        gap: ((b.avg_confidence || 0) - b.correct / b.count).toFixed(4)
+      };
+    });
+
+  return report;
+}
+
+/**
+ * Build hit rate, per-class precision/recall and confusion matrix
+ * from { _id: { predicted, actual }, count } rows
+ */
+function buildAccuracyReport(pairs) {
+  const labels = CONFIG.CLASS_NAMES;
+  const matrix = labels.map(() => labels.map(() => 0));
+
+  for (const row of pairs) {
+    const p = labels.indexOf(row._id.predicted);
+    const a = labels.indexOf(row._id.actual);
+    if (p >= 0 && a >= 0) {
+      matrix[p][a] += row.count;
+    }
+  }
+
+  const resolved = matrix.reduce((sum, row) => sum + row.reduce((s, c) => s + c, 0), 0);
+
+  if (resolved === 0) {
+    return {
+      resolved: 0,
+      hit_rate: null,
+      per_class: null,
+      confusion_matrix: null,
+      brier_score: null,
+      reliability: []
+    };
+  }
+
+  const correct = labels.reduce((sum, _, i) => sum + matrix[i][i], 0);
+
+  const perClass = {};
+  labels.forEach((label, i) => {
+    const predicted = matrix[i].reduce((s, c) => s + c, 0);
+    const actual = matrix.reduce((s, row) => s + row[i], 0);
+    perClass[label.toLowerCase()] = {
+      precision: predicted > 0 ? (matrix[i][i] / predicted).toFixed(4) : null,
+      recall: actual > 0 ? (matrix[i][i] / actual).toFixed(4) : null,
+      predicted,
+      actual
+    };
+  });
+
+  return {
+    resolved,
+    hit_rate: (correct / resolved).toFixed(4),
+    per_class: perClass,
+    confusion_matrix: {
+      labels,
+      rows: 'predicted',
+      columns: 'actual',
+      matrix
+    },
+    brier_score: null,
+    reliability: []
+  };
+}
+
+// ============================================================================
+// MODEL COMPARISON
+// ============================================================================
+
+/**
+ * Compare models head-to-head per symbol over the most recent matching predictions
+ * Only documents that carry per-model results are scanned
+ */
+async function compareModels(collection, query, startTime) {
+  const docs = await collection
+    .find(
+      { ...query, 'model_predictions.0': { $exists: true } },
+      {
+        projection: {
+          asset_class: 1, symbol: 1, pair: 1, class: 1, outcome: 1, model_predictions: 1
+        }
+      }
+    )
+    .sort({ timestamp: -1 })
+    .limit(CONFIG.MAX_COMPARE_DOCS)
+    .toArray();
+
+  const elapsed = Date.now() - startTime;
+  console.log(`✓ Compared models over ${docs.length} predictions (${elapsed}ms)`);
+
+  return {
+    success: true,
+    compare: 'models',
+    scanned: docs.length,
+    truncated: docs.length === CONFIG.MAX_COMPARE_DOCS,
+    symbols: buildModelComparison(docs),
+    metadata: {
+      query_time_ms: elapsed,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Compare model versions over the most recent matching champion predictions
+ * and the challenger predictions shadowed next to them (utils/shadow-mode)
+ */
+async function compareVersions(db, query, startTime) {
+  const projection = {
+    asset_class: 1, horizon: 1, symbol: 1, pair: 1, class: 1, outcome: 1, role: 1,
+    request_id: 1, model_versions: 1, model_predictions: 1
+  };
+  const recent = (name) => db.collection(CONFIG.COLLECTIONS[name])
+    .find({ ...query, 'model_predictions.0': { $exists: true } }, { projection })
+    .sort({ timestamp: -1 })
+    .limit(CONFIG.MAX_COMPARE_DOCS)
+    .toArray();
+
+  const champions = await recent('predictions');
+  const challengers = await recent('shadow');
+
+  const elapsed = Date.now() - startTime;
+  console.log(`✓ Compared versions over ${champions.length} predictions + ${challengers.length} shadow (${elapsed}ms)`);
+
+  return {
+    success: true,
+    compare: 'versions',
+    scanned: { champion: champions.length, challenger: challengers.length },
+    truncated: champions.length === CONFIG.MAX_COMPARE_DOCS || challengers.length === CONFIG.MAX_COMPARE_DOCS,
+    ...buildVersionComparison([...champions, ...challengers]),
+    metadata: {
+      query_time_ms: elapsed,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
 // ============================================================================
 // MAIN HANDLER
 // ============================================================================
@@ -318,6 +622,7 @@ async function calculateStats(db, query) {
  * 
  * Query parameters:
  * - asset_class: 'crypto' or 'forex' (optional)
+ * - horizon: '4h', '1d', ... - what the call refers to (optional)
  * - symbol: 'BTC/USDT' or similar (optional, crypto only)
  * - pair: 'EURUSD' or similar (optional, forex only)
  * - class: 'UP', 'DOWN', 'NEUTRAL' (optional)
@@ -325,9 +630,15 @@ async function calculateStats(db, query) {
  * - since: ISO date string (optional)
  * - until: ISO date string (optional)
  * - stored: 'true' or 'false' (optional)
+ * - resolved: 'true' or 'false' - outcome known (optional)
+ * - regime: 'trending', 'ranging', 'high_volatility' (optional)
  * - limit: 1-100 (default 10)
  * - offset: 0+ (default 0)
  * - include_stats: 'true' or 'false' (default false)
+ * - compare: 'models' - per-symbol head-to-head model comparison over the
+ *   filtered predictions instead of a page of documents (optional)
+ *   'versions' - realized accuracy per model version, champion and shadow
+ *   challenger side by side (utils/model-rollout)
  */
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -351,6 +662,7 @@ module.exports = async (req, res) => {
     // Parse parameters
     const {
       asset_class,
+      horizon,
       symbol,
       pair,
       class: predClass,
@@ -358,12 +670,22 @@ module.exports = async (req, res) => {
       since,
       until,
       stored,
+      resolved,
+      regime,
       limit = CONFIG.DEFAULT_LIMIT,
       offset = 0,
       include_stats = 'false',
+      compare,
       sort = '-timestamp'
     } = req.query;
 
+    if (compare && !CONFIG.COMPARE_MODES.includes(compare)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid compare. Must be "models" or "versions"'
+      });
+    }
+
     // Validate limits
     const parsedLimit = Math.min(parseInt(limit) || CONFIG.DEFAULT_LIMIT, CONFIG.MAX_LIMIT);
     const parsedOffset = Math.max(parseInt(offset) || 0, 0);
@@ -378,18 +700,29 @@ module.exports = async (req, res) => {
     // Build query
     const query = buildQuery({
       asset_class,
+      horizon,
       symbol,
       pair,
       class: predClass,
       min_confidence,
       since,
       until,
-      stored
+      stored,
+      resolved,
+      regime
     });
 
     const db = await connectToDatabase();
     const collection = db.collection(CONFIG.COLLECTIONS.predictions);
 
+    if (compare === 'models') {
+      return res.status(200).json(await compareModels(collection, query, startTime));
+    }
+
+    if (compare === 'versions') {
+      return res.status(200).json(await compareVersions(db, query, startTime));
+    }
+
     // Build sort
     const sortObj = {};
     if (sort === '-timestamp' || sort === 'timestamp') {
@@ -439,6 +772,7 @@ module.exports = async (req, res) => {
       },
       filters_applied: {
         asset_class: asset_class || null,
+        horizon: horizon || null,
         symbol: symbol || null,
         pair: pair || null,
         class: predClass || null,
@@ -447,7 +781,9 @@ module.exports = async (req, res) => {
           since: since || null,
           until: until || null
         },
-        stored: stored || null
+        stored: stored || null,
+        resolved: resolved || null,
+        regime: regime || null
       },
       data: formattedData,
       stats: stats,
@@ -527,4 +863,9 @@ module.exports.health = async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
-};
\ No newline at end of file
+};
+
+module.exports.buildQuery = buildQuery;
+module.exports.calculateAccuracyStats = calculateAccuracyStats;
+module.exports.buildAccuracyReport = buildAccuracyReport;
+module.exports.CONFIG = CONFIG;
@@ -0,0 +1,136 @@
+/**
+ * Model Rollout API - Champion/challenger admin
+ *
+ * Shows and switches which model versions serve each model set
+ * (utils/model-rollout). Versions must be listed in the set's
+ * manifest.json; the predict endpoints pick up a change within
+ * MODEL_ROLLOUT_REFRESH_MS, without a redeploy.
+ *
+ * GET  /api/model-rollout                        - every model set
+ * GET  /api/model-rollout?asset_class=crypto     - one asset class
+ * POST /api/model-rollout  (Authorization: Bearer <ADMIN_TOKEN>)
+ *   { "action": "challenge", "asset_class": "crypto", "horizon": "4h",
+ *     "models": { "hierarchical_lstm": "12.0" } }   - shadow these versions
+ *   { "action": "clear_challenger", "asset_class": "crypto" }
+ *   { "action": "promote", "asset_class": "crypto" }   - challenger becomes champion
+ *   { "action": "rollback", "asset_class": "crypto" }  - back to the previous champion
+ *
+ * `horizon` defaults to the asset class's default. Compare versions before
+ * promoting with GET /api/get-predictions?compare=versions.
+ * Writes are refused unless ADMIN_TOKEN is set.
+ */
+
+const { authorize } = require('../utils/admin-auth');
+const { modelRollout } = require('../utils/model-rollout');
+const { horizonsFor, CONFIG: HORIZON_CONFIG } = require('../utils/horizons');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  ACTIONS: ['challenge', 'clear_challenger', 'promote', 'rollback'],
+  ASSET_CLASSES: Object.keys(HORIZON_CONFIG.MODEL_SETS)
+};
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  try {
+    await modelRollout.load({ force: true });
+
+    // ===== STATE =====
+    if (req.method === 'GET') {
+      const assetClass = (req.query || {}).asset_class;
+      if (assetClass && !CONFIG.ASSET_CLASSES.includes(assetClass)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid asset_class: ${assetClass}`,
+          supported: CONFIG.ASSET_CLASSES
+        });
+      }
+
+      const sets = (assetClass ? [assetClass] : CONFIG.ASSET_CLASSES)
+        .flatMap(a => horizonsFor(a).map(horizon => modelRollout.describe(a, horizon)));
+
+      return res.status(200).json({
+        success: true,
+        store: modelRollout.store.name,
+        model_sets: sets,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // ===== ADMIN =====
+    const auth = authorize(req, 'Model rollout admin');
+    if (!auth.ok) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const { action, asset_class: assetClass, horizon = null, models } = req.body || {};
+
+    if (!CONFIG.ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid action: ${action}`,
+        supported: CONFIG.ACTIONS
+      });
+    }
+
+    if (!CONFIG.ASSET_CLASSES.includes(assetClass)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid asset_class: ${assetClass}`,
+        supported: CONFIG.ASSET_CLASSES
+      });
+    }
+
+    let state;
+
+    if (action === 'challenge') {
+      state = await modelRollout.setChallenger(assetClass, horizon, models);
+    } else if (action === 'clear_challenger') {
+      state = await modelRollout.clearChallenger(assetClass, horizon);
+    } else if (action === 'promote') {
+      state = await modelRollout.promote(assetClass, horizon);
+    } else {
+      state = await modelRollout.rollback(assetClass, horizon);
+    }
+
+    console.log(`[ModelRollout] ${action} ${assetClass} ${state.horizon} (${modelRollout.store.name})`);
+
+    return res.status(200).json({
+      success: true,
+      action,
+      model_set: state,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Model rollout error:', error.message);
+
+    const invalid = ['INVALID_ROLLOUT', 'INVALID_HORIZON'].includes(error.code);
+    return res.status(invalid ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,627 @@
+/**
+ * Batch Prediction Endpoint - Many symbols in one call
+ *
+ * Vercel Serverless Function
+ * POST /api/predict-batch
+ *
+ * FLOW:
+ * 1. Fetch candles server-side for each symbol (or use supplied data)
+ * 2. Engineer features per symbol (crypto v7.1 / forex conservative)
+ * 3. Run one batched tensor per model against the global model cache, each
+ *    scaled with the model's stored scaler (utils/feature-scaler)
+ * 4. Ensemble per symbol
+ * 5. Persist all successful predictions through store-prediction's batch path
+ * 6. When a challenger is set (utils/model-rollout), run it in shadow on the
+ *    same rows and store its predictions in shadow_predictions only
+ *
+ * A failing symbol never fails the batch - it is reported with the stage
+ * (classify, fetch, quality, features, contract, history, inference) where it broke;
+ * a horizon an asset class has no models for fails its symbols at classify,
+ * features that break a model's input contract (utils/model-contract)
+ * fail at contract with the per-model diff, and symbols with less history
+ * than a sequence model's window (utils/sequence-window) fail at history. Synthetic
+ * inputs follow SYNTHETIC_DATA_POLICY (utils/data-quality): refused symbols
+ * fail at the quality stage, down-weighted ones report data_quality.policy.
+ *
+ * REQUEST:
+ * {
+ *   "symbols": ["BTC/USDT", "ETH/USDT", "EURUSD"],
+ *   "store": true,                // OPTIONAL - default true
+ *   "ensemble_strategy": "equal", // OPTIONAL - equal | static | accuracy | majority_vote
+ *   "horizon": "4h"               // OPTIONAL - for every symbol (default: each asset class's default)
+ * }
+ * Entries may also be objects: { "symbol": "BTC/USDT", "data": { ... }, "data_quality": { ... } }
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "partial": true,
+ *   "total": 3,
+ *   "succeeded": 2,
+ *   "failed": 1,
+ *   "results": [
+ *     { "symbol": "BTC/USDT", "success": true, "class": "UP", "confidence": 0.61, ... },
+ *     { "symbol": "EURUSD", "success": false, "stage": "fetch", "error": "..." }
+ *   ],
+ *   "models": { "crypto": [{ "model": "hierarchical_lstm", "success": true, "latency_ms": 42 }] },
+ *   "storage": { "success": true, "inserted_count": 2 }
+ * }
+ */
+
+const { orchestrator, classifyAsset } = require('./fetch-data');
+const { resolveHorizon } = require('../utils/horizons');
+const { symbolRegistry } = require('../utils/symbol-registry');
+const {
+  assessClientDataQuality,
+  evaluateSyntheticPolicy,
+  applySyntheticPolicy
+} = require('../utils/data-quality');
+const {
+  engineCryptoFeatures,
+  extractFeatureVector,
+  ensembleCryptoPredictions,
+  CONFIG: CRYPTO_CONFIG
+} = require('./predict-crypto-handler');
+const {
+  engineForexFeatures,
+  extractForexFeatureVector,
+  ensembleForexPredictions,
+  CONFIG: FOREX_CONFIG
+} = require('./predict-forex-handler');
+const {
+  getCryptoModelEntries,
+  getForexModelEntries,
+  getModelLoadFailures
+} = require('../utils/global-model-cache');
+const { runBatchedInference } = require('../utils/batch-inference');
+const { summarizeScaling } = require('../utils/feature-scaler');
+const { extractHistory, checkHistory } = require('../utils/sequence-window');
+const { assertContracts } = require('../utils/model-contract');
+const { versionMap, formatModelPredictions } = require('../utils/model-predictions');
+const { runShadow } = require('../utils/shadow-mode');
+const { detectRegime, getEnsemblePolicy } = require('../utils/regime-detector');
+const {
+  CONFIG: ENSEMBLE_CONFIG,
+  isValidStrategy,
+  resolveStrategyWeights,
+  combineWeights
+} = require('../utils/ensemble-strategies');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Every configured crypto + forex pair fits in one batch
+  MAX_SYMBOLS: 15,
+  STORAGE_TIMEOUT_MS: 15000,
+
+  ASSET_CLASSES: {
+    crypto: {
+      keyField: 'symbol',
+      timeframes: CRYPTO_CONFIG.TIMEFRAMES,
+      loadModels: getCryptoModelEntries,
+      engineFeatures: engineCryptoFeatures,
+      extractVector: extractFeatureVector,
+      ensemble: ensembleCryptoPredictions
+    },
+    forex: {
+      keyField: 'pair',
+      timeframes: FOREX_CONFIG.TIMEFRAMES,
+      loadModels: getForexModelEntries,
+      engineFeatures: engineForexFeatures,
+      extractVector: extractForexFeatureVector,
+      ensemble: ensembleForexPredictions
+    }
+  }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Record a failed symbol
+ */
+function failItem(item, stage, error) {
+  item.success = false;
+  item.stage = stage;
+  item.error = error;
+}
+
+/**
+ * Normalize a request entry to { symbol, data, qualityHint }
+ * An entry without a string symbol fails alone at the classify stage.
+ *
+ * @param {String|Object} entry - "BTC/USDT" or { symbol|pair, data, data_quality }
+ * @returns {Object} { symbol, data, qualityHint }, already failed when the symbol is invalid
+ */
+function normalizeEntry(entry) {
+  const isObject = entry !== null && typeof entry === 'object';
+  const symbol = isObject ? (entry.symbol || entry.pair) : entry;
+  const item = {
+    symbol: typeof symbol === 'string' ? symbol.trim() : (symbol ?? null),
+    data: isObject && entry.data ? entry.data : null,
+    qualityHint: isObject && entry.data_quality ? entry.data_quality : null
+  };
+
+  if (typeof symbol !== 'string') {
+    failItem(item, 'classify', `Invalid symbol: expected a string, got ${symbol === null ? 'null' : typeof symbol}`);
+  }
+  return item;
+}
+
+/**
+ * Gather candles and feature vectors for each symbol
+ * Fetches run sequentially to respect provider rate limits
+ *
+ * @param {Array<Object>} items - Batch items (mutated in place)
+ * @param {String} horizon - Requested horizon (default: each asset class's default)
+ */
+async function prepareItems(items, horizon) {
+  await symbolRegistry.load();
+
+  for (const item of items) {
+    if (item.success === false) continue;
+
+    const classification = classifyAsset(item.symbol);
+
+    if (!classification.valid) {
+      failItem(item, 'classify', classification.error);
+      continue;
+    }
+
+    item.assetClass = classification.assetClass;
+
+    try {
+      item.horizon = resolveHorizon(item.assetClass, horizon).horizon;
+    } catch (error) {
+      failItem(item, 'classify', error.message);
+      continue;
+    }
+
+    let quality;
+
+    if (!item.data) {
+      try {
+        const fetched = await orchestrator.fetchDataWithSource(item.symbol, {
+          timeframes: CONFIG.ASSET_CLASSES[item.assetClass].timeframes
+        });
+        item.data = fetched.data;
+        quality = fetched.quality;
+        item.dataSource = {
+          mode: 'server',
+          provider: fetched.source,
+          synthetic: fetched.synthetic,
+          cached: fetched.cached,
+          stale: fetched.stale,
+          cache_age_ms: fetched.cacheAgeMs,
+          fetched_at: fetched.fetchedAt
+        };
+      } catch (error) {
+        failItem(item, 'fetch', error.message);
+        continue;
+      }
+    } else {
+      item.dataSource = { mode: 'client', provider: 'client', synthetic: false, cached: false };
+      quality = assessClientDataQuality(item.data, item.qualityHint, symbolRegistry.get(item.symbol)?.tradingHours);
+    }
+
+    const policy = evaluateSyntheticPolicy(quality);
+    item.dataQuality = { ...quality, policy };
+
+    if (policy.action === 'refuse') {
+      failItem(item, 'quality', `Prediction refused: ${policy.reason}`);
+      continue;
+    }
+
+    const handlers = CONFIG.ASSET_CLASSES[item.assetClass];
+
+    try {
+      const featureResult = handlers.engineFeatures(item.data, item.symbol);
+      if (!featureResult.success) {
+        throw new Error(featureResult.error);
+      }
+      item.features = handlers.extractVector(featureResult.engineeredData, featureResult.featureList);
+      item.featureList = featureResult.featureList;
+      item.engineeredData = featureResult.engineeredData;
+      item.regime = detectRegime(featureResult.engineeredData);
+    } catch (error) {
+      failItem(item, 'features', error.message);
+    }
+  }
+}
+
+/**
+ * Run batched inference and ensembling for one asset class
+ *
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {Array<Object>} items - Prepared items of this asset class (one horizon)
+ * @param {String} ensembleStrategy - One of the ensemble strategies
+ * @returns {Promise<Array>} Per-model results
+ */
+async function predictAssetClass(assetClass, items, ensembleStrategy) {
+  const handlers = CONFIG.ASSET_CLASSES[assetClass];
+  const { horizon } = items[0];
+
+  let modelEntries;
+  try {
+    modelEntries = await handlers.loadModels(horizon);
+  } catch (error) {
+    items.forEach(item => failItem(item, 'inference', `Model loading failed: ${error.message}`));
+    return [];
+  }
+
+  // Rows whose features break a model's input contract fail individually
+  const contractItems = items.filter(item => {
+    try {
+      assertContracts(modelEntries, item.featureList);
+      return true;
+    } catch (error) {
+      failItem(item, 'contract', error.message);
+      item.contract = error.contract;
+      return false;
+    }
+  });
+
+  if (contractItems.length === 0) {
+    return [];
+  }
+
+  // Rows that cannot share the tensor width fail individually
+  const width = contractItems[0].features.length;
+  const batchItems = contractItems.filter(item => {
+    if (item.features.length !== width) {
+      failItem(item, 'features', `Expected ${width} features, got ${item.features.length}`);
+      return false;
+    }
+    return true;
+  });
+
+  // Rows without the history a sequence model needs fail individually
+  const windowItems = batchItems.filter(item => {
+    try {
+      item.history = extractHistory(modelEntries, item.engineeredData, item.featureList);
+    } catch (error) {
+      failItem(item, 'history', error.message);
+      return false;
+    }
+
+    const shortHistory = checkHistory(modelEntries, item.history);
+    if (shortHistory) {
+      failItem(item, 'history', shortHistory);
+      return false;
+    }
+    return true;
+  });
+
+  if (windowItems.length === 0) {
+    return [];
+  }
+
+  const { rowPredictions, modelResults, rowScaling } = await runBatchedInference(
+    modelEntries,
+    windowItems.map(item => item.features),
+    windowItems.map(item => item.history)
+  );
+
+  const modelNames = modelResults.filter(r => r.success).map(r => r.model);
+  const loadFailures = getModelLoadFailures(assetClass, horizon);
+  const modelVersions = versionMap(modelEntries);
+  const strategyWeights = await resolveStrategyWeights(ensembleStrategy, assetClass, modelNames, { horizon });
+
+  windowItems.forEach((item, i) => {
+    if (rowPredictions[i].length === 0) {
+      failItem(item, 'inference', 'All model predictions failed');
+      return;
+    }
+
+    const ensemblePolicy = getEnsemblePolicy(item.regime, modelNames);
+    const ensembleResult = handlers.ensemble(rowPredictions[i], {
+      strategy: strategyWeights.strategy,
+      weights: combineWeights(strategyWeights.weights, ensemblePolicy.weights),
+      modelNames,
+      minDirectionalConfidence: ensemblePolicy.minDirectionalConfidence
+    });
+    const { policy } = item.dataQuality;
+    item.success = true;
+    item.result = { ...ensembleResult, ...applySyntheticPolicy(ensembleResult, policy) };
+    if (policy.action === 'downweight') {
+      item.dataQuality.policy = { ...policy, raw_confidence: ensembleResult.confidence };
+    }
+    item.ensemble = {
+      ...ensembleResult.ensemble,
+      weights_source: strategyWeights.source,
+      model_accuracy: strategyWeights.accuracy || null
+    };
+
+    // Successful models appear in rowPredictions in modelResults order;
+    // latency is the shared batch call, not a per-row figure
+    let k = 0;
+    item.modelPredictions = formatModelPredictions(
+      modelResults.map(r => r.success
+        ? { model: r.model, success: true, prediction: rowPredictions[i][k++], latency_ms: r.latency_ms }
+        : r),
+      loadFailures,
+      modelVersions
+    );
+    item.modelVersions = modelVersions;
+    item.scaling = summarizeScaling(modelEntries, rowScaling[i]);
+    item.regime = {
+      ...item.regime,
+      ensemble_mode: ensemblePolicy.mode,
+      gated: ensembleResult.gated,
+      gated_from: ensembleResult.gated_from || null
+    };
+  });
+
+  return modelResults;
+}
+
+/**
+ * Build the document sent to store-prediction for a successful item
+ */
+function buildPredictionData(item, batchId, timestamp) {
+  return {
+    asset_class: item.assetClass,
+    [CONFIG.ASSET_CLASSES[item.assetClass].keyField]: item.symbol,
+    horizon: item.horizon,
+    prediction: item.result.class,
+    class: item.result.className,
+    confidence: item.result.confidence,
+    probabilities: item.result.probabilities,
+    models_used: item.result.modelsUsed,
+    timestamp,
+    request_id: `${batchId}-${item.symbol}`,
+    batch_id: batchId,
+    features_count: item.features.length,
+    data_source: item.dataSource,
+    data_quality: item.dataQuality,
+    regime: item.regime,
+    ensemble: item.ensemble,
+    model_versions: item.modelVersions,
+    model_predictions: item.modelPredictions,
+    scaling: item.scaling
+  };
+}
+
+/**
+ * Run each asset class's challenger in shadow on the rows its champion answered
+ * Results are stored in shadow_predictions and never added to the response
+ *
+ * @param {Array<Object>} items - Successful batch items
+ * @param {String} batchId - Batch id (request ids match buildPredictionData)
+ * @param {String} ensembleStrategy - Strategy the champion used
+ */
+async function runShadowChallengers(items, batchId, ensembleStrategy) {
+  for (const assetClass of Object.keys(CONFIG.ASSET_CLASSES)) {
+    const classItems = items.filter(item => item.assetClass === assetClass);
+    if (classItems.length === 0) continue;
+
+    const handlers = CONFIG.ASSET_CLASSES[assetClass];
+    await runShadow({
+      assetClass,
+      horizon: classItems[0].horizon,
+      ensembleStrategy,
+      keyField: handlers.keyField,
+      loadModels: handlers.loadModels,
+      ensemble: handlers.ensemble
+    }, classItems.map(item => ({
+      symbol: item.symbol,
+      requestId: `${batchId}-${item.symbol}`,
+      features: item.features,
+      featureList: item.featureList,
+      engineeredData: item.engineeredData,
+      regime: item.regime,
+      champion: { class: item.result.className, confidence: item.result.confidence, model_versions: item.modelVersions }
+    })));
+  }
+}
+
+/**
+ * Persist predictions through store-prediction's batch path
+ *
+ * @param {Array<Object>} predictions - Prediction documents
+ * @param {Object} req - Request object
+ * @returns {Promise<Object>} Storage result
+ */
+async function storePredictionBatch(predictions, req) {
+  const protocol = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+
+  const apiUrl = process.env.VERCEL_URL
+    ? `https://${process.env.VERCEL_URL}/api/store-prediction`
+    : `${protocol}://${host}/api/store-prediction`;
+
+  console.log(`\n[Storage] Storing ${predictions.length} predictions to MongoDB...`);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.STORAGE_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BatchPredictions/1.0'
+      },
+      body: JSON.stringify({ predictions }),
+      signal: controller.signal
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      console.warn(`  ✗ HTTP ${response.status}`);
+      return { success: false, error: result.error || `HTTP ${response.status}`, details: result.details };
+    }
+
+    console.log(`  ✓ Stored ${result.inserted_count} predictions`);
+    return { success: true, inserted_count: result.inserted_count, ids: result.ids };
+
+  } catch (error) {
+    const message = error.name === 'AbortError'
+      ? `Storage timeout after ${CONFIG.STORAGE_TIMEOUT_MS}ms`
+      : error.message;
+    console.warn(`  ✗ Error: ${message}`);
+    return { success: false, error: message };
+
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ============================================================================
+// REQUEST HANDLER
+// ============================================================================
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use POST.'
+    });
+  }
+
+  const startTime = Date.now();
+  const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  console.log(`\n${'='.repeat(70)}`);
+  console.log(`[${batchId}] BATCH PREDICTION REQUEST`);
+  console.log(`${'='.repeat(70)}`);
+
+  try {
+    // ====== STEP 1: VALIDATE INPUT ======
+    const {
+      symbols,
+      store = true,
+      ensemble_strategy: ensembleStrategy = ENSEMBLE_CONFIG.DEFAULT_STRATEGY,
+      horizon
+    } = req.body || {};
+
+    if (!Array.isArray(symbols) || symbols.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'symbols must be a non-empty array',
+        example: { symbols: ['BTC/USDT', 'ETH/USDT', 'EURUSD'] }
+      });
+    }
+
+    if (symbols.length > CONFIG.MAX_SYMBOLS) {
+      return res.status(400).json({
+        success: false,
+        error: `Maximum ${CONFIG.MAX_SYMBOLS} symbols per batch`,
+        received: symbols.length
+      });
+    }
+
+    if (!isValidStrategy(ensembleStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ensemble_strategy: ${ensembleStrategy}`,
+        supported: ENSEMBLE_CONFIG.STRATEGIES
+      });
+    }
+
+    const items = symbols.map(normalizeEntry);
+    console.log(`[${batchId}] Symbols: ${items.map(i => i.symbol).join(', ')}`);
+
+    // ====== STEP 2: DATA + FEATURES ======
+    await prepareItems(items, horizon);
+
+    // ====== STEP 3: BATCHED INFERENCE PER ASSET CLASS ======
+    const models = {};
+
+    for (const assetClass of Object.keys(CONFIG.ASSET_CLASSES)) {
+      const ready = items.filter(item => item.assetClass === assetClass && item.features && item.success !== false);
+      if (ready.length === 0) continue;
+
+      models[assetClass] = await predictAssetClass(assetClass, ready, ensembleStrategy);
+    }
+
+    const elapsed = Date.now() - startTime;
+    const succeeded = items.filter(item => item.success === true);
+    const timestamp = new Date().toISOString();
+
+    // ====== STEP 4: STORE IN MONGODB ======
+    let storage = { success: false, skipped: true };
+
+    if (store && succeeded.length > 0) {
+      storage = await storePredictionBatch(
+        succeeded.map(item => buildPredictionData(item, batchId, timestamp)),
+        req
+      );
+      await runShadowChallengers(succeeded, batchId, ensembleStrategy);
+    }
+
+    console.log(`\n${'='.repeat(70)}`);
+    console.log(`[${batchId}] DONE: ${succeeded.length}/${items.length} succeeded (${elapsed}ms)`);
+    console.log(`${'='.repeat(70)}\n`);
+
+    // ====== RETURN RESPONSE ======
+    const results = items.map(item => item.success
+      ? {
+          symbol: item.symbol,
+          asset_class: item.assetClass,
+          horizon: item.horizon,
+          success: true,
+          prediction: item.result.class,
+          class: item.result.className,
+          confidence: item.result.confidence,
+          probabilities: item.result.probabilities,
+          models_used: item.result.modelsUsed,
+          data_source: item.dataSource,
+          data_quality: item.dataQuality,
+          regime: item.regime,
+          ensemble: item.ensemble,
+          model_predictions: item.modelPredictions,
+          scaling: item.scaling
+        }
+      : {
+          symbol: item.symbol,
+          asset_class: item.assetClass || null,
+          success: false,
+          stage: item.stage,
+          error: item.error,
+          ...(item.stage === 'quality' && { data_quality: item.dataQuality }),
+          ...(item.stage === 'contract' && { contract: item.contract })
+        });
+
+    return res.status(succeeded.length > 0 ? 200 : 500).json({
+      success: succeeded.length > 0,
+      partial: succeeded.length > 0 && succeeded.length < items.length,
+      batch_id: batchId,
+      total: items.length,
+      succeeded: succeeded.length,
+      failed: items.length - succeeded.length,
+      results,
+      models,
+      storage,
+      inference_time_ms: elapsed,
+      timestamp
+    });
+
+  } catch (error) {
+    const elapsed = Date.now() - startTime;
+
+    console.error(`\n[${batchId}] ERROR: ${error.message}`);
+    console.log(`${'='.repeat(70)}\n`);
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      error_type: error.constructor.name,
+      batch_id: batchId,
+      elapsed_ms: elapsed,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
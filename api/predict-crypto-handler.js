@@ -12,20 +12,19 @@
  * 6. Return result with memory stats
  * 
  * MODELS AVAILABLE:
- * - bidirectional_attention.keras
- * - hierarchical_lstm.keras
- * - hybrid_transformer.keras
- * - multiscale_transformer.keras
- * - temporal_transformer.keras
- * 
- * All models expect: 40-50 features (normalized, no missing values)
+ * Listed in models/crypto/manifest.json (utils/model-registry), with
+ * their input shape, feature order and output classes
  */
 
 const tf = require('@tensorflow/tfjs');
 const path = require('path');
 const fs = require('fs');
 const LazyModelLoader = require('../utils/lazy-model-loader');
-const CryptoFeatureEngineer = require('../utils/crypto-features');
+const CryptoFeatureEngineer = require('../utils/crypto_features');
+const { applyRegimeGate } = require('../utils/regime-detector');
+const { combinePredictions, toClassOrder } = require('../utils/ensemble-strategies');
+const { modelNames, findModel } = require('../utils/model-registry');
+const { scaleRows } = require('../utils/feature-scaler');
 
 // ============================================================================
 // CONFIGURATION
@@ -34,13 +33,12 @@ const CryptoFeatureEngineer = require('../utils/crypto-features');
 const CONFIG = {
     ASSET_CLASS: 'crypto',
     MODELS_DIR: 'models/crypto',
-    MODELS: [
-        'bidirectional_attention',
-        'hierarchical_lstm',
-        'hybrid_transformer',
-        'multiscale_transformer',
-        'temporal_transformer'
-    ],
+    // Timeframes the models were trained on (see utils/timeframes)
+    TIMEFRAMES: ['1h', '4h', '1d'],
+    // Default model set, in manifest order
+    get MODELS() {
+        return modelNames(this.MODELS_DIR);
+    },
     MIN_MODELS_REQUIRED: 3,
     PREDICTION_TIMEOUT_MS: 5000,
     STORAGE_TIMEOUT_MS: 15000, // FIXED: Increased from 3000ms to 15000ms
@@ -166,7 +164,7 @@ class ModelCache {
         }
 
         try {
-            const modelPath = path.join(process.cwd(), `${CONFIG.MODELS_DIR}/${modelName}.keras`);
+            const modelPath = path.join(process.cwd(), CONFIG.MODELS_DIR, findModel(CONFIG.MODELS_DIR, modelName).file);
 
             // Check file exists
             if (!fs.existsSync(modelPath)) {
@@ -251,19 +249,22 @@ const modelCache = new ModelCache();
 /**
  * Engineer features from raw OHLCV data
  * 
- * @param {Object} rawData - Raw price data (1h, 4h, 1d timeframes)
+ * @param {Object} rawData - Raw price data (column format per timeframe)
  * @param {String} symbol - Crypto pair (for logging)
+ * @param {Array<String>} timeframes - Timeframes to engineer (default CONFIG.TIMEFRAMES)
+ * @param {Object} options - { logger } (default console)
  * @returns {Object} Engineered data and feature list
  */
-function engineCryptoFeatures(rawData, symbol) {
-    console.log(`\n[Features] Engineering for ${symbol}...`);
+function engineCryptoFeatures(rawData, symbol, timeframes = CONFIG.TIMEFRAMES, { logger = console } = {}) {
+    logger.log(`\n[Features] Engineering for ${symbol}...`);
 
     try {
-        const engineer = new CryptoFeatureEngineer();
+        const engineer = new CryptoFeatureEngineer({ timeframes, logger });
 
         // Engineer features
         const engineeredData = engineer.engineerFeatures(rawData, symbol);
-        const featureList = engineer.getFeatureList();
+        // Input columns at the models' width; their trained order is undeclared (see getModelInputColumns)
+        const featureList = engineer.getModelInputColumns();
         const categories = engineer.getFeatureCategories ? engineer.getFeatureCategories() : null;
         const balance = engineer.getBalanceReport ? engineer.getBalanceReport() : { 
             bullish_count: 0, 
@@ -275,13 +276,13 @@ function engineCryptoFeatures(rawData, symbol) {
             throw new Error('No features engineered');
         }
 
-        console.log(`  Total features: ${featureList.length}`);
+        logger.log(`  Total features: ${featureList.length}`);
         
         if (balance.bullish_count !== undefined) {
-            console.log(`  Balance: ${balance.bullish_count} bullish, ${balance.bearish_count} bearish`);
+            logger.log(`  Balance: ${balance.bullish_count} bullish, ${balance.bearish_count} bearish`);
             
             if (!balance.is_balanced) {
-                console.warn(`  ⚠️ Features imbalanced (may affect predictions)`);
+                logger.warn(`  ⚠️ Features imbalanced (may affect predictions)`);
             }
         }
 
@@ -294,7 +295,7 @@ function engineCryptoFeatures(rawData, symbol) {
         };
 
     } catch (error) {
-        console.error(`[Features] Error: ${error.message}`);
+        logger.error(`[Features] Error: ${error.message}`);
         return { 
             success: false, 
             error: error.message 
@@ -304,13 +305,16 @@ function engineCryptoFeatures(rawData, symbol) {
 
 /**
  * Extract feature vector from engineered data
- * Last row is most recent data
+ * Last row is most recent data; sequence models also get the rows before
+ * it (utils/sequence-window)
  * 
  * @param {Object} engineeredData - Engineered data object
  * @param {Array<String>} featureList - Feature names in order
- * @returns {Array} Feature vector ready for model
+ * @param {Object} options - { logger } (default console)
+ * @returns {Array} Raw feature vector, NaN where a value is missing
+ *   (utils/feature-scaler scales it and fills the gaps before inference)
  */
-function extractFeatureVector(engineeredData, featureList) {
+function extractFeatureVector(engineeredData, featureList, { logger = console } = {}) {
     try {
         // Find last row index
         const firstKey = Object.keys(engineeredData).find(
@@ -335,7 +339,7 @@ function extractFeatureVector(engineeredData, featureList) {
             const featureName = featureList[i];
 
             if (!(featureName in engineeredData)) {
-                features.push(0);
+                features.push(NaN);
                 issues.push(`${featureName}=missing`);
                 continue;
             }
@@ -344,26 +348,26 @@ function extractFeatureVector(engineeredData, featureList) {
 
             // Validate value
             if (value === null || value === undefined) {
-                features.push(0);
+                features.push(NaN);
                 issues.push(`${featureName}=null`);
             } else if (!isFinite(value)) {
-                features.push(0);
+                features.push(NaN);
                 issues.push(`${featureName}=${value}`);
             } else {
                 features.push(parseFloat(value));
             }
         }
 
-        console.log(`  Extracted ${features.length} features`);
+        logger.log(`  Extracted ${features.length} features`);
 
         if (issues.length > 0) {
-            console.warn(`  ⚠️ Feature issues (${issues.length}): ${issues.slice(0, 3).join(', ')}${issues.length > 3 ? '...' : ''}`);
+            logger.warn(`  ⚠️ Feature issues (${issues.length}): ${issues.slice(0, 3).join(', ')}${issues.length > 3 ? '...' : ''}`);
         }
 
         return features;
 
     } catch (error) {
-        console.error(`[FeatureExtraction] Error: ${error.message}`);
+        logger.error(`[FeatureExtraction] Error: ${error.message}`);
         throw error;
     }
 }
@@ -379,7 +383,7 @@ const extractCryptoFeatureVector = extractFeatureVector;
  * Run single model prediction with timeout protection
  * 
  * @param {Object} model - TensorFlow model
- * @param {Array<Number>} features - Feature vector
+ * @param {Array<Number>} features - Scaled feature vector (raw values run as is, missing as 0)
  * @param {String} modelName - Model name (for logging)
  * @returns {Promise<Array>} Prediction probabilities [down, neutral, up]
  */
@@ -390,8 +394,8 @@ async function runSinglePrediction(model, features, modelName) {
         }, CONFIG.PREDICTION_TIMEOUT_MS);
 
         try {
-            // Create tensor
-            const inputTensor = tf.tensor2d([features]);
+            // Create tensor (no scaler here: only non-finite values are replaced)
+            const inputTensor = tf.tensor2d(scaleRows(null, [features]).rows);
 
             // Run prediction
             const outputTensor = model.predict(inputTensor);
@@ -428,11 +432,16 @@ async function runSinglePrediction(model, features, modelName) {
  * Loads only 3 models instead of 5 to save memory
  * 
  * @param {Array<Object>} models - Loaded model objects
- * @param {Array<Number>} features - Feature vector
+ * @param {Array<Number>|Array} features - Feature vector, or one prepared input per
+ *   model: a scaled vector, a window, or the Error that keeps it from running
+ *   (utils/sequence-window prepareForModels)
  * @param {String} symbol - Symbol for logging
- * @returns {Promise<Object>} Predictions and results
+ * @param {Array<String>} modelNames - Names matching `models` (defaults to CONFIG.MODELS)
+ * @param {Array<Array<String>>} modelClasses - Each model's output classes (default DOWN/NEUTRAL/UP)
+ * @returns {Promise<Object>} { predictions, results }; predictions is empty when every model failed
+ *   Each prediction is [down, neutral, up] (utils/ensemble-strategies toClassOrder)
  */
-async function runOptimizedInference(models, features, symbol) {
+async function runOptimizedInference(models, features, symbol, modelNames = CONFIG.MODELS, modelClasses = []) {
     console.log(`\n[Inference] Running ${models.length} models for ${symbol}...`);
 
     if (models.length === 0) {
@@ -444,50 +453,65 @@ async function runOptimizedInference(models, features, symbol) {
 
     // Sequential execution to control memory usage
     for (let i = 0; i < models.length; i++) {
+        const modelStart = Date.now();
+        let inputTensor = null;
+        let outputTensor = null;
+        let timer = null;
         try {
             console.log(`  [${i + 1}/${models.length}] Running model...`);
 
-            const inputTensor = tf.tensor2d([features]);
+            const input = typeof features[0] === 'number' ? features : features[i];
+            if (input instanceof Error) {
+                throw input;
+            }
+
+            // A window is [timesteps x features]; a raw vector only has non-finite values replaced
+            inputTensor = tf.tensor(Array.isArray(input[0]) ? [input] : scaleRows(null, [input]).rows);
 
             // Single prediction with race timeout
-            const outputTensor = await Promise.race([
+            outputTensor = await Promise.race([
                 (async () => {
                     const output = models[i].predict(inputTensor);
                     return output;
                 })(),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Prediction timeout')), 3000)
-                )
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Prediction timeout')), 3000);
+                })
             ]);
 
             const pred = await outputTensor.data();
-            const predArray = Array.from(pred);
+            const predArray = toClassOrder(Array.from(pred), modelClasses[i]);
 
             predictions.push(predArray);
             results.push({ 
-                model: CONFIG.MODELS[i] || `model_${i}`,
+                model: modelNames[i] || `model_${i}`,
                 success: true, 
-                prediction: predArray 
+                prediction: predArray,
+                latency_ms: Date.now() - modelStart
             });
 
-            // Cleanup immediately
-            inputTensor.dispose();
-            outputTensor.dispose();
-
             console.log(`    ✓ Model ${i + 1} complete`);
 
         } catch (error) {
             console.warn(`    ✗ Model ${i + 1} failed: ${error.message}`);
             results.push({ 
-                model: CONFIG.MODELS[i] || `model_${i}`,
+                model: modelNames[i] || `model_${i}`,
                 success: false, 
-                error: error.message 
+                error: error.message,
+                latency_ms: Date.now() - modelStart
             });
+        } finally {
+            // Cleanup immediately, failed models included
+            clearTimeout(timer);
+            if (inputTensor) inputTensor.dispose();
+            if (outputTensor) outputTensor.dispose();
         }
     }
 
     if (predictions.length === 0) {
-        throw new Error(`All ${models.length} model predictions failed`);
+        // The caller answers with the per-model errors
+        console.warn(`[Inference] All ${models.length} model predictions failed`);
+        return { predictions, results };
     }
 
     console.log(`[Inference] Success rate: ${predictions.length}/${models.length} models`);
@@ -547,39 +571,27 @@ async function runEnsemblePredictions(models, features) {
 // ============================================================================
 
 /**
- * Ensemble multiple predictions using weighted averaging
+ * Ensemble multiple predictions with the configured strategy
+ * Strategy (equal/static/accuracy/majority_vote) and weights come from
+ * utils/ensemble-strategies.js; the regime policy may add weights and a gate.
  * 
  * @param {Array<Array>} predictions - Array of prediction arrays
- * @returns {Object} Ensemble result with class and confidence
+ * @param {Object} options - { strategy, weights, modelNames, minDirectionalConfidence }
+ * @returns {Object} Ensemble result with class, confidence and per-model weights
  */
-function ensembleCryptoPredictions(predictions) {
+function ensembleCryptoPredictions(predictions, options = {}) {
     if (predictions.length === 0) {
         throw new Error('No predictions to ensemble');
     }
 
-    console.log(`\n[Ensemble] Averaging ${predictions.length} predictions...`);
-
-    const numClasses = 3; // DOWN, NEUTRAL, UP
-    const ensemble = [0, 0, 0];
-
-    // Simple average across all models
-    for (const pred of predictions) {
-        for (let i = 0; i < numClasses; i++) {
-            ensemble[i] += (pred[i] || 0);
-        }
-    }
-
-    // Average
-    for (let i = 0; i < numClasses; i++) {
-        ensemble[i] /= predictions.length;
-    }
-
-    // Normalize to ensure valid probabilities sum to 1.0
-    const sum = ensemble.reduce((a, b) => a + b, 0);
-    const normalized = ensemble.map(p => p / sum);
+    const strategy = options.strategy || 'equal';
+    console.log(`\n[Ensemble] Combining ${predictions.length} predictions (${strategy})...`);
 
-    // Get predicted class (argmax)
-    const predictedClass = normalized.indexOf(Math.max(...normalized));
+    const { probabilities: normalized, predictedClass, ensemble } = combinePredictions(predictions, {
+        strategy,
+        weights: options.weights,
+        modelNames: options.modelNames
+    });
     const confidence = normalized[predictedClass];
 
     const classNames = ['DOWN', 'NEUTRAL', 'UP'];
@@ -587,8 +599,9 @@ function ensembleCryptoPredictions(predictions) {
     console.log(`  Predicted: ${classNames[predictedClass]}`);
     console.log(`  Confidence: ${(confidence * 100).toFixed(1)}%`);
     console.log(`  Probabilities: DOWN=${(normalized[0] * 100).toFixed(1)}%, NEUTRAL=${(normalized[1] * 100).toFixed(1)}%, UP=${(normalized[2] * 100).toFixed(1)}%`);
+    console.log(`  Agreement: ${(ensemble.agreement * 100).toFixed(0)}% of models`);
 
-    return {
+    return applyRegimeGate({
         class: predictedClass,
         className: classNames[predictedClass],
         confidence,
@@ -597,8 +610,9 @@ function ensembleCryptoPredictions(predictions) {
             neutral: normalized[1],
             up: normalized[2]
         },
-        modelsUsed: predictions.length
-    };
+        modelsUsed: predictions.length,
+        ensemble
+    }, options.minDirectionalConfidence);
 }
 // ============================================================================
 // MONGODB STORAGE (FIXED - Enhanced Error Handling & Timeout)
@@ -9,7 +9,7 @@
  * REQUEST:
  * {
  *   "symbol": "BTC/USDT",
- *   "data": {
+ *   "data": {                     // OPTIONAL - fetched server-side if omitted
  *     "1h_open": [...],
  *     "1h_high": [...],
  *     "1h_low": [...],
@@ -18,7 +18,10 @@
  *     "4h_open": [...],
  *     "4h_close": [...],
  *     "1d_close": [...]
- *   }
+ *   },
+ *   "data_quality": { ... },      // OPTIONAL - the `quality` object from /api/fetch-data
+ *   "ensemble_strategy": "equal", // OPTIONAL - equal | static | accuracy | majority_vote
+ *   "horizon": "4h"               // OPTIONAL - a horizon the models were trained for (default 4h)
  * }
  * 
  * RESPONSE:
@@ -26,19 +29,50 @@
  *   "success": true,
  *   "symbol": "BTC/USDT",
  *   "asset_class": "crypto",
+ *   "horizon": "4h",              // the move DOWN/NEUTRAL/UP refers to: now → now + horizon
  *   "prediction": 2,
  *   "class": "UP",
  *   "confidence": 0.87,
  *   "probabilities": { "down": 0.05, "neutral": 0.08, "up": 0.87 },
  *   "models_used": 5,
  *   "inference_time_ms": 234,
+ *   "data_source": { "mode": "server", "provider": "Binance", "synthetic": false, "cached": true },
+ *   "data_quality": { "sources": { "1h": "Binance", ... }, "synthetic": false, "gap_count": 0,
+ *                     "last_candle_age_ms": 1800000, "policy": { "mode": "downweight", "action": "allow" } },
+ *   "regime": { "regime": "trending", "trend_strength": 0.52, "volatility_percentile": 0.41, "gated": false },
+ *   "ensemble": { "strategy": "accuracy", "weights": { "hierarchical_lstm": 0.54, ... }, "agreement": 0.5 },
+ *   "model_versions": { "hierarchical_lstm": "11.2", ... },
+ *   "model_predictions": [{ "model": "hierarchical_lstm", "version": "11.2", "success": true, "class": "UP", "probabilities": {...}, "latency_ms": 41 }],
+ *   "scaling": { "applied": true, "out_of_range": 2, "missing": 0,
+ *                "models": { "hierarchical_lstm": { "method": "standard", "features_out_of_range": ["atr_14", ...], ... } } },
  *   "timestamp": "2024-01-15T10:30:00Z",
  *   "request_id": "1234567890-abc123"
  * }
+ *
+ * Synthetic inputs (e.g. CoinGecko interpolated candles) follow
+ * SYNTHETIC_DATA_POLICY: refuse answers 422, downweight pulls the
+ * probabilities toward uniform, allow predicts as usual.
+ *
+ * Before inference the feature list must match every model's declared
+ * input contract (utils/model-contract); otherwise the request answers
+ * 500 with the per-model diff in `contract`. GET ?contract=true[&horizon=4h]
+ * shows the contracts. Each model's stored scaler (utils/feature-scaler)
+ * is applied to the vector first; `scaling` counts the inputs clipped to
+ * the training range and says when a model ran on raw features. Models
+ * whose input_shape takes time steps get a window of the last engineered
+ * rows (utils/sequence-window); `scaling.models[name].window` reports how
+ * much history it had and how it was padded.
+ *
+ * The champion model versions answer (utils/model-rollout); when a
+ * challenger is set it runs in shadow on the same features and is stored
+ * in shadow_predictions only (utils/shadow-mode).
  */
 
 // CRITICAL CHANGE: Import global cache instead of lazy loader
-const { getCryptoModels } = require('../utils/global-model-cache');
+const { getCryptoModelEntries, getModelLoadFailures } = require('../utils/global-model-cache');
+const { versionMap, formatModelPredictions } = require('../utils/model-predictions');
+const { runShadow } = require('../utils/shadow-mode');
+const { extractHistory, prepareForModels } = require('../utils/sequence-window');
 const {
     checkMemoryHealth,
     engineCryptoFeatures,
@@ -48,6 +82,23 @@ const {
     storeCryptoPredictionAsync,
     CONFIG
 } = require('./predict-crypto-handler');
+const { orchestrator, classifyAsset } = require('./fetch-data');
+const { resolveHorizon, horizonsFor } = require('../utils/horizons');
+const { describeModels } = require('../utils/model-registry');
+const { assertContracts, describeContracts } = require('../utils/model-contract');
+const { symbolRegistry } = require('../utils/symbol-registry');
+const {
+    assessClientDataQuality,
+    evaluateSyntheticPolicy,
+    applySyntheticPolicy
+} = require('../utils/data-quality');
+const { detectRegime, getEnsemblePolicy } = require('../utils/regime-detector');
+const {
+    CONFIG: ENSEMBLE_CONFIG,
+    isValidStrategy,
+    resolveStrategyWeights,
+    combineWeights
+} = require('../utils/ensemble-strategies');
 
 // ============================================================================
 // REQUEST HANDLER
@@ -56,17 +107,21 @@ const {
 module.exports = async (req, res) => {
     // ====== CORS HEADERS ======
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
     }
 
+    if (req.method === 'GET' && req.query && req.query.contract === 'true') {
+        return module.exports.contract(req, res);
+    }
+
     if (req.method !== 'POST') {
         return res.status(405).json({ 
             success: false, 
-            error: 'Method not allowed. Use POST.' 
+            error: 'Method not allowed. Use POST, or GET with ?contract=true.' 
         });
     }
 
@@ -79,22 +134,112 @@ module.exports = async (req, res) => {
 
     try {
         // ====== STEP 1: INPUT VALIDATION ======
-        const { symbol, data } = req.body;
+        const { symbol, ensemble_strategy: ensembleStrategy = ENSEMBLE_CONFIG.DEFAULT_STRATEGY } = req.body;
+        let { data } = req.body;
 
-        if (!symbol || !data) {
+        if (!symbol) {
             return res.status(400).json({
                 success: false,
-                error: 'Missing required fields: symbol, data',
+                error: 'Missing required field: symbol',
                 example: {
                     symbol: 'BTC/USDT',
-                    data: '{ 1h_open, 1h_high, 1h_low, 1h_close, 1h_volume, 4h_*, 1d_* }'
+                    data: '(optional) { 1h_open, 1h_high, 1h_low, 1h_close, 1h_volume, 4h_*, 1d_* }'
                 }
             });
         }
 
-        console.log(`[${requestId}] Symbol: ${symbol}`);
+        if (!isValidStrategy(ensembleStrategy)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid ensemble_strategy: ${ensembleStrategy}`,
+                supported: ENSEMBLE_CONFIG.STRATEGIES
+            });
+        }
+
+        let horizon;
+        try {
+            ({ horizon } = resolveHorizon('crypto', req.body.horizon));
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                supported: horizonsFor('crypto')
+            });
+        }
+
+        console.log(`[${requestId}] Symbol: ${symbol} (${horizon} horizon)`);
+
+        // ====== STEP 1b: SERVER-SIDE DATA FETCH (when data omitted) ======
+        let dataSource = {
+            mode: 'client',
+            provider: 'client',
+            synthetic: false,
+            cached: false
+        };
+        let quality = null;
+
+        if (!data) {
+            await symbolRegistry.load();
+            const classification = classifyAsset(symbol);
+
+            if (!classification.valid || classification.assetClass !== 'crypto') {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown crypto symbol: ${symbol}`,
+                    supported: orchestrator.getSupportedSymbols().crypto
+                });
+            }
+
+            console.log(`[${requestId}] No data supplied - fetching server-side...`);
+
+            try {
+                const fetched = await orchestrator.fetchDataWithSource(symbol, { timeframes: CONFIG.TIMEFRAMES });
+                data = fetched.data;
+                dataSource = {
+                    mode: 'server',
+                    provider: fetched.source,
+                    synthetic: fetched.synthetic,
+                    cached: fetched.cached,
+                    cache_age_ms: fetched.cacheAgeMs,
+                    fetched_at: fetched.fetchedAt
+                };
+                quality = fetched.quality;
+            } catch (error) {
+                return res.status(502).json({
+                    success: false,
+                    error: 'Data fetch failed',
+                    details: error.message,
+                    request_id: requestId
+                });
+            }
+
+            console.log(`[${requestId}] Data source: ${dataSource.provider}${dataSource.synthetic ? ' (synthetic)' : ''}${dataSource.cached ? ' [cache]' : ''}`);
+        }
+
         console.log(`[${requestId}] Data points: ${data['1h_close']?.length || 0}`);
 
+        // ====== STEP 1c: DATA QUALITY POLICY ======
+        if (!quality) {
+            quality = assessClientDataQuality(data, req.body.data_quality, symbolRegistry.get(symbol)?.tradingHours);
+        }
+        const qualityPolicy = evaluateSyntheticPolicy(quality);
+        const dataQuality = { ...quality, policy: qualityPolicy };
+
+        if (qualityPolicy.action === 'refuse') {
+            console.warn(`[${requestId}] Refused: ${qualityPolicy.reason}`);
+            return res.status(422).json({
+                success: false,
+                error: `Prediction refused: ${qualityPolicy.reason}`,
+                data_source: dataSource,
+                data_quality: dataQuality,
+                request_id: requestId
+            });
+        }
+
+        if (qualityPolicy.action === 'downweight') {
+            console.warn(`[${requestId}] Down-weighting: ${qualityPolicy.reason}`);
+        }
+
         // ====== STEP 2: MEMORY CHECK (BEFORE) ======
         const memBefore = checkMemoryHealth();
         console.log(`[${requestId}] Memory: ${memBefore.memMB.toFixed(0)}MB / Tensors: ${memBefore.numTensors}`);
@@ -118,12 +263,15 @@ module.exports = async (req, res) => {
 
         console.log(`[${requestId}] Features: ${featureVector.length} extracted`);
 
+        const regimeResult = detectRegime(featureResult.engineeredData);
+
         // ====== STEP 4: MODEL LOADING (CRITICAL FIX - Use Global Cache) ======
         console.log(`[${requestId}] Getting models from global cache...`);
         const modelsStartTime = Date.now();
         
         // CRITICAL: Get globally cached models (fast!)
-        const models = await getCryptoModels(); // Uses cached models!
+        const modelEntries = await getCryptoModelEntries(horizon); // Uses cached models!
+        const models = modelEntries.map(entry => entry.model);
         
         const modelsTime = Date.now() - modelsStartTime;
         console.log(`[${requestId}] Models ready in ${modelsTime}ms (${models.length} models)`);
@@ -142,12 +290,33 @@ module.exports = async (req, res) => {
 
         console.log(`[${requestId}] Models loaded: ${models.length}`);
 
+        // ====== STEP 4b: INPUT CONTRACT (never run a misaligned vector) ======
+        try {
+            assertContracts(modelEntries, featureResult.featureList);
+        } catch (error) {
+            console.error(`[${requestId}] ${error.message}`);
+            return res.status(500).json({
+                success: false,
+                error: 'Feature vector does not match the model input contract',
+                contract: error.contract
+            });
+        }
+
+        // ====== STEP 4c: MODEL INPUTS (scaled vector or history window per model) ======
+        const history = extractHistory(modelEntries, featureResult.engineeredData, featureResult.featureList);
+        const { inputs, scaling } = prepareForModels(modelEntries, featureVector, history);
+        if (scaling.out_of_range > 0) {
+            console.warn(`[${requestId}] ${scaling.out_of_range} inputs outside the training range, clipped`);
+        }
+
         // ====== STEP 5: INFERENCE (OPTIMIZED) ======
         console.log(`[${requestId}] Running inference...`);
         const { predictions, results } = await runOptimizedInference(
             models,
-            featureVector,
-            symbol
+            inputs,
+            symbol,
+            modelEntries.map(entry => entry.name),
+            modelEntries.map(entry => entry.classes)
         );
 
         if (predictions.length === 0) {
@@ -161,7 +330,32 @@ module.exports = async (req, res) => {
         console.log(`[${requestId}] Predictions: ${predictions.length}/${models.length} succeeded`);
 
         // ====== STEP 6: ENSEMBLE PREDICTIONS ======
-        const ensembleResult = ensembleCryptoPredictions(predictions);
+        const modelNames = results.filter(r => r.success).map(r => r.model);
+        const strategyWeights = await resolveStrategyWeights(ensembleStrategy, 'crypto', modelNames, { horizon });
+        const ensemblePolicy = getEnsemblePolicy(regimeResult, modelNames);
+        const ensembleResult = ensembleCryptoPredictions(predictions, {
+            strategy: strategyWeights.strategy,
+            weights: combineWeights(strategyWeights.weights, ensemblePolicy.weights),
+            modelNames,
+            minDirectionalConfidence: ensemblePolicy.minDirectionalConfidence
+        });
+        const ensemble = {
+            ...ensembleResult.ensemble,
+            weights_source: strategyWeights.source,
+            model_accuracy: strategyWeights.accuracy || null
+        };
+        const modelVersions = versionMap(modelEntries);
+        const modelPredictions = formatModelPredictions(results, getModelLoadFailures('crypto', horizon), modelVersions);
+        const { confidence, probabilities } = applySyntheticPolicy(ensembleResult, qualityPolicy);
+        if (qualityPolicy.action === 'downweight') {
+            dataQuality.policy = { ...qualityPolicy, raw_confidence: ensembleResult.confidence };
+        }
+        const regime = {
+            ...regimeResult,
+            ensemble_mode: ensemblePolicy.mode,
+            gated: ensembleResult.gated,
+            gated_from: ensembleResult.gated_from || null
+        };
         const elapsed = Date.now() - startTime;
 
         console.log(`[${requestId}] Inference time: ${elapsed}ms`);
@@ -174,10 +368,11 @@ module.exports = async (req, res) => {
         const predictionData = {
             asset_class: 'crypto',
             symbol,
+            horizon,
             prediction: ensembleResult.class,
             class: ensembleResult.className,
-            confidence: ensembleResult.confidence,
-            probabilities: ensembleResult.probabilities,
+            confidence,
+            probabilities,
             models_used: ensembleResult.modelsUsed,
             models_failed: models.length - ensembleResult.modelsUsed,
             inference_time_ms: elapsed,
@@ -189,6 +384,13 @@ module.exports = async (req, res) => {
                 bearish: featureResult.balance?.bearish_count || 0,
                 is_balanced: featureResult.balance?.is_balanced || false
             },
+            data_source: dataSource,
+            data_quality: dataQuality,
+            regime,
+            ensemble,
+            model_versions: modelVersions,
+            model_predictions: modelPredictions,
+            scaling,
             memory_stats: {
                 before_mb: memBefore.memMB,
                 after_mb: memAfter.memMB,
@@ -211,6 +413,24 @@ module.exports = async (req, res) => {
                 console.warn(`[${requestId}] Storage failed: ${err.message}`);
             });
 
+        // ====== STEP 9b: SHADOW CHALLENGER (stored apart, never returned) ======
+        runShadow({
+            assetClass: 'crypto',
+            horizon,
+            ensembleStrategy,
+            keyField: 'symbol',
+            loadModels: getCryptoModelEntries,
+            ensemble: ensembleCryptoPredictions
+        }, [{
+            symbol,
+            requestId,
+            features: featureVector,
+            featureList: featureResult.featureList,
+            engineeredData: featureResult.engineeredData,
+            regime: regimeResult,
+            champion: { class: ensembleResult.className, confidence, model_versions: modelVersions }
+        }]);
+
         console.log(`\n${'='.repeat(70)}`);
         console.log(`[${requestId}] SUCCESS (${elapsed}ms) - Models: ${modelsTime}ms`);
         console.log(`${'='.repeat(70)}\n`);
@@ -220,10 +440,11 @@ module.exports = async (req, res) => {
             success: true,
             symbol,
             asset_class: 'crypto',
+            horizon,
             prediction: ensembleResult.class,
             class: ensembleResult.className,
-            confidence: ensembleResult.confidence,
-            probabilities: ensembleResult.probabilities,
+            confidence,
+            probabilities,
             models_used: ensembleResult.modelsUsed,
             models_failed: models.length - ensembleResult.modelsUsed,
             inference_time_ms: elapsed,
@@ -232,6 +453,13 @@ module.exports = async (req, res) => {
             request_id: requestId,
             stored: storageResult.success,
             storage_id: storageResult.id,
+            data_source: dataSource,
+            data_quality: dataQuality,
+            regime,
+            ensemble,
+            model_versions: modelVersions,
+            model_predictions: modelPredictions,
+            scaling,
             features: {
                 total: featureVector.length,
                 bullish: featureResult.balance?.bullish_count || 0,
@@ -338,7 +566,8 @@ module.exports.status = async (req, res) => {
             asset_class: 'crypto',
             version: '2.1.0-global-cache',
             models_count: models.length,
-            models: CONFIG?.MODELS || [],
+            models: describeModels(CONFIG.MODELS_DIR),
+            horizons: horizonsFor('crypto'),
             config: {
                 min_models_required: CONFIG?.MIN_MODELS_REQUIRED || 3,
                 prediction_timeout_ms: CONFIG?.PREDICTION_TIMEOUT_MS || 8000,
@@ -395,7 +624,8 @@ module.exports.models = async (req, res) => {
         return res.status(200).json({
             service: 'crypto-predictions',
             total_models: models.length,
-            models: CONFIG?.MODELS || [],
+            models: describeModels(CONFIG.MODELS_DIR),
+            horizons: horizonsFor('crypto'),
             cache_stats: cacheStats,
             loading_strategy: 'global_cache',
             cached: true,
@@ -407,4 +637,51 @@ module.exports.models = async (req, res) => {
             timestamp: new Date().toISOString()
         });
     }
-};
\ No newline at end of file
+};
+
+// ============================================================================
+// CONTRACT ENDPOINT
+// ============================================================================
+
+/**
+ * Model input contract endpoint
+ * GET /api/predict-crypto?contract=true[&horizon=4h]
+ * 
+ * Returns each model's declared features (in input order), input shape
+ * and output classes, from the model set's manifest
+ */
+module.exports.contract = async (req, res) => {
+    if (req.query.contract !== 'true') {
+        return res.status(404).end();
+    }
+
+    let set;
+    try {
+        set = resolveHorizon('crypto', req.query.horizon);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            supported: horizonsFor('crypto')
+        });
+    }
+
+    try {
+        return res.status(200).json({
+            success: true,
+            service: 'crypto-predictions',
+            asset_class: 'crypto',
+            horizon: set.horizon,
+            models_dir: set.modelsDir,
+            timeframes: CONFIG.TIMEFRAMES,
+            models: describeContracts(set.modelsDir),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
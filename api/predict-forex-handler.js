@@ -5,24 +5,26 @@
  * FLOW:
  * 1. Receive raw OHLCV data from Twelve Data/EODHD
  * 2. Engineer features (conservative v3.0 - forex optimized)
- * 3. Load 4 forex models in parallel
+ * 3. Load the requested horizon's forex models in parallel (utils/horizons)
  * 4. Run ensemble predictions
  * 5. Store in MongoDB
  * 6. Return result
  * 
  * MODELS AVAILABLE:
- * - hierarchical_lstm.keras
- * - hybrid_transformer.keras
- * - multiscale_transformer.keras
- * - temporal_transformer.keras
- * 
- * All models expect: ~40 features (conservative, backward-looking)
+ * Listed in each model set's manifest.json (utils/model-registry), with
+ * their input shape, feature order and output classes
  */
 
 const tf = require('@tensorflow/tfjs');
 const path = require('path');
 const fs = require('fs');
-const ConservativeFeatureEngineer = require('../utils/forex-features');
+const ConservativeFeatureEngineer = require('../utils/forex_features');
+const { applyRegimeGate } = require('../utils/regime-detector');
+const { combinePredictions, toClassOrder } = require('../utils/ensemble-strategies');
+const { resolveHorizon, CONFIG: HORIZON_CONFIG } = require('../utils/horizons');
+const { modelNames, findModel } = require('../utils/model-registry');
+const { modelRollout } = require('../utils/model-rollout');
+const { loadScaler, scaleRows } = require('../utils/feature-scaler');
 
 // ============================================================================
 // CONFIGURATION
@@ -31,12 +33,12 @@ const ConservativeFeatureEngineer = require('../utils/forex-features');
 const CONFIG = {
   ASSET_CLASS: 'forex',
   MODELS_DIR: 'models/forex',
-  MODELS: [
-    'hierarchical_lstm',
-    'hybrid_transformer',
-    'multiscale_transformer',
-    'temporal_transformer'
-  ],
+  // Timeframes the models were trained on (see utils/timeframes)
+  TIMEFRAMES: ['1h', '4h', '1d'],
+  // Default model set, in manifest order
+  get MODELS() {
+    return modelNames(this.MODELS_DIR);
+  },
   MIN_MODELS_REQUIRED: 2,
   PREDICTION_TIMEOUT_MS: 5000,
   STORAGE_TIMEOUT_MS: 3000
@@ -48,7 +50,8 @@ const CONFIG = {
 
 class ForexModelCache {
   constructor() {
-    this.models = {};
+    this.models = {};    // Keyed by model path, so each horizon and version is cached apart
+    this.failures = {};  // Last load error per horizon (and role), then model name
     this.stats = {
       loaded: 0,
       failed: 0,
@@ -56,16 +59,21 @@ class ForexModelCache {
     };
   }
   
-  async loadModel(modelName) {
+  async loadModel(modelName, horizon, version = null, role = 'champion') {
+    const set = resolveHorizon('forex', horizon);
+    const entry = findModel(set.modelsDir, modelName, version);
+    const modelPath = path.join(process.cwd(), set.modelsDir, entry.file);
+    const failureKey = role === 'champion' ? set.horizon : `${set.horizon}:${role}`;
+    const failures = this.failures[failureKey] = this.failures[failureKey] || {};
+    
     // Check cache first
-    if (this.models[modelName]) {
+    if (this.models[modelPath]) {
       this.stats.reused++;
-      return this.models[modelName];
+      return this.models[modelPath];
     }
     
     try {
-      const modelPath = path.join(process.cwd(), `${CONFIG.MODELS_DIR}/${modelName}.keras`);
-      
+
       // Check file exists
       if (!fs.existsSync(modelPath)) {
         throw new Error(`Model file not found: ${modelPath}`);
@@ -73,6 +81,9 @@ class ForexModelCache {
       
       console.log(`  Loading: ${modelName}...`);
       
+      // A broken scaler fails its model: unscaled inputs would mislead it
+      loadScaler(set.modelsDir, entry);
+      
       const model = await tf.loadLayersModel(`file://${modelPath}`);
       
       // Verify model structure
@@ -80,7 +91,8 @@ class ForexModelCache {
         throw new Error(`Invalid model structure: ${modelName}`);
       }
       
-      this.models[modelName] = model;
+      this.models[modelPath] = model;
+      delete failures[modelName];
       this.stats.loaded++;
       
       console.log(`    ✓ ${modelName} loaded`);
@@ -88,19 +100,34 @@ class ForexModelCache {
       
     } catch (error) {
       this.stats.failed++;
+      failures[modelName] = error.message;
       console.error(`    ✗ ${modelName}: ${error.message}`);
       throw error;
     }
   }
   
-  async loadAllModels() {
+  async loadAllModels(horizon) {
+    const entries = await this.loadAllModelEntries(horizon);
+    return entries.map(r => r.model);
+  }
+  
+  async loadAllModelEntries(horizon, role = 'champion') {
     /**
-     * Load all forex models in parallel
+     * Load the versions a role runs for the horizon's forex models in
+     * parallel, keeping their names (default horizon when omitted, see
+     * utils/horizons; [] for a challenger that is not set)
      */
-    console.log(`\n[Models] Loading ${CONFIG.MODELS.length} models...`);
+    const set = resolveHorizon('forex', horizon);
+    await modelRollout.load();
+    const selection = modelRollout.selection('forex', set.horizon, role);
+    if (!selection) {
+      return [];
+    }
+    const names = Object.keys(selection);
+    console.log(`\n[Models] Loading ${names.length} ${set.horizon} ${role} models...`);
     
-    const loadPromises = CONFIG.MODELS.map(modelName =>
-      this.loadModel(modelName)
+    const loadPromises = names.map(modelName =>
+      this.loadModel(modelName, set.horizon, selection[modelName], role)
         .then(model => ({ name: modelName, model, success: true }))
         .catch(error => ({
           name: modelName,
@@ -115,20 +142,30 @@ class ForexModelCache {
     const loaded = results.filter(r => r.success);
     const failed = results.filter(r => !r.success);
     
-    console.log(`[Models] Loaded: ${loaded.length}/${CONFIG.MODELS.length}`);
+    console.log(`[Models] Loaded: ${loaded.length}/${names.length}`);
     
     if (failed.length > 0) {
       console.warn(`[Models] Failed (${failed.length}):`);
       failed.forEach(f => console.warn(`  - ${f.name}: ${f.error}`));
     }
     
-    return loaded.map(r => r.model);
+    // Manifest fields for the input contract and windows (utils/model-contract,
+    // utils/sequence-window), the output classes and the stored scaler (utils/feature-scaler)
+    return loaded.map(r => {
+      const entry = findModel(set.modelsDir, r.name, selection[r.name]);
+      const { version, features, input_shape: inputShape, classes, padding } = entry;
+      return { name: r.name, model: r.model, version, features, inputShape, classes, padding, scaler: loadScaler(set.modelsDir, entry) };
+    });
   }
   
   getStats() {
     return this.stats;
   }
   
+  getLoadFailures(horizon = HORIZON_CONFIG.DEFAULT.forex, role = 'champion') {
+    return { ...(this.failures[role === 'champion' ? horizon : `${horizon}:${role}`] || {}) };
+  }
+  
   clear() {
     Object.keys(this.models).forEach(key => {
       if (this.models[key] && this.models[key].dispose) {
@@ -152,26 +189,29 @@ const forexModelCache = new ForexModelCache();
 /**
  * Engineer features from raw OHLCV data (conservative approach)
  * 
- * @param {Object} rawData - Raw price data (1h, 4h, 1d timeframes)
+ * @param {Object} rawData - Raw price data (column format per timeframe)
  * @param {String} pair - Forex pair (for logging)
+ * @param {Array<String>} timeframes - Timeframes to engineer (default CONFIG.TIMEFRAMES)
+ * @param {Object} options - { logger } (default console)
  * @returns {Object} Engineered data and feature list
  */
-function engineForexFeatures(rawData, pair) {
-  console.log(`\n[Features] Engineering for ${pair}...`);
+function engineForexFeatures(rawData, pair, timeframes = CONFIG.TIMEFRAMES, { logger = console } = {}) {
+  logger.log(`\n[Features] Engineering for ${pair}...`);
   
   try {
-    const engineer = new ConservativeFeatureEngineer();
+    const engineer = new ConservativeFeatureEngineer({ timeframes, logger });
     
     // Engineer features (conservative v3.0 - no leakage)
     const engineeredData = engineer.engineerFeatures(rawData);
-    const featureList = engineer.getFeatureList();
+    // Input columns at the models' width; their trained order is undeclared (see getModelInputColumns)
+    const featureList = engineer.getModelInputColumns();
     
     if (!featureList || featureList.length === 0) {
       throw new Error('No features engineered');
     }
     
-    console.log(`  Total features: ${featureList.length}`);
-    console.log(`  ✓ Conservative features (backward-looking, no leakage)`);
+    logger.log(`  Total features: ${featureList.length}`);
+    logger.log(`  ✓ Conservative features (backward-looking, no leakage)`);
     
     return {
       engineeredData,
@@ -180,19 +220,22 @@ function engineForexFeatures(rawData, pair) {
     };
     
   } catch (error) {
-    console.error(`[Features] Error: ${error.message}`);
+    logger.error(`[Features] Error: ${error.message}`);
     throw error;
   }
 }
 
 /**
- * Extract feature vector from engineered data
+ * Extract feature vector from engineered data (the last row; sequence
+ * models also get the rows before it, see utils/sequence-window)
  * 
  * @param {Object} engineeredData - Engineered data object
  * @param {Array<String>} featureList - Feature names in order
- * @returns {Array} Feature vector ready for model
+ * @param {Object} options - { logger } (default console)
+ * @returns {Array} Raw feature vector, NaN where a value is missing
+ *   (utils/feature-scaler scales it and fills the gaps before inference)
  */
-function extractForexFeatureVector(engineeredData, featureList) {
+function extractForexFeatureVector(engineeredData, featureList, { logger = console } = {}) {
   try {
     // Find last row index
     const firstKey = Object.keys(engineeredData).find(k => Array.isArray(engineeredData[k]));
@@ -213,7 +256,7 @@ function extractForexFeatureVector(engineeredData, featureList) {
       const featureName = featureList[i];
       
       if (!(featureName in engineeredData)) {
-        features.push(0);
+        features.push(NaN);
         issues.push(`${featureName}=missing`);
         continue;
       }
@@ -222,26 +265,26 @@ function extractForexFeatureVector(engineeredData, featureList) {
       
       // Validate value
       if (value === null || value === undefined) {
-        features.push(0);
+        features.push(NaN);
         issues.push(`${featureName}=null`);
       } else if (!isFinite(value)) {
-        features.push(0);
+        features.push(NaN);
         issues.push(`${featureName}=${value}`);
       } else {
         features.push(parseFloat(value));
       }
     }
     
-    console.log(`  Extracted ${features.length} features`);
+    logger.log(`  Extracted ${features.length} features`);
     
     if (issues.length > 0) {
-      console.warn(`  ⚠️ Feature issues (${issues.length}): ${issues.slice(0, 3).join(', ')}`);
+      logger.warn(`  ⚠️ Feature issues (${issues.length}): ${issues.slice(0, 3).join(', ')}`);
     }
     
     return features;
     
   } catch (error) {
-    console.error(`[FeatureExtraction] Error: ${error.message}`);
+    logger.error(`[FeatureExtraction] Error: ${error.message}`);
     throw error;
   }
 }
@@ -254,7 +297,8 @@ function extractForexFeatureVector(engineeredData, featureList) {
  * Run single model prediction
  * 
  * @param {Object} model - TensorFlow model
- * @param {Array<Number>} features - Feature vector
+ * @param {Array} features - Scaled vector or [timesteps x features] window
+ *   (raw values run as is, missing as 0)
  * @param {String} modelName - Model name (for logging)
  * @returns {Promise<Array>} Prediction probabilities
  */
@@ -264,9 +308,10 @@ async function runSingleForexPrediction(model, features, modelName) {
       reject(new Error(`Timeout for ${modelName}`));
     }, CONFIG.PREDICTION_TIMEOUT_MS);
     
+    let inputTensor = null;
     try {
-      // Create tensor
-      const inputTensor = tf.tensor2d([features]);
+      // A window is [timesteps x features]; a raw vector only has non-finite values replaced
+      inputTensor = tf.tensor(Array.isArray(features[0]) ? [features] : scaleRows(null, [features]).rows);
       
       // Run prediction
       const outputTensor = model.predict(inputTensor);
@@ -291,6 +336,7 @@ async function runSingleForexPrediction(model, features, modelName) {
       
     } catch (error) {
       clearTimeout(timeout);
+      if (inputTensor) inputTensor.dispose();
       reject(error);
     }
   });
@@ -300,42 +346,57 @@ async function runSingleForexPrediction(model, features, modelName) {
  * Run predictions across multiple models
  * 
  * @param {Array<Object>} models - Loaded model objects
- * @param {Array<Number>} features - Feature vector
- * @returns {Promise<Array>} Array of predictions
+ * @param {Array<Number>|Array} features - Feature vector, or one prepared input per
+ *   model: a scaled vector, a window, or the Error that keeps it from running
+ *   (utils/sequence-window prepareForModels)
+ * @param {Array<String>} modelNames - Names matching `models` (defaults to CONFIG.MODELS)
+ * @param {Array<Array<String>>} modelClasses - Each model's output classes (default DOWN/NEUTRAL/UP)
+ * @returns {Promise<Object>} { predictions, results }; predictions is empty when every model failed
+ *   Each prediction is [down, neutral, up] (utils/ensemble-strategies toClassOrder)
  */
-async function runForexEnsemblePredictions(models, features) {
+async function runForexEnsemblePredictions(models, features, modelNames = CONFIG.MODELS, modelClasses = []) {
   console.log(`\n[Inference] Running ${models.length} models...`);
   
   const predictions = [];
   const results = [];
   
   for (let i = 0; i < models.length; i++) {
+    const modelStart = Date.now();
     try {
-      console.log(`  [${i + 1}/${models.length}] ${CONFIG.MODELS[i]}...`);
+      console.log(`  [${i + 1}/${models.length}] ${modelNames[i]}...`);
+      
+      const input = typeof features[0] === 'number' ? features : features[i];
+      if (input instanceof Error) {
+        throw input;
+      }
       
-      const pred = await runSingleForexPrediction(models[i], features, CONFIG.MODELS[i]);
+      const pred = toClassOrder(await runSingleForexPrediction(models[i], input, modelNames[i]), modelClasses[i]);
       
       predictions.push(pred);
       results.push({
-        model: CONFIG.MODELS[i],
+        model: modelNames[i],
         success: true,
-        prediction: pred
+        prediction: pred,
+        latency_ms: Date.now() - modelStart
       });
       
       console.log(`    ✓ Completed`);
       
     } catch (error) {
       results.push({
-        model: CONFIG.MODELS[i],
+        model: modelNames[i],
         success: false,
-        error: error.message
+        error: error.message,
+        latency_ms: Date.now() - modelStart
       });
       console.warn(`    ✗ Failed: ${error.message}`);
     }
   }
   
   if (predictions.length === 0) {
-    throw new Error(`All ${models.length} predictions failed`);
+    // The caller answers with the per-model errors
+    console.warn(`  All ${models.length} predictions failed`);
+    return { predictions, results };
   }
   
   console.log(`  Success rate: ${predictions.length}/${models.length}`);
@@ -349,37 +410,26 @@ async function runForexEnsemblePredictions(models, features) {
 
 /**
  * Ensemble multiple forex predictions
+ * Strategy (equal/static/accuracy/majority_vote) and weights come from
+ * utils/ensemble-strategies.js; the regime policy may add weights and a gate.
  * 
  * @param {Array<Array>} predictions - Array of prediction arrays
- * @returns {Object} Ensemble result with class and confidence
+ * @param {Object} options - { strategy, weights, modelNames, minDirectionalConfidence }
+ * @returns {Object} Ensemble result with class, confidence and per-model weights
  */
-function ensembleForexPredictions(predictions) {
+function ensembleForexPredictions(predictions, options = {}) {
   if (predictions.length === 0) {
     throw new Error('No predictions to ensemble');
   }
   
-  console.log(`\n[Ensemble] Averaging ${predictions.length} predictions...`);
+  const strategy = options.strategy || 'equal';
+  console.log(`\n[Ensemble] Combining ${predictions.length} predictions (${strategy})...`);
   
-  const numClasses = 3; // DOWN, NEUTRAL, UP
-  const ensemble = [0, 0, 0];
-  
-  // Simple average
-  for (const pred of predictions) {
-    for (let i = 0; i < numClasses; i++) {
-      ensemble[i] += (pred[i] || 0);
-    }
-  }
-  
-  for (let i = 0; i < numClasses; i++) {
-    ensemble[i] /= predictions.length;
-  }
-  
-  // Normalize to ensure valid probabilities
-  const sum = ensemble.reduce((a, b) => a + b, 0);
-  const normalized = ensemble.map(p => p / sum);
-  
-  // Get predicted class
-  const predictedClass = normalized.indexOf(Math.max(...normalized));
+  const { probabilities: normalized, predictedClass, ensemble } = combinePredictions(predictions, {
+    strategy,
+    weights: options.weights,
+    modelNames: options.modelNames
+  });
   const confidence = normalized[predictedClass];
   
   const classNames = ['DOWN', 'NEUTRAL', 'UP'];
@@ -387,8 +437,9 @@ function ensembleForexPredictions(predictions) {
   console.log(`  Predicted: ${classNames[predictedClass]}`);
   console.log(`  Confidence: ${(confidence * 100).toFixed(1)}%`);
   console.log(`  Probabilities: DOWN=${(normalized[0] * 100).toFixed(1)}%, NEUTRAL=${(normalized[1] * 100).toFixed(1)}%, UP=${(normalized[2] * 100).toFixed(1)}%`);
+  console.log(`  Agreement: ${(ensemble.agreement * 100).toFixed(0)}% of models`);
   
-  return {
+  return applyRegimeGate({
     class: predictedClass,
     className: classNames[predictedClass],
     confidence,
@@ -397,8 +448,9 @@ function ensembleForexPredictions(predictions) {
       neutral: normalized[1],
       up: normalized[2]
     },
-    modelsUsed: predictions.length
-  };
+    modelsUsed: predictions.length,
+    ensemble
+  }, options.minDirectionalConfidence);
 }
 
 // ============================================================================
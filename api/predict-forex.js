@@ -8,7 +8,7 @@
  * REQUEST:
  * {
  *   "pair": "EURUSD",
- *   "data": {
+ *   "data": {                     // OPTIONAL - fetched server-side if omitted
  *     "1h_open": [...],
  *     "1h_high": [...],
  *     "1h_low": [...],
@@ -17,13 +17,17 @@
  *     "4h_open": [...],
  *     "4h_close": [...],
  *     "1d_close": [...]
- *   }
+ *   },
+ *   "data_quality": { ... },      // OPTIONAL - the `quality` object from /api/fetch-data
+ *   "ensemble_strategy": "equal", // OPTIONAL - equal | static | accuracy | majority_vote
+ *   "horizon": "4h"               // OPTIONAL - a horizon the models were trained for (default 4h)
  * }
  * 
  * RESPONSE:
  * {
  *   "success": true,
  *   "pair": "EURUSD",
+ *   "horizon": "4h",              // the move DOWN/NEUTRAL/UP refers to: now → now + horizon
  *   "prediction": 1,
  *   "class": "NEUTRAL",
  *   "confidence": 0.52,
@@ -34,9 +38,32 @@
  *   },
  *   "models_used": 4,
  *   "inference_time_ms": 189,
+ *   "data_source": { "mode": "server", "provider": "TwelveData", "cached": false, "stale": false },
+ *   "data_quality": { "sources": { "1h": "TwelveData", ... }, "synthetic": false, "gap_count": 1, ... },
+ *   "quota": { "provider": "TwelveData", "used": 15, "limit": 800, "remaining": 785 },
+ *   "regime": { "regime": "ranging", "trend_strength": 0.12, "volatility_percentile": 0.33, "gated": false },
+ *   "ensemble": { "strategy": "equal", "weights": { "hierarchical_lstm": 0.5, ... }, "agreement": 1 },
+ *   "model_versions": { "hierarchical_lstm": "1.0", ... },
+ *   "model_predictions": [{ "model": "hierarchical_lstm", "version": "1.0", "success": true, "class": "NEUTRAL", "probabilities": {...}, "latency_ms": 38 }],
+ *   "scaling": { "applied": true, "out_of_range": 0, "missing": 1,
+ *                "models": { "hierarchical_lstm": { "method": "robust", "window": { "timesteps": 60, "available": 60, "padded": 0, "padding": "none" }, ... } } },
  *   "timestamp": "2024-01-15T10:30:00Z",
  *   "stored": true
  * }
+ *
+ * Before inference the feature list must match every model's declared
+ * input contract (utils/model-contract); otherwise the request answers
+ * 500 with the per-model diff in `contract`. GET ?contract=true[&horizon=4h]
+ * shows the contracts. Each model's stored scaler (utils/feature-scaler)
+ * is applied to the vector first; `scaling` counts the inputs clipped to
+ * the training range and says when a model ran on raw features. Models
+ * whose input_shape takes time steps get a window of the last engineered
+ * rows (utils/sequence-window); `scaling.models[name].window` reports how
+ * much history it had and how it was padded.
+ *
+ * The champion model versions answer (utils/model-rollout); when a
+ * challenger is set it runs in shadow on the same features and is stored
+ * in shadow_predictions only (utils/shadow-mode).
  */
 
 const {
@@ -48,6 +75,27 @@ const {
   ensembleForexPredictions,
   storeForexPrediction
 } = require('./predict-forex-handler');
+const { orchestrator, classifyAsset } = require('./fetch-data');
+const { resolveHorizon, horizonsFor } = require('../utils/horizons');
+const { describeModels } = require('../utils/model-registry');
+const { assertContracts, describeContracts } = require('../utils/model-contract');
+const { symbolRegistry } = require('../utils/symbol-registry');
+const {
+  assessClientDataQuality,
+  evaluateSyntheticPolicy,
+  applySyntheticPolicy
+} = require('../utils/data-quality');
+const { getTwelveDataStats } = require('./forex-data-fetcher');
+const { detectRegime, getEnsemblePolicy } = require('../utils/regime-detector');
+const { versionMap, formatModelPredictions } = require('../utils/model-predictions');
+const { runShadow } = require('../utils/shadow-mode');
+const { extractHistory, prepareForModels } = require('../utils/sequence-window');
+const {
+  CONFIG: ENSEMBLE_CONFIG,
+  isValidStrategy,
+  resolveStrategyWeights,
+  combineWeights
+} = require('../utils/ensemble-strategies');
 
 // ============================================================================
 // REQUEST HANDLER
@@ -56,17 +104,21 @@ const {
 module.exports = async (req, res) => {
   // CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
   
+  if (req.method === 'GET' && req.query && req.query.contract === 'true') {
+    return module.exports.contract(req, res);
+  }
+  
   if (req.method !== 'POST') {
     return res.status(405).json({
       success: false,
-      error: 'Method not allowed. Use POST.'
+      error: 'Method not allowed. Use POST, or GET with ?contract=true.'
     });
   }
   
@@ -79,22 +131,114 @@ module.exports = async (req, res) => {
   
   try {
     // ====== STEP 1: VALIDATE INPUT ======
-    const { pair, data } = req.body;
+    const { pair, ensemble_strategy: ensembleStrategy = ENSEMBLE_CONFIG.DEFAULT_STRATEGY } = req.body;
+    let { data } = req.body;
     
-    if (!pair || !data) {
+    if (!pair) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: pair, data',
+        error: 'Missing required field: pair',
         example: {
           pair: 'EURUSD',
-          data: '{ 1h_open, 1h_high, 1h_low, 1h_close, 1h_volume, 4h_*, 1d_* }'
+          data: '(optional) { 1h_open, 1h_high, 1h_low, 1h_close, 1h_volume, 4h_*, 1d_* }'
         }
       });
     }
     
-    console.log(`[${requestId}] Pair: ${pair}`);
+    if (!isValidStrategy(ensembleStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ensemble_strategy: ${ensembleStrategy}`,
+        supported: ENSEMBLE_CONFIG.STRATEGIES
+      });
+    }
+    
+    let horizon;
+    try {
+      ({ horizon } = resolveHorizon('forex', req.body.horizon));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        supported: horizonsFor('forex')
+      });
+    }
+    
+    console.log(`[${requestId}] Pair: ${pair} (${horizon} horizon)`);
+    
+    // ====== STEP 1b: SERVER-SIDE DATA FETCH (when data omitted) ======
+    let dataSource = {
+      mode: 'client',
+      provider: 'client',
+      cached: false,
+      stale: false
+    };
+    let quota = null;
+    let quality = null;
+    
+    if (!data) {
+      await symbolRegistry.load();
+      const classification = classifyAsset(pair);
+      
+      if (!classification.valid || classification.assetClass !== 'forex') {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown forex pair: ${pair}`,
+          supported: orchestrator.getSupportedSymbols().forex
+        });
+      }
+      
+      console.log(`[${requestId}] No data supplied - fetching server-side...`);
+      
+      try {
+        const fetched = await orchestrator.fetchDataWithSource(pair, { timeframes: CONFIG.TIMEFRAMES });
+        data = fetched.data;
+        dataSource = {
+          mode: 'server',
+          provider: fetched.source,
+          cached: fetched.cached,
+          stale: fetched.stale,
+          cache_age_ms: fetched.cacheAgeMs,
+          fetched_at: fetched.fetchedAt
+        };
+        quality = fetched.quality;
+      } catch (error) {
+        return res.status(error.code === 'QUOTA_EXHAUSTED' ? 429 : 502).json({
+          success: false,
+          error: error.code === 'QUOTA_EXHAUSTED'
+            ? 'Twelve Data quota exhausted and no cached candles available'
+            : 'Data fetch failed',
+          details: error.message,
+          quota: { provider: 'TwelveData', ...(await getTwelveDataStats()) },
+          request_id: requestId
+        });
+      }
+      
+      quota = { provider: 'TwelveData', ...(await getTwelveDataStats()) };
+      
+      console.log(`[${requestId}] Data source: ${dataSource.provider}${dataSource.cached ? ' [cache]' : ''}${dataSource.stale ? ' (STALE)' : ''}`);
+      console.log(`[${requestId}] Twelve Data quota: ${quota.remaining}/${quota.limit} remaining`);
+    }
+    
     console.log(`[${requestId}] Data points: ${data['1h_close']?.length || 0}`);
     
+    // ====== STEP 1c: DATA QUALITY POLICY ======
+    if (!quality) {
+      quality = assessClientDataQuality(data, req.body.data_quality, symbolRegistry.get(pair)?.tradingHours);
+    }
+    const qualityPolicy = evaluateSyntheticPolicy(quality);
+    const dataQuality = { ...quality, policy: qualityPolicy };
+    
+    if (qualityPolicy.action === 'refuse') {
+      return res.status(422).json({
+        success: false,
+        error: `Prediction refused: ${qualityPolicy.reason}`,
+        data_source: dataSource,
+        data_quality: dataQuality,
+        request_id: requestId
+      });
+    }
+    
     // ====== STEP 2: ENGINE FEATURES ======
     const featureResult = engineForexFeatures(data, pair);
     
@@ -113,16 +257,20 @@ module.exports = async (req, res) => {
     
     console.log(`[${requestId}] Features: ${featureVector.length} extracted`);
     
+    const regimeResult = detectRegime(featureResult.engineeredData);
+    
     // ====== STEP 3: LOAD MODELS ======
     console.log(`[${requestId}] Loading models...`);
     
-    let models = [];
+    let modelEntries = [];
     try {
-      models = await forexModelCache.loadAllModels();
+      modelEntries = await forexModelCache.loadAllModelEntries(horizon);
     } catch (error) {
       console.error(`[${requestId}] Model loading failed: ${error.message}`);
     }
     
+    const models = modelEntries.map(entry => entry.model);
+    
     if (models.length === 0) {
       return res.status(503).json({
         success: false,
@@ -137,8 +285,32 @@ module.exports = async (req, res) => {
     
     console.log(`[${requestId}] Models ready: ${models.length} loaded`);
     
+    // ====== STEP 3b: INPUT CONTRACT (never run a misaligned vector) ======
+    try {
+      assertContracts(modelEntries, featureResult.featureList);
+    } catch (error) {
+      console.error(`[${requestId}] ${error.message}`);
+      return res.status(500).json({
+        success: false,
+        error: 'Feature vector does not match the model input contract',
+        contract: error.contract
+      });
+    }
+    
+    // ====== STEP 3c: MODEL INPUTS (scaled vector or history window per model) ======
+    const history = extractHistory(modelEntries, featureResult.engineeredData, featureResult.featureList);
+    const { inputs, scaling } = prepareForModels(modelEntries, featureVector, history);
+    if (scaling.out_of_range > 0) {
+      console.warn(`[${requestId}] ${scaling.out_of_range} inputs outside the training range, clipped`);
+    }
+    
     // ====== STEP 4: RUN PREDICTIONS ======
-    const predictionResult = await runForexEnsemblePredictions(models, featureVector);
+    const predictionResult = await runForexEnsemblePredictions(
+      models,
+      inputs,
+      modelEntries.map(entry => entry.name),
+      modelEntries.map(entry => entry.classes)
+    );
     
     const validPredictions = predictionResult.predictions;
     
@@ -153,7 +325,36 @@ module.exports = async (req, res) => {
     console.log(`[${requestId}] Predictions: ${validPredictions.length}/${models.length} succeeded`);
     
     // ====== STEP 5: ENSEMBLE ======
-    const ensembleResult = ensembleForexPredictions(validPredictions);
+    const modelNames = predictionResult.results.filter(r => r.success).map(r => r.model);
+    const strategyWeights = await resolveStrategyWeights(ensembleStrategy, 'forex', modelNames, { horizon });
+    const ensemblePolicy = getEnsemblePolicy(regimeResult, modelNames);
+    const ensembleResult = ensembleForexPredictions(validPredictions, {
+      strategy: strategyWeights.strategy,
+      weights: combineWeights(strategyWeights.weights, ensemblePolicy.weights),
+      modelNames,
+      minDirectionalConfidence: ensemblePolicy.minDirectionalConfidence
+    });
+    const ensemble = {
+      ...ensembleResult.ensemble,
+      weights_source: strategyWeights.source,
+      model_accuracy: strategyWeights.accuracy || null
+    };
+    const modelVersions = versionMap(modelEntries);
+    const modelPredictions = formatModelPredictions(
+      predictionResult.results,
+      forexModelCache.getLoadFailures(horizon),
+      modelVersions
+    );
+    const regime = {
+      ...regimeResult,
+      ensemble_mode: ensemblePolicy.mode,
+      gated: ensembleResult.gated,
+      gated_from: ensembleResult.gated_from || null
+    };
+    const { confidence, probabilities } = applySyntheticPolicy(ensembleResult, qualityPolicy);
+    if (qualityPolicy.action === 'downweight') {
+      dataQuality.policy = { ...qualityPolicy, raw_confidence: ensembleResult.confidence };
+    }
     
     const elapsed = Date.now() - startTime;
     console.log(`[${requestId}] Inference time: ${elapsed}ms`);
@@ -162,15 +363,23 @@ module.exports = async (req, res) => {
     const predictionData = {
       asset_class: 'forex',
       pair,
+      horizon,
       prediction: ensembleResult.class,
       class: ensembleResult.className,
-      confidence: ensembleResult.confidence,
-      probabilities: ensembleResult.probabilities,
+      confidence,
+      probabilities,
       models_used: ensembleResult.modelsUsed,
       inference_time_ms: elapsed,
       timestamp: new Date().toISOString(),
       request_id: requestId,
-      features_count: featureVector.length
+      features_count: featureVector.length,
+      data_source: dataSource,
+      data_quality: dataQuality,
+      regime,
+      ensemble,
+      model_versions: modelVersions,
+      model_predictions: modelPredictions,
+      scaling
     };
     
     // Non-blocking storage
@@ -184,6 +393,24 @@ module.exports = async (req, res) => {
         console.warn(`[${requestId}] Storage error: ${error.message}`);
       });
     
+    // Shadow challenger (stored apart, never returned)
+    runShadow({
+      assetClass: 'forex',
+      horizon,
+      ensembleStrategy,
+      keyField: 'pair',
+      loadModels: (h, role) => forexModelCache.loadAllModelEntries(h, role),
+      ensemble: ensembleForexPredictions
+    }, [{
+      symbol: pair,
+      requestId,
+      features: featureVector,
+      featureList: featureResult.featureList,
+      engineeredData: featureResult.engineeredData,
+      regime: regimeResult,
+      champion: { class: ensembleResult.className, confidence, model_versions: modelVersions }
+    }]);
+    
     console.log(`\n${'='.repeat(70)}`);
     console.log(`[${requestId}] SUCCESS (${elapsed}ms)`);
     console.log(`${'='.repeat(70)}\n`);
@@ -193,10 +420,11 @@ module.exports = async (req, res) => {
       success: true,
       pair,
       asset_class: 'forex',
+      horizon,
       prediction: ensembleResult.class,
       class: ensembleResult.className,
-      confidence: ensembleResult.confidence,
-      probabilities: ensembleResult.probabilities,
+      confidence,
+      probabilities,
       models_used: ensembleResult.modelsUsed,
       models_failed: models.length - ensembleResult.modelsUsed,
       inference_time_ms: elapsed,
@@ -204,6 +432,14 @@ module.exports = async (req, res) => {
       request_id: requestId,
       stored: storageResult.success,
       storage_id: storageResult.id || null,
+      data_source: dataSource,
+      data_quality: dataQuality,
+      quota,
+      regime,
+      ensemble,
+      model_versions: modelVersions,
+      model_predictions: modelPredictions,
+      scaling,
       features: {
         total: featureVector.length,
         type: 'conservative',
@@ -272,7 +508,8 @@ module.exports.status = async (req, res) => {
   
   return res.status(200).json({
     service: 'forex-predictions',
-    models: CONFIG.MODELS,
+    models: describeModels(CONFIG.MODELS_DIR),
+    horizons: horizonsFor('forex'),
     config: {
       min_models_required: CONFIG.MIN_MODELS_REQUIRED,
       prediction_timeout_ms: CONFIG.PREDICTION_TIMEOUT_MS,
@@ -281,4 +518,44 @@ module.exports.status = async (req, res) => {
     cache_stats: stats,
     timestamp: new Date().toISOString()
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Model input contract endpoint
+ * GET /api/predict-forex?contract=true[&horizon=4h]
+ */
+module.exports.contract = async (req, res) => {
+  if (req.query.contract !== 'true') {
+    return res.status(404).end();
+  }
+  
+  let set;
+  try {
+    set = resolveHorizon('forex', req.query.horizon);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      supported: horizonsFor('forex')
+    });
+  }
+  
+  try {
+    return res.status(200).json({
+      success: true,
+      service: 'forex-predictions',
+      asset_class: 'forex',
+      horizon: set.horizon,
+      models_dir: set.modelsDir,
+      timeframes: CONFIG.TIMEFRAMES,
+      models: describeContracts(set.modelsDir),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,145 @@
+/**
+ * Resolve Outcomes API - Label stored predictions with realized results
+ *
+ * Once a prediction's horizon has elapsed, pulls realized prices and writes
+ * `outcome`, `realized_return` and `resolved_at` back onto the document.
+ *
+ * Called by:
+ * - scheduled-prediction.yml (after each prediction run)
+ *
+ * Runs that write (anything but dry_run) fetch provider candles and update
+ * the predictions collections, so they need
+ * `Authorization: Bearer <ADMIN_TOKEN>` and are refused while ADMIN_TOKEN
+ * is unset (utils/admin-auth).
+ */
+
+const { connectToDatabase } = require('../utils/mongodb-connection');
+const { authorize } = require('../utils/admin-auth');
+const {
+  resolveOutcomes,
+  buildPendingQuery,
+  CONFIG
+} = require('../utils/outcome-resolver');
+
+// ============================================================================
+// HEALTH CHECK
+// ============================================================================
+
+/**
+ * Report how many predictions are pending, resolved and abandoned
+ * GET /api/resolve-outcomes?health=true
+ */
+async function handleHealthCheck(req, res) {
+  try {
+    const db = await connectToDatabase();
+    const collection = db.collection(CONFIG.COLLECTIONS.predictions);
+
+    const [pending, resolved, abandoned] = await Promise.all([
+      collection.countDocuments(buildPendingQuery()),
+      collection.countDocuments({ outcome: { $exists: true } }),
+      collection.countDocuments({ resolution_abandoned_at: { $exists: true } })
+    ]);
+
+    return res.status(200).json({
+      status: 'healthy',
+      service: 'resolve-outcomes',
+      pending_resolution: pending,
+      resolved,
+      abandoned,
+      max_attempts: CONFIG.MAX_ATTEMPTS,
+      horizon_hours: CONFIG.HORIZON_HOURS,
+      thresholds: CONFIG.THRESHOLDS,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    return res.status(503).json({
+      status: 'unhealthy',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+/**
+ * Main API handler
+ * POST /api/resolve-outcomes
+ * GET  /api/resolve-outcomes (same, for cron callers)
+ *
+ * Parameters (query or body):
+ * - asset_class: 'crypto' or 'forex' (optional)
+ * - limit: max predictions to resolve per run (default 200), and as many
+ *   challenger predictions from shadow_predictions
+ * - dry_run: 'true' to compute outcomes without writing them (no token needed)
+ */
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method === 'GET' && req.query && req.query.health === 'true') {
+    return handleHealthCheck(req, res);
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  const startTime = Date.now();
+  const params = { ...(req.query || {}), ...(req.body || {}) };
+
+  try {
+    const assetClass = params.asset_class || null;
+    const limit = parseInt(params.limit) || CONFIG.DEFAULT_LIMIT;
+    const dryRun = params.dry_run === true || params.dry_run === 'true';
+
+    if (limit < 1 || limit > CONFIG.MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `limit must be between 1 and ${CONFIG.MAX_LIMIT}`
+      });
+    }
+
+    if (!dryRun) {
+      const auth = authorize(req, 'Outcome resolution');
+      if (!auth.ok) {
+        return res.status(auth.status).json({ success: false, error: auth.error });
+      }
+    }
+
+    const db = await connectToDatabase();
+    const summary = await resolveOutcomes(db, { assetClass, limit, dryRun });
+
+    const elapsed = Date.now() - startTime;
+    console.log(`✓ Resolved ${summary.resolved}/${summary.scanned} predictions (${elapsed}ms)`);
+
+    return res.status(200).json({
+      success: true,
+      ...summary,
+      elapsed_ms: elapsed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Resolution error:', error.message);
+
+    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+
+    return res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      elapsed_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
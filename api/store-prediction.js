@@ -18,9 +18,11 @@
  * Called by:
  * - predict-crypto.js
  * - predict-forex.js
+ * - predict-batch.js (batch path: body { predictions: [...] })
  */
 
 const { connectToDatabase } = require('../utils/mongodb-connection');
+const { resolveHorizon, CONFIG: HORIZON_CONFIG } = require('../utils/horizons');
 
 // ============================================================================
 // CONFIGURATION
@@ -64,6 +66,16 @@ function validatePredictionData(data) {
     console.log('[Validate] ✓ asset_class valid:', data.asset_class);
   }
 
+  // Optional: a horizon the asset class's models were trained for
+  if (data.horizon !== undefined && ['crypto', 'forex'].includes(data.asset_class)) {
+    try {
+      resolveHorizon(data.asset_class, data.horizon);
+      console.log('[Validate] ✓ horizon valid:', data.horizon);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
   if (!data.symbol && !data.pair) {
     errors.push('symbol (crypto) or pair (forex) is required');
   } else {
@@ -152,6 +164,7 @@ function buildPredictionDocument(data) {
   const doc = {
     timestamp,
     asset_class: data.asset_class,
+    horizon: data.horizon || HORIZON_CONFIG.DEFAULT[data.asset_class],
     prediction: data.prediction,
     class: data.class,
     confidence: parseFloat(data.confidence) || 0,
@@ -165,7 +178,14 @@ function buildPredictionDocument(data) {
     inference_time_ms: parseInt(data.inference_time_ms) || 0,
     stored: data.stored !== false,
     storage_id: data.storage_id || null,
-    request_id: data.request_id || null
+    request_id: data.request_id || null,
+    data_source: data.data_source || null,
+    data_quality: data.data_quality || null,
+    regime: data.regime || null,
+    ensemble: data.ensemble || null,
+    model_versions: data.model_versions || null,
+    scaling: data.scaling || null,
+    model_predictions: Array.isArray(data.model_predictions) ? data.model_predictions : []
   };
 
   // Asset class specific fields
@@ -432,6 +452,7 @@ async function handleHealthCheck(req, res) {
 /**
  * Main API handler with comprehensive diagnostics
  * POST /api/store-prediction
+ * POST /api/store-prediction { predictions: [...] } (batch insert)
  * GET /api/store-prediction?health=true (health check)
  */
 module.exports = async (req, res) => {
@@ -459,6 +480,11 @@ module.exports = async (req, res) => {
     });
   }
 
+  // Batch bodies go through the batch insert path
+  if (Array.isArray(req.body?.predictions)) {
+    return module.exports.batch(req, res);
+  }
+
   const startTime = Date.now();
   const requestId = req.body?.request_id || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -598,6 +624,7 @@ module.exports = async (req, res) => {
       id: result.insertedId.toString(),
       asset_class: data.asset_class,
       symbol: data.symbol || data.pair,
+      horizon: predictionDoc.horizon,
       class: data.class,
       timestamp: predictionDoc.timestamp.toISOString(),
       inserted_at: new Date().toISOString(),
@@ -666,7 +693,7 @@ module.exports = async (req, res) => {
 
 /**
  * Store multiple predictions at once with detailed logging
- * POST /api/store-predictions (plural)
+ * POST /api/store-prediction with body { predictions: [...] }
  */
 module.exports.batch = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
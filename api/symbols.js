@@ -0,0 +1,150 @@
+/**
+ * Symbols API - Admin for the symbol registry
+ *
+ * Lists, adds, enables and disables instruments (utils/symbol-registry).
+ * Fetchers, predictors and the scheduled workflow matrix read the same
+ * registry, so a symbol added here is fetched and predicted on the next run.
+ *
+ * GET  /api/symbols                          - enabled instruments
+ * GET  /api/symbols?include_disabled=true    - every instrument
+ * GET  /api/symbols?asset_class=crypto       - one asset class
+ * POST /api/symbols  (Authorization: Bearer <ADMIN_TOKEN>)
+ *   { "action": "add", "instrument": {
+ *       "symbol": "XRP/USDT", "assetClass": "crypto",
+ *       "providers": { "binance": "XRPUSDT", "coingecko": "ripple" },
+ *       "tickSize": 0.0001 } }
+ *   { "action": "disable", "symbol": "XRP/USDT" }
+ *   { "action": "enable", "symbol": "XRP/USDT" }
+ *
+ * Writes are refused unless ADMIN_TOKEN is set.
+ */
+
+const { authorize } = require('../utils/admin-auth');
+const { symbolRegistry } = require('../utils/symbol-registry');
+const { listProviders } = require('../utils/providers/registry');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  ACTIONS: ['add', 'disable', 'enable']
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Reject provider keys no registered adapter can serve for the asset class
+ * (a typo would otherwise leave the symbol silently unfetchable)
+ *
+ * @returns {String|null} Error message
+ */
+function checkProviders(instrument) {
+  const adapters = listProviders();
+  const unknown = Object.keys(instrument.providers || {}).filter(name => {
+    const adapter = adapters.find(a => a.name === name);
+    return !adapter || !adapter.assetClasses.includes(instrument.assetClass);
+  });
+
+  if (unknown.length > 0) {
+    const available = adapters
+      .filter(a => a.assetClasses.includes(instrument.assetClass))
+      .map(a => a.name);
+    return `No ${instrument.assetClass} provider named ${unknown.join(', ')} (available: ${available.join(', ')})`;
+  }
+
+  return null;
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed. Use GET or POST.'
+    });
+  }
+
+  try {
+    await symbolRegistry.load({ force: req.method === 'POST' });
+
+    // ===== LIST =====
+    if (req.method === 'GET') {
+      const query = req.query || {};
+      const instruments = symbolRegistry.list({
+        assetClass: query.asset_class || null,
+        includeDisabled: query.include_disabled === 'true'
+      });
+
+      return res.status(200).json({
+        success: true,
+        store: symbolRegistry.store.name,
+        count: instruments.length,
+        symbols: instruments,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // ===== ADMIN =====
+    const auth = authorize(req, 'Symbol admin');
+    if (!auth.ok) {
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const { action, instrument, symbol } = req.body || {};
+
+    if (!CONFIG.ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid action: ${action}`,
+        supported: CONFIG.ACTIONS
+      });
+    }
+
+    let result;
+
+    if (action === 'add') {
+      const providerError = instrument && checkProviders(instrument);
+      if (providerError) {
+        return res.status(400).json({ success: false, error: providerError });
+      }
+      result = await symbolRegistry.add(instrument);
+    } else {
+      if (!symbol) {
+        return res.status(400).json({ success: false, error: 'Missing required field: symbol' });
+      }
+      result = await symbolRegistry.setEnabled(symbol, action === 'enable');
+    }
+
+    console.log(`[Symbols] ${action} ${result.symbol} (${symbolRegistry.store.name})`);
+
+    return res.status(200).json({
+      success: true,
+      action,
+      instrument: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Symbols error:', error.message);
+
+    return res.status(error.code === 'INVALID_SYMBOL' ? 400 : 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
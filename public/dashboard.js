@@ -128,6 +128,7 @@ function initializeEventListeners() {
         });
 
         safeAddEventListener('statsBtn', 'click', showStatsModal);
+        safeAddEventListener('backtestBtn', 'click', showBacktestModal);
         safeAddEventListener('prevBtn', 'click', previousPage);
         safeAddEventListener('nextBtn', 'click', nextPage);
         safeAddEventListener('modalCloseBtn', 'click', closeModal);
@@ -768,6 +769,22 @@ function showStatsModal() {
                 </div>
             </div>
 
+            <h4 style="margin-bottom: 12px; font-size: 16px;">Realized Accuracy</h4>
+            <div style="display: grid; gap: 8px; margin-bottom: 20px;">
+                <div style="display: flex; justify-content: space-between; padding: 8px; background: var(--glass-bg); border-radius: 8px;">
+                    <span>Resolved Predictions:</span>
+                    <strong>${stats.accuracy?.resolved || 0}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; padding: 8px; background: var(--glass-bg); border-radius: 8px;">
+                    <span>Hit Rate:</span>
+                    <strong>${stats.accuracy?.hit_rate !== null && stats.accuracy?.hit_rate !== undefined ? (stats.accuracy.hit_rate * 100).toFixed(1) + '%' : 'N/A'}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between; padding: 8px; background: var(--glass-bg); border-radius: 8px;">
+                    <span>Brier Score:</span>
+                    <strong>${stats.accuracy?.brier_score ?? 'N/A'}</strong>
+                </div>
+            </div>
+
             <h4 style="margin-bottom: 12px; font-size: 16px;">Performance</h4>
             <div style="display: grid; gap: 8px;">
                 <div style="display: flex; justify-content: space-between; padding: 8px; background: var(--glass-bg); border-radius: 8px;">
@@ -787,6 +804,30 @@ function showStatsModal() {
     document.getElementById('modalOverlay').classList.add('show');
 }
 
+async function showBacktestModal() {
+    const defaultSymbol = state.assetClass === 'forex' ? 'EURUSD' : 'BTC/USDT';
+    const symbol = window.prompt('Symbol to backtest', defaultSymbol);
+    if (!symbol) return;
+
+    document.getElementById('modalTitle').textContent = `🧪 Backtest ${symbol.trim()}`;
+    document.getElementById('modalContent').innerHTML = `
+        <div style="color: var(--gray-400); text-align: center; padding: 20px;">Running walk-forward backtest...</div>
+    `;
+    document.getElementById('modalOverlay').classList.add('show');
+
+    // One attempt only - a backtest is too heavy to retry blindly
+    const result = await fetchWithRetry(`${CONFIG.API_BASE}/api/backtest`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ symbol: symbol.trim() })
+    }, 0);
+
+    // report_html is rendered server-side by utils/backtest-report.js
+    document.getElementById('modalContent').innerHTML = result.success && result.data.success
+        ? result.data.report_html
+        : `<div style="color: #fca5a5;">Backtest failed: ${escapeHtml(result.error || result.data?.error || 'Unknown error')}</div>`;
+}
+
 function closeModal() {
     document.getElementById('modalOverlay')?.classList.remove('show');
 }
@@ -0,0 +1,172 @@
+/**
+ * Walk-forward backtest from local candle fixtures
+ *
+ * Usage:
+ *   node scripts/backtest.js --symbol BTC/USDT --dir fixtures/candles
+ *   node scripts/backtest.js --symbol EURUSD --file eurusd_1h.csv --threshold 0.55 --out result.json
+ *   node scripts/backtest.js --symbol BTC/USDT --store fs --store-dir data/candles
+ *
+ * Options:
+ *   --symbol      Symbol or pair (required)
+ *   --dir         Fixture directory holding <SYMBOL>.json or <SYMBOL>.csv
+ *   --file        Fixture file (instead of --dir)
+ *   --store       Read every stored bar from the candle store instead (mongo | fs,
+ *                 default CANDLE_STORE)
+ *   --store-dir   Directory of an fs candle store (default CANDLE_STORE_DIR)
+ *   --from/--to   Limit step bars (ISO date or ms)
+ *   --horizon     Model set to replay (default 4h, see utils/horizons)
+ *   --step        Bars between predictions (default: the horizon in hours)
+ *   --threshold   Minimum confidence to take a position (default 0.5)
+ *   --strategy    Ensemble strategy (equal | static | accuracy | majority_vote)
+ *   --out         Write the full result (trades, equity curve, report) as JSON
+ *   --report      Write the metrics report as an HTML page
+ *   --fee-bps, --slippage-bps       Crypto costs (default 10 / 5)
+ *   --spread-pips, --slippage-pips  Forex costs (default 1.0 / 0.2)
+ *   --verbose     Keep feature engineering logs
+ */
+
+const fs = require('fs');
+const { classifyAsset } = require('../api/fetch-data');
+const { symbolRegistry } = require('../utils/symbol-registry');
+const { createCandleStore } = require('../utils/candle-store');
+const { toColumns } = require('../utils/providers/common');
+const {
+    loadCandleFile,
+    findFixture,
+    runBacktest,
+    CONFIG: BACKTEST_CONFIG
+} = require('../utils/backtest-engine');
+const { buildReport, renderReportHtml } = require('../utils/backtest-report');
+
+const COST_FLAGS = {
+    'fee-bps': 'fee_bps',
+    'slippage-bps': 'slippage_bps',
+    'spread-pips': 'spread_pips',
+    'slippage-pips': 'slippage_pips'
+};
+
+/**
+ * Every stored bar of a symbol as column data (timeframes with no bars
+ * are left out so the engine aggregates them from 1h)
+ */
+async function loadFromStore(args) {
+    const store = createCandleStore(
+        args.store === true ? undefined : args.store,
+        args['store-dir'] ? { dir: args['store-dir'] } : {}
+    );
+
+    const timeframes = BACKTEST_CONFIG.TIMEFRAMES;
+    const candles = {};
+    for (const timeframe of timeframes) {
+        candles[timeframe] = await store.range(args.symbol, timeframe);
+    }
+
+    if (candles['1h'].length === 0) {
+        throw new Error(`No stored 1h candles for ${args.symbol} in the ${store.name} candle store`);
+    }
+
+    console.log(`Loading ${args.symbol} from the ${store.name} candle store (${timeframes.map(tf => `${tf} ${candles[tf].length}`).join(', ')})`);
+
+    return Object.fromEntries(
+        Object.entries(toColumns(candles)).filter(([, values]) => values.length > 0)
+    );
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+        args[key] = value;
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.symbol || (!args.dir && !args.file && !args.store)) {
+        throw new Error('Usage: node scripts/backtest.js --symbol BTC/USDT (--dir <fixtures> | --file <candles> | --store [mongo|fs])');
+    }
+
+    await symbolRegistry.load();
+    const classification = classifyAsset(args.symbol);
+    if (!classification.valid) {
+        throw new Error(classification.error);
+    }
+
+    let candles;
+    if (args.store) {
+        candles = await loadFromStore(args);
+    } else {
+        const filePath = args.file || findFixture(args.dir, args.symbol);
+        console.log(`Loading ${filePath}`);
+        candles = loadCandleFile(filePath);
+    }
+
+    const result = await runBacktest(candles, {
+        symbol: args.symbol,
+        assetClass: classification.assetClass,
+        start: args.from,
+        end: args.to,
+        horizon: args.horizon,
+        step: args.step,
+        confidenceThreshold: args.threshold !== undefined ? parseFloat(args.threshold) : undefined,
+        ensembleStrategy: args.strategy,
+        verbose: args.verbose === true
+    });
+
+    const costs = {};
+    for (const [flag, key] of Object.entries(COST_FLAGS)) {
+        if (args[flag] !== undefined) costs[key] = parseFloat(args[flag]);
+    }
+
+    const report = buildReport(result, { costs });
+    const { summary, config } = result;
+    const pct = (value) => value === null ? 'n/a' : `${(value * 100).toFixed(2)}%`;
+
+    console.log('\n' + '═'.repeat(70));
+    console.log(`BACKTEST ${result.symbol} (${result.asset_class})`);
+    console.log('═'.repeat(70));
+    console.log(`Window:   ${config.start} → ${config.end}${config.truncated ? ' (truncated)' : ''}`);
+    console.log(`Policy:   ${config.horizon} horizon, step ${config.step} bars, threshold ${config.confidence_threshold}, ${config.ensemble_strategy} ensemble`);
+    console.log(`Steps:    ${summary.steps} (long ${summary.signals.long}, short ${summary.signals.short}, flat ${summary.signals.flat})`);
+    console.log(`Exposure: ${(summary.exposure * 100).toFixed(1)}%`);
+    console.log(`Equity:   ${summary.initial_equity} → ${report.returns.final_equity} net (gross ${pct(report.returns.cumulative_gross)}, net ${pct(report.returns.cumulative_net)})`);
+    console.log(`Risk:     Sharpe ${report.risk.sharpe ?? 'n/a'}, Sortino ${report.risk.sortino ?? 'n/a'}, max drawdown ${pct(report.risk.max_drawdown)}` +
+        (report.risk.max_drawdown_duration ? ` over ${report.risk.max_drawdown_duration.hours}h` : ''));
+    console.log(`Trades:   ${report.trades.count} (win rate ${pct(report.trades.win_rate)}, avg win ${pct(report.trades.avg_win)}, avg loss ${pct(report.trades.avg_loss)}, profit factor ${report.trades.profit_factor ?? 'n/a'})`);
+    console.log(`Costs:    ${JSON.stringify(report.costs.settings)} → drag ${pct(report.costs.total_drag)}, turnover ${report.activity.turnover}`);
+    console.log('═'.repeat(70) + '\n');
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify({ ...result, report }, null, 2));
+        console.log(`Full result written to ${args.out}`);
+    }
+
+    if (args.report) {
+        // Standalone page: the fragment uses the dashboard's CSS variables
+        fs.writeFileSync(args.report, `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Backtest ${result.symbol}</title>
+    <style>
+        :root { --glass-bg: rgba(255, 255, 255, 0.05); --gray-400: #9ca3af; }
+        body { background: #0f172a; font-family: sans-serif; max-width: 640px; margin: 32px auto; }
+    </style>
+</head>
+<body>${renderReportHtml(report)}</body>
+</html>
+`);
+        console.log(`Report written to ${args.report}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error(`❌ Backtest failed: ${error.message}`);
+        process.exit(1);
+    });
@@ -1,57 +1,76 @@
 /**
  * Verify all model files exist before deployment
  * This runs during Vercel build (via vercel-build script)
+ * 
+ * Every model set (utils/horizons) is checked against its manifest.json
+ * (utils/model-registry): each listed file must exist and match its sha256,
+ * and each model must list one feature per input column (manifest check).
+ * 
+ * Usage:
+ *   node scripts/verify-models.js            Verify
+ *   node scripts/verify-models.js --update   Rewrite manifest checksums from the files on disk
  */
 
 const fs = require('fs');
 const path = require('path');
+const { CONFIG: HORIZON_CONFIG } = require('../utils/horizons');
+const {
+    manifestPath,
+    loadManifest,
+    clearManifestCache,
+    sha256File,
+    verifyModelSet
+} = require('../utils/model-registry');
 
-const CRYPTO_MODELS = [
-    'temporal_transformer.keras',
-    'hybrid_transformer.keras',
-    'hierarchical_lstm.keras',
-    'bidirectional_attention.keras',
-    'multiscale_transformer.keras'
-];
-
-const FOREX_MODELS = [
-    'temporal_transformer.keras',
-    'hierarchical_lstm.keras',
-    'hybrid_transformer.keras',
-    'multiscale_transformer.keras'
-];
+function modelSets() {
+    return Object.entries(HORIZON_CONFIG.MODEL_SETS).flatMap(([assetClass, sets]) =>
+        Object.entries(sets).map(([horizon, { modelsDir }]) => ({ assetClass, horizon, modelsDir }))
+    );
+}
 
-function verifyModels(modelFiles, directory) {
-    const missing = [];
-    let totalSize = 0;
+function verifyModels(modelsDir) {
+    console.log(`\n📦 Verifying ${modelsDir}...`);
     
-    console.log(`\n📦 Verifying ${directory}...`);
+    const result = verifyModelSet(modelsDir);
+    const totalSize = result.present.reduce((sum, model) => sum + model.bytes, 0);
     
-    for (const file of modelFiles) {
-        const filePath = path.join(process.cwd(), directory, file);
-        
-        if (!fs.existsSync(filePath)) {
-            missing.push(file);
-            console.error(`  ❌ Missing: ${file}`);
-        } else {
-            const stats = fs.statSync(filePath);
-            const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
-            totalSize += stats.size;
-            console.log(`  ✅ ${file} (${sizeMB} MB)`);
-        }
+    for (const { file, bytes } of result.present) {
+        const status = result.mismatched.includes(file) ? '❌ Checksum mismatch' : '✅';
+        console.log(`  ${status} ${file} (${(bytes / 1024 / 1024).toFixed(2)} MB)`);
     }
+    result.missing.forEach(file => console.error(`  ❌ Missing: ${file}`));
+    result.unlisted.forEach(file => console.warn(`  ⚠️ Not in manifest (ignored): ${file}`));
     
-    if (missing.length > 0) {
+    const problems = [
+        ...result.missing.map(f => `  - ${f} (missing)`),
+        ...result.mismatched.map(f => `  - ${f} (sha256 differs from manifest)`)
+    ];
+    if (problems.length > 0) {
         throw new Error(
-            `Missing ${missing.length} model file(s) in ${directory}:\n` +
-            missing.map(f => `  - ${f}`).join('\n')
+            `${problems.length} model file(s) in ${modelsDir} do not match its manifest:\n` +
+            problems.join('\n')
         );
     }
     
     const totalMB = (totalSize / 1024 / 1024).toFixed(2);
-    console.log(`  ✓ All ${modelFiles.length} models present (${totalMB} MB total)`);
+    console.log(`  ✓ All ${result.expected} models present (${totalMB} MB total)`);
+    
+    return { count: result.expected, sizeMB: totalMB };
+}
+
+function updateChecksums(modelsDir) {
+    const manifest = loadManifest(modelsDir);
+    
+    for (const entry of manifest.models) {
+        const filePath = path.join(process.cwd(), modelsDir, entry.file);
+        if (fs.existsSync(filePath)) {
+            entry.sha256 = sha256File(filePath);
+        }
+    }
     
-    return { count: modelFiles.length, sizeMB: totalMB };
+    fs.writeFileSync(manifestPath(modelsDir), JSON.stringify(manifest, null, 2) + '\n');
+    clearManifestCache();
+    console.log(`  ✓ Updated checksums in ${path.join(modelsDir, 'manifest.json')}`);
 }
 
 try {
@@ -59,15 +78,23 @@ try {
     console.log('MODEL FILE VERIFICATION');
     console.log('═'.repeat(70));
     
-    const crypto = verifyModels(CRYPTO_MODELS, 'models/crypto');
-    const forex = verifyModels(FOREX_MODELS, 'models/forex');
+    const sets = modelSets();
+    
+    if (process.argv.includes('--update')) {
+        sets.forEach(({ modelsDir }) => updateChecksums(modelsDir));
+    }
+    
+    const results = sets.map(set => ({ ...set, ...verifyModels(set.modelsDir) }));
+    const totalCount = results.reduce((sum, r) => sum + r.count, 0);
+    const totalMB = results.reduce((sum, r) => sum + parseFloat(r.sizeMB), 0);
     
     console.log('\n' + '═'.repeat(70));
     console.log('✅ VERIFICATION PASSED');
     console.log('═'.repeat(70));
-    console.log(`Crypto: ${crypto.count} models (${crypto.sizeMB} MB)`);
-    console.log(`Forex: ${forex.count} models (${forex.sizeMB} MB)`);
-    console.log(`Total: ${crypto.count + forex.count} models (${(parseFloat(crypto.sizeMB) + parseFloat(forex.sizeMB)).toFixed(2)} MB)`);
+    for (const r of results) {
+        console.log(`${r.assetClass} ${r.horizon}: ${r.count} models (${r.sizeMB} MB)`);
+    }
+    console.log(`Total: ${totalCount} models (${totalMB.toFixed(2)} MB)`);
     console.log('═'.repeat(70) + '\n');
     
     process.exit(0);
@@ -80,10 +107,10 @@ try {
     console.error('═'.repeat(70) + '\n');
     
     console.error('SOLUTION:');
-    console.error('1. Ensure all .keras files are committed to git');
-    console.error('2. Check models/crypto/ and models/forex/ directories');
-    console.error('3. Run: git status to verify models are tracked');
+    console.error('1. Ensure all .keras files and manifest.json are committed to git');
+    console.error('2. Check each model directory against its manifest.json');
+    console.error('3. After retraining, run: npm run verify-models -- --update');
     console.error('');
     
     process.exit(1);
-}
\ No newline at end of file
+}
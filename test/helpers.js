@@ -0,0 +1,67 @@
+/**
+ * Test Helpers - Shared fixtures for the test scripts
+ *
+ * - mockResponse: the Vercel response object the handlers write to
+ * - buildCandles: hourly candles on a smooth sine wave
+ * - steppedCandles: candles rising by 1 per bar, at any interval
+ *
+ * Not a test itself: required by the test/test-*.js scripts.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Response that records the status code and JSON body a handler sends
+ *
+ * @returns {Object} { statusCode, body, setHeader, status, json, end }
+ */
+function mockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    setHeader() {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; }
+  };
+}
+
+/**
+ * Hourly candles from 2024-01-01 UTC on a sine wave around 100
+ *
+ * @param {Number} hours - Number of candles
+ * @param {Object} options - { drift: close added per bar (default 0) }
+ * @returns {Array<Object>} [{ timestamp, open, high, low, close, volume }]
+ */
+function buildCandles(hours, { drift = 0 } = {}) {
+  const start = Date.UTC(2024, 0, 1);
+  return Array.from({ length: hours }, (_, i) => {
+    const close = 100 + Math.sin(i / 9) * 3 + i * drift;
+    return { timestamp: start + i * HOUR_MS, open: close, high: close + 0.5, low: close - 0.5, close, volume: 10 };
+  });
+}
+
+/**
+ * Candles rising by 1 per bar
+ *
+ * @param {Number} count - Number of candles
+ * @param {Number} stepMs - Interval between candles
+ * @param {Number} start - First timestamp (default 2024-01-01 UTC)
+ * @returns {Array<Object>} [{ timestamp, open, high, low, close, volume }]
+ */
+function steppedCandles(count, stepMs, start = Date.UTC(2024, 0, 1)) {
+  return Array.from({ length: count }, (_, i) => ({
+    timestamp: start + i * stepMs,
+    open: 100 + i,
+    high: 101 + i,
+    low: 99 + i,
+    close: 100.5 + i,
+    volume: 10
+  }));
+}
+
+module.exports = {
+  mockResponse,
+  buildCandles,
+  steppedCandles
+};
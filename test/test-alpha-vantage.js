@@ -0,0 +1,217 @@
+/**
+ * Test Alpha Vantage Forex Fallback
+ *
+ * Replays recorded Alpha Vantage responses (test/fixtures/alphavantage)
+ * through the forex fetcher, no network:
+ * 1. FX_INTRADAY/FX_DAILY normalise to chronological UTC 1h/4h/1d arrays
+ * 2. Each fetch spends two calls from the shared quota ledger
+ * 3. The 5 calls/min and 25 calls/day budgets stop a fetch before it
+ *    starts; QUOTA_ALPHAVANTAGE_DAILY raises the daily one
+ * 4. Rate-limit notes surface as QUOTA_EXHAUSTED, API errors as failures
+ * 5. The fallback chain reaches Alpha Vantage after Twelve Data and EODHD
+ *
+ * Run: node test/test-alpha-vantage.js
+ */
+
+// Keep the shared ledger in memory and stay off EODHD for this run
+delete process.env.MONGODB_URI;
+delete process.env.EODHD_KEY;
+process.env.ALPHA_VANTAGE_KEY = 'test-key';
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { quotaLedger, MemoryQuotaStore } = require('../utils/quota-ledger');
+const alphaVantage = require('../utils/providers/alphavantage');
+const {
+  fetchForexDataAlphaVantage,
+  fetchForexDataWithSource,
+  validateForexData
+} = require('../api/forex-data-fetcher');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'alphavantage');
+
+function fixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Serve recorded responses by Alpha Vantage function; Twelve Data is down
+ */
+function replay(overrides = {}) {
+  const requests = [];
+  axios.get = async (url, { params }) => {
+    requests.push({ url, params });
+
+    if (url.includes('twelvedata')) {
+      throw new Error('connect ECONNREFUSED');
+    }
+
+    const responses = {
+      FX_INTRADAY: 'fx_intraday_EURUSD',
+      FX_DAILY: 'fx_daily_EURUSD',
+      ...overrides
+    };
+    return { status: 200, data: fixture(responses[params.function]) };
+  };
+  return requests;
+}
+
+async function testAlphaVantage() {
+  console.log('\n' + '='.repeat(70));
+  console.log('ALPHA VANTAGE TEST');
+  console.log('='.repeat(70));
+
+  const originalGet = axios.get;
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = () => {};
+  console.error = () => {};
+
+  let result, requests, callsUsed, limited, limitedCalls, noted, invalid, chain;
+  let dailyLimit, exhausted, exhaustedCalls, paidLimit;
+  const originalBudget = quotaLedger.providers.alphavantage;
+
+  try {
+    // ====== NORMALISATION ======
+    quotaLedger.store = new MemoryQuotaStore();
+    requests = replay();
+    result = await fetchForexDataAlphaVantage('EURUSD');
+    callsUsed = (await quotaLedger.getStatus('alphavantage')).per_minute.used;
+
+    // ====== PER-MINUTE BUDGET (4 of 5 used) ======
+    quotaLedger.store = new MemoryQuotaStore();
+    await quotaLedger.reserve('alphavantage', 4);
+    const limitedRequests = replay();
+    limited = await fetchForexDataAlphaVantage('EURUSD');
+    limitedCalls = limitedRequests.length;
+
+    // ====== DAILY BUDGET (24 of 25 used, across minutes) ======
+    quotaLedger.store = new MemoryQuotaStore();
+    dailyLimit = (await quotaLedger.getStatus('alphavantage')).daily.limit;
+    quotaLedger.setBudget('alphavantage', { ...originalBudget, perMinute: null });
+    await quotaLedger.reserve('alphavantage', 24);
+    quotaLedger.providers.alphavantage = originalBudget;
+    const exhaustedRequests = replay();
+    exhausted = await fetchForexDataAlphaVantage('EURUSD');
+    exhaustedCalls = exhaustedRequests.length;
+
+    process.env.QUOTA_ALPHAVANTAGE_DAILY = '75';
+    quotaLedger.setBudget('alphavantage', { name: alphaVantage.label, ...alphaVantage.rateLimits });
+    paidLimit = quotaLedger.providers.alphavantage.daily;
+    delete process.env.QUOTA_ALPHAVANTAGE_DAILY;
+    quotaLedger.providers.alphavantage = originalBudget;
+
+    // ====== RECORDED ERROR RESPONSES ======
+    quotaLedger.store = new MemoryQuotaStore();
+    replay({ FX_INTRADAY: 'rate_limit' });
+    noted = await fetchForexDataAlphaVantage('EURUSD');
+
+    replay({ FX_DAILY: 'invalid_call' });
+    invalid = await fetchForexDataAlphaVantage('EURUSD');
+
+    // ====== FALLBACK CHAIN ======
+    quotaLedger.store = new MemoryQuotaStore();
+    replay();
+    chain = await fetchForexDataWithSource('EURUSD');
+  } finally {
+    delete process.env.QUOTA_ALPHAVANTAGE_DAILY;
+    quotaLedger.providers.alphavantage = originalBudget;
+    axios.get = originalGet;
+    console.log = originalLog;
+    console.error = originalError;
+  }
+
+  const data = result.data;
+  const hourly = data['1h_timestamp'] || [];
+  const intradayParams = requests.find(r => r.params.function === 'FX_INTRADAY')?.params || {};
+  const validation = validateForexData(data);
+
+  const checks = [
+    {
+      name: 'Timeframes normalised',
+      pass: result.success && validation.valid && hourly.length === 100 &&
+        data['4h_close'].length === 25 && data['1d_close'].length === 30,
+      message: `1h=${hourly.length}, 4h=${data['4h_close']?.length}, 1d=${data['1d_close']?.length}`
+    },
+    {
+      name: 'Chronological UTC timestamps',
+      pass: hourly.every((t, i) => i === 0 || t > hourly[i - 1]) &&
+        hourly[hourly.length - 1] === Date.UTC(2024, 0, 19, 20) &&
+        data['1d_timestamp'][data['1d_timestamp'].length - 1] === Date.UTC(2024, 0, 19) &&
+        data['1h_close'][hourly.length - 1] === 1.09653,
+      message: `last 1h bar ${new Date(hourly[hourly.length - 1]).toISOString()}`
+    },
+    {
+      // The 1h window opens at 17:00, so the first whole 4h bar opens at 20:00
+      name: '4h bars aggregate four 1h bars',
+      pass: data['4h_timestamp'][0] === Date.UTC(2024, 0, 15, 20) &&
+        data['4h_timestamp'][0] === hourly[3] &&
+        data['4h_open'][0] === data['1h_open'][3] &&
+        data['4h_close'][0] === data['1h_close'][6] &&
+        data['4h_high'][0] === Math.max(...data['1h_high'].slice(3, 7)),
+      message: `first 4h bar ${new Date(data['4h_timestamp'][0]).toISOString()}, close ${data['4h_close'][0]}`
+    },
+    {
+      name: 'Requests use FX symbols and key',
+      pass: requests.length === 2 && intradayParams.from_symbol === 'EUR' &&
+        intradayParams.to_symbol === 'USD' && intradayParams.interval === '60min' &&
+        intradayParams.apikey === 'test-key' && callsUsed === 2,
+      message: `${requests.length} requests, ${callsUsed} ledger calls`
+    },
+    {
+      name: 'Per-minute budget stops fetch before it starts',
+      pass: !limited.success && limited.quotaExhausted && limitedCalls === 0,
+      message: limited.error
+    },
+    {
+      name: 'Free-tier daily budget stops fetch before it starts',
+      pass: dailyLimit === 25 && !exhausted.success && exhausted.quotaExhausted && exhaustedCalls === 0 &&
+        paidLimit === 75,
+      message: `limit ${dailyLimit} (${paidLimit} with QUOTA_ALPHAVANTAGE_DAILY): ${exhausted.error}`
+    },
+    {
+      name: 'Rate-limit note is QUOTA_EXHAUSTED',
+      pass: !noted.success && noted.quotaExhausted && noted.error.includes('5 calls per minute'),
+      message: noted.error.slice(0, 60)
+    },
+    {
+      name: 'API error message is a plain failure',
+      pass: !invalid.success && !invalid.quotaExhausted && invalid.error.startsWith('Invalid API call'),
+      message: invalid.error.slice(0, 60)
+    },
+    {
+      name: 'Fallback chain reaches Alpha Vantage',
+      pass: chain.source === 'AlphaVantage' && chain.data['1h_close'].length === 100,
+      message: `source ${chain.source}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testAlphaVantage().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testAlphaVantage };
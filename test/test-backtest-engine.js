@@ -0,0 +1,200 @@
+/**
+ * Test Backtest Engine
+ *
+ * Tests the walk-forward replay offline with an in-memory pipeline
+ * (the live feature engineers and .keras models are not loaded):
+ * 1. CSV fixtures load and resolve by symbol
+ * 2. 1h candles aggregate into calendar-aligned 4h bars
+ * 3. Policy maps calls to long/short/flat
+ * 4. Simulation compounds returns into trades and equity
+ * 5. No step sees a bar that had not closed yet
+ * 6. Appending future candles never changes earlier calls
+ * 7. Feature engineering logs through the logger it is handed, not console
+ *
+ * Run: node test/test-backtest-engine.js
+ */
+
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+const {
+  CONFIG,
+  loadCandleFile,
+  findFixture,
+  buildSeries,
+  positionFor,
+  simulate,
+  runBacktest
+} = require('../utils/backtest-engine');
+const { combinePredictions } = require('../utils/ensemble-strategies');
+const { intervalMs } = require('../utils/timeframes');
+const { buildCandles } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const FIXTURES = path.join(__dirname, 'fixtures', 'backtest');
+
+/**
+ * Pipeline with one momentum feature and a model that follows it
+ * Records every window it is handed so look-ahead can be checked
+ */
+function buildPipeline(windows, loggers = []) {
+  return {
+    engineFeatures: (window, symbol, timeframes, { logger } = {}) => {
+      windows.push(window);
+      loggers.push({ logger, consoleLog: console.log });
+      return { success: true, engineeredData: window, featureList: ['momentum'] };
+    },
+    extractVector: (engineered) => {
+      const closes = engineered['1h_close'];
+      return [closes[closes.length - 1] - closes[closes.length - 4]];
+    },
+    ensemble: (predictions, options) => {
+      const combined = combinePredictions(predictions, options);
+      return {
+        className: CONFIG.CLASS_NAMES[combined.predictedClass],
+        confidence: combined.probabilities[combined.predictedClass]
+      };
+    },
+    loadModels: async () => [{
+      name: 'momentum',
+      model: {
+        predict: (input) => tf.tensor2d(input.arraySync().map(([m]) =>
+          m > 0.2 ? [0.1, 0.2, 0.7] : m < -0.2 ? [0.7, 0.2, 0.1] : [0.2, 0.6, 0.2]
+        ))
+      }
+    }]
+  };
+}
+
+async function testBacktestEngine() {
+  console.log('\n' + '='.repeat(70));
+  console.log('BACKTEST ENGINE TEST');
+  console.log('='.repeat(70));
+
+  const fixture = loadCandleFile(findFixture(FIXTURES, 'BTC/USDT'));
+  const fourHour = buildSeries(fixture)['4h'];
+
+  const simulated = simulate([
+    { timestamp: 0, exit_timestamp: 1, entry_price: 100, exit_price: 110, bars: 1, position: 1, confidence: 0.7 },
+    { timestamp: 1, exit_timestamp: 2, entry_price: 110, exit_price: 121, bars: 1, position: 1, confidence: 0.7 },
+    { timestamp: 2, exit_timestamp: 3, entry_price: 121, exit_price: 108.9, bars: 1, position: -1, confidence: 0.6 },
+    { timestamp: 3, exit_timestamp: 4, entry_price: 108.9, exit_price: 120, bars: 1, position: 0, confidence: 0.4 }
+  ], 1000);
+
+  // 30 days of hourly candles; the 1d warm-up needs 20 closed days
+  const candles = buildCandles(30 * 24, { drift: 0.01 });
+  const windows = [];
+  const loggers = [];
+  const originalLog = console.log;
+  const full = await runBacktest(candles, {
+    symbol: 'TEST', assetClass: 'crypto', pipeline: buildPipeline(windows, loggers), ensembleStrategy: 'equal'
+  });
+  const verboseLoggers = [];
+  await runBacktest(candles.slice(0, 22 * 24), {
+    symbol: 'TEST', assetClass: 'crypto', pipeline: buildPipeline([], verboseLoggers), ensembleStrategy: 'equal', verbose: true
+  });
+  const partial = await runBacktest(candles.slice(0, 27 * 24), {
+    symbol: 'TEST', assetClass: 'crypto', pipeline: buildPipeline([]), ensembleStrategy: 'equal'
+  });
+
+  const leaks = windows.filter(window => {
+    const now = window['1h_timestamp'][window['1h_timestamp'].length - 1] + HOUR_MS;
+    return ['4h', '1d'].some(tf => {
+      const stamps = window[`${tf}_timestamp`];
+      return stamps[stamps.length - 1] + intervalMs(tf) > now;
+    });
+  });
+
+  // Every call made on the shorter history must match the full run
+  const shared = partial.equity_curve.length - 1;
+  const stable = full.equity_curve.slice(0, shared).every((point, i) =>
+    point.class === partial.equity_curve[i].class &&
+    point.confidence === partial.equity_curve[i].confidence
+  );
+
+  const checks = [
+    {
+      name: 'CSV fixture resolves by symbol',
+      pass: fixture.length === 6 && fixture[5].close === 42688.6,
+      message: `${fixture.length} candles`
+    },
+    {
+      name: '4h bars are calendar-aligned',
+      pass: fourHour.length === 2 && fourHour[0].close === 42512.9 &&
+        fourHour[0].high === 42745.8 && fourHour[1].open === 42512.9,
+      message: fourHour.map(c => new Date(c.timestamp).toISOString().slice(11, 16)).join(', ')
+    },
+    {
+      name: 'Policy respects threshold',
+      pass: positionFor({ className: 'UP', confidence: 0.6 }, 0.5) === 1 &&
+        positionFor({ className: 'DOWN', confidence: 0.6 }, 0.5) === -1 &&
+        positionFor({ className: 'UP', confidence: 0.4 }, 0.5) === 0 &&
+        positionFor({ className: 'NEUTRAL', confidence: 0.9 }, 0.5) === 0,
+      message: 'long / short / flat'
+    },
+    {
+      name: 'Trades and equity compound',
+      pass: simulated.trades.length === 2 &&
+        simulated.trades[0].direction === 'long' && simulated.trades[0].return === 0.21 &&
+        simulated.trades[1].direction === 'short' && simulated.trades[1].return === 0.1 &&
+        simulated.summary.final_equity === 1331 && simulated.summary.exposure === 0.75,
+      message: `equity ${simulated.summary.final_equity}, trades ${simulated.trades.map(t => t.return).join(', ')}`
+    },
+    {
+      name: 'Warm-up steps skipped',
+      pass: full.skipped.warmup > 0 && full.summary.steps > 0 &&
+        full.config.step === 4 && new Date(full.config.start).getUTCDate() >= 21,
+      message: `${full.skipped.warmup} warm-up, ${full.summary.steps} steps from ${full.config.start}`
+    },
+    {
+      name: 'No step sees an open bar',
+      pass: windows.length > 0 && leaks.length === 0,
+      message: `${leaks.length}/${windows.length} windows leak`
+    },
+    {
+      name: 'Future candles do not change past calls',
+      pass: shared > 0 && stable,
+      message: `${shared} shared steps`
+    },
+    {
+      name: 'Trade log covers positioned steps',
+      pass: full.summary.trades > 0 &&
+        full.summary.signals.long + full.summary.signals.short + full.summary.signals.flat === full.summary.steps,
+      message: `${full.summary.trades} trades, return ${(full.summary.total_return * 100).toFixed(2)}%`
+    },
+    {
+      name: 'Engineering logs through the logger, console untouched',
+      pass: loggers.length > 0 &&
+        loggers.every(({ logger, consoleLog }) => logger && logger !== console && consoleLog === originalLog) &&
+        verboseLoggers.length > 0 && verboseLoggers.every(({ logger }) => logger === console),
+      message: `${loggers.length} quiet steps, ${verboseLoggers.length} verbose steps`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testBacktestEngine().catch(error => {
+    console.error('❌ Test error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testBacktestEngine };
@@ -0,0 +1,138 @@
+/**
+ * Test Backtest Report
+ *
+ * Tests the metrics report on a hand-built backtest result:
+ * 1. Costs are charged per unit traded (a flip is 2 units)
+ * 2. Trade stats are net of entry and exit costs
+ * 3. Forex costs convert pips at the pair's pip size
+ * 4. Max drawdown depth, duration and recovery
+ * 5. Sharpe/Sortino sign and HTML rendering
+ *
+ * Run: node test/test-backtest-report.js
+ */
+
+const {
+  costPerUnit,
+  drawdownStats,
+  buildReport,
+  renderReportHtml
+} = require('../utils/backtest-report');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function buildResult(symbol = 'BTC/USDT') {
+  const start = Date.UTC(2024, 0, 1);
+  const at = (i) => new Date(start + i * 4 * HOUR_MS).toISOString();
+
+  // long +10%, long +10%, short +10% (price falls), flat
+  return {
+    symbol,
+    asset_class: 'crypto',
+    config: { step: 4, start: at(0) },
+    summary: { initial_equity: 1000, total_return: 0.331 },
+    equity_curve: [
+      { timestamp: at(1), price: 100, position: 1, return: 0.1, equity: 1100 },
+      { timestamp: at(2), price: 110, position: 1, return: 0.1, equity: 1210 },
+      { timestamp: at(3), price: 121, position: -1, return: 0.1, equity: 1331 },
+      { timestamp: at(4), price: 108.9, position: 0, return: 0, equity: 1331 }
+    ]
+  };
+}
+
+function testBacktestReport() {
+  console.log('\n' + '='.repeat(70));
+  console.log('BACKTEST REPORT TEST');
+  console.log('='.repeat(70));
+
+  const costs = { fee_bps: 10, slippage_bps: 0 };
+  const report = buildReport(buildResult(), { costs });
+  const free = buildReport(buildResult(), { costs: { fee_bps: 0, slippage_bps: 0 } });
+
+  // Costs come off each step's return: entry, hold, flip (2 units), exit
+  const expectedNet = 1.099 * 1.1 * 1.098 * 0.999 - 1;
+  const expectedFirstTrade = 0.999 * 1.1 * 1.1 * 0.999 - 1;
+
+  const eurusd = costPerUnit('forex', { spread_pips: 1, slippage_pips: 0.2 }, 1.1, 'EURUSD');
+  const usdjpy = costPerUnit('forex', { spread_pips: 1, slippage_pips: 0.2 }, 150, 'USDJPY');
+
+  const stamps = [0, 1, 2, 3, 4, 5].map(i => new Date(i * HOUR_MS).toISOString());
+  const unrecovered = drawdownStats([100, 110, 99, 88, 120, 90], stamps);
+  const recovered = drawdownStats([100, 80, 90, 100, 101, 101], stamps);
+
+  const html = renderReportHtml(buildReport(buildResult('A<B'), { costs }));
+
+  const checks = [
+    {
+      name: 'Flip counts as two units',
+      pass: report.activity.turnover === 4 && Math.abs(report.costs.total_drag - 0.004) < 1e-9,
+      message: `turnover ${report.activity.turnover}, drag ${report.costs.total_drag}`
+    },
+    {
+      name: 'Net return compounds costs',
+      pass: Math.abs(report.returns.cumulative_net - expectedNet) < 1e-6 &&
+        report.returns.cumulative_gross === 0.331 && free.returns.cumulative_net === 0.331,
+      message: `net ${report.returns.cumulative_net} (expected ${expectedNet.toFixed(6)})`
+    },
+    {
+      name: 'Trades net of entry and exit costs',
+      pass: report.trades.count === 2 && report.trades.win_rate === 1 &&
+        Math.abs(report.trades.avg_win - (expectedFirstTrade + (0.999 * 1.1 * 0.999 - 1)) / 2) < 1e-6 &&
+        report.trades.avg_loss === null && report.trades.profit_factor === null,
+      message: `avg win ${report.trades.avg_win}`
+    },
+    {
+      name: 'Forex pips use pair pip size',
+      pass: Math.abs(eurusd - 0.7 * 0.0001 / 1.1) < 1e-12 && Math.abs(usdjpy - 0.7 * 0.01 / 150) < 1e-12,
+      message: `EURUSD ${eurusd.toExponential(3)}, USDJPY ${usdjpy.toExponential(3)}`
+    },
+    {
+      name: 'Deepest drawdown not recovered',
+      pass: unrecovered.max_drawdown === 0.25 && unrecovered.duration.steps === 1 &&
+        unrecovered.duration.recovered_at === null,
+      message: JSON.stringify(unrecovered)
+    },
+    {
+      name: 'Drawdown duration until recovery',
+      pass: recovered.max_drawdown === 0.2 && recovered.duration.steps === 3 &&
+        recovered.duration.hours === 3 && recovered.duration.recovered_at === stamps[3],
+      message: `${recovered.duration.steps} steps, recovered ${recovered.duration.recovered_at}`
+    },
+    {
+      name: 'Risk ratios and exposure',
+      pass: report.risk.sharpe > 0 && report.risk.sortino > 0 &&
+        report.activity.exposure === 0.75 && report.equity.length === 5,
+      message: `Sharpe ${report.risk.sharpe}, Sortino ${report.risk.sortino}`
+    },
+    {
+      name: 'HTML fragment renders and escapes',
+      pass: html.includes('Sharpe') && html.includes('<svg') &&
+        html.includes('A&lt;B') && !html.includes('A<B'),
+      message: `${html.length} chars`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testBacktestReport();
+}
+
+module.exports = { testBacktestReport };
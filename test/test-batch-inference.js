@@ -0,0 +1,165 @@
+/**
+ * Test Batch Inference
+ *
+ * Tests batched inference offline with small in-memory models:
+ * 1. One tensor covers every row
+ * 2. Batched output matches row-by-row output
+ * 3. A failing model is reported without failing the batch
+ * 4. Ragged feature rows are rejected
+ * 5. No tensors leak
+ * 6. A DOWN/UP model is mapped into [down, neutral, up] order
+ *
+ * Run: node test/test-batch-inference.js
+ */
+
+const tf = require('@tensorflow/tfjs');
+const { runBatchedInference, validateFeatureRows } = require('../utils/batch-inference');
+
+const NUM_FEATURES = 8;
+
+function buildModel(seed, units = 3) {
+  const model = tf.sequential();
+  model.add(tf.layers.dense({
+    inputShape: [NUM_FEATURES],
+    units,
+    activation: 'softmax',
+    kernelInitializer: tf.initializers.randomNormal({ seed })
+  }));
+  return model;
+}
+
+async function testBatchInference() {
+  console.log('\n' + '='.repeat(70));
+  console.log('BATCH INFERENCE TEST');
+  console.log('='.repeat(70));
+
+  const models = [
+    { name: 'model_a', model: buildModel(1) },
+    { name: 'model_b', model: buildModel(2) },
+    { name: 'broken', model: { predict: () => { throw new Error('boom'); } } }
+  ];
+
+  const rows = [0, 1, 2, 3].map(r =>
+    Array.from({ length: NUM_FEATURES }, (_, i) => Math.sin(r * NUM_FEATURES + i))
+  );
+
+  // Record what each model receives to confirm one input tensor per batch
+  const inputs = [];
+  for (const entry of models) {
+    const predict = entry.model.predict.bind(entry.model);
+    entry.model.predict = (input) => {
+      inputs.push({ id: input.id, shape: input.shape });
+      return predict(input);
+    };
+  }
+
+  const tensorsBefore = tf.memory().numTensors;
+  const { rowPredictions, modelResults } = await runBatchedInference(models, rows);
+  const tensorsAfter = tf.memory().numTensors;
+  const batchInputs = inputs.slice();
+
+  // Reference: row-by-row prediction for the first model
+  const single = models[0].model.predict(tf.tensor2d([rows[2]]));
+  const singleValues = (await single.array())[0];
+  single.dispose();
+
+  const maxDiff = Math.max(...singleValues.map((v, i) => Math.abs(v - rowPredictions[2][0][i])));
+
+  // Two-class model, as in the forex manifest: [DOWN, UP]
+  const binary = [
+    { name: 'binary', model: { predict: (input) => tf.tensor2d(Array.from({ length: input.shape[0] }, () => [0.3, 0.7])) }, classes: ['DOWN', 'UP'] },
+    { name: 'reversed', model: buildModel(3, 2), classes: ['UP', 'DOWN'] }
+  ];
+  const binaryRun = await runBatchedInference(binary, rows);
+  const reversed = binary[1].model.predict(tf.tensor2d([rows[0]]));
+  const [reversedUp, reversedDown] = (await reversed.array())[0];
+  reversed.dispose();
+
+  let raggedError = null;
+  try {
+    validateFeatureRows([[1, 2, 3], [1, 2]]);
+  } catch (error) {
+    raggedError = error.message;
+  }
+
+  const checks = [
+    {
+      name: 'Single input tensor',
+      pass: batchInputs.length === models.length &&
+        new Set(batchInputs.map(i => i.id)).size === 1 &&
+        batchInputs[0].shape[0] === rows.length,
+      message: `${new Set(batchInputs.map(i => i.id)).size} input tensor(s) of shape [${batchInputs[0].shape}] for ${models.length} models`
+    },
+    {
+      name: 'Predictions per row',
+      pass: rowPredictions.length === rows.length && rowPredictions.every(p => p.length === 2),
+      message: rowPredictions.map(p => p.length).join(', ')
+    },
+    {
+      name: 'Batched matches row-by-row',
+      pass: maxDiff < 1e-6,
+      message: `max diff ${maxDiff.toExponential(2)}`
+    },
+    {
+      name: 'Failing model reported',
+      pass: modelResults.length === 3 &&
+        modelResults[2].success === false &&
+        modelResults[2].error === 'boom',
+      message: modelResults.map(r => `${r.model}=${r.success ? 'ok' : r.error}`).join(', ')
+    },
+    {
+      name: 'Latency recorded',
+      pass: modelResults.every(r => typeof r.latency_ms === 'number'),
+      message: modelResults.map(r => `${r.latency_ms}ms`).join(', ')
+    },
+    {
+      name: 'Ragged rows rejected',
+      pass: raggedError !== null,
+      message: raggedError || 'accepted'
+    },
+    {
+      name: 'Two-class model mapped into class order',
+      pass: binaryRun.modelResults.every(r => r.success) &&
+        binaryRun.rowPredictions.every(p => p.length === 2 && p.every(probs => probs.length === 3)) &&
+        [0.3, 0, 0.7].every((p, i) => Math.abs(binaryRun.rowPredictions[0][0][i] - p) < 1e-6) &&
+        Math.abs(binaryRun.rowPredictions[0][1][0] - reversedDown) < 1e-6 &&
+        binaryRun.rowPredictions[0][1][1] === 0 &&
+        Math.abs(binaryRun.rowPredictions[0][1][2] - reversedUp) < 1e-6,
+      message: binaryRun.modelResults.map(r => `${r.model}=${r.success ? 'ok' : r.error}`).join(', ') +
+        `, row 0 ${JSON.stringify(binaryRun.rowPredictions[0]?.[0])}`
+    },
+    {
+      name: 'No tensor leaks',
+      pass: tensorsAfter === tensorsBefore,
+      message: `${tensorsBefore} → ${tensorsAfter} tensors`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testBatchInference().catch(error => {
+    console.error('❌ Test error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testBatchInference };
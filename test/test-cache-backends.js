@@ -0,0 +1,204 @@
+/**
+ * Test Cache Backends
+ *
+ * Tests the pluggable DataOrchestrator cache offline:
+ * 1. Memory backend round-trip, expiry and stale fallback
+ * 2. Filesystem backend shares entries between cache instances
+ * 3. Hit/miss stats are aggregated across instances
+ * 4. Stale-while-revalidate serves expired candles and refreshes once,
+ *    and GET /api/fetch-data reports them as stale
+ * 5. A failing backend drops to memory instead of failing the fetch
+ *
+ * Run: node test/test-cache-backends.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cryptoFetcher = require('../api/crypto-data-fetcher');
+const fetchData = require('../api/fetch-data');
+const {
+  orchestrator,
+  IntelligentCache,
+  CONFIG
+} = require('../api/fetch-data');
+const {
+  MemoryCacheBackend,
+  FileCacheBackend,
+  createCacheBackend
+} = require('../utils/cache-backends');
+const { mockResponse } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function buildCandles(close) {
+  const data = {};
+  for (const [tf, length] of [['1h', 60], ['4h', 30], ['1d', 30]]) {
+    for (const field of ['open', 'high', 'low', 'close', 'volume']) {
+      data[`${tf}_${field}`] = new Array(length).fill(field === 'volume' ? 1000 : close);
+    }
+  }
+  return data;
+}
+
+async function testCacheBackends() {
+  console.log('\n' + '='.repeat(70));
+  console.log('CACHE BACKENDS TEST');
+  console.log('='.repeat(70));
+
+  // ====== MEMORY ======
+  const memory = new IntelligentCache(new MemoryCacheBackend());
+  await memory.set('BTC/USDT', { close: 1 }, HOUR_MS, { source: 'Binance' });
+  await memory.set('EURUSD', { close: 2 }, -1000);
+  const memoryHit = await memory.get('BTC/USDT');
+  const memoryExpired = await memory.get('EURUSD');
+  const memoryStale = await memory.getStale('EURUSD', HOUR_MS);
+  const memoryStats = await memory.getStats();
+
+  // ====== FILESYSTEM: two instances sharing one directory ======
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  const first = new IntelligentCache(new FileCacheBackend({ dir }));
+  const second = new IntelligentCache(createCacheBackend('fs', { dir }));
+
+  await first.set('ETH/USDT', { close: 3 }, HOUR_MS, { source: 'CoinGecko' });
+  const shared = await second.get('ETH/USDT');
+  await second.get('SOL/USDT');
+  await first.get('ETH/USDT');
+  await first.get('ETH/USDT');
+  const firstStats = await first.getStats();
+  const secondStats = await second.getStats();
+
+  // ====== STALE-WHILE-REVALIDATE ======
+  const originalFetch = cryptoFetcher.fetchCryptoDataWithSource;
+  const originalCache = orchestrator.cache;
+  const originalLog = console.log;
+  let fetchCount = 0;
+
+  cryptoFetcher.fetchCryptoDataWithSource = async () => {
+    fetchCount++;
+    return { data: buildCandles(200), source: 'Binance', synthetic: false };
+  };
+  orchestrator.cache = new IntelligentCache(new MemoryCacheBackend());
+  CONFIG.STALE_WHILE_REVALIDATE_MS = HOUR_MS;
+
+  // Expired five minutes ago: inside the revalidate window
+  await orchestrator.cache.backend.set('BTC/USDT', {
+    value: buildCandles(100),
+    meta: { source: 'Binance', synthetic: false },
+    timestamp: Date.now() - 65 * 60 * 1000,
+    expiresAt: Date.now() - 5 * 60 * 1000,
+    durationMs: HOUR_MS
+  });
+
+  console.log = () => {};
+  let staleResult;
+  let refreshed;
+  const staleResponse = mockResponse();
+  try {
+    staleResult = await orchestrator.fetchDataWithSource('BTC/USDT');
+    await fetchData({ method: 'GET', query: { symbol: 'BTC/USDT' } }, staleResponse);
+    await orchestrator.revalidating.get('BTC/USDT');
+    refreshed = await orchestrator.fetchDataWithSource('BTC/USDT');
+  } finally {
+    console.log = originalLog;
+  }
+
+  // ====== BACKEND FAILURE ======
+  const broken = new IntelligentCache({
+    name: 'mongo',
+    get: async () => { throw new Error('connection refused'); }
+  });
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const brokenGet = await broken.get('BTC/USDT');
+  await broken.set('BTC/USDT', { close: 4 }, HOUR_MS);
+  const recovered = await broken.get('BTC/USDT');
+  console.warn = originalWarn;
+
+  cryptoFetcher.fetchCryptoDataWithSource = originalFetch;
+  orchestrator.cache = originalCache;
+  CONFIG.STALE_WHILE_REVALIDATE_MS = 0;
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const checks = [
+    {
+      name: 'Memory round-trip and expiry',
+      pass: memoryHit?.value.close === 1 && memoryHit.meta.source === 'Binance' &&
+        memoryHit.stale === false && memoryExpired === null &&
+        memoryStale?.stale === true && memoryStale.value.close === 2,
+      message: `hit ${JSON.stringify(memoryHit?.value)}, stale ${JSON.stringify(memoryStale?.value)}`
+    },
+    {
+      name: 'Memory stats',
+      pass: memoryStats.backend === 'memory' && memoryStats.hits === 1 &&
+        memoryStats.evictions === 1 && memoryStats.itemsInCache === 2,
+      message: JSON.stringify(memoryStats)
+    },
+    {
+      name: 'Filesystem entries shared between instances',
+      pass: shared?.value.close === 3 && shared.meta.source === 'CoinGecko' &&
+        firstStats.itemsInCache === 1,
+      message: `second instance read ${JSON.stringify(shared?.value)}`
+    },
+    {
+      name: 'Stats aggregated across instances',
+      pass: firstStats.hits === 3 && firstStats.misses === 1 &&
+        secondStats.hits === 3 && secondStats.totalRequests === 4 &&
+        firstStats.instance.hits === 2 && secondStats.instance.misses === 1,
+      message: `global ${firstStats.hits}/${firstStats.totalRequests}, instance ${firstStats.instance.hits} + ${secondStats.instance.hits}`
+    },
+    {
+      name: 'Stale entry served while revalidating',
+      pass: staleResult.cached && staleResult.stale && staleResult.revalidating &&
+        staleResult.data['1h_close'][0] === 100,
+      message: `stale ${staleResult.stale}, revalidating ${staleResult.revalidating}`
+    },
+    {
+      name: 'GET /api/fetch-data reports stale candles',
+      pass: staleResponse.statusCode === 200 && staleResponse.body.cached === true &&
+        staleResponse.body.stale === true && staleResponse.body.revalidating === true &&
+        staleResponse.body.cacheAgeMs >= 65 * 60 * 1000,
+      message: `${staleResponse.statusCode}: stale ${staleResponse.body?.stale}, revalidating ${staleResponse.body?.revalidating}, age ${staleResponse.body?.cacheAgeMs}ms`
+    },
+    {
+      name: 'One background refresh replaces the entry',
+      pass: fetchCount === 1 && refreshed.cached && !refreshed.stale &&
+        refreshed.data['1h_close'][0] === 200 && orchestrator.revalidating.size === 0,
+      message: `${fetchCount} fetch(es), refreshed close ${refreshed.data['1h_close'][0]}`
+    },
+    {
+      name: 'Failing backend falls back to memory',
+      pass: brokenGet === null && broken.backend.name === 'memory' &&
+        recovered?.value.close === 4,
+      message: `backend now ${broken.backend.name}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testCacheBackends().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testCacheBackends };
@@ -0,0 +1,268 @@
+/**
+ * Test Candle Gaps
+ *
+ * Tests gap detection and repair offline (fake adapters, no network):
+ * 1. The forex session calendar opens Sun 22:00 and closes Fri 22:00
+ * 2. Weekend closures are expected for forex but gaps for crypto
+ * 3. ffill inserts flat bars; gaps beyond the fill limit drop the window
+ * 4. drop keeps the candles after the last gap
+ * 5. reject fails the provider and the registry falls back to the next one
+ * 6. Validators flag missing bars and out-of-order timestamps
+ * 7. Fetched data reports its repairs in the quality object
+ *
+ * Run: node test/test-candle-gaps.js
+ */
+
+// Keep the quota ledger and symbol registry in memory for this run
+delete process.env.MONGODB_URI;
+
+const candleGaps = require('../utils/candle-gaps');
+const { tradingCalendar, detectGaps, repairCandles } = candleGaps;
+const registry = require('../utils/providers/registry');
+const { validateDataConsistency } = require('../api/crypto-data-fetcher');
+const { validateForexData } = require('../api/forex-data-fetcher');
+const { orchestrator } = require('../api/fetch-data');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const FOREX_HOURS = { schedule: 'weekly', timezone: 'UTC', open: 'Sun 22:00', close: 'Fri 22:00' };
+
+/**
+ * Candles every intervalMs from start, leaving out the given indices
+ */
+function series(start, intervalMs, count, skip = []) {
+  const candles = [];
+  for (let i = 0; i < count; i++) {
+    if (skip.includes(i)) continue;
+    const price = 100 + i;
+    candles.push({ timestamp: start + i * intervalMs, open: price, high: price + 1, low: price - 1, close: price, volume: 10 });
+  }
+  return candles;
+}
+
+/**
+ * Column-format 1h data (4h and 1d left without timestamps)
+ */
+function hourlyColumns(timestamps) {
+  return {
+    '1h_timestamp': timestamps,
+    '1h_open': timestamps.map(() => 1),
+    '1h_high': timestamps.map(() => 1),
+    '1h_low': timestamps.map(() => 1),
+    '1h_close': timestamps.map(() => 1),
+    '1h_volume': timestamps.map(() => 1)
+  };
+}
+
+/**
+ * Adapter serving BTC/USDT and ETH/USDT, optionally with an outage in the 1h series
+ */
+function fakeAdapter(name, { gapAt = null, gapBars = 0 } = {}) {
+  const end = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+  return {
+    name,
+    label: name.toUpperCase(),
+    assetClasses: ['crypto'],
+    symbols: { 'BTC/USDT': 'BTCUSDT', 'ETH/USDT': 'ETHUSDT' },
+    fetchCandles: async () => ({
+      '1h': series(end - 168 * HOUR_MS, HOUR_MS, 168,
+        gapAt === null ? [] : Array.from({ length: gapBars }, (_, i) => gapAt + i)),
+      '4h': series(end - 42 * 4 * HOUR_MS, 4 * HOUR_MS, 42),
+      '1d': series(end - 100 * DAY_MS, DAY_MS, 100)
+    })
+  };
+}
+
+async function testCandleGaps() {
+  console.log('\n' + '='.repeat(70));
+  console.log('CANDLE GAPS TEST');
+  console.log('='.repeat(70));
+
+  // ====== CALENDAR ======
+  const forex = tradingCalendar(FOREX_HOURS);
+  const newYork = tradingCalendar({ schedule: 'weekly', timezone: 'America/New_York', open: 'Sun 17:00', close: 'Fri 17:00' });
+  const allWeek = tradingCalendar({ schedule: '24/7' });
+  const friday = Date.UTC(2024, 0, 19);
+  const sunday = Date.UTC(2024, 0, 21);
+  const calendarTimes = [
+    friday + 21 * HOUR_MS, friday + 22 * HOUR_MS, sunday + 21 * HOUR_MS, sunday + 22 * HOUR_MS, sunday - 12 * HOUR_MS
+  ];
+  const forexOpen = calendarTimes.map(t => forex.isOpen(t));
+  const newYorkOpen = calendarTimes.map(t => newYork.isOpen(t));
+
+  // ====== WEEKENDS ======
+  // Fri 12:00-21:00, then Sun 22:00-Mon 05:00
+  const weekend = [
+    ...Array.from({ length: 10 }, (_, i) => friday + (12 + i) * HOUR_MS),
+    ...Array.from({ length: 8 }, (_, i) => sunday + (22 + i) * HOUR_MS)
+  ];
+  const forexWeekend = detectGaps(hourlyColumns(weekend), FOREX_HOURS);
+  const cryptoWeekend = detectGaps(hourlyColumns(weekend));
+  const weekdays = Array.from({ length: 14 }, (_, i) => Date.UTC(2024, 0, 15) + i * DAY_MS)
+    .filter(t => ![0, 6].includes(new Date(t).getUTCDay()));
+  const dailyForex = detectGaps({ '1d_timestamp': weekdays }, FOREX_HOURS);
+  const tuesdayOutage = detectGaps(hourlyColumns(
+    Array.from({ length: 24 }, (_, i) => Date.UTC(2024, 0, 16) + i * HOUR_MS).filter((_, i) => i !== 5 && i !== 6)
+  ), FOREX_HOURS);
+
+  // ====== REPAIR ======
+  const gapped = series(0, HOUR_MS, 30, [10, 11, 20, 21, 22, 23, 24, 25, 26, 27]);
+  const filled = repairCandles(gapped, HOUR_MS, { strategy: 'ffill', maxFillBars: 3 });
+  const filledAll = repairCandles(gapped, HOUR_MS, { strategy: 'ffill', maxFillBars: 10 });
+  const dropped = repairCandles(gapped, HOUR_MS, { strategy: 'drop' });
+  const clean = series(0, HOUR_MS, 30);
+  const untouched = repairCandles(clean, HOUR_MS, { strategy: 'reject' });
+  let rejectError = null;
+  try {
+    repairCandles(gapped, HOUR_MS, { strategy: 'reject', timeframe: '1h' });
+  } catch (error) {
+    rejectError = error;
+  }
+  let strategyError = null;
+  try {
+    repairCandles(gapped, HOUR_MS, { strategy: 'interpolate' });
+  } catch (error) {
+    strategyError = error;
+  }
+
+  // ====== VALIDATORS ======
+  const cryptoData = { ...hourlyColumns(weekend) };
+  for (const tf of ['4h', '1d']) {
+    for (const field of ['open', 'high', 'low', 'close', 'volume']) {
+      cryptoData[`${tf}_${field}`] = [1, 1];
+    }
+  }
+  cryptoData['4h_timestamp'] = [0, 4 * HOUR_MS];
+  cryptoData['1d_timestamp'] = [0, DAY_MS];
+  const forexData = { ...cryptoData, '1d_timestamp': [friday, friday + 3 * DAY_MS] };
+  const outOfOrder = { ...forexData, '4h_timestamp': [4 * HOUR_MS, 0] };
+
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  let cryptoValidation, forexValidation, orderValidation;
+  let rejected, fallback, fresh;
+  const originalPriority = registry.CONFIG.PRIORITY.crypto;
+  const originalStrategy = candleGaps.CONFIG.REPAIR_STRATEGY;
+
+  try {
+    cryptoValidation = validateDataConsistency(cryptoData);
+    forexValidation = validateForexData(forexData);
+    orderValidation = validateForexData(outOfOrder);
+
+    // ====== PROVIDER FALLBACK ======
+    registry.registerProvider(fakeAdapter('gappy', { gapAt: 100, gapBars: 3 }));
+    registry.registerProvider(fakeAdapter('steady'));
+    registry.CONFIG.PRIORITY.crypto = ['gappy', 'steady'];
+
+    candleGaps.CONFIG.REPAIR_STRATEGY = 'reject';
+    rejected = await registry.fetchFromProvider('gappy', 'BTC/USDT');
+    fallback = await registry.fetchWithFallback('BTC/USDT', 'crypto');
+
+    // ====== QUALITY ======
+    candleGaps.CONFIG.REPAIR_STRATEGY = 'ffill';
+    await orchestrator.clearCache();
+    fresh = await orchestrator.fetchDataWithSource('ETH/USDT');
+  } finally {
+    registry.CONFIG.PRIORITY.crypto = originalPriority;
+    candleGaps.CONFIG.REPAIR_STRATEGY = originalStrategy;
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const hourlyFresh = fresh.data['1h_timestamp'];
+
+  const checks = [
+    {
+      name: 'Forex session calendar',
+      pass: forexOpen.join() === 'true,false,false,true,false' &&
+        newYorkOpen.join() === forexOpen.join() &&
+        calendarTimes.every(t => allWeek.isOpen(t)),
+      message: `Fri 21:00, Fri 22:00, Sun 21:00, Sun 22:00, Sat 12:00 → ${forexOpen.join(', ')}`
+    },
+    {
+      name: 'Weekend expected for forex, a gap for crypto',
+      pass: forexWeekend['1h'].gaps === 0 && forexWeekend['4h'] === null &&
+        cryptoWeekend['1h'].gaps === 1 && cryptoWeekend['1h'].missing_bars === 48 &&
+        dailyForex['1d'].gaps === 0 &&
+        tuesdayOutage['1h'].gaps === 1 && tuesdayOutage['1h'].missing_bars === 2,
+      message: `forex ${forexWeekend['1h'].missing_bars} missing, crypto ${cryptoWeekend['1h'].missing_bars}, Tuesday outage ${tuesdayOutage['1h'].missing_bars}`
+    },
+    {
+      name: 'ffill inserts flat bars and drops past the limit',
+      pass: filled.gaps === 2 && filled.missing_bars === 10 &&
+        filled.dropped === 18 && filled.filled === 0 && filled.candles[0].timestamp === 28 * HOUR_MS &&
+        filledAll.filled === 10 && filledAll.dropped === 0 && filledAll.candles.length === 30 &&
+        filledAll.candles.every((c, i) => c.timestamp === i * HOUR_MS) &&
+        filledAll.candles[10].close === 109 && filledAll.candles[10].high === 109 &&
+        filledAll.candles[10].volume === 0,
+      message: `limit 3: dropped ${filled.dropped}; limit 10: filled ${filledAll.filled}`
+    },
+    {
+      name: 'drop keeps the tail after the last gap',
+      pass: dropped.dropped === 18 && dropped.candles.length === 2 &&
+        dropped.candles[0].timestamp === 28 * HOUR_MS,
+      message: `${dropped.candles.length} candles kept`
+    },
+    {
+      name: 'reject fails the provider, registry falls back',
+      pass: rejectError?.code === 'DATA_GAPS' && rejectError.details.missing_bars === 10 &&
+        strategyError !== null && untouched.candles === clean &&
+        !rejected.success && rejected.error.includes('gap') &&
+        fallback.source === 'STEADY' && fallback.gapRepair.strategy === 'reject' &&
+        fallback.gapRepair['1h'].gaps === 0,
+      message: `${rejected.error} → ${fallback.source}`
+    },
+    {
+      name: 'Validators flag gaps and ordering',
+      pass: !cryptoValidation.valid && cryptoValidation.gaps['1h'].missing_bars === 48 &&
+        cryptoValidation.errors.some(e => e.includes('1h has 1 gap')) &&
+        forexValidation.valid && forexValidation.gaps['1d'].gaps === 0 &&
+        !orderValidation.valid && orderValidation.errors.includes('Timestamps out of order in 4h'),
+      message: `crypto: ${cryptoValidation.errors[0]}`
+    },
+    {
+      name: 'Quality reports repairs',
+      pass: fresh.source === 'GAPPY' && hourlyFresh.length === 168 &&
+        hourlyFresh.every((t, i) => i === 0 || t - hourlyFresh[i - 1] === HOUR_MS) &&
+        fresh.quality.gaps['1h'] === 0 && fresh.quality.missing_bars['1h'] === 0 &&
+        fresh.quality.gap_repair.strategy === 'ffill' &&
+        fresh.quality.gap_repair['1h'].filled === 3 &&
+        fresh.quality.gap_repair.calendar === '24/7',
+      message: `${fresh.quality.gap_repair['1h'].filled} bars filled from ${fresh.source}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testCandleGaps().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testCandleGaps };
@@ -0,0 +1,250 @@
+/**
+ * Test Candle Store
+ *
+ * Tests the OHLCV history store offline (replayed Binance klines, temp dirs):
+ * 1. Memory, JSON and CSV stores key bars by symbol, timeframe and open time
+ * 2. A CSV store directory is a backtest fixture directory
+ * 3. The first fetch stores every bar; the next asks Binance for the tail only
+ * 4. Synthetic (CoinGecko) candles are never stored
+ * 5. CANDLE_STORE_OFFLINE serves stored candles with no provider call
+ * 6. A failing store never fails a fetch
+ *
+ * Run: node test/test-candle-store.js
+ */
+
+// Keep the quota ledger and symbol registry in memory for this run
+delete process.env.MONGODB_URI;
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const {
+  MemoryCandleStore,
+  FileCandleStore
+} = require('../utils/candle-store');
+const registry = require('../utils/providers/registry');
+const { orchestrator, CONFIG: ORCHESTRATOR_CONFIG } = require('../api/fetch-data');
+const { loadCandleFile, findFixture } = require('../utils/backtest-engine');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const INTERVALS = { '1h': HOUR_MS, '4h': 4 * HOUR_MS, '1d': DAY_MS };
+
+function candle(timestamp, close, source = 'Binance') {
+  return { timestamp, open: close, high: close + 1, low: close - 1, close, volume: 5, source };
+}
+
+/**
+ * Binance klines ending `extraBars` bars after the current one, recording
+ * each request's startTime; CoinGecko serves a year of daily prices
+ */
+function replayProviders(state) {
+  axios.get = async (url, { params } = {}) => {
+    if (state.offline) {
+      throw new Error('network disabled');
+    }
+
+    if (url.includes('coingecko')) {
+      const start = Math.floor(Date.now() / DAY_MS) * DAY_MS - 365 * DAY_MS;
+      return {
+        status: 200,
+        data: {
+          prices: Array.from({ length: 365 }, (_, i) => [start + i * DAY_MS, 2 + i / 100]),
+          total_volumes: Array.from({ length: 365 }, (_, i) => [start + i * DAY_MS, 1e6])
+        }
+      };
+    }
+
+    state.requests.push({ interval: params.interval, startTime: params.startTime ?? null });
+    const interval = INTERVALS[params.interval];
+    const end = Math.floor(Date.now() / interval) * interval + state.extraBars * interval;
+    const first = params.startTime ?? end - (params.limit - 1) * interval;
+    const klines = [];
+    for (let t = first; t <= end && klines.length < params.limit; t += interval) {
+      const close = String(100 + t / interval % 50);
+      klines.push([t, close, close, close, close, '1', 0, '1000']);
+    }
+    return { status: 200, data: klines };
+  };
+}
+
+async function testCandleStore() {
+  console.log('\n' + '='.repeat(70));
+  console.log('CANDLE STORE TEST');
+  console.log('='.repeat(70));
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'candle-store-'));
+  const originalGet = axios.get;
+  const originalStore = orchestrator.candleStore;
+  const originalPriority = registry.CONFIG.PRIORITY.crypto;
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  const stores = [new MemoryCandleStore(), new FileCandleStore({ dir: path.join(tmp, 'json') }),
+    new FileCandleStore({ dir: path.join(tmp, 'csv'), format: 'csv' })];
+  const roundTrips = [];
+  let fixture;
+  const state = { requests: [], extraBars: 0, offline: false };
+  let first, firstRequests, firstCounts, second, secondRequests, secondCounts;
+  let synthetic, syntheticCounts, offline, offlineRequests, offlineMissing, brokenFetch;
+
+  try {
+    // ====== STORES ======
+    for (const store of stores) {
+      await store.upsert('BTC/USDT', '1h', [candle(3 * HOUR_MS, 103), candle(HOUR_MS, 101), candle(2 * HOUR_MS, 102)]);
+      // The newest bar is revised by a later fetch
+      await store.upsert('BTC/USDT', '1h', [candle(3 * HOUR_MS, 110), candle(4 * HOUR_MS, 104)]);
+      await store.upsert('ETH/USDT', '1h', [candle(HOUR_MS, 5)]);
+      roundTrips.push({
+        name: store.name === 'fs' ? store.format : store.name,
+        all: await store.range('BTC/USDT', '1h'),
+        latest: await store.range('BTC/USDT', '1h', { limit: 2 }),
+        window: await store.range('BTC/USDT', '1h', { from: 2 * HOUR_MS, to: 3 * HOUR_MS }),
+        count: await store.count('BTC/USDT', '1h'),
+        empty: await store.range('BTC/USDT', '4h')
+      });
+    }
+    fixture = loadCandleFile(findFixture(path.join(tmp, 'csv', '1h'), 'BTC/USDT'));
+
+    // ====== TAIL FETCH ======
+    replayProviders(state);
+    registry.CONFIG.PRIORITY.crypto = ['binance'];
+    orchestrator.candleStore = new MemoryCandleStore();
+    await orchestrator.clearCache();
+
+    first = await orchestrator.fetchDataWithSource('BTC/USDT');
+    firstRequests = state.requests.splice(0);
+    firstCounts = await Promise.all(['1h', '4h', '1d'].map(tf => orchestrator.candleStore.count('BTC/USDT', tf)));
+
+    // One bar later the cache has expired
+    state.extraBars = 1;
+    await orchestrator.clearCache();
+    second = await orchestrator.fetchDataWithSource('BTC/USDT');
+    secondRequests = state.requests.splice(0);
+    secondCounts = await Promise.all(['1h', '4h', '1d'].map(tf => orchestrator.candleStore.count('BTC/USDT', tf)));
+
+    // ====== SYNTHETIC ======
+    registry.CONFIG.PRIORITY.crypto = ['coingecko'];
+    synthetic = await orchestrator.fetchDataWithSource('DOGE/USDT');
+    syntheticCounts = await Promise.all(['1h', '4h', '1d'].map(tf => orchestrator.candleStore.count('DOGE/USDT', tf)));
+
+    // ====== OFFLINE ======
+    state.offline = true;
+    ORCHESTRATOR_CONFIG.CANDLE_STORE_OFFLINE = true;
+    await orchestrator.clearCache();
+    offline = await orchestrator.fetchDataWithSource('BTC/USDT');
+    offlineRequests = state.requests.length;
+    try {
+      await orchestrator.fetchDataWithSource('ETH/USDT');
+    } catch (error) {
+      offlineMissing = error;
+    }
+    ORCHESTRATOR_CONFIG.CANDLE_STORE_OFFLINE = false;
+    state.offline = false;
+
+    // ====== STORE FAILURE ======
+    const failing = async () => { throw new Error('connection refused'); };
+    orchestrator.candleStore = { name: 'mongo', range: failing, upsert: failing, count: failing };
+    registry.CONFIG.PRIORITY.crypto = ['binance'];
+    await orchestrator.clearCache();
+    brokenFetch = await orchestrator.fetchDataWithSource('BTC/USDT');
+  } finally {
+    axios.get = originalGet;
+    orchestrator.candleStore = originalStore;
+    registry.CONFIG.PRIORITY.crypto = originalPriority;
+    ORCHESTRATOR_CONFIG.CANDLE_STORE_OFFLINE = false;
+    await orchestrator.clearCache();
+    fs.rmSync(tmp, { recursive: true, force: true });
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const hourly = first.data['1h_timestamp'];
+  const nextHourly = second.data['1h_timestamp'];
+
+  const checks = [
+    ...roundTrips.map(trip => ({
+      name: `${trip.name} store keyed by open time`,
+      pass: trip.count === 4 &&
+        trip.all.map(c => c.timestamp / HOUR_MS).join() === '1,2,3,4' &&
+        trip.all[2].close === 110 && trip.all[0].source === 'Binance' &&
+        trip.latest.map(c => c.close).join() === '110,104' &&
+        trip.window.length === 2 && trip.empty.length === 0,
+      message: `closes ${trip.all.map(c => c.close).join(', ')}`
+    })),
+    {
+      name: 'CSV store is a backtest fixture',
+      pass: Array.isArray(fixture) && fixture.length === 4 && fixture[3].close === 104,
+      message: `${fixture.length} candles from <dir>/1h/BTCUSDT.csv`
+    },
+    {
+      name: 'First fetch stores every bar',
+      pass: first.source === 'Binance' && firstRequests.length === 3 &&
+        firstRequests.every(r => r.startTime === null) &&
+        firstCounts.join() === '168,168,365',
+      message: `stored ${firstCounts.join('/')}`
+    },
+    {
+      name: 'Next fetch asks for the tail only',
+      pass: secondRequests.length === 3 &&
+        secondRequests.find(r => r.interval === '1h').startTime === hourly[hourly.length - 1] &&
+        nextHourly.length === 168 && nextHourly[167] === hourly[167] + HOUR_MS &&
+        nextHourly[0] === hourly[1] &&
+        secondCounts.join() === '169,169,366',
+      message: `1h startTime ${new Date(secondRequests[0]?.startTime).toISOString()}, stored ${secondCounts.join('/')}`
+    },
+    {
+      name: 'Synthetic candles not stored',
+      pass: synthetic.source === 'CoinGecko' && synthetic.synthetic &&
+        syntheticCounts.every(count => count === 0),
+      message: `DOGE/USDT stored ${syntheticCounts.join('/')}`
+    },
+    {
+      name: 'Offline mode serves the store',
+      pass: offline.source === 'CandleStore' && offlineRequests === 0 &&
+        offline.quality.sources['1h'] === 'Binance' &&
+        offline.data['1h_timestamp'].at(-1) === nextHourly.at(-1) &&
+        offlineMissing?.message.includes('No stored candles for ETH/USDT'),
+      message: `${offline.data['1h_close'].length} 1h bars, no provider calls`
+    },
+    {
+      name: 'Store failure falls back to a full fetch',
+      pass: brokenFetch.source === 'Binance' && brokenFetch.data['1h_close'].length === 168,
+      message: `${brokenFetch.data['1h_close'].length} 1h bars from ${brokenFetch.source}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testCandleStore().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testCandleStore };
@@ -0,0 +1,203 @@
+/**
+ * Test Crypto Server-Side Fetch
+ *
+ * Tests POST /api/predict-crypto without client candles, offline: Binance
+ * klines are replayed through axios and the models are in memory
+ * (tfjs cannot read the .keras files offline):
+ * 1. Omitted data is fetched server-side and reported as data_source
+ * 2. An unknown symbol is rejected with 400 before any fetch
+ * 3. An upstream failure answers 502 with the fetch error
+ * 4. Models that all fail answer 500 with the per-model results and
+ *    their input tensors are disposed
+ * 5. A batch entry without a string symbol fails alone, not the batch
+ *
+ * Run: node test/test-crypto-server-fetch.js
+ */
+
+// Keep the quota ledger, symbol registry and storage in memory for this run
+delete process.env.MONGODB_URI;
+
+const axios = require('axios');
+const tf = require('@tensorflow/tfjs');
+const modelCache = require('../utils/global-model-cache');
+const registry = require('../utils/providers/registry');
+const { bucketStart, intervalMs } = require('../utils/timeframes');
+
+// Patched before the endpoint reads it
+let modelsFail = false;
+const failedInputs = [];
+modelCache.getCryptoModelEntries = async () => [
+  {
+    name: 'up_model',
+    version: 'test',
+    model: {
+      predict: (input) => {
+        if (modelsFail) {
+          failedInputs.push(input);
+          throw new Error('Model crashed');
+        }
+        return tf.tensor2d([[0.1, 0.2, 0.7]]);
+      }
+    }
+  }
+];
+
+const predictCrypto = require('../api/predict-crypto');
+const predictBatch = require('../api/predict-batch');
+const { orchestrator, CONFIG: FETCH_CONFIG } = require('../api/fetch-data');
+const { mockResponse } = require('./helpers');
+
+const BINANCE_INTERVALS = ['1h', '4h', '1d'];
+
+/**
+ * Binance klines ending at the current bar, recording each request's interval
+ */
+function replayBinance(requests) {
+  axios.get = async (url, { params } = {}) => {
+    if (!BINANCE_INTERVALS.includes(params?.interval)) {
+      throw new Error('network disabled');
+    }
+
+    requests.push(params.interval);
+    const interval = intervalMs(params.interval);
+    const end = bucketStart(Date.now(), params.interval);
+    const klines = [];
+    for (let t = end - (params.limit - 1) * interval, i = 0; t <= end; t += interval, i++) {
+      const close = 100 + Math.sin(i / 7) * 4 + (i % 5) * 0.3;
+      klines.push([t, String(close - 0.2), String(close + 0.6), String(close - 0.6), String(close), String(50 + (i % 9)), 0, '1000']);
+    }
+    return { status: 200, data: klines };
+  };
+}
+
+async function predict(body, handler = predictCrypto) {
+  const res = mockResponse();
+  await handler({ method: 'POST', body, query: {}, headers: {} }, res);
+  return res;
+}
+
+async function testCryptoServerFetch() {
+  console.log('\n' + '='.repeat(70));
+  console.log('CRYPTO SERVER-SIDE FETCH TEST');
+  console.log('='.repeat(70));
+
+  const originalGet = axios.get;
+  const originalPriority = registry.CONFIG.PRIORITY.crypto;
+  const originalDelay = FETCH_CONFIG.RETRY_DELAY_MS;
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  const requests = [];
+  let fetched, fetchRequests, unknown, unknownRequests, upstream, failed, batch;
+
+  try {
+    registry.CONFIG.PRIORITY.crypto = ['binance'];
+    FETCH_CONFIG.RETRY_DELAY_MS = 0;
+    await orchestrator.clearCache();
+
+    replayBinance(requests);
+    fetched = await predict({ symbol: 'BTC/USDT' });
+    fetchRequests = requests.splice(0);
+
+    unknown = await predict({ symbol: 'NOPE/USDT' });
+    unknownRequests = requests.splice(0);
+
+    modelsFail = true;
+    failed = await predict({ symbol: 'BTC/USDT' });
+    modelsFail = false;
+
+    batch = await predict({ symbols: ['BTC/USDT', { symbol: 5 }, null], store: false }, predictBatch);
+
+    await orchestrator.clearCache();
+    axios.get = async () => {
+      throw new Error('Binance unreachable');
+    };
+    upstream = await predict({ symbol: 'ETH/USDT' });
+  } finally {
+    axios.get = originalGet;
+    registry.CONFIG.PRIORITY.crypto = originalPriority;
+    FETCH_CONFIG.RETRY_DELAY_MS = originalDelay;
+    await orchestrator.clearCache();
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const source = fetched.body?.data_source;
+
+  const checks = [
+    {
+      name: 'Omitted data is fetched server-side',
+      pass: fetched.statusCode === 200 && fetched.body.success === true &&
+        source?.mode === 'server' && source.provider === 'Binance' && source.cached === false &&
+        fetchRequests.slice().sort().join() === '1d,1h,4h' &&
+        fetched.body.class === 'UP' && fetched.body.features.total > 0,
+      message: `${fetched.statusCode}: ${source ? `${source.mode} via ${source.provider}` : fetched.body?.error}, ` +
+        `requests ${fetchRequests.join(',')}`
+    },
+    {
+      name: 'Unknown symbol rejected before any fetch',
+      pass: unknown.statusCode === 400 && unknown.body.error === 'Unknown crypto symbol: NOPE/USDT' &&
+        unknown.body.supported.includes('BTC/USDT') && unknownRequests.length === 0,
+      message: `${unknown.statusCode}: ${unknown.body?.error}`
+    },
+    {
+      name: 'Upstream failure answers 502',
+      pass: upstream.statusCode === 502 && upstream.body.error === 'Data fetch failed' &&
+        typeof upstream.body.details === 'string' && upstream.body.details.length > 0 &&
+        typeof upstream.body.request_id === 'string',
+      message: `${upstream.statusCode}: ${upstream.body?.error} (${upstream.body?.details})`
+    },
+    {
+      name: 'All models failing answers 500 with the model results',
+      pass: failed.statusCode === 500 && failed.body.error === 'All model predictions failed' &&
+        failed.body.modelResults?.length === 1 && failed.body.modelResults[0].success === false &&
+        failed.body.modelResults[0].error === 'Model crashed' &&
+        failedInputs.length === 1 && failedInputs[0].isDisposed,
+      message: `${failed.statusCode}: ${failed.body?.error}, input tensor ${failedInputs[0]?.isDisposed ? 'disposed' : 'leaked'}`
+    },
+    {
+      name: 'Invalid batch symbols fail alone',
+      pass: batch.statusCode === 200 && batch.body.succeeded === 1 && batch.body.failed === 2 &&
+        batch.body.results[0].success === true &&
+        batch.body.results[1].stage === 'classify' &&
+        batch.body.results[1].error === 'Invalid symbol: expected a string, got number' &&
+        batch.body.results[2].error === 'Invalid symbol: expected a string, got null',
+      message: batch.body?.results
+        ? batch.body.results.map(r => `${r.symbol}=${r.success ? r.class : r.error}`).join(', ')
+        : `${batch.statusCode}: ${batch.body?.error}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testCryptoServerFetch().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testCryptoServerFetch };
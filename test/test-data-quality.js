@@ -0,0 +1,191 @@
+/**
+ * Test Data Quality
+ *
+ * Tests the quality object and the synthetic-data policy offline:
+ * 1. Gaps per timeframe and the age of the last candle
+ * 2. CoinGecko fallback data is flagged synthetic per timeframe
+ * 3. The orchestrator attaches quality to fresh and cached data
+ * 4. refuse / downweight / allow decisions
+ * 5. Down-weighting keeps the class and a valid distribution
+ * 6. A quality hint from /api/fetch-data survives a client round trip
+ *
+ * Run: node test/test-data-quality.js
+ */
+
+// Keep the quota ledger and symbol registry in memory for this run
+delete process.env.MONGODB_URI;
+
+const axios = require('axios');
+const {
+  assessDataQuality,
+  assessClientDataQuality,
+  evaluateSyntheticPolicy,
+  applySyntheticPolicy
+} = require('../utils/data-quality');
+const registry = require('../utils/providers/registry');
+const { orchestrator } = require('../api/fetch-data');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * CoinGecko serves a year of daily prices; Binance is unreachable
+ */
+function replayCoinGecko() {
+  axios.get = async (url) => {
+    if (url.includes('binance')) {
+      throw new Error('connect ECONNREFUSED');
+    }
+    // Last daily price is yesterday, so every interpolated hour is in the past
+    const start = Math.floor(Date.now() / DAY_MS) * DAY_MS - 365 * DAY_MS;
+    return {
+      status: 200,
+      data: {
+        prices: Array.from({ length: 365 }, (_, i) => [start + i * DAY_MS, 40000 + i * 10]),
+        total_volumes: Array.from({ length: 365 }, (_, i) => [start + i * DAY_MS, 1e9])
+      }
+    };
+  };
+}
+
+async function testDataQuality() {
+  console.log('\n' + '='.repeat(70));
+  console.log('DATA QUALITY TEST');
+  console.log('='.repeat(70));
+
+  // ====== GAPS AND AGE ======
+  const now = Date.UTC(2024, 0, 10, 12);
+  const hourly = Array.from({ length: 48 }, (_, i) => now - (48 - i) * HOUR_MS)
+    .filter((_, i) => i !== 20 && i !== 30 && i !== 31);
+  const gapped = assessDataQuality({
+    '1h_timestamp': hourly,
+    '4h_timestamp': Array.from({ length: 12 }, (_, i) => now - (12 - i) * 4 * HOUR_MS),
+    '1d_close': [1, 2, 3]
+  }, { source: 'Binance' }, now);
+
+  // ====== FETCH PATH ======
+  const originalGet = axios.get;
+  const originalPriority = registry.CONFIG.PRIORITY.crypto;
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  let coingecko, fresh, cached;
+  try {
+    replayCoinGecko();
+    registry.CONFIG.PRIORITY.crypto = ['binance', 'coingecko'];
+    coingecko = await registry.fetchFromProvider('coingecko', 'BTC/USDT');
+
+    await orchestrator.clearCache();
+    fresh = await orchestrator.fetchDataWithSource('BTC/USDT');
+    cached = await orchestrator.fetchDataWithSource('BTC/USDT');
+  } finally {
+    axios.get = originalGet;
+    registry.CONFIG.PRIORITY.crypto = originalPriority;
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  // ====== POLICY ======
+  const synthetic = fresh.quality;
+  const real = assessDataQuality({ '1h_timestamp': [now - HOUR_MS, now] }, { source: 'Binance' }, now);
+  const refuse = evaluateSyntheticPolicy(synthetic, 'refuse');
+  const downweight = evaluateSyntheticPolicy(synthetic, 'downweight');
+  const allow = evaluateSyntheticPolicy(synthetic, 'allow');
+  const realRefuse = evaluateSyntheticPolicy(real, 'refuse');
+  let invalidError = null;
+  try {
+    evaluateSyntheticPolicy(synthetic, 'ignore');
+  } catch (error) {
+    invalidError = error;
+  }
+
+  const ensembleResult = { confidence: 0.7, probabilities: { down: 0.1, neutral: 0.2, up: 0.7 } };
+  const weighted = applySyntheticPolicy(ensembleResult, downweight);
+  const unchanged = applySyntheticPolicy(ensembleResult, allow);
+  const total = Object.values(weighted.probabilities).reduce((sum, p) => sum + p, 0);
+
+  // ====== CLIENT ROUND TRIP ======
+  const roundTrip = assessClientDataQuality(fresh.data, JSON.parse(JSON.stringify(fresh.quality)));
+  const plainClient = assessClientDataQuality(fresh.data, null);
+
+  const checks = [
+    {
+      name: 'Gaps and last candle age',
+      pass: gapped.gaps['1h'] === 2 && gapped.gaps['4h'] === 0 && gapped.gaps['1d'] === null &&
+        gapped.gap_count === 2 && gapped.last_candle_age_ms === HOUR_MS &&
+        gapped.last_candle_at === new Date(now - HOUR_MS).toISOString() &&
+        gapped.sources['1h'] === 'Binance' && gapped.synthetic === false,
+      message: `gaps ${JSON.stringify(gapped.gaps)}, age ${gapped.last_candle_age_ms}ms`
+    },
+    {
+      name: 'CoinGecko flagged synthetic per timeframe',
+      pass: coingecko.success && coingecko.synthetic &&
+        coingecko.syntheticTimeframes.join(',') === '1h,4h,1d',
+      message: coingecko.syntheticTimeframes.join('/')
+    },
+    {
+      name: 'Orchestrator attaches quality (fresh and cached)',
+      pass: fresh.source === 'CoinGecko' && !fresh.cached && synthetic.synthetic &&
+        synthetic.sources['1h'] === 'CoinGecko' && synthetic.gap_count === 0 &&
+        synthetic.last_candle_age_ms >= 0 &&
+        cached.cached && cached.quality.synthetic &&
+        cached.quality.synthetic_timeframes.length === 3,
+      message: `fresh synthetic=${synthetic.synthetic}, cached synthetic=${cached.quality.synthetic}`
+    },
+    {
+      name: 'Policy decisions',
+      pass: refuse.action === 'refuse' && refuse.reason.includes('CoinGecko') &&
+        downweight.action === 'downweight' && downweight.confidence_factor === 0.5 &&
+        allow.action === 'allow' && realRefuse.action === 'allow' &&
+        invalidError !== null,
+      message: refuse.reason
+    },
+    {
+      name: 'Down-weighting keeps class and distribution',
+      pass: Math.abs(total - 1) < 1e-9 && weighted.probabilities.up > weighted.probabilities.neutral &&
+        Math.abs(weighted.confidence - (0.7 * 0.5 + 0.5 / 3)) < 1e-9 &&
+        weighted.confidence === weighted.probabilities.up &&
+        unchanged.confidence === 0.7,
+      message: `confidence 0.7 -> ${weighted.confidence.toFixed(3)}`
+    },
+    {
+      name: 'Quality hint survives client round trip',
+      pass: roundTrip.synthetic && roundTrip.sources['4h'] === 'CoinGecko' &&
+        !plainClient.synthetic && plainClient.sources['1h'] === 'client',
+      message: `hinted synthetic=${roundTrip.synthetic}, plain source=${plainClient.sources['1h']}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testDataQuality().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testDataQuality };
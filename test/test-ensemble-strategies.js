@@ -0,0 +1,227 @@
+/**
+ * Test Ensemble Strategies
+ *
+ * Tests the strategy layer offline (no MongoDB):
+ * 1. Equal weights reproduce the flat mean
+ * 2. Static/explicit weights shift the result
+ * 3. Majority vote can overrule the mean
+ * 4. Accuracy weights come from resolved history (in-memory db handle)
+ * 5. Accuracy falls back to equal weights when the database fails
+ * 6. Model outputs are reordered from their manifest classes
+ * 7. ENSEMBLE_STRATEGY and ENSEMBLE_STATIC_WEIGHTS are checked and merged at load
+ *
+ * Run: node test/test-ensemble-strategies.js
+ */
+
+const {
+  CONFIG,
+  combinePredictions,
+  combineWeights,
+  mergeStaticWeights,
+  toClassOrder,
+  resolveStrategyWeights
+} = require('../utils/ensemble-strategies');
+
+// Minimal db handle: aggregate() resolves to the given rows
+function fakeDb(rows) {
+  return {
+    collection: () => ({
+      aggregate: () => ({ toArray: async () => rows })
+    })
+  };
+}
+
+/**
+ * Load a fresh copy of the module with the given environment
+ *
+ * @returns {Object} { CONFIG, warnings }
+ */
+function loadWithEnv(env) {
+  const modulePath = require.resolve('../utils/ensemble-strategies');
+  const original = {};
+  const originalWarn = console.warn;
+  const warnings = [];
+
+  for (const [name, value] of Object.entries(env)) {
+    original[name] = process.env[name];
+    process.env[name] = value;
+  }
+  console.warn = (message) => warnings.push(message);
+  delete require.cache[modulePath];
+
+  try {
+    return { CONFIG: require(modulePath).CONFIG, warnings };
+  } finally {
+    delete require.cache[modulePath];
+    console.warn = originalWarn;
+    for (const [name, value] of Object.entries(original)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+async function testEnsembleStrategies() {
+  console.log('\n' + '='.repeat(70));
+  console.log('ENSEMBLE STRATEGIES TEST');
+  console.log('='.repeat(70));
+
+  const modelNames = ['hierarchical_lstm', 'hybrid_transformer', 'temporal_transformer'];
+
+  // One confident UP model, two mildly DOWN models
+  const predictions = [
+    [0.05, 0.05, 0.90],
+    [0.40, 0.35, 0.25],
+    [0.40, 0.35, 0.25]
+  ];
+
+  const equal = combinePredictions(predictions, { strategy: 'equal', modelNames });
+  const weighted = combinePredictions(predictions, { strategy: 'static', weights: [4, 1, 1], modelNames });
+  const vote = combinePredictions(predictions, { strategy: 'majority_vote', modelNames });
+
+  const accuracyWeights = await resolveStrategyWeights('accuracy', 'crypto', modelNames, {
+    db: fakeDb([
+      { _id: 'hierarchical_lstm', correct: 60, total: 100 },
+      { _id: 'hybrid_transformer', correct: 30, total: 100 }
+    ])
+  });
+
+  const brokenDb = { collection: () => { throw new Error('db down'); } };
+  const fallback = await resolveStrategyWeights('accuracy', 'forex', modelNames, { db: brokenDb });
+
+  let invalidError = null;
+  try {
+    await resolveStrategyWeights('median', 'crypto', modelNames);
+  } catch (error) {
+    invalidError = error.message;
+  }
+
+  const classOrderErrors = [];
+  for (const [probabilities, classes] of [[[0.3, 0.7], CONFIG.CLASS_NAMES], [[0.3, 0.7], ['DOWN', 'FLAT']]]) {
+    try {
+      toClassOrder(probabilities, classes);
+    } catch (error) {
+      classOrderErrors.push(error.message);
+    }
+  }
+
+  const flatMeanUp = (0.90 + 0.25 + 0.25) / 3;
+
+  const typo = loadWithEnv({ ENSEMBLE_STRATEGY: 'acuracy' });
+  const configured = loadWithEnv({
+    ENSEMBLE_STRATEGY: 'majority_vote',
+    ENSEMBLE_STATIC_WEIGHTS: '{"crypto":{"hierarchical_lstm":2},"forex":5}'
+  });
+
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const merged = mergeStaticWeights(
+    { crypto: { hierarchical_lstm: 1.5, hybrid_transformer: 0.5 }, forex: { lstm: 2 } },
+    { crypto: { hierarchical_lstm: 3 }, forex: null, metals: { gold_lstm: 1.2 } }
+  );
+  console.warn = originalWarn;
+
+  const checks = [
+    {
+      name: 'Equal strategy is the flat mean',
+      pass: Math.abs(equal.probabilities[2] - flatMeanUp) < 1e-9 && equal.predictedClass === 2,
+      message: `UP=${equal.probabilities[2].toFixed(4)} (expected ${flatMeanUp.toFixed(4)})`
+    },
+    {
+      name: 'Weights reported per model',
+      pass: weighted.ensemble.weights.hierarchical_lstm === 0.6667 &&
+        weighted.ensemble.weights.hybrid_transformer === 0.1667,
+      message: JSON.stringify(weighted.ensemble.weights)
+    },
+    {
+      name: 'Majority vote overrules the mean',
+      pass: vote.predictedClass === 0 && vote.ensemble.agreement === 0.6667,
+      message: `vote=${CONFIG.CLASS_NAMES[vote.predictedClass]}, mean=${CONFIG.CLASS_NAMES[equal.predictedClass]}`
+    },
+    {
+      name: 'Votes expose disagreement',
+      pass: equal.ensemble.votes.hierarchical_lstm === 'UP' &&
+        equal.ensemble.votes.hybrid_transformer === 'DOWN' &&
+        equal.ensemble.agreement === 0.3333,
+      message: JSON.stringify(equal.ensemble.votes)
+    },
+    {
+      name: 'Accuracy weights follow hit rate',
+      pass: accuracyWeights.source === 'accuracy' &&
+        accuracyWeights.weights[0] > accuracyWeights.weights[1] &&
+        Math.abs(accuracyWeights.weights[2] - 1 / 3) < 1e-9,
+      message: accuracyWeights.weights.map(w => w.toFixed(3)).join(', ')
+    },
+    {
+      name: 'Accuracy falls back to equal',
+      pass: fallback.weights.every(w => w === 1) && fallback.source.startsWith('equal'),
+      message: fallback.source
+    },
+    {
+      name: 'Invalid strategy rejected',
+      pass: invalidError !== null && invalidError.includes('Invalid'),
+      message: invalidError || 'accepted'
+    },
+    {
+      name: 'Outputs reordered from manifest classes',
+      pass: JSON.stringify(toClassOrder([0.3, 0.7], ['DOWN', 'UP'])) === JSON.stringify([0.3, 0, 0.7]) &&
+        JSON.stringify(toClassOrder([0.6, 0.1, 0.3], ['UP', 'NEUTRAL', 'DOWN'])) === JSON.stringify([0.3, 0.1, 0.6]) &&
+        JSON.stringify(toClassOrder([0.2, 0.3, 0.5])) === JSON.stringify([0.2, 0.3, 0.5]) &&
+        classOrderErrors.length === 2 && classOrderErrors[0].includes('Unexpected output shape') &&
+        classOrderErrors[1].includes('Unknown output classes'),
+      message: `${JSON.stringify(toClassOrder([0.3, 0.7], ['DOWN', 'UP']))}, errors: ${classOrderErrors.join('; ')}`
+    },
+    {
+      name: 'Weight lists combine elementwise',
+      pass: JSON.stringify(combineWeights([1, 2], null, [3, 0.5])) === JSON.stringify([3, 1]) &&
+        combineWeights(null, null) === null,
+      message: JSON.stringify(combineWeights([1, 2], null, [3, 0.5]))
+    },
+    {
+      name: 'Unknown ENSEMBLE_STRATEGY falls back to equal',
+      pass: typo.CONFIG.DEFAULT_STRATEGY === 'equal' &&
+        typo.warnings.length === 1 && typo.warnings[0].includes('"acuracy"') &&
+        configured.CONFIG.DEFAULT_STRATEGY === 'majority_vote',
+      message: `acuracy -> ${typo.CONFIG.DEFAULT_STRATEGY}, majority_vote -> ${configured.CONFIG.DEFAULT_STRATEGY}`
+    },
+    {
+      name: 'Static weight overrides merge per model',
+      pass: JSON.stringify(merged) === JSON.stringify({
+        crypto: { hierarchical_lstm: 3, hybrid_transformer: 0.5 },
+        forex: { lstm: 2 },
+        metals: { gold_lstm: 1.2 }
+      }) &&
+        JSON.stringify(configured.CONFIG.STATIC_WEIGHTS) === JSON.stringify({ crypto: { hierarchical_lstm: 2 }, forex: {} }) &&
+        configured.warnings.some(warning => warning.includes('forex')),
+      message: `${JSON.stringify(merged)}, env ${JSON.stringify(configured.CONFIG.STATIC_WEIGHTS)}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testEnsembleStrategies().catch(error => {
+    console.error('❌ Test error:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testEnsembleStrategies };
@@ -0,0 +1,222 @@
+/**
+ * Test Feature Scaler
+ *
+ * Tests the stored-scaler subsystem offline with scratch scaler files and
+ * in-memory models:
+ * 1. Standard, min-max and robust parameters scale as trained
+ * 2. Outliers are clipped and counted as out of the training range
+ * 3. Missing inputs take the training center (0 without a scaler)
+ * 4. Scaler files are found per model, then per model set
+ * 5. Malformed or mismatched scaler files are refused
+ * 6. Batched inference scales per model and reports each row
+ *
+ * Run: node test/test-feature-scaler.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+const {
+  compileScaler,
+  loadScaler,
+  clearScalerCache,
+  scaleRows,
+  summarizeScaling
+} = require('../utils/feature-scaler');
+const { prepareForModels } = require('../utils/sequence-window');
+const { runBatchedInference } = require('../utils/batch-inference');
+
+/**
+ * Model that records the rows it was given and always answers NEUTRAL
+ */
+function recordingModel(seen, name) {
+  return {
+    predict: (input) => {
+      const rows = input.arraySync();
+      seen[name] = rows;
+      return tf.tensor2d(rows.map(() => [0.2, 0.6, 0.2]));
+    }
+  };
+}
+
+function captureError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+async function testFeatureScaler() {
+  console.log('\n' + '='.repeat(70));
+  console.log('FEATURE SCALER TEST');
+  console.log('='.repeat(70));
+
+  const features = ['rsi', 'flat'];
+
+  // ====== TRANSFORMS ======
+  const standard = compileScaler({ method: 'standard', features, mean: [50, 1], std: [10, 0] }, 'standard.json');
+  const minmax = compileScaler({ method: 'minmax', features, min: [0, -1], max: [100, 1] }, 'minmax.json');
+  const robust = compileScaler({ method: 'robust', features, median: [50, 0], q1: [40, 0], q3: [60, 0] }, 'robust.json');
+
+  const standardOut = scaleRows(standard, [[70, 3]]);
+  const minmaxOut = scaleRows(minmax, [[25, 0]]);
+  const robustOut = scaleRows(robust, [[65, 2]]);
+
+  // ====== CLIPPING ======
+  const clipped = scaleRows(
+    compileScaler({ method: 'standard', features, mean: [50, 0], std: [10, 1], clip: 3 }, 'clip.json'),
+    [[500, 1], [-500, 2]]
+  );
+  const ranged = scaleRows(
+    compileScaler({ method: 'standard', features, mean: [50, 0], std: [10, 1], min: [20, -5], max: [60, 5] }, 'range.json'),
+    [[75, 0]]
+  );
+  const minmaxOutside = scaleRows(minmax, [[150, -3]]);
+
+  // ====== MISSING ======
+  const imputed = scaleRows(standard, [[NaN, Infinity]]);
+  const imputedMinmax = scaleRows(minmax, [[NaN, 0]]);
+  const raw = scaleRows(null, [[NaN, 7]]);
+
+  // ====== SCRATCH FILES ======
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'feature-scaler-'));
+  const scratchDir = path.relative(process.cwd(), tmp);
+  const write = (file, params) => fs.writeFileSync(path.join(tmp, file), JSON.stringify(params));
+
+  write('own.scaler.json', { method: 'standard', features, mean: [0, 0], std: [1, 1] });
+  write('scaler.json', { method: 'minmax', features, min: [0, 0], max: [10, 10] });
+  write('custom.json', { method: 'robust', features, median: [0, 0], q1: [-1, -1], q3: [1, 1] });
+  write('short.scaler.json', { method: 'standard', features, mean: [0], std: [1, 1] });
+  write('other.scaler.json', { method: 'standard', features: ['flat', 'rsi'], mean: [0, 0], std: [1, 1] });
+  write('odd.scaler.json', { method: 'zscore', features, mean: [0, 0], std: [1, 1] });
+
+  const entry = (name, extra = {}) => ({ name, file: `${name}.keras`, features, ...extra });
+
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const warnings = [];
+  console.log = () => {};
+  console.warn = (message) => warnings.push(String(message));
+
+  const seen = {};
+  let lookup, refused, batch, batchScaling, single;
+
+  try {
+    clearScalerCache();
+    lookup = {
+      own: loadScaler(scratchDir, entry('own')),
+      shared: loadScaler(scratchDir, entry('shared')),
+      named: loadScaler(scratchDir, entry('own', { name: 'named', file: 'named.keras', scaler: 'custom.json' }))
+    };
+
+    refused = {
+      short: captureError(() => loadScaler(scratchDir, entry('short'))),
+      other: captureError(() => loadScaler(scratchDir, entry('other'))),
+      odd: captureError(() => loadScaler(scratchDir, entry('odd'))),
+      gone: captureError(() => loadScaler(scratchDir, entry('gone', { scaler: 'gone.json' })))
+    };
+
+    const models = [
+      { name: 'scaled', model: recordingModel(seen, 'scaled'), inputShape: [2], scaler: standard },
+      { name: 'plain', model: recordingModel(seen, 'plain'), inputShape: [2] }
+    ];
+    batch = await runBatchedInference(models, [[70, 1], [NaN, 1], [990, 1]]);
+    batchScaling = batch.rowScaling.map(reports => summarizeScaling(models, reports));
+    single = prepareForModels(models, [70, NaN]);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    clearScalerCache();
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+
+  const [stdRow] = standardOut.rows;
+
+  const checks = [
+    {
+      name: 'Standard, min-max and robust scale as trained',
+      pass: close(stdRow[0], 2) && close(stdRow[1], 2) &&
+        close(minmaxOut.rows[0][0], 0.25) && close(minmaxOut.rows[0][1], 0.5) &&
+        close(robustOut.rows[0][0], 0.75) && close(robustOut.rows[0][1], 2) &&
+        standardOut.reports[0].out_of_range === 0,
+      message: `standard ${stdRow.join(', ')}, minmax ${minmaxOut.rows[0].join(', ')}, robust ${robustOut.rows[0].join(', ')}`
+    },
+    {
+      name: 'Outliers are clipped and counted',
+      pass: clipped.rows[0][0] === 3 && clipped.rows[1][0] === -3 && close(clipped.rows[0][1], 1) &&
+        clipped.reports[0].out_of_range === 1 && clipped.reports[0].features_out_of_range.join() === 'rsi' &&
+        close(ranged.rows[0][0], 1) && ranged.reports[0].out_of_range === 1 &&
+        minmaxOutside.rows[0].join() === '1,0' && minmaxOutside.reports[0].out_of_range === 2,
+      message: `clip ${clipped.rows.map(r => r[0]).join('/')}, range ${ranged.rows[0][0]}, minmax ${minmaxOutside.rows[0].join(', ')}`
+    },
+    {
+      name: 'Missing inputs take the training center',
+      pass: imputed.rows[0].join() === '0,0' && imputed.reports[0].missing === 2 &&
+        close(imputedMinmax.rows[0][0], 0.5) &&
+        raw.rows[0].join() === '0,7' && raw.reports[0].missing === 1 && raw.reports[0].out_of_range === null,
+      message: `standard ${imputed.rows[0].join(', ')}, minmax ${imputedMinmax.rows[0][0]}, raw ${raw.rows[0].join(', ')}`
+    },
+    {
+      name: 'Scaler files found per model, then per set',
+      pass: lookup.own?.method === 'standard' && lookup.own.source.endsWith('own.scaler.json') &&
+        lookup.shared?.method === 'minmax' && lookup.shared.source.endsWith('scaler.json') &&
+        lookup.named?.method === 'robust' && lookup.named.source.endsWith('custom.json'),
+      message: Object.entries(lookup).map(([k, s]) => `${k}: ${s ? path.basename(s.source) : 'none'}`).join(', ')
+    },
+    {
+      name: 'Malformed or mismatched scalers are refused',
+      pass: Object.values(refused).every(error => error?.code === 'INVALID_SCALER') &&
+        refused.short.message.includes('"mean" must list 2 finite numbers') &&
+        refused.other.message.includes("differ from the model's declared features") &&
+        refused.odd.message.includes('method must be one of') &&
+        refused.gone.message.includes('Missing scaler'),
+      message: Object.entries(refused).map(([k, e]) => `${k}: ${e ? e.message.split(': ').pop() : 'accepted'}`).join(' | ')
+    },
+    {
+      name: 'Batched inference scales per model and reports rows',
+      pass: batch.modelResults.every(r => r.success) &&
+        close(seen.scaled[0][0], 2) && seen.scaled[1][0] === 0 && seen.scaled[2][0] === 5 &&
+        seen.plain[0][0] === 70 && seen.plain[1][0] === 0 && seen.plain[2][0] === 990 &&
+        batchScaling[2].out_of_range === 1 && batchScaling[1].missing === 2 &&
+        batchScaling[0].applied === false && batchScaling[0].models.scaled.method === 'standard' &&
+        batchScaling[0].models.plain.method === null &&
+        close(single.inputs[0][0], 2) && single.inputs[1].join() === '70,0' && single.scaling.missing === 2 &&
+        warnings.some(w => w.includes('No scaler for plain')),
+      message: `scaled ${seen.scaled?.map(r => r[0]).join('/')}, plain ${seen.plain?.map(r => r[0]).join('/')}, ` +
+        `out of range ${batchScaling.map(s => s.out_of_range).join('/')}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testFeatureScaler().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testFeatureScaler };
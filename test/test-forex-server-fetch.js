@@ -0,0 +1,221 @@
+/**
+ * Test Forex Server-Side Fetch
+ *
+ * Tests POST /api/predict-forex without client candles, offline: Twelve
+ * Data time series are replayed through axios and the models are in memory
+ * (tfjs cannot read the .keras files offline):
+ * 1. Omitted data is fetched server-side with the provider and quota reported;
+ *    the DOWN/UP model (as in the forex manifest) is read in class order
+ * 2. An unknown pair is rejected with 400 before any fetch
+ * 3. An upstream failure answers 502 with the fetch error
+ * 4. Exhausted quota or an upstream failure serves expired cached candles
+ *    flagged stale
+ * 5. Exhausted quota with nothing cached answers 429
+ *
+ * Run: node test/test-forex-server-fetch.js
+ */
+
+// Keep the quota ledger, symbol registry and storage in memory for this run
+delete process.env.MONGODB_URI;
+
+const axios = require('axios');
+const tf = require('@tensorflow/tfjs');
+const predictForex = require('../api/predict-forex');
+const { forexModelCache } = require('../api/predict-forex-handler');
+const { orchestrator, CONFIG: FETCH_CONFIG } = require('../api/fetch-data');
+const registry = require('../utils/providers/registry');
+const { quotaLedger } = require('../utils/quota-ledger');
+const { bucketStart, intervalMs } = require('../utils/timeframes');
+const { mockResponse } = require('./helpers');
+
+// Twelve Data interval names and the timeframes they replay
+const TWELVE_DATA_INTERVALS = { '1h': '1h', '4h': '4h', '1day': '1d' };
+
+/**
+ * Twelve Data time series ending at the current bar, newest first,
+ * recording each request's interval
+ */
+function replayTwelveData(requests) {
+  axios.get = async (url, { params } = {}) => {
+    const timeframe = TWELVE_DATA_INTERVALS[params?.interval];
+    if (!url.includes('twelvedata') || !timeframe) {
+      throw new Error('network disabled');
+    }
+
+    requests.push(params.interval);
+    const interval = intervalMs(timeframe);
+    const end = bucketStart(Date.now(), timeframe);
+    const values = [];
+    for (let i = 0; i < params.outputsize; i++) {
+      const close = 1.08 + Math.sin(i / 7) * 0.004 + (i % 5) * 0.0003;
+      values.push({
+        datetime: new Date(end - i * interval).toISOString(),
+        open: String(close - 0.0002),
+        high: String(close + 0.0006),
+        low: String(close - 0.0006),
+        close: String(close),
+        volume: '0'
+      });
+    }
+    return { status: 200, data: { status: 'ok', values } };
+  };
+}
+
+/**
+ * Twelve Data out of credits: a 429 inside a 200 body
+ */
+function exhaustTwelveData() {
+  axios.get = async () => ({
+    status: 200,
+    data: { status: 'error', code: 429, message: 'You have run out of API credits for the day.' }
+  });
+}
+
+function failTwelveData() {
+  axios.get = async () => {
+    throw new Error('Twelve Data unreachable');
+  };
+}
+
+async function predict(body) {
+  const res = mockResponse();
+  await predictForex({ method: 'POST', body, query: {}, headers: {} }, res);
+  return res;
+}
+
+async function testForexServerFetch() {
+  console.log('\n' + '='.repeat(70));
+  console.log('FOREX SERVER-SIDE FETCH TEST');
+  console.log('='.repeat(70));
+
+  const originalGet = axios.get;
+  const originalLoad = forexModelCache.loadAllModelEntries;
+  const originalPriority = registry.CONFIG.PRIORITY.forex;
+  const originalDelay = FETCH_CONFIG.RETRY_DELAY_MS;
+  const originalDuration = FETCH_CONFIG.CACHE_FOREX_DURATION_MS;
+  const originalBudget = quotaLedger.providers.twelvedata;
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  const requests = [];
+  let fetched, fetchRequests, unknown, unknownRequests, upstream;
+  let staleQuota, staleUpstream, exhausted;
+
+  try {
+    registry.CONFIG.PRIORITY.forex = ['twelvedata'];
+    FETCH_CONFIG.RETRY_DELAY_MS = 0;
+    // Entries expire as soon as they are cached: only the stale fallback serves them
+    FETCH_CONFIG.CACHE_FOREX_DURATION_MS = -1;
+    // More calls than the 8/min budget allows within this run
+    quotaLedger.setBudget('twelvedata', { ...originalBudget, perMinute: null });
+    forexModelCache.loadAllModelEntries = async () => [
+      { name: 'up_model', version: 'test', classes: ['DOWN', 'UP'], model: { predict: () => tf.tensor2d([[0.2, 0.8]]) } }
+    ];
+    await orchestrator.clearCache();
+
+    replayTwelveData(requests);
+    fetched = await predict({ pair: 'EURUSD' });
+    fetchRequests = requests.splice(0);
+
+    unknown = await predict({ pair: 'XXXYYY' });
+    unknownRequests = requests.splice(0);
+
+    exhaustTwelveData();
+    staleQuota = await predict({ pair: 'EURUSD' });
+    exhausted = await predict({ pair: 'GBPUSD' });
+
+    failTwelveData();
+    staleUpstream = await predict({ pair: 'EURUSD' });
+    upstream = await predict({ pair: 'GBPUSD' });
+  } finally {
+    axios.get = originalGet;
+    forexModelCache.loadAllModelEntries = originalLoad;
+    registry.CONFIG.PRIORITY.forex = originalPriority;
+    FETCH_CONFIG.RETRY_DELAY_MS = originalDelay;
+    FETCH_CONFIG.CACHE_FOREX_DURATION_MS = originalDuration;
+    quotaLedger.providers.twelvedata = originalBudget;
+    await orchestrator.clearCache();
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const source = fetched.body?.data_source;
+
+  const checks = [
+    {
+      name: 'Omitted data is fetched server-side',
+      pass: fetched.statusCode === 200 && fetched.body.success === true &&
+        source?.mode === 'server' && source.provider === 'TwelveData' &&
+        source.cached === false && source.stale === false &&
+        fetchRequests.slice().sort().join() === '1day,1h,4h' &&
+        fetched.body.quota?.provider === 'TwelveData' && typeof fetched.body.quota.remaining === 'number' &&
+        fetched.body.class === 'UP' && fetched.body.probabilities?.neutral === 0,
+      message: `${fetched.statusCode}: ${source ? `${source.mode} via ${source.provider}` : fetched.body?.error}, ` +
+        `class ${fetched.body?.class} ${JSON.stringify(fetched.body?.probabilities)}, requests ${fetchRequests.join(',')}, quota ${fetched.body?.quota?.remaining}/${fetched.body?.quota?.limit}`
+    },
+    {
+      name: 'Unknown pair rejected before any fetch',
+      pass: unknown.statusCode === 400 && unknown.body.error === 'Unknown forex pair: XXXYYY' &&
+        unknown.body.supported.includes('EURUSD') && unknownRequests.length === 0,
+      message: `${unknown.statusCode}: ${unknown.body?.error}`
+    },
+    {
+      name: 'Upstream failure answers 502',
+      pass: upstream.statusCode === 502 && upstream.body.error === 'Data fetch failed' &&
+        upstream.body.details.includes('Twelve Data unreachable') &&
+        upstream.body.quota?.provider === 'TwelveData' && typeof upstream.body.request_id === 'string',
+      message: `${upstream.statusCode}: ${upstream.body?.error} (${upstream.body?.details})`
+    },
+    {
+      name: 'Provider failures serve stale cached candles',
+      pass: [staleQuota, staleUpstream].every(res =>
+        res.statusCode === 200 && res.body.success === true &&
+        res.body.data_source.stale === true && res.body.data_source.cached === true &&
+        res.body.data_source.provider === 'TwelveData' && res.body.data_source.cache_age_ms >= 0 &&
+        res.body.quota?.provider === 'TwelveData'),
+      message: [['quota', staleQuota], ['upstream', staleUpstream]]
+        .map(([label, res]) => `${label} ${res.statusCode}${res.body?.data_source?.stale ? ' (stale)' : `: ${res.body?.error}`}`)
+        .join(', ')
+    },
+    {
+      name: 'Exhausted quota with nothing cached answers 429',
+      pass: exhausted.statusCode === 429 &&
+        exhausted.body.error === 'Twelve Data quota exhausted and no cached candles available' &&
+        exhausted.body.quota?.provider === 'TwelveData',
+      message: `${exhausted.statusCode}: ${exhausted.body?.error}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testForexServerFetch().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testForexServerFetch };
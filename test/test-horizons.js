@@ -0,0 +1,191 @@
+/**
+ * Test Prediction Horizons
+ *
+ * Tests horizon validation and routing offline (no network, no MongoDB):
+ * 1. Requests resolve to the asset class's trained horizons
+ * 2. Each horizon routes to its own model directory
+ * 3. Stored predictions resolve after their own horizon
+ * 4. Legacy predictions without a horizon read as 4h
+ * 5. Backtests replay the requested horizon's model set
+ *
+ * Run: node test/test-horizons.js
+ */
+
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+const {
+  CONFIG,
+  horizonsFor,
+  resolveHorizon,
+  documentHorizon,
+  horizonCondition
+} = require('../utils/horizons');
+const { getHorizonMs, resolvePrediction } = require('../utils/outcome-resolver');
+const { getCryptoModelEntries, getModelLoadFailures } = require('../utils/global-model-cache');
+const { runBacktest } = require('../utils/backtest-engine');
+const getPredictionsHandler = require('../api/get-prediction');
+const { mockResponse, buildCandles } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Pipeline that records which horizon's models it was asked for
+ */
+function buildPipeline(requested) {
+  return {
+    engineFeatures: (window) => ({ success: true, engineeredData: window, featureList: ['close'] }),
+    extractVector: (engineered) => [engineered['1h_close'][engineered['1h_close'].length - 1]],
+    ensemble: () => ({ className: 'NEUTRAL', confidence: 0.6 }),
+    loadModels: async (horizon) => {
+      requested.push(horizon);
+      return [{
+        name: 'flat',
+        model: { predict: (input) => tf.tensor2d(input.arraySync().map(() => [0.2, 0.6, 0.2])) }
+      }];
+    }
+  };
+}
+
+async function testHorizons() {
+  console.log('\n' + '='.repeat(70));
+  console.log('PREDICTION HORIZONS TEST');
+  console.log('='.repeat(70));
+
+  // ====== VALIDATION ======
+  const defaults = resolveHorizon('crypto');
+  let invalid;
+  try {
+    resolveHorizon('forex', '1d');
+  } catch (error) {
+    invalid = error;
+  }
+
+  // ====== OUTCOMES ======
+  const start = Date.UTC(2024, 0, 15);
+  const series = {
+    timestamps: Array.from({ length: 30 }, (_, i) => start + i * HOUR_MS),
+    closes: Array.from({ length: 30 }, (_, i) => (i < 20 ? 100 : 102))
+  };
+  const legacyDoc = { asset_class: 'crypto', class: 'UP', timestamp: new Date(start + HOUR_MS) };
+  const dailyDoc = { ...legacyDoc, horizon: '1d' };
+
+  // ====== ROUTING (a second crypto model set, whose manifest lists a missing file) ======
+  const dailyDir = path.join('test', 'fixtures', 'models-1d');
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  let routed, routedError, dailyBacktest, defaultBacktest, badBacktest, badQuery;
+  const requested = [];
+
+  try {
+    CONFIG.MODEL_SETS.crypto['1d'] = { modelsDir: dailyDir };
+    routed = horizonsFor('crypto');
+
+    try {
+      await getCryptoModelEntries('1d');
+    } catch (error) {
+      routedError = error;
+    }
+
+    const candles = buildCandles(30 * 24, { drift: 0.01 });
+    dailyBacktest = await runBacktest(candles, {
+      symbol: 'TEST', assetClass: 'crypto', horizon: '1d', pipeline: buildPipeline(requested), ensembleStrategy: 'equal'
+    });
+    defaultBacktest = await runBacktest(candles, {
+      symbol: 'TEST', assetClass: 'crypto', pipeline: buildPipeline(requested), ensembleStrategy: 'equal'
+    });
+
+    try {
+      await runBacktest(candles, { symbol: 'TEST', assetClass: 'crypto', horizon: '1w', pipeline: buildPipeline([]) });
+    } catch (error) {
+      badBacktest = error;
+    }
+
+    badQuery = mockResponse();
+    await getPredictionsHandler({ method: 'GET', query: { horizon: '2h' } }, badQuery);
+  } finally {
+    delete CONFIG.MODEL_SETS.crypto['1d'];
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const checks = [
+    {
+      name: 'Default horizon resolves',
+      pass: defaults.horizon === '4h' && defaults.hours === 4 && defaults.modelsDir === 'models/crypto',
+      message: `${defaults.horizon} -> ${defaults.modelsDir}`
+    },
+    {
+      name: 'Untrained horizon rejected',
+      pass: invalid?.code === 'INVALID_HORIZON' && invalid.message.includes('trained for: 4h'),
+      message: invalid ? invalid.message : 'no error thrown'
+    },
+    {
+      name: 'Horizon routes to its model directory',
+      pass: routed.join() === '4h,1d' &&
+        routedError?.message.includes(`Missing model files in ${dailyDir}: daily_model.keras`) &&
+        Object.keys(getModelLoadFailures('crypto', '1d')).length === 0,
+      message: routedError ? routedError.message.split('\n')[0] : 'models loaded'
+    },
+    {
+      name: 'Predictions resolve after their own horizon',
+      pass: getHorizonMs(legacyDoc) === 4 * HOUR_MS && getHorizonMs(dailyDoc) === 24 * HOUR_MS &&
+        resolvePrediction(legacyDoc, series)?.outcome === 'NEUTRAL' &&
+        resolvePrediction(dailyDoc, series)?.outcome === 'UP',
+      message: `legacy ${resolvePrediction(legacyDoc, series)?.outcome}, 1d ${resolvePrediction(dailyDoc, series)?.outcome}`
+    },
+    {
+      name: 'Legacy documents read as 4h',
+      pass: documentHorizon({}) === '4h' && documentHorizon({ horizon: '1d' }) === '1d' &&
+        JSON.stringify(horizonCondition('4h')) === JSON.stringify({ $in: ['4h', null] }) &&
+        horizonCondition('1d') === '1d',
+      message: JSON.stringify(horizonCondition('4h'))
+    },
+    {
+      name: 'Invalid horizon filter rejected',
+      pass: badQuery.statusCode === 400 && badQuery.body.error.includes('Invalid horizon'),
+      message: `${badQuery.statusCode} ${badQuery.body?.error}`
+    },
+    {
+      name: 'Backtest replays the requested horizon',
+      pass: requested.join() === '1d,4h' &&
+        dailyBacktest.config.horizon === '1d' && dailyBacktest.config.step === 24 &&
+        defaultBacktest.config.horizon === '4h' && defaultBacktest.config.step === 4 &&
+        badBacktest?.code === 'INVALID_HORIZON',
+      message: `1d step ${dailyBacktest.config.step}, 4h step ${defaultBacktest.config.step}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testHorizons().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testHorizons };
@@ -0,0 +1,265 @@
+/**
+ * Test Manifest Contracts
+ *
+ * Runs the real feature engineers against the shipped manifests
+ * (models/crypto, models/forex), whose input_shape comes from the .keras
+ * archives (they declare no feature names, so the width is the contract),
+ * offline: candles are replayed through
+ * axios or read from test/fixtures/backtest, and each manifest entry gets
+ * an in-memory model that checks its input against input_shape and answers
+ * with one probability per manifest class (tfjs cannot read the .keras
+ * files offline):
+ * 1. POST /api/predict-crypto passes the crypto contracts
+ * 2. POST /api/predict-forex passes the forex contracts
+ * 3. POST /api/predict-batch passes both for a mixed batch
+ * 4. The crypto backtest pipeline replays the 30-day fixture
+ *
+ * Run: node test/test-manifest-contracts.js
+ */
+
+// Keep the quota ledger, symbol registry and storage in memory for this run
+delete process.env.MONGODB_URI;
+
+const path = require('path');
+const axios = require('axios');
+const tf = require('@tensorflow/tfjs');
+const modelCache = require('../utils/global-model-cache');
+const registry = require('../utils/providers/registry');
+const { loadManifest } = require('../utils/model-registry');
+const { loadScaler } = require('../utils/feature-scaler');
+const { quotaLedger } = require('../utils/quota-ledger');
+const { bucketStart, intervalMs } = require('../utils/timeframes');
+const { mockResponse } = require('./helpers');
+
+const MODEL_SETS = { crypto: 'models/crypto', forex: 'models/forex' };
+const FIXTURES = path.join('test', 'fixtures', 'backtest');
+
+// Inputs each in-memory model received, by asset class
+const received = { crypto: [], forex: [] };
+
+/**
+ * Global-model-cache entries for a shipped manifest, each model an
+ * in-memory stand-in that leans UP in its own class order
+ */
+function manifestEntries(assetClass) {
+  const modelsDir = MODEL_SETS[assetClass];
+  return loadManifest(modelsDir).models.map(entry => ({
+    name: entry.name,
+    version: entry.version,
+    features: entry.features,
+    inputShape: entry.input_shape,
+    classes: entry.classes,
+    padding: entry.padding,
+    scaler: loadScaler(modelsDir, entry),
+    model: {
+      predict: (input) => {
+        received[assetClass].push({ model: entry.name, shape: input.shape.slice(1), expected: entry.input_shape });
+        const probs = entry.classes.map(name => (name === 'UP' ? 0.7 : 0.3 / (entry.classes.length - 1)));
+        return tf.tensor2d(Array.from({ length: input.shape[0] }, () => probs));
+      }
+    }
+  }));
+}
+
+// Patched before the endpoints read them
+modelCache.getCryptoModelEntries = async () => manifestEntries('crypto');
+modelCache.getForexModelEntries = async () => manifestEntries('forex');
+
+const predictCrypto = require('../api/predict-crypto');
+const predictForex = require('../api/predict-forex');
+const predictBatch = require('../api/predict-batch');
+const { forexModelCache } = require('../api/predict-forex-handler');
+const { orchestrator, CONFIG: FETCH_CONFIG } = require('../api/fetch-data');
+const { PIPELINES, loadCandleFile, findFixture, runBacktest } = require('../utils/backtest-engine');
+
+const BINANCE_INTERVALS = ['1h', '4h', '1d'];
+const TWELVE_DATA_INTERVALS = { '1h': '1h', '4h': '4h', '1day': '1d' };
+
+/**
+ * Binance klines and Twelve Data time series ending at the current bar
+ */
+function replayProviders() {
+  axios.get = async (url, { params } = {}) => {
+    if (url.includes('twelvedata') && TWELVE_DATA_INTERVALS[params?.interval]) {
+      const timeframe = TWELVE_DATA_INTERVALS[params.interval];
+      const interval = intervalMs(timeframe);
+      const end = bucketStart(Date.now(), timeframe);
+      const values = [];
+      for (let i = 0; i < params.outputsize; i++) {
+        const close = 1.08 + Math.sin(i / 7) * 0.004 + (i % 5) * 0.0003;
+        values.push({
+          datetime: new Date(end - i * interval).toISOString(),
+          open: String(close - 0.0002),
+          high: String(close + 0.0006),
+          low: String(close - 0.0006),
+          close: String(close),
+          volume: '0'
+        });
+      }
+      return { status: 200, data: { status: 'ok', values } };
+    }
+
+    if (BINANCE_INTERVALS.includes(params?.interval)) {
+      const interval = intervalMs(params.interval);
+      const end = bucketStart(Date.now(), params.interval);
+      const klines = [];
+      for (let t = end - (params.limit - 1) * interval, i = 0; t <= end; t += interval, i++) {
+        const close = 100 + Math.sin(i / 7) * 4 + (i % 5) * 0.3;
+        klines.push([t, String(close - 0.2), String(close + 0.6), String(close - 0.6), String(close), String(50 + (i % 9)), 0, '1000']);
+      }
+      return { status: 200, data: klines };
+    }
+
+    throw new Error('network disabled');
+  };
+}
+
+async function call(handler, body) {
+  const res = mockResponse();
+  await handler({ method: 'POST', body, query: {}, headers: {} }, res);
+  return res;
+}
+
+/**
+ * Every model ran, each on an input shaped like its manifest input_shape
+ */
+function shapesHold(inputs, assetClass) {
+  const names = loadManifest(MODEL_SETS[assetClass]).models.map(entry => entry.name);
+  return names.every(name => inputs.some(input => input.model === name)) &&
+    inputs.every(input => input.shape.join() === input.expected.join());
+}
+
+function describeInputs(inputs) {
+  return [...new Set(inputs.map(input => `${input.model} [${input.shape}] (manifest [${input.expected}])`))].join(', ');
+}
+
+function describeFailure(res) {
+  const contract = res.body?.contract?.[0];
+  return `${res.statusCode}: ${res.body?.error}${contract ? ` (${contract.model}: ${contract.expected_width} expected, ${contract.actual_width} produced)` : ''}`;
+}
+
+async function testManifestContracts() {
+  console.log('\n' + '='.repeat(70));
+  console.log('MANIFEST CONTRACTS TEST');
+  console.log('='.repeat(70));
+
+  const originalGet = axios.get;
+  const originalForexLoad = forexModelCache.loadAllModelEntries;
+  const originalCryptoPriority = registry.CONFIG.PRIORITY.crypto;
+  const originalForexPriority = registry.CONFIG.PRIORITY.forex;
+  const originalDelay = FETCH_CONFIG.RETRY_DELAY_MS;
+  const originalBudget = quotaLedger.providers.twelvedata;
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  let crypto, cryptoInputs, forex, forexInputs, batch, batchCrypto, batchForex, replay, replayError = null;
+
+  try {
+    registry.CONFIG.PRIORITY.crypto = ['binance'];
+    registry.CONFIG.PRIORITY.forex = ['twelvedata'];
+    FETCH_CONFIG.RETRY_DELAY_MS = 0;
+    // More calls than the 8/min budget allows within this run
+    quotaLedger.setBudget('twelvedata', { ...originalBudget, perMinute: null });
+    forexModelCache.loadAllModelEntries = async () => manifestEntries('forex');
+    await orchestrator.clearCache();
+    replayProviders();
+
+    crypto = await call(predictCrypto, { symbol: 'BTC/USDT' });
+    cryptoInputs = received.crypto.splice(0);
+
+    forex = await call(predictForex, { pair: 'EURUSD' });
+    forexInputs = received.forex.splice(0);
+
+    batch = await call(predictBatch, { symbols: ['BTC/USDT', 'EURUSD'], store: false });
+    batchCrypto = received.crypto.splice(0);
+    batchForex = received.forex.splice(0);
+
+    try {
+      replay = await runBacktest(loadCandleFile(findFixture(FIXTURES, 'ETH/USDT')), {
+        symbol: 'ETH/USDT',
+        assetClass: 'crypto',
+        ensembleStrategy: 'equal',
+        pipeline: { ...PIPELINES.crypto(), loadModels: async () => manifestEntries('crypto') }
+      });
+    } catch (error) {
+      replayError = error;
+    }
+  } finally {
+    axios.get = originalGet;
+    forexModelCache.loadAllModelEntries = originalForexLoad;
+    registry.CONFIG.PRIORITY.crypto = originalCryptoPriority;
+    registry.CONFIG.PRIORITY.forex = originalForexPriority;
+    FETCH_CONFIG.RETRY_DELAY_MS = originalDelay;
+    quotaLedger.providers.twelvedata = originalBudget;
+    await orchestrator.clearCache();
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const replayInputs = received.crypto.splice(0);
+  const batchResults = batch.body?.results || [];
+
+  const checks = [
+    {
+      name: 'Crypto features meet the shipped crypto contracts',
+      pass: crypto.statusCode === 200 && crypto.body.success === true &&
+        crypto.body.class === 'UP' && shapesHold(cryptoInputs, 'crypto'),
+      message: crypto.statusCode === 200 ? describeInputs(cryptoInputs) : describeFailure(crypto)
+    },
+    {
+      name: 'Forex features meet the shipped forex contracts',
+      pass: forex.statusCode === 200 && forex.body.success === true &&
+        forex.body.class === 'UP' && shapesHold(forexInputs, 'forex'),
+      message: forex.statusCode === 200 ? describeInputs(forexInputs) : describeFailure(forex)
+    },
+    {
+      name: 'Mixed batch meets both contracts',
+      pass: batch.statusCode === 200 && batchResults.length === 2 &&
+        batchResults.every(result => result.success === true && result.class === 'UP') &&
+        shapesHold(batchCrypto, 'crypto') && shapesHold(batchForex, 'forex'),
+      message: batchResults.map(result => `${result.symbol}=${result.success ? result.class : `${result.stage}: ${result.error}`}`).join(', ') ||
+        `${batch.statusCode}: ${batch.body?.error}`
+    },
+    {
+      name: 'Crypto backtest pipeline replays the 30-day fixture',
+      pass: !replayError && replay.summary.steps > 0 && replay.skipped.features === 0 &&
+        shapesHold(replayInputs, 'crypto'),
+      message: replayError
+        ? replayError.message
+        : `${replay.summary.steps} steps, ${replay.skipped.features} feature errors, ${describeInputs(replayInputs)}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testManifestContracts().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testManifestContracts };
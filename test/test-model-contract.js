@@ -0,0 +1,207 @@
+/**
+ * Test Model Input Contracts
+ *
+ * Tests the feature/contract checks offline with in-memory models:
+ * 1. Feature diffs name missing, extra and reordered features
+ * 2. Width-only contracts and manifest/shape disagreements are caught
+ * 3. Mismatches fail with a precise, bounded message
+ * 4. Batched inference never runs a model on a wrong-width tensor
+ * 5. Backtests refuse to replay a broken contract
+ * 6. The contract view lists each model's declared inputs
+ *
+ * Run: node test/test-model-contract.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+const {
+  diffFeatures,
+  checkModelContract,
+  assertContracts,
+  describeContracts
+} = require('../utils/model-contract');
+const { clearManifestCache } = require('../utils/model-registry');
+const { runBatchedInference } = require('../utils/batch-inference');
+const { runBacktest } = require('../utils/backtest-engine');
+const { buildCandles } = require('./helpers');
+
+/**
+ * Model that counts predict calls and always answers NEUTRAL
+ */
+function countingModel(calls, name) {
+  return {
+    predict: (input) => {
+      calls[name] = (calls[name] || 0) + 1;
+      return tf.tensor2d(input.arraySync().map(() => [0.2, 0.6, 0.2]));
+    }
+  };
+}
+
+function buildPipeline(features, calls) {
+  return {
+    engineFeatures: (window) => ({ success: true, engineeredData: window, featureList: ['close', 'volume'] }),
+    extractVector: (engineered) => [
+      engineered['1h_close'][engineered['1h_close'].length - 1],
+      engineered['1h_volume'][engineered['1h_volume'].length - 1]
+    ],
+    ensemble: () => ({ className: 'NEUTRAL', confidence: 0.6 }),
+    loadModels: async () => [{ name: 'declared', model: countingModel(calls, 'declared'), features, inputShape: [1, 2] }]
+  };
+}
+
+async function captureError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testModelContract() {
+  console.log('\n' + '='.repeat(70));
+  console.log('MODEL INPUT CONTRACT TEST');
+  console.log('='.repeat(70));
+
+  // ====== DIFF ======
+  const diff = diffFeatures(['a', 'b', 'c', 'd'], ['b', 'a', 'c', 'e']);
+  const exact = checkModelContract({ name: 'm', features: ['a', 'b'], inputShape: [1, 2] }, ['a', 'b']);
+  const widthOnly = checkModelContract({ name: 'w', inputShape: [60, 3] }, ['a', 'b']);
+  const untyped = checkModelContract({ name: 'u' }, ['a', 'b']);
+  const declaredWidth = checkModelContract({ name: 's', features: ['a', 'b'], inputShape: [1, 56] }, ['a', 'b']);
+
+  // ====== ERRORS ======
+  const many = Array.from({ length: 8 }, (_, i) => `f${i}`);
+  const mismatch = await captureError(Promise.resolve().then(() => assertContracts([
+    { name: 'good', features: ['x', ...many] },
+    { name: 'bad', features: ['x'] }
+  ], ['x', ...many])));
+
+  // ====== SCRATCH MANIFEST ======
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'model-contract-'));
+  const scratchDir = path.relative(process.cwd(), tmp);
+  fs.writeFileSync(path.join(tmp, 'manifest.json'), JSON.stringify({
+    asset_class: 'crypto',
+    models: [
+      { name: 'fit', file: 'fit.keras', version: '1', trained_at: '2025-11-17T00:00:00Z', sha256: '',
+        input_shape: [1, 2], features: ['close', 'volume'], classes: ['DOWN', 'NEUTRAL', 'UP'] },
+      { name: 'wide', file: 'wide.keras', version: '1', trained_at: '2025-11-17T00:00:00Z', sha256: '',
+        input_shape: [60, 3], features: ['close', 'volume', 'trend'], classes: ['DOWN', 'UP'] }
+    ]
+  }));
+
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+
+  const calls = {};
+  let batch, view, brokenBacktest, fitBacktest;
+
+  try {
+    clearManifestCache();
+    view = describeContracts(scratchDir);
+
+    batch = await runBatchedInference([
+      { name: 'fits', model: countingModel(calls, 'fits'), inputShape: [1, 2] },
+      { name: 'wider', model: countingModel(calls, 'wider'), inputShape: [1, 3] }
+    ], [[1, 2], [3, 4]]);
+
+    const candles = buildCandles(30 * 24);
+    const brokenCalls = {};
+    brokenBacktest = await captureError(runBacktest(candles, {
+      symbol: 'TEST', assetClass: 'crypto', pipeline: buildPipeline(['volume', 'close'], brokenCalls), ensembleStrategy: 'equal'
+    }));
+    brokenBacktest = { error: brokenBacktest, calls: brokenCalls.declared || 0 };
+
+    fitBacktest = await runBacktest(candles, {
+      symbol: 'TEST', assetClass: 'crypto', pipeline: buildPipeline(['close', 'volume'], {}), ensembleStrategy: 'equal'
+    });
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    clearManifestCache();
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+
+  const wider = batch.modelResults.find(r => r.model === 'wider');
+
+  const checks = [
+    {
+      name: 'Diff names missing, extra and reordered',
+      pass: diff.missing.join() === 'd' && diff.extra.join() === 'e' &&
+        JSON.stringify(diff.reordered) === JSON.stringify([
+          { feature: 'a', expected_index: 0, actual_index: 1 },
+          { feature: 'b', expected_index: 1, actual_index: 0 }
+        ]),
+      message: JSON.stringify(diff)
+    },
+    {
+      name: 'Contracts hold only on an exact match',
+      pass: exact === null && untyped === null &&
+        widthOnly?.expected_width === 3 && widthOnly.actual_width === 2 &&
+        declaredWidth?.declared_width === 2 && declaredWidth.expected_width === 56,
+      message: `width-only ${widthOnly?.expected_width}/${widthOnly?.actual_width}, declared ${declaredWidth?.declared_width} of ${declaredWidth?.expected_width}`
+    },
+    {
+      name: 'Mismatch error is precise and bounded',
+      pass: mismatch?.code === 'CONTRACT_MISMATCH' && mismatch.contract.length === 1 &&
+        mismatch.contract[0].model === 'bad' && mismatch.contract[0].extra.length === 8 &&
+        mismatch.message.includes('bad expects 1 features, got 9') &&
+        mismatch.message.includes('extra: f0, f1, f2, f3, f4 (+3 more)'),
+      message: mismatch ? mismatch.message : 'no error thrown'
+    },
+    {
+      name: 'Wrong-width model is never run',
+      pass: calls.fits === 1 && !calls.wider && wider?.success === false &&
+        wider.error.includes('expects 3 features, got 2') &&
+        batch.rowPredictions.every(row => row.length === 1),
+      message: wider ? wider.error : 'no result'
+    },
+    {
+      name: 'Backtest refuses a broken contract',
+      pass: brokenBacktest.error?.code === 'CONTRACT_MISMATCH' && brokenBacktest.calls === 0 &&
+        brokenBacktest.error.contract[0].reordered.length === 2 &&
+        fitBacktest.summary.steps > 0,
+      message: brokenBacktest.error ? brokenBacktest.error.message : 'replayed'
+    },
+    {
+      name: 'Contract view lists declared inputs',
+      pass: view.length === 2 && view[0].width === 2 &&
+        view[0].features.join() === 'close,volume' &&
+        view[1].width === 3 && view[1].timesteps === 60 && view[1].features.length === 3 &&
+        view[1].classes.join() === 'DOWN,UP',
+      message: view.map(m => `${m.name}: ${m.timesteps ? `${m.timesteps}x` : ''}${m.width}`).join(', ')
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testModelContract().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testModelContract };
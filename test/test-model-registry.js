@@ -0,0 +1,221 @@
+/**
+ * Test Model Registry
+ *
+ * Tests the per-model-set manifests offline (model files are hashed, not loaded):
+ * 1. Shipped manifests are complete and match the files in models/
+ * 2. Malformed manifests are rejected, including feature lists that do not
+ *    match the input width
+ * 3. Missing, modified and unlisted files are reported
+ * 4. /api/check-models reports every model set from its manifest
+ * 5. The lazy loader loads what the manifest lists
+ *
+ * Run: node test/test-model-registry.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadManifest,
+  clearManifestCache,
+  modelNames,
+  findModel,
+  describeModels,
+  sha256File,
+  verifyModelSet
+} = require('../utils/model-registry');
+const { CONFIG: HORIZON_CONFIG } = require('../utils/horizons');
+const LazyModelLoader = require('../utils/lazy-model-loader');
+const checkModels = require('../api/check-models');
+const { mockResponse } = require('./helpers');
+
+function entry(name, fields = {}) {
+  return {
+    name,
+    file: `${name}.keras`,
+    version: '1.0',
+    trained_at: '2025-11-17T00:00:00Z',
+    sha256: '',
+    input_shape: [1, 2],
+    features: ['a', 'b'],
+    classes: ['DOWN', 'NEUTRAL', 'UP'],
+    ...fields
+  };
+}
+
+function writeManifest(dir, models) {
+  fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify({ asset_class: 'crypto', models }));
+  clearManifestCache();
+}
+
+function manifestError(modelsDir) {
+  try {
+    loadManifest(modelsDir);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testModelRegistry() {
+  console.log('\n' + '='.repeat(70));
+  console.log('MODEL REGISTRY TEST');
+  console.log('='.repeat(70));
+
+  // ====== SHIPPED MANIFESTS ======
+  const shipped = Object.values(HORIZON_CONFIG.MODEL_SETS)
+    .flatMap(sets => Object.values(sets))
+    .map(({ modelsDir }) => verifyModelSet(modelsDir));
+  const crypto = loadManifest('models/crypto');
+  const shippedEntries = Object.values(HORIZON_CONFIG.MODEL_SETS)
+    .flatMap(sets => Object.values(sets))
+    .flatMap(({ modelsDir }) => loadManifest(modelsDir).models);
+
+  // ====== SCRATCH MODEL SET ======
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+  const scratchDir = path.relative(process.cwd(), tmp);
+  fs.writeFileSync(path.join(tmp, 'alpha.keras'), 'alpha weights');
+  fs.writeFileSync(path.join(tmp, 'beta.keras'), 'beta weights');
+  fs.writeFileSync(path.join(tmp, 'retired.keras'), 'old weights');
+
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  let missingManifest, duplicate, incomplete, badShape, narrow, undeclared, verified, order, unknown;
+  let healthy, broken, lazy, lazyAttempts;
+
+  try {
+    missingManifest = manifestError(scratchDir);
+
+    writeManifest(tmp, [entry('alpha'), entry('alpha')]);
+    duplicate = manifestError(scratchDir);
+
+    const { sha256, ...withoutChecksum } = entry('alpha');
+    writeManifest(tmp, [withoutChecksum]);
+    incomplete = manifestError(scratchDir);
+
+    writeManifest(tmp, [entry('alpha', { input_shape: [60, 0] })]);
+    badShape = manifestError(scratchDir);
+
+    writeManifest(tmp, [entry('alpha', { input_shape: [60, 3] })]);
+    narrow = manifestError(scratchDir);
+
+    // No training column order known: only the width is declared
+    writeManifest(tmp, [entry('alpha', { features: undefined })]);
+    undeclared = manifestError(scratchDir) || loadManifest(scratchDir).models[0];
+
+    writeManifest(tmp, [
+      entry('beta', { sha256: sha256File(path.join(tmp, 'beta.keras')) }),
+      entry('alpha', { sha256: 'stale' }),
+      entry('gamma')
+    ]);
+    verified = verifyModelSet(scratchDir);
+    order = modelNames(scratchDir);
+    try {
+      findModel(scratchDir, 'delta');
+    } catch (error) {
+      unknown = error;
+    }
+
+    healthy = mockResponse();
+    await checkModels({ query: { checksums: 'true' } }, healthy);
+
+    HORIZON_CONFIG.MODEL_SETS.crypto['1d'] = { modelsDir: scratchDir };
+    broken = mockResponse();
+    await checkModels({ query: {} }, broken);
+
+    // Scratch files are not real models: every listed one is attempted and fails
+    lazy = new LazyModelLoader(scratchDir);
+    await lazy.loadAvailableModels();
+    lazyAttempts = lazy.getStats().attempts;
+  } finally {
+    delete HORIZON_CONFIG.MODEL_SETS.crypto['1d'];
+    fs.rmSync(tmp, { recursive: true, force: true });
+    clearManifestCache();
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const checks = [
+    {
+      name: 'Shipped manifests match models/',
+      pass: shipped.length > 0 && shipped.every(r =>
+        r.missing.length === 0 && r.mismatched.length === 0 && r.unlisted.length === 0
+      ),
+      message: shipped.map(r => `${r.modelsDir}: ${r.present.length}/${r.expected}`).join(', ')
+    },
+    {
+      name: 'Manifest entries are complete',
+      pass: crypto.models.every(m => m.classes.join() === 'DOWN,NEUTRAL,UP') &&
+        describeModels('models/crypto').every(m => m.version && m.trained_at && !m.features) &&
+        shippedEntries.every(m => m.features === undefined || m.features.length === m.input_shape[m.input_shape.length - 1]),
+      message: crypto.models.map(m => `${m.name} v${m.version} ${JSON.stringify(m.input_shape)}`).join(', ')
+    },
+    {
+      name: 'Malformed manifests rejected',
+      pass: [missingManifest, duplicate, incomplete, badShape, narrow].every(e => e?.code === 'INVALID_MANIFEST') &&
+        missingManifest.message.includes('Missing model manifest') &&
+        duplicate.message.includes('duplicate model "alpha"') &&
+        incomplete.message.includes('missing sha256') &&
+        badShape.message.includes('input_shape') &&
+        narrow.message.includes('alpha lists 2 features for input_shape [60, 3] (expected 3)') &&
+        undeclared.name === 'alpha' && undeclared.features === undefined,
+      message: incomplete ? incomplete.message.split(': ').slice(1).join(': ') : 'accepted'
+    },
+    {
+      name: 'Drift from the manifest reported',
+      pass: verified.present.map(p => p.name).join() === 'beta,alpha' &&
+        verified.missing.join() === 'gamma.keras' &&
+        verified.mismatched.join() === 'alpha.keras' &&
+        verified.unlisted.join() === 'retired.keras' &&
+        order.join() === 'beta,alpha,gamma' && unknown?.code === 'INVALID_MANIFEST',
+      message: `missing ${verified.missing}, mismatched ${verified.mismatched}, unlisted ${verified.unlisted}`
+    },
+    {
+      name: 'check-models reads every model set',
+      pass: healthy.statusCode === 200 && healthy.body.crypto['4h'].filesFound === crypto.models.length &&
+        healthy.body.forex['4h'].mismatched.length === 0 &&
+        broken.statusCode === 500 && broken.body.crypto['1d'].missing.join() === 'gamma.keras' &&
+        broken.body.crypto['4h'].ok === true,
+      message: `${healthy.statusCode} healthy, ${broken.statusCode} with a broken 1d set`
+    },
+    {
+      name: 'Lazy loader follows the manifest',
+      pass: lazyAttempts === 3 && lazy.getStats().failed === 3,
+      message: `${lazyAttempts} attempts`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testModelRegistry().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testModelRegistry };
@@ -0,0 +1,288 @@
+/**
+ * Test Model Rollout (champion/challenger)
+ *
+ * Tests versioned rollout offline (memory store, in-memory models):
+ * 1. Without a stored state every model serves its first listed version
+ * 2. Challengers must name listed versions and differ from the champion
+ * 3. Promote and rollback switch the champion for every instance
+ * 4. Shadow runs store the challenger apart and skip broken contracts
+ * 5. Shadow predictions resolve alongside the champion's
+ * 6. Realized accuracy is reported per version, side by side
+ * 7. The admin endpoint requires ADMIN_TOKEN
+ *
+ * Run: node test/test-model-rollout.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+const { ModelRollout, MemoryRolloutStore } = require('../utils/model-rollout');
+const { clearManifestCache } = require('../utils/model-registry');
+const { CONFIG: HORIZON_CONFIG } = require('../utils/horizons');
+const { runShadow } = require('../utils/shadow-mode');
+const { resolveOutcomes } = require('../utils/outcome-resolver');
+const { buildVersionComparison } = require('../utils/model-predictions');
+const { getCryptoModelEntries } = require('../utils/global-model-cache');
+const cryptoFetcher = require('../api/crypto-data-fetcher');
+const rolloutHandler = require('../api/model-rollout');
+const { mockResponse } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function entry(name, version) {
+  return {
+    name,
+    file: `${name}_v${version}.keras`,
+    version,
+    trained_at: '2025-11-17T00:00:00Z',
+    sha256: '',
+    input_shape: [1, 2],
+    features: ['close', 'volume'],
+    classes: ['DOWN', 'NEUTRAL', 'UP']
+  };
+}
+
+/**
+ * Model that always answers the same probabilities
+ */
+function fixedModel(probs) {
+  return { predict: (input) => tf.tensor2d(input.arraySync().map(() => probs)) };
+}
+
+/**
+ * In-memory collection with the calls the resolver makes
+ */
+function fakeCollection(docs) {
+  return {
+    docs,
+    find() {
+      return { sort: () => ({ limit: () => ({ toArray: async () => docs.filter(d => !d.outcome) }) }) };
+    },
+    async bulkWrite(ops) {
+      for (const { updateOne } of ops) {
+        Object.assign(docs.find(d => d._id === updateOne.filter._id), updateOne.update.$set);
+      }
+      return { modifiedCount: ops.length };
+    }
+  };
+}
+
+async function captureError(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testModelRollout() {
+  console.log('\n' + '='.repeat(70));
+  console.log('MODEL ROLLOUT TEST');
+  console.log('='.repeat(70));
+
+  // ====== SCRATCH MODEL SET (two alpha versions) ======
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'model-rollout-'));
+  const scratchDir = path.relative(process.cwd(), tmp);
+  fs.writeFileSync(path.join(tmp, 'manifest.json'), JSON.stringify({
+    asset_class: 'crypto',
+    models: [entry('alpha', '1.0'), entry('beta', '1.0'), entry('alpha', '2.0')]
+  }));
+
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  const originalBinance = cryptoFetcher.fetchCryptoDataBinance;
+  const originalToken = process.env.ADMIN_TOKEN;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+
+  const store = new MemoryRolloutStore();
+  const rollout = new ModelRollout({ store });
+  let defaults, unknownVersion, sameAsChampion, challenged, promoted, otherInstance, rolledBack, nothingToPromote;
+  let shadowDocs = [], shadow, noChallenger, misaligned, resolved, championDocs, shadowCollection;
+  let disabled, unauthorized, listed, liveChallenger;
+
+  try {
+    clearManifestCache();
+    HORIZON_CONFIG.MODEL_SETS.crypto['1d'] = { modelsDir: scratchDir };
+
+    // ====== ROLLOUT STATE ======
+    await rollout.load();
+    defaults = { champion: rollout.selection('crypto', '1d'), challenger: rollout.selection('crypto', '1d', 'challenger') };
+    unknownVersion = await captureError(rollout.setChallenger('crypto', '1d', { alpha: '3.0' }));
+    sameAsChampion = await captureError(rollout.setChallenger('crypto', '1d', { alpha: '1.0' }));
+    challenged = await rollout.setChallenger('crypto', '1d', { alpha: '2.0' });
+
+    // ====== SHADOW RUN ======
+    const models = {
+      champion: [{ name: 'alpha', version: '1.0', model: fixedModel([0.6, 0.3, 0.1]), inputShape: [1, 2], features: ['close', 'volume'] }],
+      challenger: [{ name: 'alpha', version: '2.0', model: fixedModel([0.1, 0.2, 0.7]), inputShape: [1, 2], features: ['close', 'volume'] }]
+    };
+    const context = {
+      assetClass: 'crypto',
+      horizon: '1d',
+      ensembleStrategy: 'equal',
+      keyField: 'symbol',
+      loadModels: async (horizon, role) => models[role],
+      ensemble: (predictions) => ({
+        class: 2, className: 'UP', confidence: predictions[0][2], probabilities: {}, modelsUsed: predictions.length
+      }),
+      store: async (docs) => { shadowDocs.push(...docs); return docs.length; }
+    };
+    const row = (symbol, featureList) => ({
+      symbol,
+      requestId: `req-${symbol}`,
+      features: [1, 2],
+      featureList,
+      regime: { regime: 'trending' },
+      champion: { class: 'DOWN', confidence: 0.6, model_versions: { alpha: '1.0' } }
+    });
+    shadow = await runShadow(context, [row('BTC/USDT', ['close', 'volume']), row('ETH/USDT', ['volume', 'close'])]);
+    noChallenger = await runShadow({ ...context, loadModels: async () => [] }, [row('BTC/USDT', ['close', 'volume'])]);
+    misaligned = shadow.skipped.find(s => s.symbol === 'ETH/USDT');
+
+    // ====== PROMOTE / ROLLBACK ======
+    promoted = await rollout.promote('crypto', '1d');
+    otherInstance = new ModelRollout({ store });
+    await otherInstance.load();
+    rolledBack = await otherInstance.rollback('crypto', '1d');
+    nothingToPromote = await captureError(otherInstance.promote('crypto', '1d'));
+
+    // ====== OUTCOMES ======
+    const timestamp = new Date(Date.UTC(2024, 0, 15));
+    championDocs = [{
+      _id: 1, asset_class: 'crypto', symbol: 'BTC/USDT', horizon: '1d', class: 'DOWN', timestamp,
+      request_id: 'req-BTC/USDT', model_versions: { alpha: '1.0' },
+      model_predictions: [{ model: 'alpha', version: '1.0', success: true, class: 'DOWN', probabilities: { down: 0.6, neutral: 0.3, up: 0.1 } }]
+    }];
+    const shadowStored = shadowDocs.map((doc, i) => ({ ...doc, _id: 100 + i, timestamp }));
+    shadowCollection = fakeCollection(shadowStored);
+    const db = {
+      collection: (name) => (name === 'predictions' ? fakeCollection(championDocs) : shadowCollection)
+    };
+    cryptoFetcher.fetchCryptoDataBinance = async () => ({
+      success: true,
+      source: 'Binance',
+      data: {
+        '1h_timestamp': Array.from({ length: 48 }, (_, i) => timestamp.getTime() + (i - 10) * HOUR_MS),
+        '1h_close': Array.from({ length: 48 }, (_, i) => (i < 30 ? 100 : 103))
+      }
+    });
+    resolved = await resolveOutcomes(db, { now: new Date(timestamp.getTime() + 36 * HOUR_MS) });
+
+    // ====== ADMIN ENDPOINT (shared instance, shipped manifests) ======
+    delete process.env.ADMIN_TOKEN;
+    disabled = mockResponse();
+    await rolloutHandler({ method: 'POST', headers: {}, body: { action: 'promote', asset_class: 'crypto' } }, disabled);
+
+    process.env.ADMIN_TOKEN = 'rollout-secret';
+    unauthorized = mockResponse();
+    await rolloutHandler({ method: 'POST', headers: { authorization: 'Bearer wrong' }, body: { action: 'promote', asset_class: 'crypto' } }, unauthorized);
+
+    listed = mockResponse();
+    await rolloutHandler({ method: 'GET', query: { asset_class: 'crypto' } }, listed);
+
+    liveChallenger = await getCryptoModelEntries(undefined, 'challenger');
+  } finally {
+    delete HORIZON_CONFIG.MODEL_SETS.crypto['1d'];
+    fs.rmSync(tmp, { recursive: true, force: true });
+    clearManifestCache();
+    cryptoFetcher.fetchCryptoDataBinance = originalBinance;
+    if (originalToken === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = originalToken;
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+
+  const report = buildVersionComparison([...championDocs, ...shadowCollection.docs]);
+  const versionRate = (version) => report.versions.find(v => v.model === 'alpha' && v.version === version);
+  const stored = shadowDocs[0];
+
+  const checks = [
+    {
+      name: 'First listed versions are the default champion',
+      pass: JSON.stringify(defaults.champion) === JSON.stringify({ alpha: '1.0', beta: '1.0' }) &&
+        defaults.challenger === null,
+      message: JSON.stringify(defaults.champion)
+    },
+    {
+      name: 'Challengers are validated',
+      pass: unknownVersion?.code === 'INVALID_ROLLOUT' && unknownVersion.message.includes('listed: 1.0, 2.0') &&
+        sameAsChampion?.code === 'INVALID_ROLLOUT' &&
+        JSON.stringify(challenged.challenger) === JSON.stringify({ alpha: '2.0', beta: '1.0' }),
+      message: unknownVersion ? unknownVersion.message : 'accepted'
+    },
+    {
+      name: 'Promote and rollback switch the champion',
+      pass: promoted.champion.alpha === '2.0' && promoted.challenger === null && promoted.previous.alpha === '1.0' &&
+        rolledBack.champion.alpha === '1.0' && rolledBack.previous.alpha === '2.0' &&
+        rolledBack.history.map(h => h.action).join() === 'challenge,promote,rollback' &&
+        nothingToPromote?.code === 'INVALID_ROLLOUT',
+      message: `promoted alpha@${promoted.champion.alpha}, rolled back to alpha@${rolledBack.champion.alpha}`
+    },
+    {
+      name: 'Shadow predictions stored apart',
+      pass: shadow.ran && shadow.stored === 1 && shadowDocs.length === 1 &&
+        stored.role === 'challenger' && stored.symbol === 'BTC/USDT' && stored.request_id === 'req-BTC/USDT' &&
+        stored.model_versions.alpha === '2.0' && stored.champion.class === 'DOWN' &&
+        stored.model_predictions[0].version === '2.0' &&
+        misaligned?.reason.includes('contract') && !noChallenger.ran,
+      message: `${shadow.stored} stored, skipped ${shadow.skipped.map(s => s.symbol).join(', ')}`
+    },
+    {
+      name: 'Shadow predictions resolve with the champion',
+      pass: resolved.resolved === 1 && resolved.correct === 0 &&
+        resolved.shadow.resolved === 1 && resolved.shadow.hit_rate === 1 &&
+        shadowCollection.docs[0].outcome === 'UP',
+      message: `champion ${resolved.hit_rate}, challenger ${resolved.shadow.hit_rate}`
+    },
+    {
+      name: 'Accuracy reported per version',
+      pass: versionRate('1.0')?.hit_rate === 0 && versionRate('2.0')?.hit_rate === 1 &&
+        versionRate('2.0').roles.join() === 'challenger' &&
+        report.head_to_head[0]?.wins.challenger === 1 && report.head_to_head[0].wins.champion === 0 &&
+        report.ensembles.map(e => e.role).join() === 'champion,challenger',
+      message: report.versions.map(v => `${v.model}@${v.version} ${v.hit_rate}`).join(', ')
+    },
+    {
+      name: 'Rollout admin requires ADMIN_TOKEN',
+      pass: disabled.statusCode === 403 && unauthorized.statusCode === 401 &&
+        listed.statusCode === 200 && listed.body.model_sets[0].challenger === null &&
+        Object.keys(listed.body.model_sets[0].available).length > 0 &&
+        Array.isArray(liveChallenger) && liveChallenger.length === 0,
+      message: `${disabled.statusCode} disabled, ${unauthorized.statusCode} wrong token, ${listed.statusCode} list`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testModelRollout().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testModelRollout };
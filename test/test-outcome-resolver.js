@@ -0,0 +1,298 @@
+/**
+ * Test Outcome Resolver
+ *
+ * Tests the resolution logic offline (no network, no MongoDB):
+ * 1. DOWN/NEUTRAL/UP labeling thresholds
+ * 2. Price lookup on hourly candles
+ * 3. Single prediction resolution
+ * 4. Pending query construction: only predictions past their own horizon
+ * 5. Unresolvable predictions count attempts and are abandoned
+ * 6. Runs that write need the admin token
+ *
+ * Run: node test/test-outcome-resolver.js
+ */
+
+// No database: the endpoint stops at auth or at the connection
+delete process.env.MONGODB_URI;
+
+const {
+  CONFIG,
+  labelReturn,
+  priceAt,
+  resolvePrediction,
+  buildPendingQuery,
+  resolveOutcomes
+} = require('../utils/outcome-resolver');
+const { CONFIG: HORIZON_CONFIG } = require('../utils/horizons');
+const cryptoFetcher = require('../api/crypto-data-fetcher');
+const resolveHandler = require('../api/resolve-outcomes');
+const { mockResponse } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function buildSeries(startMs, closes) {
+  return {
+    timestamps: closes.map((_, i) => startMs + i * HOUR_MS),
+    closes
+  };
+}
+
+/**
+ * Match one document against the operators buildPendingQuery emits
+ */
+function matches(doc, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(part => matches(doc, part));
+
+    const value = doc[key];
+    if (condition === null || typeof condition !== 'object') {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([op, operand]) => {
+      switch (op) {
+        case '$in': return operand.some(item => (item === null ? value == null : value === item));
+        case '$exists': return (value !== undefined) === operand;
+        case '$gte': return value >= operand;
+        case '$lte': return value <= operand;
+        default: throw new Error(`Unsupported query operator ${op}`);
+      }
+    });
+  });
+}
+
+/**
+ * In-memory collection with the calls the resolver makes
+ */
+function memoryCollection(docs) {
+  const writes = [];
+  return {
+    docs,
+    writes,
+    find(query) {
+      const found = docs.filter(doc => matches(doc, query)).sort((a, b) => a.timestamp - b.timestamp);
+      return { sort: () => ({ limit: (n) => ({ toArray: async () => found.slice(0, n) }) }) };
+    },
+    async bulkWrite(ops) {
+      writes.push(ops);
+      for (const { updateOne } of ops) {
+        const doc = docs.find(d => d._id === updateOne.filter._id);
+        Object.assign(doc, updateOne.update.$set);
+        for (const [field, by] of Object.entries(updateOne.update.$inc || {})) {
+          doc[field] = (doc[field] || 0) + by;
+        }
+      }
+      return { modifiedCount: ops.length };
+    }
+  };
+}
+
+async function callHandler(body, token) {
+  const res = mockResponse();
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  await resolveHandler({ method: 'POST', query: {}, body, headers }, res);
+  return res;
+}
+
+async function testOutcomeResolver() {
+  console.log('\n' + '='.repeat(70));
+  console.log('OUTCOME RESOLVER TEST');
+  console.log('='.repeat(70));
+
+  const start = Date.UTC(2024, 0, 15, 0, 0, 0);
+  // Hourly closes: flat at 100, then +1% from the 05:00 candle on
+  const series = buildSeries(start, [100, 100, 100, 100, 100, 101, 101, 101, 101, 101, 101, 101]);
+
+  // Prediction made at 02:00 -> entry is the candle that closed at 02:00 (open 01:00)
+  const upDoc = {
+    asset_class: 'crypto',
+    class: 'UP',
+    timestamp: new Date(start + 2 * HOUR_MS)
+  };
+  const upResolution = resolvePrediction(upDoc, series);
+
+  // Prediction made at 01:00 -> horizon ends at 05:00, still flat
+  const flatDoc = {
+    asset_class: 'forex',
+    class: 'DOWN',
+    timestamp: new Date(start + 1 * HOUR_MS)
+  };
+  const flatResolution = resolvePrediction(flatDoc, series);
+
+  // Prediction whose horizon lies beyond the available candles
+  const futureDoc = {
+    asset_class: 'crypto',
+    class: 'UP',
+    timestamp: new Date(start + 11 * HOUR_MS)
+  };
+  const futureResolution = resolvePrediction(futureDoc, series);
+
+  const now = new Date(start + 24 * HOUR_MS);
+  const query = buildPendingQuery({ assetClass: 'crypto', now });
+
+  // ====== DUE PREDICTIONS ONLY ======
+  // A 1d model set next to the 4h one: a 5h-old 1d call is not due yet
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  const originalBinance = cryptoFetcher.fetchCryptoDataBinance;
+  const originalToken = process.env.ADMIN_TOKEN;
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+
+  const prediction = (id, hoursAgo, fields = {}) => ({
+    _id: id, asset_class: 'crypto', symbol: 'BTC/USDT', class: 'UP',
+    timestamp: new Date(now.getTime() - hoursAgo * HOUR_MS), ...fields
+  });
+
+  let dueIds, failedRun, retried, abandoned, dryRunWrites, disabled, unauthorized, authorized, dryRun;
+  try {
+    HORIZON_CONFIG.MODEL_SETS.crypto['1d'] = { modelsDir: 'models/crypto' };
+    const dueQuery = buildPendingQuery({ assetClass: 'crypto', now });
+    dueIds = [
+      prediction('legacy-due', 5),
+      prediction('daily-early', 5, { horizon: '1d' }),
+      prediction('daily-due', 30, { horizon: '1d' }),
+      prediction('fresh', 2),
+      prediction('abandoned', 10, { resolution_abandoned_at: now })
+    ].filter(doc => matches(doc, dueQuery)).map(doc => doc._id);
+    delete HORIZON_CONFIG.MODEL_SETS.crypto['1d'];
+
+    // ====== ATTEMPTS ======
+    cryptoFetcher.fetchCryptoDataBinance = async () => ({ success: false, error: 'Unknown symbol' });
+    const predictions = memoryCollection([
+      prediction('stuck', 10, { resolution_attempts: CONFIG.MAX_ATTEMPTS - 1 }),
+      prediction('new', 6)
+    ]);
+    const db = { collection: (name) => (name === CONFIG.COLLECTIONS.predictions ? predictions : memoryCollection([])) };
+    failedRun = await resolveOutcomes(db, { now });
+    retried = await resolveOutcomes(db, { now, limit: 1 });
+    abandoned = predictions.docs[0];
+
+    const dryCollection = memoryCollection([prediction('dry', 6)]);
+    await resolveOutcomes({ collection: () => dryCollection }, { now, dryRun: true });
+    dryRunWrites = dryCollection.writes.length;
+
+    // ====== AUTH ======
+    delete process.env.ADMIN_TOKEN;
+    disabled = await callHandler({ limit: 10 });
+    process.env.ADMIN_TOKEN = 'secret';
+    unauthorized = await callHandler({ limit: 10 }, 'wrong');
+    authorized = await callHandler({ limit: 10 }, 'secret');
+    dryRun = await callHandler({ limit: 10, dry_run: true });
+  } finally {
+    delete HORIZON_CONFIG.MODEL_SETS.crypto['1d'];
+    cryptoFetcher.fetchCryptoDataBinance = originalBinance;
+    if (originalToken === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = originalToken;
+    console.log = originalLog;
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+
+  const checks = [
+    {
+      name: 'Label UP above threshold',
+      pass: labelReturn(CONFIG.THRESHOLDS.crypto * 2, 'crypto') === 'UP',
+      message: `+${(CONFIG.THRESHOLDS.crypto * 200).toFixed(2)}% → UP`
+    },
+    {
+      name: 'Label DOWN below threshold',
+      pass: labelReturn(-CONFIG.THRESHOLDS.forex * 2, 'forex') === 'DOWN',
+      message: `-${(CONFIG.THRESHOLDS.forex * 200).toFixed(2)}% → DOWN`
+    },
+    {
+      name: 'Label NEUTRAL inside band',
+      pass: labelReturn(CONFIG.THRESHOLDS.crypto / 2, 'crypto') === 'NEUTRAL',
+      message: 'half threshold → NEUTRAL'
+    },
+    {
+      name: 'Price lookup uses closed candles',
+      pass: priceAt(series, start + 1 * HOUR_MS)?.timestamp === start,
+      message: 'close at 01:00 belongs to the 00:00 candle'
+    },
+    {
+      name: 'Price lookup before data',
+      pass: priceAt(series, start) === null,
+      message: 'no candle closed yet'
+    },
+    {
+      name: 'Resolve UP move',
+      pass: upResolution !== null &&
+        upResolution.outcome === 'UP' &&
+        Math.abs(upResolution.realized_return - 0.01) < 1e-9,
+      message: upResolution ? `${upResolution.outcome} (${(upResolution.realized_return * 100).toFixed(2)}%)` : 'unresolved'
+    },
+    {
+      name: 'Resolve flat move',
+      pass: flatResolution !== null && flatResolution.outcome === 'NEUTRAL',
+      message: flatResolution ? flatResolution.outcome : 'unresolved'
+    },
+    {
+      name: 'Horizon beyond data stays pending',
+      pass: futureResolution === null,
+      message: futureResolution ? futureResolution.outcome : 'pending'
+    },
+    {
+      name: 'Pending query excludes resolved',
+      pass: query.outcome.$exists === false && query.asset_class === 'crypto',
+      message: JSON.stringify(query.outcome)
+    },
+    {
+      name: 'Pending query respects horizon',
+      pass: query.timestamp.$lte.getTime() === now.getTime() - CONFIG.HORIZON_HOURS.crypto * HOUR_MS,
+      message: query.timestamp.$lte.toISOString()
+    },
+    {
+      name: 'Pending query only matches due predictions',
+      pass: dueIds.join() === 'legacy-due,daily-due',
+      message: dueIds.join(', ')
+    },
+    {
+      name: 'Unresolvable predictions count attempts, then are abandoned',
+      pass: failedRun.abandoned === 1 && failedRun.failed_symbols['BTC/USDT'] === 'Unknown symbol' &&
+        abandoned.resolution_attempts === CONFIG.MAX_ATTEMPTS && abandoned.resolution_abandoned_at === now &&
+        abandoned.last_resolution_error === 'Unknown symbol' &&
+        retried.scanned === 1 && failedRun.scanned === 2 && dryRunWrites === 0,
+      message: `${failedRun.abandoned} abandoned after ${abandoned.resolution_attempts} attempts, ` +
+        `next run picks ${retried.scanned}, dry run wrote ${dryRunWrites}`
+    },
+    {
+      name: 'Runs that write need the admin token',
+      pass: disabled.statusCode === 403 && unauthorized.statusCode === 401 &&
+        authorized.statusCode === 500 && dryRun.statusCode === 500 &&
+        dryRun.body.error.includes('MONGODB_URI'),
+      message: `no ADMIN_TOKEN ${disabled.statusCode}, wrong token ${unauthorized.statusCode}, ` +
+        `token ${authorized.statusCode} (${authorized.body?.error}), dry run ${dryRun.statusCode}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testOutcomeResolver().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testOutcomeResolver };
@@ -0,0 +1,236 @@
+/**
+ * Test Prediction Stats
+ *
+ * Tests the realized-accuracy stats of GET /api/get-predictions offline,
+ * with an in-memory collection that evaluates the aggregation stages the
+ * stats run ($match, $group, $bucket):
+ * 1. Confusion matrix counts predicted vs actual, resolved documents only
+ * 2. Per-class precision and recall follow the matrix
+ * 3. Brier score averages the squared error of all three probabilities
+ * 4. Reliability buckets compare confidence with hit rate
+ * 5. The caller's outcome and resolved filters narrow the stats, not replaced
+ *
+ * Run: node test/test-prediction-stats.js
+ */
+
+const {
+  buildQuery,
+  calculateAccuracyStats,
+  buildAccuracyReport
+} = require('../api/get-prediction');
+
+// ============================================================================
+// IN-MEMORY COLLECTION
+// ============================================================================
+
+function valueAt(doc, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Match one document against the query operators buildQuery emits
+ */
+function matches(doc, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(doc, part));
+
+    const value = valueAt(doc, key);
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([op, operand]) => {
+      switch (op) {
+        case '$in': return operand.some(item => (item === null ? value == null : value === item));
+        case '$exists': return (value !== undefined) === operand;
+        case '$gte': return value >= operand;
+        case '$lte': return value <= operand;
+        default: throw new Error(`Unsupported query operator ${op}`);
+      }
+    });
+  });
+}
+
+/**
+ * Evaluate the aggregation expressions the stats use
+ */
+function evaluate(doc, expr) {
+  if (typeof expr === 'string' && expr.startsWith('$')) return valueAt(doc, expr.slice(1));
+  if (expr === null || typeof expr !== 'object') return expr;
+
+  const [[op, args]] = Object.entries(expr);
+  const values = () => args.map(arg => evaluate(doc, arg));
+  switch (op) {
+    case '$pow': { const [base, exp] = values(); return Math.pow(base, exp); }
+    case '$subtract': { const [a, b] = values(); return a - b; }
+    case '$add': return values().reduce((sum, v) => sum + v, 0);
+    case '$ifNull': { const [value, fallback] = values(); return value == null ? fallback : value; }
+    case '$eq': { const [a, b] = values(); return a === b; }
+    case '$cond': return evaluate(doc, args[0]) ? evaluate(doc, args[1]) : evaluate(doc, args[2]);
+    default: throw new Error(`Unsupported expression ${op}`);
+  }
+}
+
+function accumulate(docs, output) {
+  const result = {};
+  for (const [field, accumulator] of Object.entries(output)) {
+    const [[op, expr]] = Object.entries(accumulator);
+    const values = docs.map(doc => evaluate(doc, expr));
+    const sum = values.reduce((total, v) => total + v, 0);
+    result[field] = op === '$sum' ? sum : op === '$avg' ? sum / values.length : null;
+  }
+  return result;
+}
+
+function group(docs, { _id, ...output }) {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = _id === null ? null : Object.fromEntries(Object.entries(_id).map(([k, e]) => [k, evaluate(doc, e)]));
+    const key = JSON.stringify(id);
+    if (!groups.has(key)) groups.set(key, { id, docs: [] });
+    groups.get(key).docs.push(doc);
+  }
+  return [...groups.values()].map(g => ({ _id: g.id, ...accumulate(g.docs, output) }));
+}
+
+function bucket(docs, { groupBy, boundaries, default: fallback, output }) {
+  const buckets = new Map();
+  for (const doc of docs) {
+    const value = evaluate(doc, groupBy);
+    const index = boundaries.findIndex((edge, i) => i < boundaries.length - 1 && value >= edge && value < boundaries[i + 1]);
+    const id = index === -1 ? fallback : boundaries[index];
+    if (!buckets.has(id)) buckets.set(id, []);
+    buckets.get(id).push(doc);
+  }
+  return [...buckets.entries()]
+    .sort(([a], [b]) => (typeof a === 'number' && typeof b === 'number' ? a - b : 0))
+    .map(([id, items]) => ({ _id: id, ...accumulate(items, output) }));
+}
+
+function memoryCollection(docs) {
+  const matched = [];
+  return {
+    matched,
+    aggregate: (pipeline) => ({
+      toArray: async () => pipeline.reduce((rows, stage) => {
+        const [[name, spec]] = Object.entries(stage);
+        if (name === '$match') {
+          matched.push(spec);
+          return rows.filter(doc => matches(doc, spec));
+        }
+        if (name === '$group') return group(rows, spec);
+        if (name === '$bucket') return bucket(rows, spec);
+        throw new Error(`Unsupported stage ${name}`);
+      }, docs)
+    })
+  };
+}
+
+// ============================================================================
+// FIXTURE
+// ============================================================================
+
+function prediction(predicted, outcome, probabilities) {
+  return {
+    asset_class: 'crypto',
+    symbol: 'BTC/USDT',
+    class: predicted,
+    confidence: probabilities[predicted.toLowerCase()],
+    probabilities,
+    ...(outcome && { outcome })
+  };
+}
+
+const DOCS = [
+  prediction('UP', 'UP', { down: 0.1, neutral: 0.15, up: 0.75 }),
+  prediction('UP', 'DOWN', { down: 0.2, neutral: 0.15, up: 0.65 }),
+  prediction('DOWN', 'DOWN', { down: 0.55, neutral: 0.25, up: 0.2 }),
+  prediction('NEUTRAL', 'UP', { down: 0.25, neutral: 0.45, up: 0.3 }),
+  prediction('UP', 'UP', { down: 0.05, neutral: 0.1, up: 0.85 }),
+  prediction('DOWN', 'NEUTRAL', { down: 0.52, neutral: 0.3, up: 0.18 }),
+  // Not resolved yet: never counted
+  prediction('UP', null, { down: 0.05, neutral: 0.05, up: 0.9 })
+];
+
+async function testPredictionStats() {
+  console.log('\n' + '='.repeat(70));
+  console.log('PREDICTION STATS TEST');
+  console.log('='.repeat(70));
+
+  const collection = memoryCollection(DOCS);
+  const stats = await calculateAccuracyStats(collection, buildQuery({ asset_class: 'crypto' }));
+  const unresolvedOnly = await calculateAccuracyStats(memoryCollection(DOCS), buildQuery({ resolved: 'false' }));
+  const upOutcomes = await calculateAccuracyStats(memoryCollection(DOCS), { outcome: 'UP' });
+  const empty = buildAccuracyReport([]);
+
+  const reliability = Object.fromEntries(stats.reliability.map(b => [b.bucket, b]));
+
+  const checks = [
+    {
+      name: 'Confusion matrix counts resolved predictions',
+      pass: stats.resolved === 6 &&
+        JSON.stringify(stats.confusion_matrix.matrix) === JSON.stringify([[1, 1, 0], [0, 0, 1], [1, 0, 2]]) &&
+        stats.confusion_matrix.rows === 'predicted' && stats.hit_rate === '0.5000',
+      message: `${stats.resolved} resolved, matrix ${JSON.stringify(stats.confusion_matrix?.matrix)}, hit rate ${stats.hit_rate}`
+    },
+    {
+      name: 'Per-class precision and recall follow the matrix',
+      pass: stats.per_class.down.precision === '0.5000' && stats.per_class.down.recall === '0.5000' &&
+        stats.per_class.neutral.precision === '0.0000' && stats.per_class.neutral.recall === '0.0000' &&
+        stats.per_class.up.precision === '0.6667' && stats.per_class.up.recall === '0.6667' &&
+        stats.per_class.up.predicted === 3 && stats.per_class.up.actual === 3 &&
+        empty.per_class === null && empty.hit_rate === null,
+      message: ['down', 'neutral', 'up']
+        .map(c => `${c} ${stats.per_class[c].precision}/${stats.per_class[c].recall}`).join(', ')
+    },
+    {
+      name: 'Brier score averages squared errors over all classes',
+      pass: stats.brier_score === '0.5113',
+      message: `brier ${stats.brier_score}`
+    },
+    {
+      name: 'Reliability buckets compare confidence with hit rate',
+      pass: stats.reliability.length === 5 &&
+        reliability['0.50-0.60']?.count === 2 && reliability['0.50-0.60'].hit_rate === '0.5000' &&
+        reliability['0.50-0.60'].avg_confidence === '0.5350' && reliability['0.50-0.60'].gap === '0.0350' &&
+        reliability['0.40-0.50']?.hit_rate === '0.0000' && reliability['0.80-0.90']?.hit_rate === '1.0000' &&
+        !reliability['0.90-1.00'],
+      message: stats.reliability.map(b => `${b.bucket}: ${b.count} @ ${b.hit_rate}`).join(', ')
+    },
+    {
+      name: 'Outcome and resolved filters narrow the stats',
+      pass: unresolvedOnly.resolved === 0 && unresolvedOnly.confusion_matrix === null &&
+        upOutcomes.resolved === 3 && upOutcomes.per_class.up.actual === 3 && upOutcomes.per_class.down.actual === 0 &&
+        collection.matched.every(spec => spec.$and?.[0]?.asset_class === 'crypto'),
+      message: `resolved=false -> ${unresolvedOnly.resolved} resolved, outcome=UP -> ${upOutcomes.resolved} resolved`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testPredictionStats().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testPredictionStats };
@@ -0,0 +1,182 @@
+/**
+ * Test Provider Registry
+ *
+ * Tests the provider adapter registry offline (no network):
+ * 1. Built-in adapters serve their symbols in the configured priority order
+ * 2. A new adapter is one registerProvider() call and joins the fallback chain
+ * 3. Its rate limits become ledger budgets that stop a fetch before it starts
+ * 4. Adapters missing their API key or returning too few candles are skipped
+ * 5. The quota report lists every registered adapter
+ *
+ * Run: node test/test-provider-registry.js
+ */
+
+// Keep the shared ledger in memory for this run
+delete process.env.MONGODB_URI;
+delete process.env.PROVIDER_PRIORITY_CRYPTO;
+process.env.PROVIDER_PRIORITY_FOREX = 'eodhd,twelvedata';
+
+const { quotaLedger, MemoryQuotaStore } = require('../utils/quota-ledger');
+const registry = require('../utils/providers/registry');
+const fetchDataHandler = require('../api/fetch-data');
+const { mockResponse, steppedCandles } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+async function testProviderRegistry() {
+  console.log('\n' + '='.repeat(70));
+  console.log('PROVIDER REGISTRY TEST');
+  console.log('='.repeat(70));
+
+  const cryptoOrder = registry.providersFor('BTC/USDT', 'crypto').map(p => p.name);
+  const forexOrder = registry.providersFor('EURUSD', 'forex').map(p => p.name);
+
+  // ====== A NEW EXCHANGE ======
+  let krakenCalls = 0;
+  registry.registerProvider({
+    name: 'kraken',
+    label: 'Kraken',
+    assetClasses: ['crypto'],
+    symbols: { 'BTC/USDT': 'XBTUSDT' },
+    rateLimits: { daily: null, perMinute: 2 },
+    callsPerFetch: 2,
+    async fetchCandles() {
+      krakenCalls++;
+      await quotaLedger.reserve('kraken', 2);
+      return {
+        '1h': steppedCandles(60, HOUR_MS),
+        '4h': steppedCandles(30, 4 * HOUR_MS),
+        '1d': steppedCandles(25, 24 * HOUR_MS)
+      };
+    }
+  });
+
+  registry.registerProvider({
+    name: 'thin',
+    label: 'Thin',
+    assetClasses: ['crypto'],
+    symbols: { 'BTC/USDT': 'BTC' },
+    async fetchCandles() {
+      return { '1h': steppedCandles(10, HOUR_MS), '4h': [], '1d': [] };
+    }
+  });
+
+  const withKraken = registry.providersFor('BTC/USDT', 'crypto').map(p => p.name);
+  const krakenBudget = quotaLedger.providers.kraken;
+
+  let invalidError = null;
+  try {
+    registry.registerProvider({ name: 'broken', label: 'Broken' });
+  } catch (error) {
+    invalidError = error;
+  }
+
+  // Put the new adapters first so the built-ins never hit the network
+  registry.CONFIG.PRIORITY.crypto = ['thin', 'kraken'];
+
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  let fallback, limited, limitedCalls, thin, noKey, quotaResponse;
+  try {
+    quotaLedger.store = new MemoryQuotaStore();
+    fallback = await registry.fetchWithFallback('BTC/USDT', 'crypto');
+
+    const before = krakenCalls;
+    limited = await registry.fetchFromProvider('kraken', 'BTC/USDT');
+    limitedCalls = krakenCalls - before;
+
+    thin = await registry.fetchFromProvider('thin', 'BTC/USDT');
+
+    delete process.env.EODHD_KEY;
+    noKey = await registry.fetchFromProvider('eodhd', 'EURUSD');
+
+    quotaResponse = mockResponse();
+    await fetchDataHandler({ method: 'GET', query: { quota: 'true' } }, quotaResponse);
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+
+  const report = quotaResponse.body?.quota;
+
+  const checks = [
+    {
+      name: 'Built-in priority order',
+      pass: cryptoOrder.length === 2 && cryptoOrder.includes('binance') && cryptoOrder.includes('coingecko') &&
+        cryptoOrder[0] === (registry.CONFIG.IS_CI_ENVIRONMENT ? 'coingecko' : 'binance'),
+      message: cryptoOrder.join(' → ')
+    },
+    {
+      name: 'Priority overridable from env',
+      pass: forexOrder.join(',') === 'eodhd,twelvedata,alphavantage',
+      message: forexOrder.join(' → ')
+    },
+    {
+      name: 'New adapter joins after prioritised ones',
+      pass: withKraken[withKraken.length - 1] === 'thin' && withKraken.includes('kraken') &&
+        !registry.providersFor('EURUSD', 'forex').some(p => p.name === 'kraken'),
+      message: withKraken.join(' → ')
+    },
+    {
+      name: 'Incomplete adapter rejected',
+      pass: invalidError !== null && invalidError.message.includes('assetClasses'),
+      message: invalidError ? invalidError.message : 'no error'
+    },
+    {
+      name: 'Fallback skips too-short data',
+      pass: fallback.source === 'Kraken' && fallback.data['1h_close'].length === 60 &&
+        fallback.data['1d_timestamp'].length === 25 && fallback.synthetic === false &&
+        !thin.success && thin.error.startsWith('Insufficient data'),
+      message: `source ${fallback.source}; thin: ${thin.error}`
+    },
+    {
+      name: 'Rate limits registered with the ledger',
+      pass: krakenBudget.name === 'Kraken' && krakenBudget.perMinute === 2 && krakenBudget.daily === null &&
+        !limited.success && limited.quotaExhausted && limitedCalls === 0,
+      message: limited.error
+    },
+    {
+      name: 'Missing API key skips the adapter',
+      pass: !noKey.success && noKey.error === 'EODHD_KEY not set' && !noKey.quotaExhausted,
+      message: noKey.error
+    },
+    {
+      name: 'Quota report lists registered adapters',
+      pass: quotaResponse.statusCode === 200 && report.providers.kraken &&
+        ['binance', 'coingecko', 'twelvedata', 'eodhd', 'alphavantage', 'kraken']
+          .every(name => report.registered.some(p => p.name === name)) &&
+        report.registered.find(p => p.name === 'coingecko').synthetic === true,
+      message: `${report?.registered?.length} adapters`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testProviderRegistry().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testProviderRegistry };
@@ -0,0 +1,237 @@
+/**
+ * Test Quota Ledger
+ *
+ * Tests provider quota accounting offline (in-memory store):
+ * 1. Calls recorded by one instance count against another sharing the store
+ * 2. Per-minute and daily budgets refuse calls and roll them back
+ * 3. Reset times: oldest call + 1 minute, next UTC midnight
+ * 4. A failing store drops to memory instead of blocking calls, is retried
+ *    after a backoff, and keeps no record of a reservation it failed midway
+ * 5. Twelve Data fetches stop before spending the last of the daily budget
+ * 6. GET /api/fetch-data?quota=true reports every provider
+ *
+ * Run: node test/test-quota-ledger.js
+ */
+
+// Keep the shared ledger in memory for this run
+delete process.env.MONGODB_URI;
+
+const {
+  CONFIG,
+  quotaLedger,
+  QuotaLedger,
+  MemoryQuotaStore
+} = require('../utils/quota-ledger');
+const { fetchForexDataTwelveData, getTwelveDataStats } = require('../api/forex-data-fetcher');
+const fetchDataHandler = require('../api/fetch-data');
+const { mockResponse } = require('./helpers');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const PROVIDERS = {
+  demo: { name: 'Demo', daily: 5, perMinute: 3 },
+  free: { name: 'Free', daily: null, perMinute: null }
+};
+
+/**
+ * Stand-in for the MongoDB store: a memory store whose methods can be
+ * made to fail, counting the calls it receives
+ */
+function flakyStore() {
+  const inner = new MemoryQuotaStore();
+  const store = { name: 'mongo', inner, failing: new Set(), attempts: 0 };
+  for (const method of ['record', 'remove', 'countSince', 'oldestSince']) {
+    store[method] = async (...args) => {
+      store.attempts++;
+      if (store.failing.has(method)) {
+        throw new Error(`${method} timed out`);
+      }
+      return inner[method](...args);
+    };
+  }
+  return store;
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testQuotaLedger() {
+  console.log('\n' + '='.repeat(70));
+  console.log('QUOTA LEDGER TEST');
+  console.log('='.repeat(70));
+
+  // ====== TWO INSTANCES, ONE STORE ======
+  const store = new MemoryQuotaStore();
+  const first = new QuotaLedger({ store, providers: PROVIDERS });
+  const second = new QuotaLedger({ store, providers: PROVIDERS });
+
+  await first.reserve('demo');
+  await first.reserve('demo', 2);
+  const shared = await second.getStatus('demo');
+
+  const minuteError = await rejection(second.reserve('demo'));
+  const afterMinuteError = await second.getStatus('demo');
+  const oldest = await store.oldestSince('demo', Date.now() - MINUTE_MS);
+
+  // Two older calls today and one yesterday
+  const now = Date.now();
+  const dayStart = Math.floor(now / DAY_MS) * DAY_MS;
+  await store.record('demo', 2, Math.max(dayStart, now - 2 * MINUTE_MS));
+  await store.record('demo', 1, dayStart - 1000);
+  const dailyError = await rejection(first.reserve('demo'));
+  const daily = await first.getStatus('demo');
+
+  for (let i = 0; i < 10; i++) {
+    await first.reserve('free');
+  }
+  const free = await first.getStatus('free');
+
+  // ====== STORE FAILURE ======
+  const broken = new QuotaLedger({
+    providers: PROVIDERS,
+    store: { name: 'mongo', record: async () => { throw new Error('connection refused'); } }
+  });
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  const brokenStatus = await broken.reserve('demo');
+  const brokenReport = await broken.getReport();
+
+  // Down, backing off, then back: later calls go to the store again
+  const flaky = flakyStore();
+  const recovering = new QuotaLedger({ providers: PROVIDERS, store: flaky });
+  flaky.failing.add('record');
+  await recovering.reserve('demo');
+  const attemptsWhileDown = flaky.attempts;
+  const duringBackoff = await recovering.reserve('demo');
+  const attemptsDuringBackoff = flaky.attempts - attemptsWhileDown;
+  const backoffMs = recovering.retryAt - Date.now();
+
+  flaky.failing.clear();
+  recovering.retryAt = 0;  // backoff elapsed
+  const recovered = await recovering.reserve('free');
+  const recoveredReport = await recovering.getReport();
+
+  // Recorded in the store, then the status read fails: the record is taken back
+  flaky.failing.add('countSince');
+  recovering.retryAt = 0;
+  const midReserve = await recovering.reserve('free');
+  const storeCalls = await flaky.inner.countSince('free', 0);
+  const memoryCalls = await recovering.fallback.countSince('free', 0);
+  console.warn = originalWarn;
+
+  // ====== TWELVE DATA ======
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  let twelveData;
+  let twelveStats;
+  let quotaResponse;
+  try {
+    await quotaLedger.store.record('twelvedata', 790, Date.now() - 2 * MINUTE_MS);
+    twelveData = await fetchForexDataTwelveData('EURUSD');
+    twelveStats = await getTwelveDataStats();
+
+    quotaResponse = mockResponse();
+    await fetchDataHandler({ method: 'GET', query: { quota: 'true' } }, quotaResponse);
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+
+  const report = quotaResponse.body?.quota;
+
+  const checks = [
+    {
+      name: 'Calls shared across instances',
+      pass: shared.daily.used === 3 && shared.per_minute.used === 3 &&
+        shared.per_minute.remaining === 0 && shared.daily.remaining === 2,
+      message: `daily ${shared.daily.used}/${shared.daily.limit}, minute ${shared.per_minute.used}/${shared.per_minute.limit}`
+    },
+    {
+      name: 'Per-minute budget refuses and rolls back',
+      pass: minuteError?.code === 'QUOTA_EXHAUSTED' && minuteError.window === 'per_minute' &&
+        afterMinuteError.per_minute.used === 3 &&
+        minuteError.resetAt === new Date(oldest + MINUTE_MS).toISOString(),
+      message: minuteError ? minuteError.message : 'no error'
+    },
+    {
+      name: 'Daily budget counts only today (UTC)',
+      pass: dailyError?.code === 'QUOTA_EXHAUSTED' && dailyError.window === 'daily' &&
+        daily.daily.used === 5 && daily.daily.remaining === 0 &&
+        daily.daily.resets_at === new Date(dayStart + DAY_MS).toISOString(),
+      message: dailyError ? dailyError.message : 'no error'
+    },
+    {
+      name: 'Unmetered provider recorded, never refused',
+      pass: free.daily.used === 10 && free.daily.remaining === null && free.per_minute.limit === null,
+      message: `${free.daily.used} calls`
+    },
+    {
+      name: 'Failing store falls back to memory',
+      pass: brokenReport.store === 'memory' && brokenStatus.daily.used === 1,
+      message: `reporting from ${brokenReport.store}`
+    },
+    {
+      name: 'Failed store retried after its backoff',
+      pass: attemptsWhileDown === 1 && attemptsDuringBackoff === 0 && duringBackoff.daily.used === 2 &&
+        backoffMs > 0 && backoffMs <= CONFIG.STORE_RETRY_MS &&
+        recovered.daily.used === 1 && recoveredReport.store === 'mongo' && recovering.store === flaky,
+      message: `${attemptsDuringBackoff} store calls during backoff, reporting from ${recoveredReport.store} after it`
+    },
+    {
+      name: 'Reservation failed midway leaves no store record',
+      pass: midReserve.daily.used === 1 && storeCalls === 1 && memoryCalls === 1,
+      message: `${storeCalls} call(s) in the store, ${memoryCalls} in memory`
+    },
+    {
+      name: 'Twelve Data keeps its daily reserve',
+      pass: twelveData.success === false && twelveData.quotaExhausted === true &&
+        twelveStats.used === 790 && twelveStats.remaining === 10,
+      message: twelveData.error
+    },
+    {
+      name: 'Quota endpoint reports every provider',
+      pass: quotaResponse.statusCode === 200 && report.store === 'memory' &&
+        ['twelvedata', 'coingecko', 'eodhd', 'alphavantage', 'binance'].every(p => report.providers[p]) &&
+        report.providers.twelvedata.daily.remaining === 10 &&
+        typeof report.providers.twelvedata.daily.resets_at === 'string',
+      message: `${Object.keys(report?.providers || {}).length} providers, status ${quotaResponse.statusCode}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testQuotaLedger().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testQuotaLedger };
@@ -0,0 +1,260 @@
+/**
+ * Test Sequence Windows
+ *
+ * Tests the time-step inputs offline with in-memory engineered data and models:
+ * 1. Input shapes say which models take windows, and how long
+ * 2. History stops at indicator warm-up and keeps the last row
+ * 3. Short history is padded or refused as the manifest says
+ * 4. Every row of a window is scaled and counted
+ * 5. Batched inference builds 3D tensors for sequence models only
+ * 6. Backtests skip steps without enough history
+ * 7. Manifests refuse unknown padding and the contract view shows windows
+ *
+ * Run: node test/test-sequence-window.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tf = require('@tensorflow/tfjs');
+const {
+  timestepsOf,
+  lookbackOf,
+  extractFeatureWindow,
+  extractHistory,
+  checkHistory,
+  prepareInputs,
+  prepareForModels
+} = require('../utils/sequence-window');
+const { compileScaler } = require('../utils/feature-scaler');
+const { runBatchedInference } = require('../utils/batch-inference');
+const { runBacktest } = require('../utils/backtest-engine');
+const { loadManifest, clearManifestCache } = require('../utils/model-registry');
+const { describeContracts } = require('../utils/model-contract');
+const { buildCandles } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Model that records its input shape and always answers NEUTRAL
+ */
+function shapeModel(shapes, name) {
+  return {
+    predict: (input) => {
+      shapes[name] = input.shape;
+      return tf.tensor2d(Array.from({ length: input.shape[0] }, () => [0.2, 0.6, 0.2]));
+    }
+  };
+}
+
+function captureError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+async function testSequenceWindow() {
+  console.log('\n' + '='.repeat(70));
+  console.log('SEQUENCE WINDOW TEST');
+  console.log('='.repeat(70));
+
+  // ====== SHAPES ======
+  const flat = { name: 'flat', inputShape: [3] };
+  const single = { name: 'single', inputShape: [1, 3] };
+  const lstm = { name: 'lstm', inputShape: [60, 3] };
+
+  // ====== HISTORY ======
+  // Rows 0-3 are warm-up (b and c not computed yet); the last row misses c
+  const engineered = {
+    a: Array.from({ length: 12 }, (_, i) => i),
+    b: Array.from({ length: 12 }, (_, i) => (i < 4 ? NaN : i * 10)),
+    c: Array.from({ length: 12 }, (_, i) => (i < 4 || i === 11 ? null : i * 100))
+  };
+  const featureList = ['a', 'b', 'c'];
+  const recent = extractFeatureWindow(engineered, featureList, 5);
+  const all = extractFeatureWindow(engineered, featureList, 60);
+  const noHistory = extractHistory([flat, single], engineered, featureList);
+
+  // ====== PADDING ======
+  const history = [[1, 1, 1], [2, 2, 2], [3, 3, 3]];
+  const edge = prepareInputs({ name: 'edge', inputShape: [5, 3], padding: 'edge' }, [history]);
+  const zero = prepareInputs({ name: 'zero', inputShape: [5, 3], padding: 'zero' }, [history]);
+  const refused = captureError(() => prepareInputs({ name: 'strict', inputShape: [5, 3] }, [history]));
+
+  // ====== SCALING PER ROW ======
+  const scaler = compileScaler({ method: 'standard', features: featureList, mean: [0, 0, 0], std: [1, 1, 1], clip: 2 }, 'seq.json');
+  const scaled = prepareInputs(
+    { name: 'scaled', inputShape: [3, 3], scaler, padding: 'none' },
+    [[[1, NaN, 0], [5, 0, 0], [0, 0, -9]]]
+  );
+
+  // ====== BATCHED INFERENCE ======
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+
+  const shapes = {};
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'sequence-window-'));
+  const scratchDir = path.relative(process.cwd(), tmp);
+  let batch, batchShapes, short, single1, backtest, backtestShapes, badPadding, view;
+
+  try {
+    const models = [
+      { name: 'window', model: shapeModel(shapes, 'window'), inputShape: [4, 2], padding: 'none' },
+      { name: 'flat', model: shapeModel(shapes, 'flat'), inputShape: [2] }
+    ];
+    const rows = [[1, 1], [2, 2]];
+    const histories = [
+      [[0, 0], [0, 0], [0, 0], [1, 1]],
+      [[0, 0], [0, 0], [1, 1], [2, 2], [2, 2]]
+    ];
+    batch = await runBatchedInference(models, rows, histories);
+    batchShapes = { ...shapes };
+    short = {
+      reason: checkHistory(models, [[1, 1]]),
+      run: await runBatchedInference(models, [[1, 1]], [[[1, 1]]])
+    };
+    single1 = prepareForModels([{ name: 'window', inputShape: [4, 2] }, { name: 'flat', inputShape: [2] }], [1, 1], [[1, 1]]);
+
+    // ====== BACKTEST ======
+    // The trend feature warms up until hour 530: earlier steps lack 60 rows of it
+    const warmedUp = Date.UTC(2024, 0, 1) + 530 * HOUR_MS;
+    backtestShapes = [];
+    backtest = await runBacktest(buildCandles(30 * 24), {
+      symbol: 'TEST',
+      assetClass: 'crypto',
+      ensembleStrategy: 'equal',
+      pipeline: {
+        engineFeatures: (window) => ({
+          success: true,
+          engineeredData: { trend: window['1h_timestamp'].map((t, i) => (t >= warmedUp ? window['1h_close'][i] : NaN)) },
+          featureList: ['trend']
+        }),
+        extractVector: (engineered) => [engineered.trend[engineered.trend.length - 1]],
+        ensemble: () => ({ className: 'NEUTRAL', confidence: 0.6 }),
+        loadModels: async () => [{
+          name: 'seq',
+          inputShape: [60, 1],
+          model: {
+            predict: (input) => {
+              backtestShapes.push(input.shape);
+              return tf.tensor2d(Array.from({ length: input.shape[0] }, () => [0.2, 0.6, 0.2]));
+            }
+          }
+        }]
+      }
+    });
+
+    // ====== MANIFEST ======
+    const model = (name, extra) => ({
+      name, file: `${name}.keras`, version: '1', trained_at: '2025-11-17T00:00:00Z', sha256: '',
+      input_shape: [60, 1], features: ['close'], classes: ['DOWN', 'NEUTRAL', 'UP'], ...extra
+    });
+    fs.writeFileSync(path.join(tmp, 'manifest.json'), JSON.stringify({
+      asset_class: 'forex', models: [model('seq', { padding: 'edge' }), model('flat', { input_shape: [1] })]
+    }));
+    clearManifestCache();
+    view = describeContracts(scratchDir);
+
+    fs.writeFileSync(path.join(tmp, 'manifest.json'), JSON.stringify({
+      asset_class: 'forex', models: [model('seq', { padding: 'sideways' })]
+    }));
+    clearManifestCache();
+    badPadding = captureError(() => loadManifest(scratchDir));
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+    clearManifestCache();
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+
+  const windowReport = batch.rowScaling[1].window?.window;
+  const shortResult = short.run.modelResults.find(r => r.model === 'window');
+
+  const checks = [
+    {
+      name: 'Input shapes say which models take windows',
+      pass: timestepsOf(flat) === null && timestepsOf(single) === 1 && timestepsOf(lstm) === 60 &&
+        lookbackOf([flat, single]) === 1 && lookbackOf([flat, lstm]) === 60 && noHistory === null,
+      message: `flat ${timestepsOf(flat)}, single ${timestepsOf(single)}, lstm ${timestepsOf(lstm)}`
+    },
+    {
+      name: 'History stops at warm-up and keeps the last row',
+      pass: recent.length === 5 && recent[0][0] === 7 && recent[4][0] === 11 &&
+        Number.isNaN(recent[4][2]) && recent[3][2] === 1000 &&
+        all.length === 8 && all[0][0] === 4,
+      message: `5 wanted: rows ${recent.map(r => r[0]).join(',')}; 60 wanted: ${all.length} rows from ${all[0][0]}`
+    },
+    {
+      name: 'Short history is padded or refused',
+      pass: edge.samples[0].map(r => r[0]).join() === '1,1,1,2,3' &&
+        zero.samples[0].map(r => r[0]).join() === '0,0,1,2,3' &&
+        JSON.stringify(edge.reports[0].window) === JSON.stringify({ timesteps: 5, available: 3, padded: 2, padding: 'edge' }) &&
+        refused?.code === 'INSUFFICIENT_HISTORY' && refused.message.includes('strict needs 5 timesteps'),
+      message: `edge ${edge.samples[0].map(r => r[0]).join(',')}, zero ${zero.samples[0].map(r => r[0]).join(',')}, ` +
+        `none: ${refused ? refused.message : 'ran'}`
+    },
+    {
+      name: 'Every row of a window is scaled and counted',
+      pass: scaled.samples[0][0].join() === '1,0,0' && scaled.samples[0][1][0] === 2 && scaled.samples[0][2][2] === -2 &&
+        scaled.reports[0].inputs === 9 && scaled.reports[0].missing === 1 && scaled.reports[0].out_of_range === 2 &&
+        scaled.reports[0].features_out_of_range.join() === 'a,c',
+      message: `rows ${scaled.samples[0].map(r => r.join('/')).join(' ')}, out of range ${scaled.reports[0].out_of_range}`
+    },
+    {
+      name: 'Sequence models get 3D tensors, flat models 2D',
+      pass: batch.modelResults.every(r => r.success) &&
+        batchShapes.window.join() === '2,4,2' && batchShapes.flat.join() === '2,2' &&
+        windowReport?.available === 4 && windowReport.padded === 0 &&
+        short.reason?.includes('window needs 4 timesteps of history, got 1') &&
+        shortResult?.success === false && shortResult.error.includes('padding: none') &&
+        short.run.modelResults.find(r => r.model === 'flat')?.success === true &&
+        single1.inputs[0] instanceof Error && single1.inputs[1].join() === '1,1',
+      message: `window [${batchShapes.window}], flat [${batchShapes.flat}], short: ${shortResult ? shortResult.error : 'no result'}`
+    },
+    {
+      name: 'Backtest skips steps without enough history',
+      pass: backtest.skipped.history > 0 && backtest.summary.steps > 0 &&
+        backtestShapes.length === 1 && backtestShapes[0][1] === 60 && backtestShapes[0][2] === 1,
+      message: `${backtest.skipped.history} short, ${backtest.summary.steps} steps, tensor [${backtestShapes[0]}]`
+    },
+    {
+      name: 'Manifest padding is checked and shown',
+      pass: badPadding?.code === 'INVALID_MANIFEST' && badPadding.message.includes('padding must be one of') &&
+        view[0].timesteps === 60 && view[0].padding === 'edge' && view[1].timesteps === null,
+      message: `${badPadding ? badPadding.message.split(': ').pop() : 'accepted'}; view ${view.map(m => `${m.name} ${m.timesteps}`).join(', ')}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testSequenceWindow().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testSequenceWindow };
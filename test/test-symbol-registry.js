@@ -0,0 +1,248 @@
+/**
+ * Test Symbol Registry
+ *
+ * Tests the instrument universe offline (in-memory store, no network):
+ * 1. The seed file provides every instrument and provider symbol
+ * 2. POST /api/symbols adds XRP/USDT and fetchers pick it up with no code change
+ * 3. Disabled symbols are rejected by classification and hidden from listings
+ * 4. Invalid definitions, unknown providers and missing tokens are refused
+ * 5. Instances sharing a store see each other's changes on reload
+ * 6. A failing store falls back to the seed file
+ * 7. A registry that cannot load answers /api/fetch-data with JSON errors
+ *
+ * Run: node test/test-symbol-registry.js
+ */
+
+// Keep the registry and quota ledger in memory for this run
+delete process.env.MONGODB_URI;
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const axios = require('axios');
+const {
+  symbolRegistry,
+  SymbolRegistry,
+  MemorySymbolStore
+} = require('../utils/symbol-registry');
+const registry = require('../utils/providers/registry');
+const fetchDataHandler = require('../api/fetch-data');
+const { classifyAsset, orchestrator } = fetchDataHandler;
+const cryptoFetcher = require('../api/crypto-data-fetcher');
+const symbolsHandler = require('../api/symbols');
+const { mockResponse } = require('./helpers');
+
+const XRP = {
+  symbol: 'XRP/USDT',
+  assetClass: 'crypto',
+  providers: { binance: 'XRPUSDT', coingecko: 'ripple' },
+  tickSize: 0.0001
+};
+
+async function call(method, { query = {}, body = null, token = 'test-admin-token' } = {}) {
+  const res = mockResponse();
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  await symbolsHandler({ method, query, body, headers }, res);
+  return res;
+}
+
+/**
+ * Binance klines for any symbol, recording which native symbols were asked for
+ */
+function replayBinance() {
+  const requested = [];
+  axios.get = async (url, { params }) => {
+    requested.push(params.symbol);
+    const start = Date.UTC(2024, 0, 1);
+    const step = { '1h': 3600e3, '4h': 4 * 3600e3, '1d': 86400e3 }[params.interval];
+    return {
+      status: 200,
+      data: Array.from({ length: params.limit }, (_, i) =>
+        [start + i * step, '0.5', '0.52', '0.49', '0.51', '100', 0, '1000'])
+    };
+  };
+  return requested;
+}
+
+async function testSymbolRegistry() {
+  console.log('\n' + '='.repeat(70));
+  console.log('SYMBOL REGISTRY TEST');
+  console.log('='.repeat(70));
+
+  const originalGet = axios.get;
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  let seeded, beforeAdd, added, xrpClass, xrpProviders, xrpFetch, requested, xrpSupported;
+  let disabled, disabledClass, disabledFetchError, listed, listedAll, enabled;
+  let badTick, badProvider, noToken, wrongToken, badAction;
+  let otherBefore, otherAfter, broken, brokenList, unloadedFetch, unloadedHealth;
+
+  try {
+    await symbolRegistry.load();
+    seeded = {
+      crypto: symbolRegistry.symbols('crypto'),
+      forex: symbolRegistry.symbols('forex'),
+      eurusd: symbolRegistry.get('EURUSD')
+    };
+
+    // ====== ADD A SYMBOL ======
+    beforeAdd = classifyAsset('XRP/USDT');
+    added = await call('POST', { body: { action: 'add', instrument: XRP } });
+    xrpClass = classifyAsset('XRP/USDT');
+    xrpProviders = registry.providersFor('XRP/USDT', 'crypto').map(p => p.name);
+    xrpSupported = cryptoFetcher.SUPPORTED_PAIRS.includes('XRP/USDT') &&
+      orchestrator.getSupportedSymbols().crypto.includes('XRP/USDT');
+
+    requested = replayBinance();
+    xrpFetch = await registry.fetchFromProvider('binance', 'XRP/USDT');
+
+    // ====== DISABLE ======
+    disabled = await call('POST', { body: { action: 'disable', symbol: 'XRP/USDT' } });
+    disabledClass = classifyAsset('XRP/USDT');
+    try {
+      await orchestrator.fetchDataWithSource('XRP/USDT');
+    } catch (error) {
+      disabledFetchError = error;
+    }
+    listed = await call('GET', { query: { asset_class: 'crypto' } });
+    listedAll = await call('GET', { query: { include_disabled: 'true' } });
+    enabled = await call('POST', { body: { action: 'enable', symbol: 'XRP/USDT' } });
+
+    // ====== REFUSED WRITES ======
+    badTick = await call('POST', { body: { action: 'add', instrument: { ...XRP, tickSize: 0 } } });
+    badProvider = await call('POST', {
+      body: { action: 'add', instrument: { ...XRP, symbol: 'LTC/USDT', providers: { binanse: 'LTCUSDT' } } }
+    });
+    wrongToken = await call('POST', { body: { action: 'disable', symbol: 'BTC/USDT' }, token: 'nope' });
+    badAction = await call('POST', { body: { action: 'delete', symbol: 'BTC/USDT' } });
+    delete process.env.ADMIN_TOKEN;
+    noToken = await call('POST', { body: { action: 'disable', symbol: 'BTC/USDT' } });
+
+    // ====== SHARED STORE ======
+    const store = new MemorySymbolStore();
+    const first = new SymbolRegistry({ store });
+    const second = new SymbolRegistry({ store });
+    await first.load();
+    await second.load();
+    await first.setEnabled('GBPJPY', false);
+    otherBefore = second.symbols('forex').includes('GBPJPY');
+    await second.load({ force: true });
+    otherAfter = second.symbols('forex').includes('GBPJPY');
+
+    // ====== STORE FAILURE ======
+    broken = new SymbolRegistry({
+      store: { name: 'mongo', list: async () => { throw new Error('connection refused'); } }
+    });
+    await broken.load();
+    brokenList = broken.symbols();
+
+    // ====== LOAD FAILURE IN A HANDLER ======
+    symbolRegistry.load = async () => { throw new Error('registry unavailable'); };
+    unloadedFetch = mockResponse();
+    await fetchDataHandler({ method: 'GET', query: { symbol: 'BTC/USDT' } }, unloadedFetch);
+    unloadedHealth = mockResponse();
+    await fetchDataHandler({ method: 'GET', query: { health: 'true' } }, unloadedHealth);
+  } finally {
+    delete symbolRegistry.load;
+    axios.get = originalGet;
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const checks = [
+    {
+      name: 'Seed file loaded',
+      pass: seeded.crypto.length === 6 && seeded.forex.length === 9 &&
+        seeded.eurusd.providers.eodhd === 'EURUSD.FOREX' &&
+        seeded.eurusd.providers.alphavantage.join('') === 'EURUSD' &&
+        seeded.eurusd.tradingHours.open === 'Sun 22:00',
+      message: `${seeded.crypto.length} crypto, ${seeded.forex.length} forex`
+    },
+    {
+      name: 'Added symbol is classified and routed',
+      pass: !beforeAdd.valid && added.statusCode === 200 &&
+        added.body.instrument.enabled === true &&
+        added.body.instrument.tradingHours.schedule === '24/7' &&
+        xrpClass.valid && xrpClass.assetClass === 'crypto' &&
+        xrpProviders.length === 2 && xrpSupported,
+      message: `${xrpClass.primarySource} → ${xrpClass.fallbackSource}`
+    },
+    {
+      name: 'Fetch uses registry provider symbol',
+      pass: xrpFetch.success && requested.length === 3 && requested.every(s => s === 'XRPUSDT') &&
+        xrpFetch.data['1h_close'].length === 168,
+      message: `requested ${[...new Set(requested)].join(', ')}`
+    },
+    {
+      name: 'Disabled symbol rejected and hidden',
+      pass: disabled.statusCode === 200 && disabled.body.instrument.enabled === false &&
+        !disabledClass.valid && disabledClass.error === 'Symbol disabled: XRP/USDT' &&
+        disabledFetchError?.message === 'Symbol disabled: XRP/USDT' &&
+        !listed.body.symbols.some(i => i.symbol === 'XRP/USDT') && listed.body.count === 6 &&
+        listedAll.body.symbols.some(i => i.symbol === 'XRP/USDT' && !i.enabled) &&
+        enabled.body.instrument.enabled === true,
+      message: disabledClass.error
+    },
+    {
+      name: 'Invalid definitions refused',
+      pass: badTick.statusCode === 400 && badTick.body.error.includes('tickSize') &&
+        badProvider.statusCode === 400 && badProvider.body.error.includes('binanse') &&
+        badAction.statusCode === 400 && symbolRegistry.get('LTC/USDT') === null,
+      message: badProvider.body.error
+    },
+    {
+      name: 'Writes need the admin token',
+      pass: wrongToken.statusCode === 401 && noToken.statusCode === 403 &&
+        symbolRegistry.get('BTC/USDT').enabled === true,
+      message: `wrong token ${wrongToken.statusCode}, unset ${noToken.statusCode}`
+    },
+    {
+      name: 'Instances sharing a store see changes on reload',
+      pass: otherBefore === true && otherAfter === false,
+      message: `GBPJPY enabled before reload: ${otherBefore}, after: ${otherAfter}`
+    },
+    {
+      name: 'Failing store falls back to seed',
+      pass: broken.store.name === 'memory' && brokenList.length === 15,
+      message: `store now ${broken.store.name}, ${brokenList.length} symbols`
+    },
+    {
+      name: 'Load failure answers JSON errors',
+      pass: unloadedFetch.statusCode === 500 && unloadedFetch.body.error === 'registry unavailable' &&
+        unloadedHealth.statusCode === 503 && unloadedHealth.body.error === 'registry unavailable',
+      message: `fetch ${unloadedFetch.statusCode}, health ${unloadedHealth.statusCode}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testSymbolRegistry().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testSymbolRegistry };
@@ -0,0 +1,284 @@
+/**
+ * Test Timeframes
+ *
+ * Tests the timeframe registry and 15m/30m/1w support end to end, offline:
+ * 1. Timeframe lists are validated and ordered shortest first
+ * 2. Aggregation buckets by open time (weekly bars open Monday 00:00 UTC)
+ * 3. A provider fetches what it serves and aggregates the rest
+ * 4. Binance serves 15m and 1w through the orchestrator, cached apart from 1h/4h/1d
+ * 5. A provider that cannot build a timeframe fails over to the next one
+ * 6. GET ?timeframes= rejects unknown timeframes with 400
+ * 7. Feature engineers cover the declared timeframes; the default set is unchanged
+ *
+ * Run: node test/test-timeframes.js
+ */
+
+// Keep the quota ledger and symbol registry in memory for this run
+delete process.env.MONGODB_URI;
+
+const axios = require('axios');
+const {
+  parseTimeframes,
+  bucketStart,
+  aggregateCandles,
+  fetchPlan,
+  resampleCandles,
+  intervalMs
+} = require('../utils/timeframes');
+const registry = require('../utils/providers/registry');
+const fetchDataHandler = require('../api/fetch-data');
+const { orchestrator } = require('../api/fetch-data');
+const ConservativeFeatureEngineer = require('../utils/forex_features');
+const CryptoFeatureEngineer = require('../utils/crypto_features');
+const { mockResponse, steppedCandles } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Binance interval names are the registry keys
+const BINANCE_INTERVALS = ['15m', '30m', '1h', '4h', '1d', '1w'];
+
+/**
+ * Binance klines ending at the current bar, recording each request's interval
+ */
+function replayBinance(requests) {
+  axios.get = async (url, { params } = {}) => {
+    if (!BINANCE_INTERVALS.includes(params?.interval)) {
+      throw new Error('network disabled');
+    }
+
+    requests.push(params.interval);
+    const interval = intervalMs(params.interval);
+    const end = bucketStart(Date.now(), params.interval);
+    const klines = [];
+    for (let t = end - (params.limit - 1) * interval; t <= end; t += interval) {
+      const close = String(100 + t / interval % 50);
+      klines.push([t, close, close, close, close, '1', 0, '1000']);
+    }
+    return { status: 200, data: klines };
+  };
+}
+
+function sameFeatures(a, b) {
+  return a.features.join() === b.features.join() &&
+    a.features.every(f => JSON.stringify(a.data[f]) === JSON.stringify(b.data[f]));
+}
+
+function engineer(Engineer, data, config) {
+  const instance = new Engineer(config);
+  const engineered = instance.engineerFeatures(JSON.parse(JSON.stringify(data)), 'TEST');
+  return { data: engineered, features: instance.getFeatureList() };
+}
+
+async function testTimeframes() {
+  console.log('\n' + '='.repeat(70));
+  console.log('TIMEFRAMES TEST');
+  console.log('='.repeat(70));
+
+  // ====== REGISTRY ======
+  const parsed = parseTimeframes(' 1w,15m ,1h,15m');
+  const defaults = parseTimeframes('');
+  let unknown;
+  try {
+    parseTimeframes(['1h', '2h']);
+  } catch (error) {
+    unknown = error;
+  }
+
+  // ====== AGGREGATION ======
+  // Wednesday 2024-01-17; the week opened Monday 2024-01-15
+  const wednesday = Date.UTC(2024, 0, 17, 13);
+  const weekStart = bucketStart(wednesday, '1w');
+  // Daily bars from Thursday 2024-01-04: that first partial week is dropped
+  const weekly = aggregateCandles(steppedCandles(21, DAY_MS, Date.UTC(2024, 0, 4)), '1w');
+  // 15m bars from 00:45: the 00:00 hour is partial
+  const hourly = aggregateCandles(steppedCandles(9, 15 * 60 * 1000, Date.UTC(2024, 0, 1, 0, 45)), '1h');
+
+  // ====== FETCH PLAN ======
+  const plan = fetchPlan(['1h', '1d'], ['1h', '4h', '1d', '1w']);
+  let noBase;
+  try {
+    fetchPlan(['1h', '1d'], ['15m', '1h']);
+  } catch (error) {
+    noBase = error;
+  }
+  const resampled = resampleCandles(
+    { '1h': steppedCandles(48, HOUR_MS, Date.UTC(2024, 0, 1)), '1d': steppedCandles(14, DAY_MS, Date.UTC(2024, 0, 1)) },
+    ['4h', '1w']
+  );
+
+  // Sample data with 30m/1w columns copied from 1h/1d
+  const forexData = ConservativeFeatureEngineer.createSampleForexData(300);
+  const extendedData = JSON.parse(JSON.stringify(forexData));
+  for (const field of ['timestamp', 'open', 'high', 'low', 'close', 'volume']) {
+    extendedData[`30m_${field}`] = forexData[`1h_${field}`];
+    extendedData[`1w_${field}`] = forexData[`1d_${field}`];
+  }
+
+  // ====== END TO END ======
+  const originalGet = axios.get;
+  const originalPriority = registry.CONFIG.PRIORITY.crypto;
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.error = () => {};
+  console.warn = () => {};
+
+  const requests = [];
+  let intraday, intradayRequests, defaultFetch, defaultRequests, cachedRequests;
+  let failover, hourlyOnly, hourlyOnlyCalls = 0, badResponse;
+  let forexDefault, forexDeclared, forexExtended, cryptoDefault, cryptoDeclared, cryptoExtended;
+
+  try {
+    replayBinance(requests);
+    registry.CONFIG.PRIORITY.crypto = ['binance'];
+    await orchestrator.clearCache();
+
+    intraday = await orchestrator.fetchDataWithSource('BTC/USDT', { timeframes: ['15m', '1h', '4h', '1d', '1w'] });
+    intradayRequests = requests.splice(0);
+
+    defaultFetch = await orchestrator.fetchDataWithSource('BTC/USDT');
+    defaultRequests = requests.splice(0);
+    await orchestrator.fetchDataWithSource('BTC/USDT', { timeframes: '1w,1h,15m,4h,1d' });
+    cachedRequests = requests.splice(0);
+
+    // An exchange with hourly candles only
+    registry.registerProvider({
+      name: 'hourly-only',
+      label: 'HourlyOnly',
+      assetClasses: ['crypto'],
+      symbols: { 'BTC/USDT': 'BTCUSDT' },
+      timeframes: ['1h'],
+      callsPerFetch: 1,
+      async fetchCandles() {
+        hourlyOnlyCalls++;
+        const start = bucketStart(Date.now(), '1d') - 30 * DAY_MS;
+        return { '1h': steppedCandles(30 * 24, HOUR_MS, start) };
+      }
+    });
+    registry.CONFIG.PRIORITY.crypto = ['hourly-only', 'binance'];
+    failover = await registry.fetchWithFallback('BTC/USDT', 'crypto', { timeframes: ['15m', '1h'] });
+    hourlyOnly = await registry.fetchFromProvider('hourly-only', 'BTC/USDT', { timeframes: ['1h', '4h'] });
+
+    badResponse = mockResponse();
+    await fetchDataHandler({ method: 'GET', query: { symbol: 'BTC/USDT', timeframes: '1h,2h' } }, badResponse);
+
+    // ====== FEATURES ======
+    forexDefault = engineer(ConservativeFeatureEngineer, forexData);
+    forexDeclared = engineer(ConservativeFeatureEngineer, forexData, { timeframes: ['1d', '4h', '1h'] });
+    forexExtended = engineer(ConservativeFeatureEngineer, extendedData, { timeframes: ['30m', '1h', '4h', '1d', '1w'] });
+    cryptoDefault = engineer(CryptoFeatureEngineer, forexData);
+    cryptoDeclared = engineer(CryptoFeatureEngineer, forexData, { timeframes: ['1h', '4h', '1d'] });
+    cryptoExtended = engineer(CryptoFeatureEngineer, extendedData, { timeframes: ['1h', '4h', '1d', '1w'] });
+  } finally {
+    axios.get = originalGet;
+    registry.CONFIG.PRIORITY.crypto = originalPriority;
+    await orchestrator.clearCache();
+    console.log = originalLog;
+    console.error = originalError;
+    console.warn = originalWarn;
+  }
+
+  const weeklyStamps = intraday.data['1w_timestamp'];
+  const forexAdded = forexExtended.features.filter(f => !forexDefault.features.includes(f));
+
+  const checks = [
+    {
+      name: 'Timeframe lists validated and ordered',
+      pass: parsed.join() === '15m,1h,1w' && defaults.join() === '1h,4h,1d' &&
+        unknown?.message.startsWith('Unknown timeframe: 2h'),
+      message: `'1w,15m,1h' → ${parsed.join(', ')}`
+    },
+    {
+      name: 'Weekly bars open Monday 00:00 UTC',
+      pass: weekStart === Date.UTC(2024, 0, 15) &&
+        weekly.length === 3 && weekly[0].timestamp === Date.UTC(2024, 0, 8) &&
+        weekly[0].open === 104 && weekly[0].close === 110.5 && weekly[0].volume === 70,
+      message: `week of ${new Date(wednesday).toISOString()} opens ${new Date(weekStart).toISOString()}`
+    },
+    {
+      name: 'Leading partial bucket dropped',
+      pass: hourly.length === 2 && hourly[0].timestamp === Date.UTC(2024, 0, 1, 1) &&
+        hourly[0].open === 101 && hourly[0].high === 105 && hourly[1].volume === 40,
+      message: `${hourly.length} hourly bars from 15m bars opening 00:45`
+    },
+    {
+      name: 'Fetch plan aggregates what a provider lacks',
+      pass: plan.join() === '1h,1d' && noBase?.message === 'Timeframe 15m not available (serves 1h, 1d)' &&
+        resampled['4h'].length === 12 && resampled['1w'].length === 2 &&
+        resampled['1w'][0].timestamp === Date.UTC(2024, 0, 1) && Object.keys(resampled).join() === '4h,1w',
+      message: `4h/1w from 1h/1d: ${resampled['4h'].length}/${resampled['1w'].length} bars`
+    },
+    {
+      name: 'Binance serves 15m and 1w',
+      pass: intraday.source === 'Binance' && intraday.timeframes.join() === '15m,1h,4h,1d,1w' &&
+        intradayRequests.slice().sort().join() === '15m,1d,1h,1w,4h' &&
+        intraday.data['15m_close'].length === 192 && weeklyStamps.length === 104 &&
+        new Date(weeklyStamps[0]).getUTCDay() === 1 &&
+        intraday.quality.sources['15m'] === 'Binance',
+      message: `${intradayRequests.length} requests, 15m=${intraday.data['15m_close'].length}, 1w=${weeklyStamps.length}`
+    },
+    {
+      name: 'Cached per timeframe set',
+      pass: defaultRequests.length === 3 && !defaultFetch.data['15m_close'] &&
+        defaultFetch.timeframes.join() === '1h,4h,1d' && cachedRequests.length === 0,
+      message: `default set ${defaultRequests.length} requests, same extended set again ${cachedRequests.length}`
+    },
+    {
+      name: 'Provider without the timeframe fails over',
+      pass: failover.source === 'Binance' && hourlyOnlyCalls === 1 &&
+        hourlyOnly.success && hourlyOnly.data['4h_close'].length === 168 &&
+        hourlyOnly.data['4h_timestamp'].every(t => t % (4 * HOUR_MS) === 0),
+      message: `15m from ${failover.source}; HourlyOnly 4h=${hourlyOnly.data['4h_close']?.length} aggregated`
+    },
+    {
+      name: 'Unknown timeframe rejected',
+      pass: badResponse.statusCode === 400 && badResponse.body.error === 'Invalid timeframes' &&
+        badResponse.body.supported.includes('1w'),
+      message: `${badResponse.statusCode}: ${badResponse.body?.message}`
+    },
+    {
+      name: 'Default feature set unchanged',
+      pass: sameFeatures(forexDefault, forexDeclared) && sameFeatures(cryptoDefault, cryptoDeclared),
+      message: `forex ${forexDefault.features.length}, crypto ${cryptoDefault.features.length} features`
+    },
+    {
+      name: 'Declared timeframes engineered',
+      pass: forexAdded.includes('30m_momentum') && forexAdded.includes('1d_vs_1w_price') &&
+        forexAdded.includes('1h_in_1w_range') &&
+        forexAdded.includes('1w_trend') && cryptoExtended.data['1w_return'] !== undefined &&
+        cryptoExtended.data['1w_atr'] !== undefined &&
+        cryptoExtended.data['trend_consistency'].length === forexData['1h_close'].length,
+      message: `forex adds ${forexAdded.join(', ')}`
+    }
+  ];
+
+  let allPassed = true;
+
+  for (const check of checks) {
+    const status = check.pass ? '✅ PASS' : '❌ FAIL';
+    console.log(`${status} ${check.name}: ${check.message}`);
+    if (!check.pass) allPassed = false;
+  }
+
+  console.log('='.repeat(70));
+
+  if (allPassed) {
+    console.log('\n✅ ALL TESTS PASSED\n');
+    process.exit(0);
+  } else {
+    console.log('\n❌ SOME TESTS FAILED\n');
+    process.exit(1);
+  }
+}
+
+// Run test
+if (require.main === module) {
+  testTimeframes().catch(error => {
+    console.error(`❌ Test crashed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTimeframes };
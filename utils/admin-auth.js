@@ -0,0 +1,38 @@
+/**
+ * Admin Auth - Bearer token check for admin writes
+ *
+ * Admin endpoints (/api/symbols, /api/model-rollout) accept writes only
+ * with `Authorization: Bearer <ADMIN_TOKEN>`, and refuse them entirely
+ * while ADMIN_TOKEN is unset.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Check the bearer token against ADMIN_TOKEN (constant time)
+ *
+ * @param {Object} req - Request
+ * @param {String} feature - Admin feature name for the disabled message, e.g. 'Symbol admin'
+ * @returns {Object} { ok, status, error }
+ */
+function authorize(req, feature) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return { ok: false, status: 403, error: `${feature} is disabled: ADMIN_TOKEN not set` };
+  }
+
+  const header = (req.headers && (req.headers.authorization || req.headers.Authorization)) || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { ok: false, status: 401, error: 'Invalid or missing admin token' };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  authorize
+};
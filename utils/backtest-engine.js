@@ -0,0 +1,573 @@
+/**
+ * Backtest Engine - Walk-forward replay of historical candles
+ *
+ * FLOW:
+ * 1. Split the candles into 1h/4h/1d series (4h/1d aggregated from 1h if absent,
+ *    with utils/timeframes)
+ * 2. At every step, rebuild the multi-timeframe input the live endpoints get,
+ *    using only bars that had CLOSED by the step's 1h close
+ * 3. Engineer features and detect the regime exactly as the live endpoints do
+ * 4. Check the features against each model's input contract (utils/model-contract),
+ *    then run all steps through the cached models as one batched tensor per model;
+ *    sequence models get each step's window of engineered rows (utils/sequence-window)
+ *    and steps with too little of it are skipped
+ * 5. Ensemble each step (strategy weights + regime gate) and apply the policy
+ *
+ * POLICY (one position per step, held until the next step's close):
+ * - UP   with confidence >= threshold -> long
+ * - DOWN with confidence >= threshold -> short
+ * - NEUTRAL, or any call below threshold -> flat
+ *
+ * Steps default to the prediction horizon (see utils/horizons), so each call
+ * is judged over the same window a live prediction is resolved on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveHorizon } = require('./horizons');
+const { intervalMs, aggregateCandles, CONFIG: TIMEFRAME_CONFIG } = require('./timeframes');
+const { runBatchedInference } = require('./batch-inference');
+const { assertContracts } = require('./model-contract');
+const { extractHistory, checkHistory } = require('./sequence-window');
+const { detectRegime, getEnsemblePolicy } = require('./regime-detector');
+const {
+  CONFIG: ENSEMBLE_CONFIG,
+  resolveStrategyWeights,
+  combineWeights
+} = require('./ensemble-strategies');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // What the live endpoints engineer; 1h is the step series
+  TIMEFRAMES: ['1h', '4h', '1d'],
+  FIELDS: ['timestamp', 'open', 'high', 'low', 'close', 'volume'],
+
+  // Each step gets the window a live fetch keeps (timeframes `bars`), and
+  // steps with fewer closed bars than a usable fetch (`minBars`) are warm-up
+
+  CONFIDENCE_THRESHOLD: 0.5,
+  INITIAL_EQUITY: 10000,
+  MAX_STEPS: 2000,
+
+  FIXTURE_EXTENSIONS: ['.json', '.csv'],
+  CLASS_NAMES: ['DOWN', 'NEUTRAL', 'UP']
+};
+
+/**
+ * Live pipelines per asset class
+ * Required lazily so the engine loads without the TensorFlow model stack
+ */
+const PIPELINES = {
+  crypto: () => {
+    const handler = require('../api/predict-crypto-handler');
+    const { getCryptoModelEntries } = require('./global-model-cache');
+    return {
+      engineFeatures: handler.engineCryptoFeatures,
+      extractVector: handler.extractFeatureVector,
+      ensemble: handler.ensembleCryptoPredictions,
+      loadModels: getCryptoModelEntries
+    };
+  },
+  forex: () => {
+    const handler = require('../api/predict-forex-handler');
+    const { getForexModelEntries } = require('./global-model-cache');
+    return {
+      engineFeatures: handler.engineForexFeatures,
+      extractVector: handler.extractForexFeatureVector,
+      ensemble: handler.ensembleForexPredictions,
+      loadModels: getForexModelEntries
+    };
+  }
+};
+
+// ============================================================================
+// CANDLE LOADING
+// ============================================================================
+
+/**
+ * Normalize a timestamp (ms, seconds or ISO string) to ms
+ */
+function toMs(value) {
+  if (typeof value === 'number') {
+    return value < 1e12 ? value * 1000 : value;
+  }
+  if (/^\d+$/.test(String(value))) {
+    return toMs(Number(value));
+  }
+  const ms = new Date(value).getTime();
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return ms;
+}
+
+/**
+ * Parse 1h candles from CSV (header: timestamp,open,high,low,close,volume)
+ *
+ * @param {String} text - CSV content
+ * @returns {Array<Object>} Candles
+ */
+function parseCsvCandles(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines.length < 2) {
+    throw new Error('CSV has no candle rows');
+  }
+
+  const header = lines[0].toLowerCase().split(',').map(h => h.trim());
+  const columns = CONFIG.FIELDS.map(field => {
+    const index = header.indexOf(field);
+    if (index === -1 && field !== 'volume') {
+      throw new Error(`CSV is missing column: ${field}`);
+    }
+    return index;
+  });
+
+  return lines.slice(1).map(line => {
+    const cells = line.split(',');
+    const candle = {};
+    CONFIG.FIELDS.forEach((field, i) => {
+      const cell = columns[i] === -1 ? '0' : cells[columns[i]];
+      candle[field] = field === 'timestamp' ? cell.trim() : parseFloat(cell);
+    });
+    return candle;
+  });
+}
+
+/**
+ * Convert multi-timeframe columns ('1h_close', ...) to candles for one timeframe
+ */
+function columnsToCandles(data, timeframe) {
+  const closes = data[`${timeframe}_close`];
+  const timestamps = data[`${timeframe}_timestamp`];
+  if (!Array.isArray(closes) || !Array.isArray(timestamps)) return null;
+
+  return closes.map((close, i) => ({
+    timestamp: timestamps[i],
+    open: data[`${timeframe}_open`]?.[i] ?? close,
+    high: data[`${timeframe}_high`]?.[i] ?? close,
+    low: data[`${timeframe}_low`]?.[i] ?? close,
+    close,
+    volume: data[`${timeframe}_volume`]?.[i] ?? 0
+  }));
+}
+
+/**
+ * Load candles from a .csv or .json file
+ * JSON may be an array of 1h candles or the multi-timeframe column format
+ *
+ * @param {String} filePath - Fixture file
+ * @returns {Object|Array} Column data or 1h candles
+ */
+function loadCandleFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.csv'
+    ? parseCsvCandles(text)
+    : JSON.parse(text);
+}
+
+/**
+ * Find a symbol's fixture in a directory ('BTC/USDT' -> BTCUSDT.json|.csv)
+ *
+ * @param {String} dir - Fixture directory
+ * @param {String} symbol - Symbol or pair
+ * @returns {String} File path
+ */
+function findFixture(dir, symbol) {
+  const base = symbol.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+
+  for (const ext of CONFIG.FIXTURE_EXTENSIONS) {
+    const filePath = path.join(dir, `${base}${ext}`);
+    if (fs.existsSync(filePath)) return filePath;
+  }
+
+  throw new Error(`No fixture for ${symbol} in ${dir} (expected ${base}.json or ${base}.csv)`);
+}
+
+// ============================================================================
+// SERIES & WINDOWS
+// ============================================================================
+
+/**
+ * Build sorted candle series per timeframe
+ *
+ * @param {Object|Array} data - Column data or an array of 1h candles
+ * @returns {Object} { '1h': [...], '4h': [...], '1d': [...] }
+ */
+function buildSeries(data) {
+  const series = {};
+
+  for (const timeframe of CONFIG.TIMEFRAMES) {
+    const candles = Array.isArray(data)
+      ? (timeframe === '1h' ? data : null)
+      : columnsToCandles(data, timeframe);
+
+    if (candles) {
+      series[timeframe] = candles
+        .map(c => ({ ...c, timestamp: toMs(c.timestamp) }))
+        .filter(c => Number.isFinite(c.close))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    }
+  }
+
+  if (!series['1h'] || series['1h'].length === 0) {
+    throw new Error('Backtest needs 1h candles');
+  }
+
+  for (const timeframe of CONFIG.TIMEFRAMES) {
+    if (!series[timeframe]) {
+      series[timeframe] = aggregateCandles(series['1h'], timeframe);
+    }
+  }
+
+  return series;
+}
+
+/**
+ * Multi-timeframe columns for one step, from bars closed at `closeTime`
+ *
+ * @param {Object} series - From buildSeries()
+ * @param {Object} ends - { [timeframe]: exclusive end index of closed bars }
+ * @returns {Object|null} Column data, or null during warm-up
+ */
+function buildWindow(series, ends) {
+  const window = {};
+
+  for (const timeframe of CONFIG.TIMEFRAMES) {
+    const { bars: lookback, minBars } = TIMEFRAME_CONFIG.TIMEFRAMES[timeframe];
+    const end = ends[timeframe];
+    if (end < minBars) return null;
+
+    const bars = series[timeframe].slice(Math.max(0, end - lookback), end);
+    for (const field of CONFIG.FIELDS) {
+      window[`${timeframe}_${field}`] = bars.map(bar => bar[field]);
+    }
+  }
+
+  return window;
+}
+
+/**
+ * Logger handed to feature engineering unless verbose
+ * It logs dozens of lines per step; warnings and errors still show
+ */
+const QUIET_LOGGER = {
+  log: () => {},
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+};
+
+// ============================================================================
+// POLICY & SIMULATION
+// ============================================================================
+
+/**
+ * Position for an ensembled call: 1 long, -1 short, 0 flat
+ */
+function positionFor(result, threshold) {
+  if (!result || result.confidence < threshold) return 0;
+  if (result.className === 'UP') return 1;
+  if (result.className === 'DOWN') return -1;
+  return 0;
+}
+
+/**
+ * Replay positions over the realized closes
+ *
+ * @param {Array<Object>} steps - { timestamp, exit_timestamp, entry_price, exit_price, position, ... }
+ * @param {Number} initialEquity - Starting equity
+ * @returns {Object} { trades, equityCurve, summary }
+ */
+function simulate(steps, initialEquity) {
+  const trades = [];
+  const equityCurve = [];
+  let equity = initialEquity;
+  let open = null;
+
+  const closeTrade = (time, price) => {
+    const { growth, position, ...trade } = open;
+    trades.push({
+      ...trade,
+      exit_time: new Date(time).toISOString(),
+      exit_price: price,
+      return: parseFloat((growth - 1).toFixed(6))
+    });
+    open = null;
+  };
+
+  for (const step of steps) {
+    if (open && open.position !== step.position) {
+      closeTrade(step.timestamp, step.entry_price);
+    }
+
+    if (!open && step.position !== 0) {
+      open = {
+        direction: step.position > 0 ? 'long' : 'short',
+        position: step.position,
+        entry_time: new Date(step.timestamp).toISOString(),
+        entry_price: step.entry_price,
+        entry_confidence: step.confidence,
+        bars: 0,
+        growth: 1
+      };
+    }
+
+    const move = step.exit_price / step.entry_price - 1;
+    const stepReturn = step.position * move;
+    equity *= 1 + stepReturn;
+
+    if (open) {
+      open.growth *= 1 + stepReturn;
+      open.bars += step.bars;
+    }
+
+    equityCurve.push({
+      timestamp: new Date(step.exit_timestamp).toISOString(),
+      equity: parseFloat(equity.toFixed(2)),
+      price: step.entry_price,
+      position: step.position,
+      class: step.class,
+      confidence: step.confidence,
+      return: parseFloat(stepReturn.toFixed(6))
+    });
+  }
+
+  if (open) {
+    const last = steps[steps.length - 1];
+    closeTrade(last.exit_timestamp, last.exit_price);
+  }
+
+  const wins = trades.filter(t => t.return > 0).length;
+  const positioned = steps.filter(s => s.position !== 0).length;
+
+  return {
+    trades,
+    equityCurve,
+    summary: {
+      steps: steps.length,
+      trades: trades.length,
+      wins,
+      win_rate: trades.length > 0 ? parseFloat((wins / trades.length).toFixed(4)) : null,
+      exposure: steps.length > 0 ? parseFloat((positioned / steps.length).toFixed(4)) : 0,
+      signals: {
+        long: steps.filter(s => s.position > 0).length,
+        short: steps.filter(s => s.position < 0).length,
+        flat: steps.filter(s => s.position === 0).length
+      },
+      initial_equity: initialEquity,
+      final_equity: parseFloat(equity.toFixed(2)),
+      total_return: parseFloat((equity / initialEquity - 1).toFixed(6))
+    }
+  };
+}
+
+// ============================================================================
+// WALK-FORWARD RUN
+// ============================================================================
+
+/**
+ * Walk-forward backtest over historical candles
+ *
+ * @param {Object|Array} data - Column data ('1h_close', ...) or 1h candles
+ * @param {Object} options - {
+ *   symbol, assetClass ('crypto'|'forex'),
+ *   start, end          - limit step bars (ms or ISO)
+ *   horizon             - model set to replay (default: the asset class's default, see utils/horizons)
+ *   step                - bars between predictions (default: the horizon in hours)
+ *   maxSteps            - keep only the most recent N steps
+ *   confidenceThreshold, ensembleStrategy, initialEquity,
+ *   pipeline            - override { engineFeatures, extractVector, extractWindow?, ensemble, loadModels }
+ *   verbose             - keep feature engineering logs (default: warnings only)
+ * }
+ * @returns {Promise<Object>} { summary, trades, equity_curve, models, skipped, config }
+ */
+async function runBacktest(data, options = {}) {
+  const {
+    symbol,
+    assetClass,
+    confidenceThreshold = CONFIG.CONFIDENCE_THRESHOLD,
+    ensembleStrategy = ENSEMBLE_CONFIG.DEFAULT_STRATEGY,
+    initialEquity = CONFIG.INITIAL_EQUITY,
+    maxSteps = CONFIG.MAX_STEPS,
+    verbose = false
+  } = options;
+
+  if (!PIPELINES[assetClass]) {
+    throw new Error(`Invalid asset_class for backtest: ${assetClass}`);
+  }
+
+  const { horizon, hours } = resolveHorizon(assetClass, options.horizon);
+  const step = parseInt(options.step) || hours;
+  if (step < 1) {
+    throw new Error('Invalid step. Must be at least 1 bar');
+  }
+
+  const pipeline = options.pipeline || PIPELINES[assetClass]();
+  const series = buildSeries(data);
+  const hourly = series['1h'];
+  const startMs = options.start !== undefined ? toMs(options.start) : -Infinity;
+  const endMs = options.end !== undefined ? toMs(options.end) : Infinity;
+
+  console.log(`\n[Backtest] ${symbol} (${assetClass}, ${horizon} horizon): ${hourly.length} 1h bars, step ${step}`);
+
+  // ====== STEP BARS (each needs a later bar to realize its return) ======
+  let stepIndexes = [];
+  for (let i = 0; i < hourly.length - 1; i += step) {
+    if (hourly[i].timestamp >= startMs && hourly[i].timestamp <= endMs) {
+      stepIndexes.push(i);
+    }
+  }
+
+  const truncated = stepIndexes.length > maxSteps;
+  if (truncated) {
+    stepIndexes = stepIndexes.slice(-maxSteps);
+  }
+
+  // Loaded first: sequence models decide how much history each step keeps
+  const modelEntries = await pipeline.loadModels(horizon);
+
+  // ====== FEATURES PER STEP (closed bars only) ======
+  const logger = verbose ? console : QUIET_LOGGER;
+  const ends = Object.fromEntries(CONFIG.TIMEFRAMES.map(timeframe => [timeframe, 0]));
+  const rows = [];
+  const skipped = { warmup: 0, features: 0, width: 0, history: 0 };
+  let lastFeatureError = null;
+
+  for (const index of stepIndexes) {
+    const closeTime = hourly[index].timestamp + intervalMs('1h');
+
+    for (const timeframe of CONFIG.TIMEFRAMES) {
+      const bars = series[timeframe];
+      const period = intervalMs(timeframe);
+      while (ends[timeframe] < bars.length && bars[ends[timeframe]].timestamp + period <= closeTime) {
+        ends[timeframe]++;
+      }
+    }
+
+    const window = buildWindow(series, ends);
+    if (!window) {
+      skipped.warmup++;
+      continue;
+    }
+
+    try {
+      const featureResult = pipeline.engineFeatures(window, symbol, CONFIG.TIMEFRAMES, { logger });
+      if (!featureResult.success) {
+        throw new Error(featureResult.error);
+      }
+
+      rows.push({
+        index,
+        closeTime,
+        features: pipeline.extractVector(featureResult.engineeredData, featureResult.featureList, { logger }),
+        featureList: featureResult.featureList,
+        history: extractHistory(modelEntries, featureResult.engineeredData, featureResult.featureList, pipeline.extractWindow),
+        regime: detectRegime(featureResult.engineeredData, { logger })
+      });
+    } catch (error) {
+      skipped.features++;
+      lastFeatureError = error.message;
+    }
+  }
+
+  // Rows must share the tensor width of the first usable step, and hold
+  // the history every sequence model's window needs
+  const width = rows.length > 0 ? rows[0].features.length : 0;
+  const sameWidth = rows.filter(row => row.features.length === width);
+  skipped.width = rows.length - sameWidth.length;
+  const usable = sameWidth.filter(row => !checkHistory(modelEntries, row.history));
+  skipped.history = sameWidth.length - usable.length;
+
+  if (usable.length === 0) {
+    throw new Error(
+      `No usable backtest steps (warm-up ${skipped.warmup}, short history ${skipped.history}, feature errors ${skipped.features}` +
+      `${lastFeatureError ? `: ${lastFeatureError}` : ''})`
+    );
+  }
+
+  console.log(`[Backtest] ${usable.length} steps (${skipped.warmup} warm-up, ${skipped.features + skipped.width + skipped.history} skipped)`);
+
+  // ====== BATCHED INFERENCE + ENSEMBLE ======
+  assertContracts(modelEntries, usable[0].featureList);
+  const { rowPredictions, modelResults } = await runBatchedInference(
+    modelEntries,
+    usable.map(row => row.features),
+    usable.map(row => row.history)
+  );
+
+  const modelNames = modelResults.filter(r => r.success).map(r => r.model);
+  if (modelNames.length === 0) {
+    throw new Error('All model predictions failed');
+  }
+
+  const strategyWeights = await resolveStrategyWeights(ensembleStrategy, assetClass, modelNames, { horizon });
+
+  const steps = usable.map((row, i) => {
+    const ensemblePolicy = getEnsemblePolicy(row.regime, modelNames);
+    const result = pipeline.ensemble(rowPredictions[i], {
+      strategy: strategyWeights.strategy,
+      weights: combineWeights(strategyWeights.weights, ensemblePolicy.weights),
+      modelNames,
+      minDirectionalConfidence: ensemblePolicy.minDirectionalConfidence
+    });
+
+    const next = usable[i + 1];
+    const exitIndex = next ? next.index : Math.min(row.index + step, hourly.length - 1);
+
+    return {
+      timestamp: row.closeTime,
+      exit_timestamp: hourly[exitIndex].timestamp + intervalMs('1h'),
+      entry_price: hourly[row.index].close,
+      exit_price: hourly[exitIndex].close,
+      bars: exitIndex - row.index,
+      class: result.className,
+      confidence: parseFloat(result.confidence.toFixed(4)),
+      regime: row.regime.regime,
+      position: positionFor(result, confidenceThreshold)
+    };
+  });
+
+  const { trades, equityCurve, summary } = simulate(steps, initialEquity);
+
+  console.log(
+    `[Backtest] ${summary.trades} trades, return ${(summary.total_return * 100).toFixed(2)}%`
+  );
+
+  return {
+    symbol,
+    asset_class: assetClass,
+    config: {
+      horizon,
+      step,
+      confidence_threshold: confidenceThreshold,
+      ensemble_strategy: strategyWeights.strategy,
+      weights_source: strategyWeights.source,
+      initial_equity: initialEquity,
+      start: new Date(steps[0].timestamp).toISOString(),
+      end: new Date(steps[steps.length - 1].exit_timestamp).toISOString(),
+      truncated
+    },
+    summary,
+    trades,
+    equity_curve: equityCurve,
+    models: modelResults,
+    skipped
+  };
+}
+
+module.exports = {
+  CONFIG,
+  PIPELINES,
+  toMs,
+  parseCsvCandles,
+  columnsToCandles,
+  loadCandleFile,
+  findFixture,
+  buildSeries,
+  buildWindow,
+  positionFor,
+  simulate,
+  runBacktest
+};
@@ -0,0 +1,372 @@
+/**
+ * Backtest Report - Standard performance metrics for a backtest run
+ *
+ * Takes the result of runBacktest() and re-prices every step net of
+ * trading costs, then reports:
+ * - cumulative return (gross and net)
+ * - annualized Sharpe and Sortino
+ * - max drawdown and how long it lasted
+ * - win rate, average win/loss, profit factor (per trade, net)
+ * - exposure and turnover
+ *
+ * COSTS (charged per unit of position traded; a long -> short flip is 2 units):
+ * - crypto: exchange fee + slippage in basis points
+ * - forex:  half the spread + slippage in pips, converted at the step's price
+ *
+ * renderReportHtml() turns a report into the fragment public/dashboard.js
+ * shows in its modal.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Override with BACKTEST_COSTS='{"crypto":{"fee_bps":4}}'
+  COSTS: mergeCosts(
+    {
+      crypto: { fee_bps: 10, slippage_bps: 5 },
+      forex: { spread_pips: 1.0, slippage_pips: 0.2 }
+    },
+    parseJsonEnv('BACKTEST_COSTS')
+  ),
+
+  PIP_SIZE: 0.0001,
+  JPY_PIP_SIZE: 0.01,
+
+  // Hours in a trading year (forex closes at weekends: 260 days x 24h)
+  HOURS_PER_YEAR: {
+    crypto: 365 * 24,
+    forex: 260 * 24
+  },
+
+  EQUITY_SPARKLINE_POINTS: 120
+};
+
+/**
+ * Parse a JSON object from an environment variable (empty object if unset/invalid)
+ */
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`[BacktestReport] Ignoring invalid ${name}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Merge per-asset-class cost overrides onto defaults
+ */
+function mergeCosts(defaults, overrides = {}) {
+  const merged = {};
+  for (const assetClass of Object.keys(defaults)) {
+    merged[assetClass] = { ...defaults[assetClass], ...(overrides[assetClass] || {}) };
+  }
+  return merged;
+}
+
+const round = (value, digits = 6) =>
+  value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits));
+
+// ============================================================================
+// COSTS
+// ============================================================================
+
+/**
+ * Cost of trading one unit of position, as a fraction of notional
+ *
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {Object} costs - Cost settings for the asset class
+ * @param {Number} price - Price the trade happens at
+ * @param {String} symbol - Pair (JPY pairs use a 0.01 pip)
+ * @returns {Number} Fraction of notional per unit traded
+ */
+function costPerUnit(assetClass, costs, price, symbol = '') {
+  if (assetClass === 'forex') {
+    const pipSize = symbol.toUpperCase().includes('JPY') ? CONFIG.JPY_PIP_SIZE : CONFIG.PIP_SIZE;
+    const pips = (costs.spread_pips || 0) / 2 + (costs.slippage_pips || 0);
+    return price > 0 ? (pips * pipSize) / price : 0;
+  }
+
+  return ((costs.fee_bps || 0) + (costs.slippage_bps || 0)) / 10000;
+}
+
+// ============================================================================
+// METRICS
+// ============================================================================
+
+/**
+ * Mean and sample standard deviation
+ */
+function meanStd(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  if (values.length < 2) return { mean, std: 0 };
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * Deepest peak-to-trough fall and how long that episode stayed under its peak
+ *
+ * @param {Array<Number>} equity - Equity after each step (index 0 = start)
+ * @param {Array<String>} timestamps - Timestamp for each equity point
+ * @returns {Object} { max_drawdown, duration }
+ */
+function drawdownStats(equity, timestamps) {
+  let peakIndex = 0;
+  let worst = { depth: 0, peakIndex: 0, troughIndex: 0, recoveryIndex: null };
+
+  for (let i = 1; i < equity.length; i++) {
+    if (equity[i] >= equity[peakIndex]) {
+      // First new high after the deepest episode's peak ends that episode
+      if (worst.depth > 0 && worst.peakIndex === peakIndex && worst.recoveryIndex === null) {
+        worst.recoveryIndex = i;
+      }
+      peakIndex = i;
+      continue;
+    }
+
+    const depth = 1 - equity[i] / equity[peakIndex];
+
+    if (depth > worst.depth) {
+      worst = { depth, peakIndex, troughIndex: i, recoveryIndex: null };
+    }
+  }
+
+  const endIndex = worst.recoveryIndex ?? equity.length - 1;
+  const hours = (new Date(timestamps[endIndex]) - new Date(timestamps[worst.peakIndex])) / 3600000;
+
+  return {
+    max_drawdown: round(worst.depth),
+    duration: worst.depth === 0 ? null : {
+      steps: endIndex - worst.peakIndex,
+      hours: Math.round(hours),
+      peak: timestamps[worst.peakIndex],
+      trough: timestamps[worst.troughIndex],
+      recovered_at: worst.recoveryIndex !== null ? timestamps[worst.recoveryIndex] : null
+    }
+  };
+}
+
+/**
+ * Build the metrics report for a backtest result
+ *
+ * @param {Object} result - From runBacktest()
+ * @param {Object} options - { costs } overriding CONFIG.COSTS for the asset class
+ * @returns {Object} Report
+ */
+function buildReport(result, options = {}) {
+  const assetClass = result.asset_class;
+  const costs = { ...CONFIG.COSTS[assetClass], ...(options.costs || {}) };
+  const curve = result.equity_curve;
+  const initialEquity = result.summary.initial_equity;
+
+  if (!curve || curve.length === 0) {
+    throw new Error('Backtest result has no equity curve');
+  }
+
+  // ====== NET STEP RETURNS & TRADES ======
+  // Closing costs are charged to the trade being closed, opening costs to the new one
+  const netReturns = [];
+  const trades = [];
+  let open = null;
+  let turnover = 0;
+  let costDrag = 0;
+
+  curve.forEach((point, i) => {
+    const unitCost = costPerUnit(assetClass, costs, point.price, result.symbol);
+    const changed = !open || open.position !== point.position;
+    const closeUnits = open && changed ? Math.abs(open.position) : 0;
+    const openUnits = changed ? Math.abs(point.position) : 0;
+    // The last open position is closed at the end of the run
+    const finalUnits = i === curve.length - 1 ? Math.abs(point.position) : 0;
+
+    if (closeUnits > 0) {
+      trades.push(open.growth * (1 - closeUnits * unitCost) - 1);
+      open = null;
+    }
+    if (openUnits > 0) {
+      open = { position: point.position, growth: 1 - openUnits * unitCost };
+    }
+    if (open) {
+      open.growth *= 1 + point.return;
+    }
+    if (finalUnits > 0) {
+      trades.push(open.growth * (1 - finalUnits * unitCost) - 1);
+    }
+
+    const units = closeUnits + openUnits + finalUnits;
+    turnover += units;
+    costDrag += units * unitCost;
+    netReturns.push(point.return - units * unitCost);
+  });
+
+  const netEquity = [initialEquity];
+  netReturns.forEach(r => netEquity.push(netEquity[netEquity.length - 1] * (1 + r)));
+
+  // Equity point 0 is the first step's entry, the rest are step exits
+  const timestamps = [result.config.start, ...curve.map(p => p.timestamp)];
+
+  // ====== RISK-ADJUSTED RETURN ======
+  const periodsPerYear = CONFIG.HOURS_PER_YEAR[assetClass] / result.config.step;
+  const { mean, std } = meanStd(netReturns);
+  const downside = Math.sqrt(
+    netReturns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / netReturns.length
+  );
+
+  const wins = trades.filter(r => r > 0);
+  const losses = trades.filter(r => r <= 0);
+  const grossWins = wins.reduce((a, b) => a + b, 0);
+  const grossLosses = Math.abs(losses.reduce((a, b) => a + b, 0));
+
+  const drawdown = drawdownStats(netEquity, timestamps);
+  const positioned = curve.filter(p => p.position !== 0).length;
+  const finalEquity = netEquity[netEquity.length - 1];
+
+  return {
+    symbol: result.symbol,
+    asset_class: assetClass,
+    period: {
+      start: timestamps[0],
+      end: timestamps[timestamps.length - 1],
+      steps: curve.length,
+      step_hours: result.config.step
+    },
+    returns: {
+      cumulative_gross: round(result.summary.total_return),
+      cumulative_net: round(finalEquity / initialEquity - 1),
+      final_equity: round(finalEquity, 2),
+      mean_step: round(mean, 8),
+      volatility_annualized: round(std * Math.sqrt(periodsPerYear), 4)
+    },
+    risk: {
+      sharpe: std > 0 ? round((mean / std) * Math.sqrt(periodsPerYear), 4) : null,
+      sortino: downside > 0 ? round((mean / downside) * Math.sqrt(periodsPerYear), 4) : null,
+      max_drawdown: drawdown.max_drawdown,
+      max_drawdown_duration: drawdown.duration
+    },
+    trades: {
+      count: trades.length,
+      win_rate: trades.length > 0 ? round(wins.length / trades.length, 4) : null,
+      avg_win: wins.length > 0 ? round(grossWins / wins.length) : null,
+      avg_loss: losses.length > 0 ? round(-grossLosses / losses.length) : null,
+      profit_factor: grossLosses > 0 ? round(grossWins / grossLosses, 4) : null
+    },
+    activity: {
+      exposure: round(positioned / curve.length, 4),
+      turnover: round(turnover, 4),
+      turnover_annualized: round((turnover / curve.length) * periodsPerYear, 2)
+    },
+    costs: {
+      model: assetClass === 'forex' ? 'pips' : 'bps',
+      settings: costs,
+      total_drag: round(costDrag)
+    },
+    equity: netEquity.map(e => round(e, 2))
+  };
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const pct = (value, digits = 2) => value === null ? 'N/A' : `${(value * 100).toFixed(digits)}%`;
+const num = (value, digits = 2) => value === null ? 'N/A' : value.toFixed(digits);
+
+/**
+ * Inline SVG line of the net equity curve
+ */
+function renderSparkline(equity) {
+  const stride = Math.max(1, Math.ceil(equity.length / CONFIG.EQUITY_SPARKLINE_POINTS));
+  const points = equity.filter((_, i) => i % stride === 0 || i === equity.length - 1);
+  const min = Math.min(...points);
+  const max = Math.max(...points);
+  const span = max - min || 1;
+
+  const path = points.map((value, i) => {
+    const x = (i / Math.max(1, points.length - 1)) * 300;
+    const y = 60 - ((value - min) / span) * 60;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  const color = points[points.length - 1] >= points[0] ? '#6ee7b7' : '#fca5a5';
+
+  return `<svg viewBox="0 0 300 60" preserveAspectRatio="none" style="width: 100%; height: 60px;">` +
+    `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${path}"/></svg>`;
+}
+
+/**
+ * Render a report as an HTML fragment (dashboard modal styling)
+ *
+ * @param {Object} report - From buildReport()
+ * @returns {String} HTML
+ */
+function renderReportHtml(report) {
+  const row = (label, value) => `
+                <div style="display: flex; justify-content: space-between; padding: 8px; background: var(--glass-bg); border-radius: 8px;">
+                    <span>${label}:</span>
+                    <strong>${value}</strong>
+                </div>`;
+
+  const section = (title, rows) => `
+            <h4 style="margin-bottom: 12px; font-size: 16px;">${title}</h4>
+            <div style="display: grid; gap: 8px; margin-bottom: 20px;">${rows.join('')}
+            </div>`;
+
+  const duration = report.risk.max_drawdown_duration;
+
+  return `
+        <div style="color: #e5e7eb;">
+            <div style="color: var(--gray-400); font-size: 12px; margin-bottom: 12px;">
+                ${escapeHtml(report.symbol)} · ${escapeHtml(report.period.start)} → ${escapeHtml(report.period.end)} · ${report.period.steps} steps of ${report.period.step_hours}h
+            </div>
+            <div style="padding: 8px; background: var(--glass-bg); border-radius: 8px; margin-bottom: 20px;">
+                ${renderSparkline(report.equity)}
+            </div>
+${section('Returns', [
+    row('Cumulative (net)', pct(report.returns.cumulative_net)),
+    row('Cumulative (gross)', pct(report.returns.cumulative_gross)),
+    row('Annualized Volatility', pct(report.returns.volatility_annualized))
+  ])}
+${section('Risk', [
+    row('Sharpe', num(report.risk.sharpe)),
+    row('Sortino', num(report.risk.sortino)),
+    row('Max Drawdown', pct(report.risk.max_drawdown)),
+    row('Drawdown Duration', duration ? `${duration.hours}h${duration.recovered_at ? '' : ' (not recovered)'}` : 'N/A')
+  ])}
+${section('Trades', [
+    row('Trades', report.trades.count),
+    row('Win Rate', pct(report.trades.win_rate, 1)),
+    row('Avg Win / Loss', `${pct(report.trades.avg_win)} / ${pct(report.trades.avg_loss)}`),
+    row('Profit Factor', num(report.trades.profit_factor))
+  ])}
+${section('Activity &amp; Costs', [
+    row('Exposure', pct(report.activity.exposure, 1)),
+    row('Turnover', `${num(report.activity.turnover, 0)} (${num(report.activity.turnover_annualized, 0)}/yr)`),
+    row('Cost Drag', pct(report.costs.total_drag)),
+    row('Cost Model', escapeHtml(Object.entries(report.costs.settings).map(([k, v]) => `${k} ${v}`).join(', ')))
+  ])}
+        </div>
+    `;
+}
+
+module.exports = {
+  CONFIG,
+  costPerUnit,
+  drawdownStats,
+  buildReport,
+  renderReportHtml
+};
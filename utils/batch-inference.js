@@ -0,0 +1,171 @@
+/**
+ * Batch Inference - Run many symbols through each model in one call
+ *
+ * Builds a single [symbols x features] tensor and runs it through every
+ * model, instead of one single-row tensor per symbol per model. Rows are
+ * first scaled with each model's stored scaler (utils/feature-scaler), and
+ * sequence models get a [symbols x timesteps x features] tensor of history
+ * windows (utils/sequence-window); models sharing a scaler file and input
+ * layout share one tensor. A model that fails is reported and skipped; the
+ * remaining models still serve the batch. A model whose input shape
+ * (utils/model-contract) takes another width is never run. Outputs are
+ * reordered from each model's `classes` to [down, neutral, up]
+ * (utils/ensemble-strategies toClassOrder).
+ */
+
+const tf = require('@tensorflow/tfjs');
+const { inputWidth } = require('./model-contract');
+const { timestepsOf, prepareInputs } = require('./sequence-window');
+const { toClassOrder } = require('./ensemble-strategies');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  PREDICTION_TIMEOUT_MS: 5000
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Reject if a promise does not settle in time
+ *
+ * @param {Promise} promise - Promise to guard
+ * @param {Number} ms - Timeout in milliseconds
+ * @param {String} label - Name used in the timeout error
+ * @returns {Promise} Result of the original promise
+ */
+function withTimeout(promise, ms, label) {
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(new Error(`Timeout for ${label}`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Check that all feature rows can form one rectangular tensor
+ *
+ * @param {Array<Array<Number>>} featureRows - One feature vector per symbol
+ * @returns {Number} Row width
+ */
+function validateFeatureRows(featureRows) {
+  if (!Array.isArray(featureRows) || featureRows.length === 0) {
+    throw new Error('No feature rows to run');
+  }
+
+  const width = featureRows[0].length;
+
+  featureRows.forEach((row, i) => {
+    if (row.length !== width) {
+      throw new Error(`Feature row ${i} has ${row.length} features, expected ${width}`);
+    }
+  });
+
+  return width;
+}
+
+// ============================================================================
+// INFERENCE
+// ============================================================================
+
+/**
+ * Run every feature row through every model, one tensor per input layout for the whole batch
+ *
+ * @param {Array<Object>} modelEntries - [{ name, model, inputShape?, classes?, scaler?, padding? }] from global-model-cache
+ * @param {Array<Array<Number>>} featureRows - One raw feature vector per symbol (NaN for missing values)
+ * @param {Array<Array<Array<Number>>|null>} histories - Raw rows per symbol, oldest first and
+ *   ending with its feature row (utils/sequence-window extractHistory); null: the row alone
+ * @returns {Promise<Object>} { rowPredictions, modelResults, rowScaling }
+ *   rowPredictions[i] holds one [down, neutral, up] array per successful model
+ *   rowScaling[i] holds each model's scaling report for row i (see summarizeScaling)
+ */
+async function runBatchedInference(modelEntries, featureRows, histories = null) {
+  const width = validateFeatureRows(featureRows);
+
+  console.log(`\n[BatchInference] ${featureRows.length} rows x ${width} features, ${modelEntries.length} models`);
+
+  const rowPredictions = featureRows.map(() => []);
+  const rowScaling = featureRows.map(() => ({}));
+  const modelResults = [];
+
+  const sampleHistories = featureRows.map((row, i) => (histories && histories[i]) || [row]);
+
+  // Prepared samples and their tensor, keyed by scaler file and input layout
+  const inputs = new Map();
+
+  try {
+    for (const entry of modelEntries) {
+      const { name, model, inputShape, scaler } = entry;
+      const startTime = Date.now();
+      let outputTensor = null;
+
+      try {
+        if (inputShape && inputWidth(inputShape) !== width) {
+          throw new Error(`Input contract expects ${inputWidth(inputShape)} features, got ${width}`);
+        }
+
+        const key = [scaler ? scaler.source : '', timestepsOf(entry), entry.padding || ''].join('|');
+        if (!inputs.has(key)) {
+          const { samples, reports } = prepareInputs(entry, sampleHistories);
+          inputs.set(key, { reports, tensor: tf.tensor(samples) });
+        }
+        const input = inputs.get(key);
+        input.reports.forEach((report, i) => {
+          rowScaling[i][name] = report;
+        });
+
+        outputTensor = model.predict(input.tensor);
+        const values = await withTimeout(outputTensor.array(), CONFIG.PREDICTION_TIMEOUT_MS, name);
+
+        if (values.length !== featureRows.length) {
+          throw new Error(`Unexpected output shape [${values.length}, ${values[0]?.length}]`);
+        }
+
+        const ordered = values.map(probs => toClassOrder(probs, entry.classes));
+        ordered.forEach((probs, i) => rowPredictions[i].push(probs));
+
+        modelResults.push({
+          model: name,
+          success: true,
+          rows: values.length,
+          latency_ms: Date.now() - startTime
+        });
+
+        console.log(`  ✓ ${name} (${Date.now() - startTime}ms)`);
+
+      } catch (error) {
+        modelResults.push({
+          model: name,
+          success: false,
+          error: error.message,
+          latency_ms: Date.now() - startTime
+        });
+
+        console.warn(`  ✗ ${name}: ${error.message}`);
+
+      } finally {
+        if (outputTensor && outputTensor.dispose) {
+          outputTensor.dispose();
+        }
+      }
+    }
+  } finally {
+    inputs.forEach(input => input.tensor.dispose());
+  }
+
+  const succeeded = modelResults.filter(r => r.success).length;
+  console.log(`[BatchInference] Success rate: ${succeeded}/${modelEntries.length} models`);
+
+  return { rowPredictions, modelResults, rowScaling };
+}
+
+module.exports = {
+  CONFIG,
+  validateFeatureRows,
+  runBatchedInference
+};
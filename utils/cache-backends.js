@@ -0,0 +1,301 @@
+/**
+ * Cache Backends - Storage for the DataOrchestrator candle cache
+ *
+ * BACKENDS (CACHE_BACKEND):
+ * - memory - per-instance object (default; every cold start begins empty)
+ * - mongo  - MongoDB collection shared by every instance
+ * - fs     - JSON files in CACHE_DIR (shared by processes on one machine)
+ *
+ * Every backend implements the same async interface:
+ *   get(key)                 -> entry | null (expired entries included)
+ *   set(key, entry)
+ *   clear()
+ *   count()                  -> number of stored entries
+ *   incrementStats(deltas)   -> add to the shared hit/miss counters
+ *   getStats()               -> counters summed over every instance
+ *
+ * An entry is { value, meta, timestamp, expiresAt, durationMs }. Freshness is
+ * decided by the caller (IntelligentCache in api/fetch-data.js); backends only
+ * drop entries once they are older than PURGE_AFTER_MS.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { connectToDatabase } = require('./mongodb-connection');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  BACKENDS: ['memory', 'mongo', 'fs'],
+  DEFAULT_BACKEND: process.env.CACHE_BACKEND || 'memory',
+
+  // Expired entries stay available for stale fallbacks this long
+  PURGE_AFTER_MS: 48 * 60 * 60 * 1000,
+
+  MONGO: {
+    COLLECTION: 'data_cache',
+    STATS_COLLECTION: 'cache_stats',
+    STATS_ID: 'data_cache'
+  },
+
+  FS: {
+    DIR: process.env.CACHE_DIR || path.join(os.tmpdir(), 'trading-models-cache'),
+    STATS_DIR: 'stats'
+  },
+
+  STAT_FIELDS: ['hits', 'misses', 'evictions', 'staleServed']
+};
+
+const emptyStats = () => Object.fromEntries(CONFIG.STAT_FIELDS.map(f => [f, 0]));
+
+// ============================================================================
+// MEMORY
+// ============================================================================
+
+class MemoryCacheBackend {
+  constructor() {
+    this.name = 'memory';
+    this.entries = {};
+    this.stats = emptyStats();
+  }
+
+  async get(key) {
+    return this.entries[key] || null;
+  }
+
+  async set(key, entry) {
+    this.entries[key] = entry;
+
+    // Entries are only overwritten, so drop the ones no fallback can use
+    const cutoff = Date.now() - CONFIG.PURGE_AFTER_MS;
+    for (const [k, e] of Object.entries(this.entries)) {
+      if (e.expiresAt < cutoff) delete this.entries[k];
+    }
+  }
+
+  async clear() {
+    this.entries = {};
+  }
+
+  async count() {
+    return Object.keys(this.entries).length;
+  }
+
+  async incrementStats(deltas) {
+    for (const [field, delta] of Object.entries(deltas)) {
+      this.stats[field] = (this.stats[field] || 0) + delta;
+    }
+  }
+
+  async getStats() {
+    return { ...this.stats };
+  }
+}
+
+// ============================================================================
+// MONGODB
+// ============================================================================
+
+class MongoCacheBackend {
+  /**
+   * @param {Object} options - { db } to reuse an open connection
+   */
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.db = options.db || null;
+    this.indexesReady = false;
+  }
+
+  async _collections() {
+    if (!this.db) {
+      this.db = await connectToDatabase();
+    }
+
+    const entries = this.db.collection(CONFIG.MONGO.COLLECTION);
+
+    if (!this.indexesReady) {
+      // MongoDB removes documents once purgeAt has passed
+      await entries.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+      this.indexesReady = true;
+    }
+
+    return { entries, stats: this.db.collection(CONFIG.MONGO.STATS_COLLECTION) };
+  }
+
+  async get(key) {
+    const { entries } = await this._collections();
+    const doc = await entries.findOne({ _id: key });
+    if (!doc) return null;
+
+    return {
+      value: doc.value,
+      meta: doc.meta || {},
+      timestamp: doc.timestamp,
+      expiresAt: doc.expiresAt,
+      durationMs: doc.durationMs
+    };
+  }
+
+  async set(key, entry) {
+    const { entries } = await this._collections();
+    await entries.replaceOne(
+      { _id: key },
+      { ...entry, purgeAt: new Date(entry.expiresAt + CONFIG.PURGE_AFTER_MS) },
+      { upsert: true }
+    );
+  }
+
+  async clear() {
+    const { entries } = await this._collections();
+    await entries.deleteMany({});
+  }
+
+  async count() {
+    const { entries } = await this._collections();
+    return entries.countDocuments();
+  }
+
+  async incrementStats(deltas) {
+    const { stats } = await this._collections();
+    await stats.updateOne(
+      { _id: CONFIG.MONGO.STATS_ID },
+      { $inc: deltas, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async getStats() {
+    const { stats } = await this._collections();
+    const doc = await stats.findOne({ _id: CONFIG.MONGO.STATS_ID });
+    const result = emptyStats();
+    for (const field of CONFIG.STAT_FIELDS) {
+      result[field] = doc?.[field] || 0;
+    }
+    return result;
+  }
+}
+
+// ============================================================================
+// FILESYSTEM
+// ============================================================================
+
+class FileCacheBackend {
+  /**
+   * @param {Object} options - { dir } overriding CACHE_DIR
+   */
+  constructor(options = {}) {
+    this.name = 'fs';
+    this.dir = options.dir || CONFIG.FS.DIR;
+    this.statsDir = path.join(this.dir, CONFIG.FS.STATS_DIR);
+    this.instanceId = `${process.pid}-${Math.random().toString(36).substr(2, 9)}`;
+    this.stats = emptyStats();
+    this.writes = 0;
+    fs.mkdirSync(this.statsDir, { recursive: true });
+  }
+
+  _file(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  async _read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temp file and rename so readers never see half a file
+  async _write(file, data) {
+    const tmp = `${file}.${this.instanceId}.${this.writes++}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async _entryFiles() {
+    const files = await fs.promises.readdir(this.dir);
+    return files.filter(f => f.endsWith('.json'));
+  }
+
+  async get(key) {
+    const entry = await this._read(this._file(key));
+    if (entry && entry.expiresAt < Date.now() - CONFIG.PURGE_AFTER_MS) {
+      await fs.promises.rm(this._file(key), { force: true });
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    await this._write(this._file(key), entry);
+  }
+
+  async clear() {
+    for (const file of await this._entryFiles()) {
+      await fs.promises.rm(path.join(this.dir, file), { force: true });
+    }
+  }
+
+  async count() {
+    return (await this._entryFiles()).length;
+  }
+
+  // Each instance owns one stats file, so no two writers share a file;
+  // getStats() sums them
+  async incrementStats(deltas) {
+    for (const [field, delta] of Object.entries(deltas)) {
+      this.stats[field] = (this.stats[field] || 0) + delta;
+    }
+    await this._write(path.join(this.statsDir, `${this.instanceId}.json`), this.stats);
+  }
+
+  async getStats() {
+    const result = emptyStats();
+    const files = (await fs.promises.readdir(this.statsDir)).filter(f => f.endsWith('.json'));
+
+    for (const file of files) {
+      const stats = await this._read(path.join(this.statsDir, file));
+      for (const field of CONFIG.STAT_FIELDS) {
+        result[field] += stats?.[field] || 0;
+      }
+    }
+    return result;
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Create the backend named by CACHE_BACKEND (or `name`)
+ *
+ * @param {String} name - 'memory', 'mongo' or 'fs'
+ * @param {Object} options - Passed to the backend constructor
+ * @returns {Object} Cache backend
+ */
+function createCacheBackend(name = CONFIG.DEFAULT_BACKEND, options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryCacheBackend();
+    case 'mongo':
+      return new MongoCacheBackend(options);
+    case 'fs':
+      return new FileCacheBackend(options);
+    default:
+      console.warn(`[Cache] Unknown CACHE_BACKEND "${name}", using memory. Must be one of: ${CONFIG.BACKENDS.join(', ')}`);
+      return new MemoryCacheBackend();
+  }
+}
+
+module.exports = {
+  CONFIG,
+  MemoryCacheBackend,
+  MongoCacheBackend,
+  FileCacheBackend,
+  createCacheBackend
+};
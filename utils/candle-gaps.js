@@ -0,0 +1,269 @@
+/**
+ * Candle Gaps - Missing-bar detection and repair per timeframe
+ *
+ * A gap is one or more bar slots with no candle while the market was open.
+ * Slots are counted from the previous candle in steps of the timeframe
+ * interval, and a trading calendar decides which of them were expected:
+ *   24/7   - every slot (crypto)
+ *   weekly - slots starting between open and close, e.g. Sun 22:00 - Fri 22:00
+ *            (forex), so weekend closures are not gaps
+ * Calendars come from the symbol registry (instrument.tradingHours).
+ *
+ * Repair strategies (GAP_REPAIR_STRATEGY):
+ *   ffill  - insert flat bars at the previous close with zero volume; a gap
+ *            longer than GAP_MAX_FILL_BARS drops the window before it instead
+ *   drop   - keep only the candles after the last gap
+ *   reject - throw DATA_GAPS (the provider registry then tries the next source)
+ */
+
+const { intervalMs, timeframesIn, isTimeframe, CONFIG: TIMEFRAME_CONFIG } = require('./timeframes');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const WEEK_MINUTES = 7 * 24 * 60;
+
+const CONFIG = {
+  // A slot is filled by a candle starting within this share of an interval
+  SLOT_TOLERANCE: 0.5,
+
+  STRATEGIES: ['ffill', 'drop', 'reject'],
+  REPAIR_STRATEGY: process.env.GAP_REPAIR_STRATEGY || 'ffill',
+  MAX_FILL_BARS: parseInt(process.env.GAP_MAX_FILL_BARS || '6'),
+
+  DAYS: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+};
+
+// ============================================================================
+// TRADING CALENDAR
+// ============================================================================
+
+/**
+ * Minutes since Sunday 00:00 for "Sun 22:00"
+ */
+function parseWeekTime(value) {
+  const [day, time] = value.split(' ');
+  const [hours, minutes] = time.split(':').map(Number);
+  return CONFIG.DAYS.indexOf(day) * 24 * 60 + hours * 60 + minutes;
+}
+
+/**
+ * Minutes since Sunday 00:00 for a timestamp in a time zone
+ */
+function minuteOfWeek(timestamp, timeZone) {
+  if (!timeZone || timeZone === 'UTC') {
+    const date = new Date(timestamp);
+    return date.getUTCDay() * 24 * 60 + date.getUTCHours() * 60 + date.getUTCMinutes();
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(timestamp)).map(p => [p.type, p.value])
+  );
+  return CONFIG.DAYS.indexOf(parts.weekday) * 24 * 60 + Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+/**
+ * Build a calendar from registry trading hours
+ *
+ * @param {Object} tradingHours - { schedule: '24/7' } or
+ *   { schedule: 'weekly', timezone, open: 'Sun 22:00', close: 'Fri 22:00' }
+ * @returns {Object} { schedule, isOpen(timestamp) }
+ */
+function tradingCalendar(tradingHours) {
+  if (!tradingHours || tradingHours.schedule !== 'weekly') {
+    return { schedule: '24/7', isOpen: () => true };
+  }
+
+  const open = parseWeekTime(tradingHours.open);
+  const close = parseWeekTime(tradingHours.close);
+
+  return {
+    schedule: 'weekly',
+    isOpen(timestamp) {
+      const minute = minuteOfWeek(timestamp, tradingHours.timezone) % WEEK_MINUTES;
+      return open <= close
+        ? minute >= open && minute < close
+        : minute >= open || minute < close;
+    }
+  };
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Expected slots with no candle between two consecutive candles
+ *
+ * @returns {Array<Number>} Slot open times (ms)
+ */
+function missingSlots(previous, next, intervalMs, calendar) {
+  const slots = [];
+  for (let t = previous + intervalMs; t + intervalMs * CONFIG.SLOT_TOLERANCE <= next; t += intervalMs) {
+    if (calendar.isOpen(t)) {
+      slots.push(t);
+    }
+  }
+  return slots;
+}
+
+/**
+ * Find gaps in a timestamp column
+ *
+ * @param {Array<Number>} timestamps - Candle open times (ms), chronological
+ * @param {Number} intervalMs - Expected spacing
+ * @param {Object} calendar - From tradingCalendar (default 24/7)
+ * @returns {Array<Object>|null} { index, from, to, slots } per gap (index: the
+ *   candle after it), or null when there are no timestamps
+ */
+function findGaps(timestamps, intervalMs, calendar = tradingCalendar(null)) {
+  if (!Array.isArray(timestamps) || timestamps.length === 0) {
+    return null;
+  }
+
+  const gaps = [];
+  for (let i = 1; i < timestamps.length; i++) {
+    const slots = missingSlots(timestamps[i - 1], timestamps[i], intervalMs, calendar);
+    if (slots.length > 0) {
+      gaps.push({ index: i, from: timestamps[i - 1], to: timestamps[i], slots });
+    }
+  }
+  return gaps;
+}
+
+/**
+ * Gap summary for every timeframe of a column-format dataset
+ *
+ * @param {Object} data - Column format ('1h_timestamp', ...)
+ * @param {Object} tradingHours - Registry trading hours (default 24/7)
+ * @returns {Object} { '1h': { gaps, missing_bars }, ... } for 1h/4h/1d and any other
+ *                   timeframe in the data (null entries without timestamps)
+ */
+function detectGaps(data, tradingHours = null) {
+  const calendar = tradingCalendar(tradingHours);
+  const summary = {};
+
+  for (const tf of timeframesIn(data, TIMEFRAME_CONFIG.DEFAULT)) {
+    const gaps = findGaps(data[`${tf}_timestamp`], intervalMs(tf), calendar);
+    summary[tf] = gaps === null ? null : {
+      gaps: gaps.length,
+      missing_bars: gaps.reduce((sum, g) => sum + g.slots.length, 0)
+    };
+  }
+
+  return summary;
+}
+
+// ============================================================================
+// REPAIR
+// ============================================================================
+
+function gapError(message, details) {
+  const error = new Error(message);
+  error.code = 'DATA_GAPS';
+  error.details = details;
+  return error;
+}
+
+/**
+ * Repair one timeframe of candles
+ *
+ * @param {Array<Object>} candles - Chronological { timestamp, open, high, low, close, volume }
+ * @param {Number} intervalMs - Expected spacing
+ * @param {Object} options - { strategy, calendar, maxFillBars, timeframe }
+ * @returns {Object} { candles, gaps, missing_bars, filled, dropped }
+ * @throws {Error} DATA_GAPS under the reject strategy
+ */
+function repairCandles(candles, intervalMs, options = {}) {
+  const strategy = options.strategy || CONFIG.REPAIR_STRATEGY;
+  const calendar = options.calendar || tradingCalendar(null);
+  const maxFillBars = options.maxFillBars ?? CONFIG.MAX_FILL_BARS;
+
+  if (!CONFIG.STRATEGIES.includes(strategy)) {
+    throw new Error(`Invalid gap repair strategy: ${strategy} (expected ${CONFIG.STRATEGIES.join(', ')})`);
+  }
+
+  const gaps = findGaps((candles || []).map(c => c.timestamp), intervalMs, calendar) || [];
+  const missingBars = gaps.reduce((sum, g) => sum + g.slots.length, 0);
+  const report = { gaps: gaps.length, missing_bars: missingBars, filled: 0, dropped: 0 };
+
+  if (gaps.length === 0) {
+    return { candles, ...report };
+  }
+
+  if (strategy === 'reject') {
+    throw gapError(
+      `${gaps.length} gap(s) in ${options.timeframe || 'candles'} (${missingBars} missing bars, first after ${new Date(gaps[0].from).toISOString()})`,
+      report
+    );
+  }
+
+  // Windows before an unfillable gap are dropped; 'drop' treats every gap so
+  const unfillable = strategy === 'drop' ? gaps : gaps.filter(g => g.slots.length > maxFillBars);
+  const start = unfillable.length > 0 ? unfillable[unfillable.length - 1].index : 0;
+  const fillable = new Map(gaps.filter(g => g.index > start).map(g => [g.index, g.slots]));
+
+  const repaired = [];
+  for (let i = start; i < candles.length; i++) {
+    for (const timestamp of fillable.get(i) || []) {
+      const close = repaired[repaired.length - 1].close;
+      repaired.push({ timestamp, open: close, high: close, low: close, close, volume: 0 });
+      report.filled++;
+    }
+    repaired.push(candles[i]);
+  }
+  report.dropped = start;
+
+  return { candles: repaired, ...report };
+}
+
+/**
+ * Repair every timeframe of an adapter result
+ *
+ * @param {Object} candlesByTimeframe - { '1h': [...], '4h': [...], '1d': [...] }
+ * @param {Object} options - { strategy, tradingHours, maxFillBars }
+ * @returns {Object} { candles, report: { strategy, calendar, '1h': { gaps, missing_bars, filled, dropped }, ... } }
+ * @throws {Error} DATA_GAPS under the reject strategy
+ */
+function repairGaps(candlesByTimeframe, options = {}) {
+  const strategy = options.strategy || CONFIG.REPAIR_STRATEGY;
+  const calendar = tradingCalendar(options.tradingHours);
+  const candles = { ...candlesByTimeframe };
+  const report = { strategy, calendar: calendar.schedule };
+
+  for (const tf of Object.keys(candlesByTimeframe).filter(isTimeframe)) {
+    if (!Array.isArray(candlesByTimeframe[tf])) continue;
+
+    const result = repairCandles(candlesByTimeframe[tf], intervalMs(tf), {
+      strategy,
+      calendar,
+      maxFillBars: options.maxFillBars,
+      timeframe: tf
+    });
+    candles[tf] = result.candles;
+    report[tf] = {
+      gaps: result.gaps,
+      missing_bars: result.missing_bars,
+      filled: result.filled,
+      dropped: result.dropped
+    };
+  }
+
+  return { candles, report };
+}
+
+module.exports = {
+  CONFIG,
+  tradingCalendar,
+  findGaps,
+  detectGaps,
+  repairCandles,
+  repairGaps
+};
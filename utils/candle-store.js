@@ -0,0 +1,327 @@
+/**
+ * Candle Store - Local OHLCV history keyed by symbol, timeframe and open time
+ *
+ * The DataOrchestrator writes every observed bar it fetches here and reads
+ * the stored window back on the next fetch, so incremental providers
+ * (adapter.incremental) only fetch the tail after the newest stored bar.
+ * Synthetic timeframes (CoinGecko interpolation) are never stored.
+ *
+ * STORES (CANDLE_STORE):
+ * - memory - per-instance (default)
+ * - mongo  - MongoDB collection shared by every instance
+ * - fs     - one file per symbol and timeframe in CANDLE_STORE_DIR,
+ *            <dir>/<timeframe>/<SYMBOL>.json|csv (CANDLE_STORE_FORMAT).
+ *            A timeframe directory is a backtest fixture directory
+ *            (scripts/backtest.js --dir <dir>/1h).
+ *
+ * Every store implements the same async interface:
+ *   upsert(symbol, timeframe, candles) -> bars written (same open time replaces)
+ *   range(symbol, timeframe, { from, to, limit }) -> chronological candles,
+ *                                       the newest `limit` within [from, to]
+ *   count(symbol, timeframe)           -> stored bars
+ *   clear()
+ *
+ * A candle is { timestamp, open, high, low, close, volume, source }.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { connectToDatabase } = require('./mongodb-connection');
+const { CONFIG: TIMEFRAME_CONFIG } = require('./timeframes');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  STORES: ['memory', 'mongo', 'fs'],
+  DEFAULT_STORE: process.env.CANDLE_STORE || 'memory',
+
+  TIMEFRAMES: Object.keys(TIMEFRAME_CONFIG.TIMEFRAMES),
+  FIELDS: ['timestamp', 'open', 'high', 'low', 'close', 'volume', 'source'],
+
+  // Window read back for each fetch (the longest provider window)
+  HISTORY_BARS: Object.fromEntries(
+    Object.entries(TIMEFRAME_CONFIG.TIMEFRAMES).map(([tf, { bars }]) => [tf, bars])
+  ),
+
+  MONGO: {
+    COLLECTION: 'candles'
+  },
+
+  FS: {
+    DIR: process.env.CANDLE_STORE_DIR || path.join(os.tmpdir(), 'trading-models-candles'),
+    FORMAT: process.env.CANDLE_STORE_FORMAT || 'json',
+    FORMATS: ['json', 'csv']
+  }
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function normalizeCandle(candle) {
+  return {
+    timestamp: Number(candle.timestamp),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume || 0,
+    source: candle.source || null
+  };
+}
+
+/**
+ * Newest `limit` candles of a chronological list within [from, to]
+ */
+function selectRange(candles, { from = null, to = null, limit = null } = {}) {
+  const selected = candles.filter(c =>
+    (from === null || c.timestamp >= from) && (to === null || c.timestamp <= to)
+  );
+  return limit ? selected.slice(-limit) : selected;
+}
+
+/**
+ * Merge candles by open time (later lists win) and keep the newest maxBars
+ *
+ * @param {Array<Object>} history - Stored candles, chronological
+ * @param {Array<Object>} tail - Newer candles (the last stored bar may be revised)
+ * @param {Number} maxBars - Window length to keep (null = all)
+ * @returns {Array<Object>} Chronological candles
+ */
+function mergeCandles(history, tail, maxBars = null) {
+  const byTime = new Map();
+  for (const candle of [...(history || []), ...(tail || [])]) {
+    byTime.set(candle.timestamp, candle);
+  }
+  const merged = [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp);
+  return maxBars ? merged.slice(-maxBars) : merged;
+}
+
+// ============================================================================
+// MEMORY
+// ============================================================================
+
+class MemoryCandleStore {
+  constructor() {
+    this.name = 'memory';
+    this.series = new Map();  // 'symbol|timeframe' -> chronological candles
+  }
+
+  _key(symbol, timeframe) {
+    return `${symbol}|${timeframe}`;
+  }
+
+  async upsert(symbol, timeframe, candles) {
+    const key = this._key(symbol, timeframe);
+    this.series.set(key, mergeCandles(this.series.get(key), candles.map(normalizeCandle)));
+    return candles.length;
+  }
+
+  async range(symbol, timeframe, options = {}) {
+    return selectRange(this.series.get(this._key(symbol, timeframe)) || [], options);
+  }
+
+  async count(symbol, timeframe) {
+    return (this.series.get(this._key(symbol, timeframe)) || []).length;
+  }
+
+  async clear() {
+    this.series.clear();
+  }
+}
+
+// ============================================================================
+// MONGODB
+// ============================================================================
+
+class MongoCandleStore {
+  /**
+   * @param {Object} options - { db } to reuse an open connection
+   */
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.db = options.db || null;
+    this.indexesReady = false;
+  }
+
+  async _collection() {
+    if (!this.db) {
+      this.db = await connectToDatabase();
+    }
+
+    const collection = this.db.collection(CONFIG.MONGO.COLLECTION);
+
+    if (!this.indexesReady) {
+      await collection.createIndex({ symbol: 1, timeframe: 1, timestamp: 1 }, { unique: true });
+      this.indexesReady = true;
+    }
+
+    return collection;
+  }
+
+  async upsert(symbol, timeframe, candles) {
+    if (candles.length === 0) return 0;
+
+    const collection = await this._collection();
+    const updatedAt = new Date();
+    await collection.bulkWrite(candles.map(normalizeCandle).map(candle => ({
+      updateOne: {
+        filter: { symbol, timeframe, timestamp: candle.timestamp },
+        update: { $set: { ...candle, symbol, timeframe, updatedAt } },
+        upsert: true
+      }
+    })), { ordered: false });
+    return candles.length;
+  }
+
+  async range(symbol, timeframe, { from = null, to = null, limit = null } = {}) {
+    const collection = await this._collection();
+    const query = { symbol, timeframe };
+    if (from !== null || to !== null) {
+      query.timestamp = {};
+      if (from !== null) query.timestamp.$gte = from;
+      if (to !== null) query.timestamp.$lte = to;
+    }
+
+    // Newest first so the limit keeps the latest bars
+    let cursor = collection
+      .find(query, { projection: { _id: 0, symbol: 0, timeframe: 0, updatedAt: 0 } })
+      .sort({ timestamp: -1 });
+    if (limit) {
+      cursor = cursor.limit(limit);
+    }
+
+    return (await cursor.toArray()).reverse();
+  }
+
+  async count(symbol, timeframe) {
+    const collection = await this._collection();
+    return collection.countDocuments({ symbol, timeframe });
+  }
+
+  async clear() {
+    const collection = await this._collection();
+    await collection.deleteMany({});
+  }
+}
+
+// ============================================================================
+// FILESYSTEM
+// ============================================================================
+
+class FileCandleStore {
+  /**
+   * @param {Object} options - { dir, format } overriding CANDLE_STORE_DIR / CANDLE_STORE_FORMAT
+   */
+  constructor(options = {}) {
+    this.name = 'fs';
+    this.dir = options.dir || CONFIG.FS.DIR;
+    this.format = options.format || CONFIG.FS.FORMAT;
+    this.instanceId = `${process.pid}-${Math.random().toString(36).substr(2, 9)}`;
+    this.writes = 0;
+
+    if (!CONFIG.FS.FORMATS.includes(this.format)) {
+      throw new Error(`Invalid CANDLE_STORE_FORMAT: ${this.format} (expected ${CONFIG.FS.FORMATS.join(', ')})`);
+    }
+  }
+
+  // Same naming as backtest fixtures ('BTC/USDT' -> BTCUSDT)
+  _file(symbol, timeframe) {
+    const base = symbol.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+    return path.join(this.dir, timeframe, `${base}.${this.format}`);
+  }
+
+  async _read(file) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    if (this.format === 'json') {
+      return JSON.parse(text).map(normalizeCandle);
+    }
+
+    const [header, ...rows] = text.split(/\r?\n/).filter(Boolean);
+    const columns = header.split(',');
+    return rows.map(row => {
+      const cells = row.split(',');
+      const candle = {};
+      columns.forEach((column, i) => {
+        candle[column] = column === 'source' ? (cells[i] || null) : parseFloat(cells[i]);
+      });
+      return normalizeCandle(candle);
+    });
+  }
+
+  // Write to a temp file and rename so readers never see half a file
+  async _write(file, candles) {
+    const text = this.format === 'json'
+      ? JSON.stringify(candles)
+      : [CONFIG.FIELDS.join(','), ...candles.map(c => CONFIG.FIELDS.map(f => c[f] ?? '').join(','))].join('\n') + '\n';
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${this.instanceId}.${this.writes++}.tmp`;
+    await fs.promises.writeFile(tmp, text);
+    await fs.promises.rename(tmp, file);
+  }
+
+  async upsert(symbol, timeframe, candles) {
+    const file = this._file(symbol, timeframe);
+    await this._write(file, mergeCandles(await this._read(file), candles.map(normalizeCandle)));
+    return candles.length;
+  }
+
+  async range(symbol, timeframe, options = {}) {
+    return selectRange(await this._read(this._file(symbol, timeframe)), options);
+  }
+
+  async count(symbol, timeframe) {
+    return (await this._read(this._file(symbol, timeframe))).length;
+  }
+
+  async clear() {
+    for (const timeframe of CONFIG.TIMEFRAMES) {
+      await fs.promises.rm(path.join(this.dir, timeframe), { recursive: true, force: true });
+    }
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Create the store named by CANDLE_STORE (or `name`)
+ *
+ * @param {String} name - 'memory', 'mongo' or 'fs'
+ * @param {Object} options - Passed to the store constructor
+ * @returns {Object} Candle store
+ */
+function createCandleStore(name = CONFIG.DEFAULT_STORE, options = {}) {
+  switch (name) {
+    case 'memory':
+      return new MemoryCandleStore();
+    case 'mongo':
+      return new MongoCandleStore(options);
+    case 'fs':
+      return new FileCandleStore(options);
+    default:
+      console.warn(`[CandleStore] Unknown CANDLE_STORE "${name}", using memory. Must be one of: ${CONFIG.STORES.join(', ')}`);
+      return new MemoryCandleStore();
+  }
+}
+
+module.exports = {
+  CONFIG,
+  MemoryCandleStore,
+  MongoCandleStore,
+  FileCandleStore,
+  createCandleStore,
+  mergeCandles
+};
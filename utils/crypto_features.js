@@ -7,11 +7,33 @@
  * ✓ Data validation and null handling
  * ✓ Caching for performance
  * ✓ Error recovery
+ * 
+ * TIMEFRAMES: config.timeframes lists the timeframes the model was trained
+ * on (default 1h/4h/1d). Basic features, ATR and trend consistency cover
+ * all of them; directional features stay on the primary timeframe (1h).
+ * 
+ * MODEL INPUT: the shipped models take 56 columns per step, more than
+ * getFeatureList(). getModelInputColumns() lists the raw candles per
+ * timeframe, then each column this run engineered, in creation order:
+ * the frame's full width. The training pipeline's column order is not in
+ * this repository, so the manifests declare no `features` and only the
+ * width is checked (utils/model-contract).
  */
 
+const { parseTimeframes } = require('./timeframes');
+
+// Raw candle columns per timeframe, in model input order
+const RAW_FIELDS = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+
 class CryptoFeatureEngineer {
     constructor(config = {}) {
         this.featureNames = [];
+        this.modelInputColumns = [];
+        
+        // Shortest first; unknown timeframes throw
+        this.timeframes = parseTimeframes(config.timeframes);
+        this.primaryTimeframe = config.primaryTimeframe ||
+            (this.timeframes.includes('1h') ? '1h' : this.timeframes[0]);
         this.bullishFeatures = [];
         this.bearishFeatures = [];
         this.neutralFeatures = [];
@@ -37,8 +59,9 @@ class CryptoFeatureEngineer {
             ...config
         };
         
-        // Logging
+        // Logging (config.logger: any console-like object)
         this.logs = [];
+        this.logger = config.logger || console;
     }
     
     // ========================================================================
@@ -49,7 +72,7 @@ class CryptoFeatureEngineer {
         const timestamp = new Date().toISOString();
         const logEntry = { timestamp, level, message };
         this.logs.push(logEntry);
-        console.log(`[${level.toUpperCase()}] ${message}`);
+        this.logger.log(`[${level.toUpperCase()}] ${message}`);
     }
     
     _validateData(df, requiredFields = []) {
@@ -208,9 +231,8 @@ class CryptoFeatureEngineer {
     
     _addBasicFeatures(df) {
         this._log("Adding basic features", 'debug');
-        const timeframes = ['1h', '4h', '1d'];
         
-        for (const tf of timeframes) {
+        for (const tf of this.timeframes) {
             const requiredCols = [`${tf}_open`, `${tf}_high`, `${tf}_low`, `${tf}_close`];
             const hasAllCols = requiredCols.every(col => df[col] && Array.isArray(df[col]));
             
@@ -774,22 +796,20 @@ CryptoFeatureEngineer.prototype.addDirectionalClarityFeatures = function(df) {
         }
     }
     
-    // 2. Trend consistency across timeframes
-    if (df['1h_close'] && df['4h_close'] && df['1d_close']) {
+    // 2. Trend consistency across timeframes (each vs the next longer one)
+    const timeframes = this.timeframes;
+    if (timeframes.length > 1 && timeframes.every(tf => df[`${tf}_close`])) {
         try {
-            const h1Mom = CryptoFeatureEngineer.pctChange(df['1h_close'], 3);
-            const h4Mom = CryptoFeatureEngineer.pctChange(df['4h_close'], 1);
-            const d1Mom = CryptoFeatureEngineer.pctChange(df['1d_close'], 1);
+            const moms = timeframes.map(tf => CryptoFeatureEngineer.pctChange(
+                df[`${tf}_close`], tf === this.primaryTimeframe ? 3 : 1
+            ));
             
-            const sameSign1h4h = h1Mom.map((h1, i) => 
-                (((h1 || 0) > 0) === ((h4Mom[i] || 0) > 0)) ? 1 : 0
-            );
-            const sameSign4h1d = h4Mom.map((h4, i) => 
-                (((h4 || 0) > 0) === ((d1Mom[i] || 0) > 0)) ? 1 : 0
-            );
+            const sameSigns = moms.slice(0, -1).map((lower, k) => lower.map((m, i) => 
+                (((m || 0) > 0) === ((moms[k + 1][i] || 0) > 0)) ? 1 : 0
+            ));
             
-            df['trend_consistency'] = sameSign1h4h.map((s1, i) => 
-                ((s1 || 0) + (sameSign4h1d[i] || 0)) / 2
+            df['trend_consistency'] = sameSigns[0].map((s1, i) => 
+                sameSigns.reduce((sum, sameSign) => sum + (sameSign[i] || 0), 0) / sameSigns.length
             );
             this.directionalClarityFeatures.push('trend_consistency');
         } catch (e) {
@@ -1042,15 +1062,19 @@ CryptoFeatureEngineer.prototype.engineerFeatures = function(df, symbol = "UNKNOW
      */
     
     this._log(`\n${'='.repeat(70)}`, 'info');
-    this._log(`Engineering features v7.1 for ${symbol}`, 'info');
+    this._log(`Engineering features v7.1 for ${symbol} (${this.timeframes.join('/')})`, 'info');
     this._log(`${'='.repeat(70)}`, 'info');
     
     // Reset caches
     this.clearCache();
     
+    // Columns are added to a copy: the caller's frame stays raw
+    const inputColumns = new Set(Object.keys(df));
+    df = { ...df };
+    
     try {
         // Validate input
-        const requiredFields = ['1h_close', '1h_volume'];
+        const requiredFields = [`${this.primaryTimeframe}_close`, `${this.primaryTimeframe}_volume`];
         this._validateData(df, requiredFields);
         
         // Step 1: Foundation
@@ -1059,7 +1083,7 @@ CryptoFeatureEngineer.prototype.engineerFeatures = function(df, symbol = "UNKNOW
         
         // Step 2: ATR calculation
         this._log("[2/7] Calculating ATR...", 'info');
-        for (const tf of ['1h', '4h', '1d']) {
+        for (const tf of this.timeframes) {
             const requiredCols = [`${tf}_high`, `${tf}_low`, `${tf}_close`];
             if (requiredCols.every(col => df[col])) {
                 df[`${tf}_atr`] = this._calculateAtr(df, tf, this.config.atrPeriod);
@@ -1100,6 +1124,14 @@ CryptoFeatureEngineer.prototype.engineerFeatures = function(df, symbol = "UNKNOW
         
         df = this.checkFeatureQuality(df);
         
+        const rawColumns = this.timeframes
+            .flatMap(tf => RAW_FIELDS.map(field => `${tf}_${field}`))
+            .filter(col => df[col]);
+        this.modelInputColumns = [
+            ...rawColumns,
+            ...Object.keys(df).filter(col => !inputColumns.has(col))
+        ];
+        
         // Final report
         this._log(`\n${'='.repeat(70)}`, 'info');
         this._log(`FEATURE ENGINEERING COMPLETE`, 'info');
@@ -1141,6 +1173,10 @@ CryptoFeatureEngineer.prototype.getFeatureList = function() {
     return this.featureNames;
 };
 
+CryptoFeatureEngineer.prototype.getModelInputColumns = function() {
+    return this.modelInputColumns;
+};
+
 CryptoFeatureEngineer.prototype.getFeatureCategories = function() {
     return {
         bullish_signals: this.bullishFeatures,
@@ -1160,7 +1196,7 @@ CryptoFeatureEngineer.prototype.getBalanceReport = function() {
         clarity_count: this.directionalClarityFeatures.length,
         bullish_pct: total > 0 ? (this.bullishFeatures.length / total * 100) : 0,
         bearish_pct: total > 0 ? (this.bearishFeatures.length / total * 100) : 0,
-        is_balanced: bullCount === bearCount,
+        is_balanced: this.bullishFeatures.length === this.bearishFeatures.length,
         balance_ratio: this.bearishFeatures.length > 0 
             ? this.bullishFeatures.length / this.bearishFeatures.length 
             : 0
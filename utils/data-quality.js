@@ -0,0 +1,184 @@
+/**
+ * Data Quality - What a fetched dataset is made of, and whether to trust it
+ *
+ * Every dataset handed to a predictor carries a quality object:
+ *   sources               - provider per timeframe ({ '1h': 'CoinGecko', ... })
+ *   synthetic             - any timeframe interpolated rather than observed
+ *   synthetic_timeframes  - which ones (CoinGecko: all three, see its adapter)
+ *   gap_count / gaps      - gaps per timeframe left after repair (null without timestamps);
+ *                           closed sessions are not gaps (utils/candle-gaps)
+ *   missing_bars          - expected bars missing per timeframe
+ *   gap_repair            - what the fetch repaired ({ strategy, '1h': { filled, dropped }, ... })
+ *   last_candle_at        - open time of the newest 1h candle
+ *   last_candle_age_ms    - how long ago that was
+ *
+ * SYNTHETIC_DATA_POLICY decides what predictors do with synthetic inputs:
+ *   refuse     - no prediction (HTTP 422 / batch item failure)
+ *   downweight - probabilities pulled toward uniform by SYNTHETIC_CONFIDENCE_FACTOR
+ *   allow      - predict as usual (the quality object still flags it)
+ */
+
+const { detectGaps } = require('./candle-gaps');
+const { timeframesIn, CONFIG: TIMEFRAME_CONFIG } = require('./timeframes');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Always reported; other timeframes when the data has them
+  TIMEFRAMES: TIMEFRAME_CONFIG.DEFAULT,
+
+  POLICIES: ['refuse', 'downweight', 'allow'],
+  SYNTHETIC_POLICY: process.env.SYNTHETIC_DATA_POLICY || 'downweight',
+
+  // Share of the original probabilities kept when down-weighting (rest is uniform)
+  SYNTHETIC_CONFIDENCE_FACTOR: parseFloat(process.env.SYNTHETIC_CONFIDENCE_FACTOR || '0.5')
+};
+
+// ============================================================================
+// ASSESSMENT
+// ============================================================================
+
+/**
+ * Build the quality object for a multi-timeframe dataset
+ *
+ * @param {Object} data - Column format ('1h_timestamp', '1h_close', ...)
+ * @param {Object} meta - { source, sources, synthetic, syntheticTimeframes, tradingHours, gapRepair }
+ * @param {Number} now - Reference time (ms)
+ * @returns {Object} Quality (see module header)
+ */
+function assessDataQuality(data, meta = {}, now = Date.now()) {
+  const timeframes = timeframesIn(data, CONFIG.TIMEFRAMES);
+  const syntheticTimeframes = meta.syntheticTimeframes ||
+    (meta.synthetic ? timeframes : []);
+
+  const detected = detectGaps(data, meta.tradingHours);
+  const sources = {};
+  const gaps = {};
+  const missingBars = {};
+  for (const tf of timeframes) {
+    sources[tf] = (meta.sources && meta.sources[tf]) || meta.source || null;
+    gaps[tf] = detected[tf] ? detected[tf].gaps : null;
+    missingBars[tf] = detected[tf] ? detected[tf].missing_bars : null;
+  }
+
+  const known = Object.values(gaps).filter(g => g !== null);
+  const hourly = data['1h_timestamp'] || [];
+  const lastCandle = hourly.length > 0 ? hourly[hourly.length - 1] : null;
+
+  return {
+    sources,
+    synthetic: syntheticTimeframes.length > 0,
+    synthetic_timeframes: syntheticTimeframes,
+    gap_count: known.length > 0 ? known.reduce((sum, g) => sum + g, 0) : null,
+    gaps,
+    missing_bars: missingBars,
+    gap_repair: meta.gapRepair || null,
+    last_candle_at: lastCandle !== null ? new Date(lastCandle).toISOString() : null,
+    last_candle_age_ms: lastCandle !== null ? now - lastCandle : null
+  };
+}
+
+/**
+ * Quality for candles supplied by the caller
+ * The quality object returned by /api/fetch-data can be passed back as a
+ * hint: its sources and synthetic flags are kept, gaps and age recomputed.
+ *
+ * @param {Object} data - Column format
+ * @param {Object} hint - Optional { sources, synthetic, synthetic_timeframes }
+ * @param {Object} tradingHours - Registry trading hours of the symbol (default 24/7)
+ * @param {Number} now - Reference time (ms)
+ * @returns {Object} Quality
+ */
+function assessClientDataQuality(data, hint = null, tradingHours = null, now = Date.now()) {
+  const timeframes = timeframesIn(data, CONFIG.TIMEFRAMES);
+  const sources = {};
+  for (const tf of timeframes) {
+    const declared = hint && hint.sources && hint.sources[tf];
+    sources[tf] = typeof declared === 'string' ? declared : 'client';
+  }
+
+  let syntheticTimeframes = hint && Array.isArray(hint.synthetic_timeframes)
+    ? hint.synthetic_timeframes.filter(tf => timeframes.includes(tf))
+    : [];
+  if (hint && hint.synthetic === true && syntheticTimeframes.length === 0) {
+    syntheticTimeframes = timeframes;
+  }
+
+  return assessDataQuality(data, { sources, syntheticTimeframes, tradingHours }, now);
+}
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Decide what to do with a dataset under the synthetic-data policy
+ *
+ * @param {Object} quality - From assessDataQuality
+ * @param {String} mode - refuse | downweight | allow (default SYNTHETIC_DATA_POLICY)
+ * @returns {Object} { mode, action, confidence_factor, reason }
+ */
+function evaluateSyntheticPolicy(quality, mode = CONFIG.SYNTHETIC_POLICY) {
+  if (!CONFIG.POLICIES.includes(mode)) {
+    throw new Error(`Invalid synthetic data policy: ${mode} (expected ${CONFIG.POLICIES.join(', ')})`);
+  }
+
+  if (!quality || !quality.synthetic) {
+    return { mode, action: 'allow', confidence_factor: 1, reason: null };
+  }
+
+  const reason = `Synthetic ${quality.synthetic_timeframes.join('/')} candles from ${quality.sources['1h'] || 'unknown source'}`;
+
+  return {
+    mode,
+    action: mode,
+    confidence_factor: mode === 'downweight' ? CONFIG.SYNTHETIC_CONFIDENCE_FACTOR : 1,
+    reason
+  };
+}
+
+/**
+ * Apply a policy decision to an ensemble result (unchanged unless down-weighted)
+ *
+ * @param {Object} result - { confidence, probabilities }
+ * @param {Object} policy - From evaluateSyntheticPolicy
+ * @returns {Object} { confidence, probabilities }
+ */
+function applySyntheticPolicy(result, policy) {
+  if (policy.action !== 'downweight') {
+    return { confidence: result.confidence, probabilities: result.probabilities };
+  }
+  return downweightPrediction(result, policy.confidence_factor);
+}
+
+/**
+ * Pull an ensemble result toward the uniform distribution
+ * The class keeps its rank; confidence is the class's new probability.
+ *
+ * @param {Object} result - { confidence, probabilities: { down, neutral, up } }
+ * @param {Number} factor - Share of the original probabilities kept (0-1)
+ * @returns {Object} { confidence, probabilities }
+ */
+function downweightPrediction(result, factor) {
+  const uniform = (1 - factor) / 3;
+  const probabilities = {};
+  for (const [label, p] of Object.entries(result.probabilities || {})) {
+    probabilities[label] = p * factor + uniform;
+  }
+
+  return {
+    confidence: result.confidence * factor + uniform,
+    probabilities
+  };
+}
+
+module.exports = {
+  CONFIG,
+  assessDataQuality,
+  assessClientDataQuality,
+  evaluateSyntheticPolicy,
+  applySyntheticPolicy,
+  downweightPrediction
+};
@@ -0,0 +1,357 @@
+/**
+ * Ensemble Strategies - How per-model probabilities become one prediction
+ *
+ * STRATEGIES:
+ * - equal          - flat mean of every model's probabilities
+ * - static         - weighted mean with fixed per-model weights (STATIC_WEIGHTS)
+ * - accuracy       - weighted mean, weights = each model's realized hit rate over
+ *                    a trailing window, read from resolved stored predictions
+ * - majority_vote  - each model votes its argmax class; ties go to the class
+ *                    with the higher mean probability
+ *
+ * Every strategy reports the normalized weight each model got, each model's
+ * vote, and how many models agree with the final call.
+ *
+ * Probabilities are combined in CLASS_NAMES order. A model whose manifest
+ * lists other classes (e.g. DOWN/UP only) has its output reordered with
+ * toClassOrder() as it is read; a class it lacks gets probability 0.
+ */
+
+const { connectToDatabase } = require('./mongodb-connection');
+const { horizonCondition, CONFIG: HORIZON_CONFIG } = require('./horizons');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const STRATEGIES = ['equal', 'static', 'accuracy', 'majority_vote'];
+
+const CONFIG = {
+  STRATEGIES,
+  // Unknown names fall back to 'equal' with a warning
+  DEFAULT_STRATEGY: envStrategy('ENSEMBLE_STRATEGY', 'equal'),
+
+  CLASS_NAMES: ['DOWN', 'NEUTRAL', 'UP'],
+
+  // Fixed weights for the 'static' strategy; models not listed weigh 1.
+  // ENSEMBLE_STATIC_WEIGHTS='{"crypto":{"hierarchical_lstm":2}}' overrides
+  // single models; the rest of each table is kept
+  STATIC_WEIGHTS: mergeStaticWeights(
+    { crypto: {}, forex: {} },
+    parseJsonEnv('ENSEMBLE_STATIC_WEIGHTS')
+  ),
+
+  ACCURACY: {
+    COLLECTION: 'predictions',
+    WINDOW_DAYS: 30,
+    // Laplace prior: a model with no history scores 1/3 (chance for 3 classes)
+    PRIOR_CORRECT: 1,
+    PRIOR_TOTAL: 3,
+    CACHE_TTL_MS: 15 * 60 * 1000
+  }
+};
+
+const accuracyCache = {};
+
+/**
+ * Parse a JSON object from an environment variable (empty object if unset/invalid)
+ */
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`[Ensemble] Ignoring invalid ${name}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Read a strategy name from an environment variable
+ *
+ * @param {String} name - Environment variable
+ * @param {String} fallback - Used when unset or not one of STRATEGIES
+ * @returns {String} Strategy name
+ */
+function envStrategy(name, fallback) {
+  const strategy = process.env[name];
+  if (!strategy) return fallback;
+  if (STRATEGIES.includes(strategy)) return strategy;
+
+  console.warn(`[Ensemble] Ignoring invalid ${name} "${strategy}" (expected one of: ${STRATEGIES.join(', ')}), using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * Overlay static weight overrides on the defaults, model by model
+ *
+ * @param {Object} defaults - { [assetClass]: { [model]: weight } }
+ * @param {Object} overrides - Same shape; entries that are not objects are ignored
+ * @returns {Object} Merged weight tables
+ */
+function mergeStaticWeights(defaults, overrides) {
+  const merged = {};
+  for (const [assetClass, table] of Object.entries(defaults)) {
+    merged[assetClass] = { ...table };
+  }
+
+  for (const [assetClass, table] of Object.entries(overrides || {})) {
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+      console.warn(`[Ensemble] Ignoring static weights for ${assetClass}: expected { model: weight }`);
+      continue;
+    }
+    merged[assetClass] = { ...merged[assetClass], ...table };
+  }
+
+  return merged;
+}
+
+/**
+ * Check a strategy name
+ */
+function isValidStrategy(strategy) {
+  return CONFIG.STRATEGIES.includes(strategy);
+}
+
+// ============================================================================
+// WEIGHT RESOLUTION
+// ============================================================================
+
+/**
+ * Read each model's realized hit rate from resolved stored predictions
+ * Each horizon's model set is scored only on its own predictions.
+ *
+ * @param {Object} db - MongoDB database handle
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {String} horizon - Prediction horizon (default: the asset class's default)
+ * @returns {Promise<Object>} { [model]: { correct, total } }
+ */
+async function fetchModelAccuracy(db, assetClass, horizon = HORIZON_CONFIG.DEFAULT[assetClass]) {
+  const cacheKey = `${assetClass}:${horizon}`;
+  const cached = accuracyCache[cacheKey];
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.stats;
+  }
+
+  const since = new Date(Date.now() - CONFIG.ACCURACY.WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const rows = await db.collection(CONFIG.ACCURACY.COLLECTION).aggregate([
+    {
+      $match: {
+        asset_class: assetClass,
+        horizon: horizonCondition(horizon),
+        outcome: { $in: CONFIG.CLASS_NAMES },
+        'ensemble.votes': { $exists: true },
+        timestamp: { $gte: since }
+      }
+    },
+    { $project: { outcome: 1, votes: { $objectToArray: '$ensemble.votes' } } },
+    { $unwind: '$votes' },
+    {
+      $group: {
+        _id: '$votes.k',
+        total: { $sum: 1 },
+        correct: { $sum: { $cond: [{ $eq: ['$votes.v', '$outcome'] }, 1, 0] } }
+      }
+    }
+  ]).toArray();
+
+  const stats = {};
+  for (const row of rows) {
+    stats[row._id] = { correct: row.correct, total: row.total };
+  }
+
+  accuracyCache[cacheKey] = {
+    stats,
+    expiresAt: Date.now() + CONFIG.ACCURACY.CACHE_TTL_MS
+  };
+
+  return stats;
+}
+
+/**
+ * Smoothed hit rate for one model
+ */
+function smoothedHitRate(stats) {
+  const correct = (stats ? stats.correct : 0) + CONFIG.ACCURACY.PRIOR_CORRECT;
+  const total = (stats ? stats.total : 0) + CONFIG.ACCURACY.PRIOR_TOTAL;
+  return correct / total;
+}
+
+/**
+ * Resolve per-model weights for a strategy
+ * The accuracy strategy falls back to equal weights if MongoDB is unavailable.
+ *
+ * @param {String} strategy - One of CONFIG.STRATEGIES
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {Array<String>} modelNames - Models whose predictions will be combined
+ * @param {Object} options - { db } to reuse an open connection, { horizon } the prediction is for
+ * @returns {Promise<Object>} { strategy, weights, source, accuracy }
+ */
+async function resolveStrategyWeights(strategy, assetClass, modelNames, options = {}) {
+  if (!isValidStrategy(strategy)) {
+    throw new Error(`Invalid ensemble_strategy. Must be one of: ${CONFIG.STRATEGIES.join(', ')}`);
+  }
+
+  if (strategy === 'static') {
+    const table = CONFIG.STATIC_WEIGHTS[assetClass] || {};
+    return {
+      strategy,
+      weights: modelNames.map(name => table[name] !== undefined ? table[name] : 1),
+      source: 'static'
+    };
+  }
+
+  if (strategy === 'accuracy') {
+    try {
+      const db = options.db || await connectToDatabase();
+      const stats = await fetchModelAccuracy(db, assetClass, options.horizon);
+
+      const accuracy = {};
+      const weights = modelNames.map(name => {
+        const hitRate = smoothedHitRate(stats[name]);
+        accuracy[name] = {
+          hit_rate: parseFloat(hitRate.toFixed(4)),
+          resolved: stats[name] ? stats[name].total : 0
+        };
+        return hitRate;
+      });
+
+      return { strategy, weights, source: 'accuracy', accuracy };
+
+    } catch (error) {
+      console.warn(`[Ensemble] Accuracy weights unavailable, using equal: ${error.message}`);
+      return {
+        strategy,
+        weights: modelNames.map(() => 1),
+        source: 'equal (accuracy unavailable)'
+      };
+    }
+  }
+
+  return {
+    strategy,
+    weights: modelNames.map(() => 1),
+    source: 'equal'
+  };
+}
+
+/**
+ * Multiply weight lists elementwise (null lists are ignored)
+ *
+ * @param {...Array<Number>} lists - Weight lists of equal length
+ * @returns {Array<Number>|null} Combined weights
+ */
+function combineWeights(...lists) {
+  const present = lists.filter(Array.isArray);
+  if (present.length === 0) return null;
+
+  return present[0].map((_, i) => present.reduce((product, list) => product * (list[i] ?? 1), 1));
+}
+
+// ============================================================================
+// COMBINATION
+// ============================================================================
+
+/**
+ * Reorder one model's output into CLASS_NAMES order
+ *
+ * @param {Array<Number>} probabilities - In the model's output order
+ * @param {Array<String>} classes - The model's manifest `classes` (default CLASS_NAMES)
+ * @returns {Array<Number>} [down, neutral, up]
+ * @throws {Error} When the output width or a class name does not fit
+ */
+function toClassOrder(probabilities, classes = CONFIG.CLASS_NAMES) {
+  if (probabilities.length !== classes.length) {
+    throw new Error(`Unexpected output shape: ${probabilities.length} probabilities for classes ${classes.join('/')}`);
+  }
+
+  const unknown = classes.filter(name => !CONFIG.CLASS_NAMES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown output classes: ${unknown.join(', ')}`);
+  }
+
+  return CONFIG.CLASS_NAMES.map(name => {
+    const i = classes.indexOf(name);
+    return i === -1 ? 0 : probabilities[i];
+  });
+}
+
+/**
+ * Combine per-model probabilities with a strategy
+ *
+ * @param {Array<Array<Number>>} predictions - [down, neutral, up] per model (see toClassOrder)
+ * @param {Object} options - { strategy, weights, modelNames }
+ * @returns {Object} { probabilities, predictedClass, ensemble }
+ */
+function combinePredictions(predictions, options = {}) {
+  const strategy = options.strategy || 'equal';
+  const numClasses = CONFIG.CLASS_NAMES.length;
+  const modelNames = predictions.map((_, m) =>
+    (options.modelNames && options.modelNames[m]) || `model_${m}`
+  );
+
+  const rawWeights = options.weights && options.weights.length === predictions.length
+    ? options.weights.map(w => Math.max(0, w || 0))
+    : predictions.map(() => 1);
+  const totalWeight = rawWeights.reduce((a, b) => a + b, 0);
+  const weights = totalWeight > 0
+    ? rawWeights.map(w => w / totalWeight)
+    : predictions.map(() => 1 / predictions.length);
+
+  // Weighted mean of probabilities
+  const mean = new Array(numClasses).fill(0);
+  predictions.forEach((pred, m) => {
+    for (let i = 0; i < numClasses; i++) {
+      mean[i] += (pred[i] || 0) * weights[m];
+    }
+  });
+
+  const sum = mean.reduce((a, b) => a + b, 0);
+  const probabilities = sum > 0 ? mean.map(p => p / sum) : mean.map(() => 1 / numClasses);
+
+  const votes = predictions.map(pred => pred.indexOf(Math.max(...pred)));
+
+  let predictedClass;
+  if (strategy === 'majority_vote') {
+    const tally = new Array(numClasses).fill(0);
+    votes.forEach((v, m) => { tally[v] += weights[m]; });
+
+    const best = Math.max(...tally);
+    const tied = tally.map((t, i) => i).filter(i => Math.abs(tally[i] - best) < 1e-12);
+    predictedClass = tied.reduce((a, b) => probabilities[b] > probabilities[a] ? b : a);
+  } else {
+    predictedClass = probabilities.indexOf(Math.max(...probabilities));
+  }
+
+  const agreement = votes.filter(v => v === predictedClass).length / predictions.length;
+
+  const weightMap = {};
+  const voteMap = {};
+  modelNames.forEach((name, m) => {
+    weightMap[name] = parseFloat(weights[m].toFixed(4));
+    voteMap[name] = CONFIG.CLASS_NAMES[votes[m]];
+  });
+
+  return {
+    probabilities,
+    predictedClass,
+    ensemble: {
+      strategy,
+      weights: weightMap,
+      votes: voteMap,
+      agreement: parseFloat(agreement.toFixed(4))
+    }
+  };
+}
+
+module.exports = {
+  CONFIG,
+  isValidStrategy,
+  resolveStrategyWeights,
+  combineWeights,
+  mergeStaticWeights,
+  toClassOrder,
+  combinePredictions,
+  fetchModelAccuracy
+};
@@ -0,0 +1,299 @@
+/**
+ * Feature Scaler - Apply training-time scaling before inference
+ *
+ * Models were trained on scaled inputs, so raw engineered values are
+ * scaled with the training parameters before any tensor is built. Scaler
+ * parameters are JSON files next to the model files, found in this order:
+ *
+ *   1. the manifest entry's `scaler` field (file name in the model directory)
+ *   2. `<model file without .keras>.scaler.json`   (per model)
+ *   3. `scaler.json`                                (per model set / asset class)
+ *
+ *   {
+ *     "method": "standard",                  // standard | minmax | robust
+ *     "features": ["rsi_14", ...],           // input order, equal to the manifest features
+ *     "mean": [...], "std": [...],           // standard
+ *     "min": [...], "max": [...],            // minmax; optional training range for the others
+ *     "median": [...], "q1": [...], "q3": [...],   // robust (25th/75th percentiles)
+ *     "clip": 5                              // |scaled| bound for standard/robust (default 5)
+ *   }
+ *
+ * Inputs outside the training range (outside min/max when given, else
+ * beyond ±clip once scaled) are clipped to it and counted. Missing or
+ * non-finite inputs take the training center (mean, median or the middle
+ * of min/max). A model without a scaler gets its raw values, with missing
+ * ones as 0, and its report says it ran unscaled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  SET_FILE: 'scaler.json',
+  MODEL_SUFFIX: '.scaler.json',
+
+  // Parameter arrays each method needs, one value per feature
+  METHODS: {
+    standard: ['mean', 'std'],
+    minmax: ['min', 'max'],
+    robust: ['median', 'q1', 'q3']
+  },
+
+  DEFAULT_CLIP: 5,
+
+  // Feature names listed per report (the counts cover all of them)
+  REPORT_FEATURE_LIMIT: 10
+};
+
+// Compiled scalers (null when a model has none), keyed by model file path
+const SCALERS = {};
+
+/**
+ * Create an error for missing or malformed scaler parameters
+ *
+ * @param {String} message - Error message
+ * @returns {Error} Error with code INVALID_SCALER
+ */
+function scalerError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCALER';
+  return error;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Check scaler parameters and precompute the transform
+ *
+ * @param {Object} params - Parsed scaler JSON
+ * @param {String} source - File it came from (for messages and reports)
+ * @param {Array<String>} features - The model's declared features, when known
+ * @returns {Object} { method, source, features, center, scale, impute, lo, hi, clip }
+ * @throws {Error} INVALID_SCALER naming the first problem found
+ */
+function compileScaler(params, source, features = null) {
+  const fields = params && CONFIG.METHODS[params.method];
+  if (!fields) {
+    throw scalerError(`${source}: method must be one of ${Object.keys(CONFIG.METHODS).join(', ')}`);
+  }
+
+  if (!Array.isArray(params.features) || params.features.length === 0) {
+    throw scalerError(`${source}: "features" must be a non-empty array`);
+  }
+  const width = params.features.length;
+
+  const hasRange = params.min !== undefined || params.max !== undefined;
+  for (const field of hasRange ? [...new Set([...fields, 'min', 'max'])] : fields) {
+    const values = params[field];
+    if (!Array.isArray(values) || values.length !== width || !values.every(Number.isFinite)) {
+      throw scalerError(`${source}: "${field}" must list ${width} finite numbers`);
+    }
+  }
+
+  if (features && features.join() !== params.features.join()) {
+    throw scalerError(`${source}: features differ from the model's declared features`);
+  }
+
+  const clip = params.clip === undefined ? CONFIG.DEFAULT_CLIP : params.clip;
+  if (!(typeof clip === 'number' && clip > 0)) {
+    throw scalerError(`${source}: clip must be a positive number`);
+  }
+
+  // Constant features in training have no spread; scale them by 1
+  const spread = (values) => values.map(v => (v > 0 ? v : 1));
+
+  const compiled = { method: params.method, source, features: params.features, clip };
+
+  if (params.method === 'standard') {
+    Object.assign(compiled, { center: params.mean, scale: spread(params.std), impute: params.mean });
+  } else if (params.method === 'robust') {
+    Object.assign(compiled, {
+      center: params.median,
+      scale: spread(params.q3.map((q3, j) => q3 - params.q1[j])),
+      impute: params.median
+    });
+  } else {
+    Object.assign(compiled, {
+      center: params.min,
+      scale: spread(params.max.map((max, j) => max - params.min[j])),
+      impute: params.min.map((min, j) => (min + params.max[j]) / 2)
+    });
+  }
+
+  compiled.lo = hasRange ? params.min : null;
+  compiled.hi = hasRange ? params.max : null;
+
+  return compiled;
+}
+
+/**
+ * Scaler for a model, from the files next to it (cached per model file)
+ *
+ * @param {String} modelsDir - Model directory, relative to the project root
+ * @param {Object} entry - Manifest entry ({ file, features, scaler? })
+ * @returns {Object|null} Compiled scaler, null when the model has none
+ * @throws {Error} INVALID_SCALER when a scaler file exists but is unusable
+ */
+function loadScaler(modelsDir, entry) {
+  const dir = path.join(process.cwd(), modelsDir);
+  const key = path.join(dir, entry.file);
+  if (SCALERS[key] !== undefined) {
+    return SCALERS[key];
+  }
+
+  const candidates = entry.scaler
+    ? [entry.scaler]
+    : [entry.file.replace(/\.keras$/, '') + CONFIG.MODEL_SUFFIX, CONFIG.SET_FILE];
+  const file = candidates.find(name => fs.existsSync(path.join(dir, name)));
+
+  if (!file) {
+    if (entry.scaler) {
+      throw scalerError(`Missing scaler ${path.join(modelsDir, entry.scaler)} for ${entry.name}`);
+    }
+    SCALERS[key] = null;
+    return null;
+  }
+
+  const source = path.join(modelsDir, file);
+  let params;
+  try {
+    params = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  } catch (error) {
+    throw scalerError(`${source}: ${error.message}`);
+  }
+
+  SCALERS[key] = compileScaler(params, source, entry.features || null);
+  return SCALERS[key];
+}
+
+/**
+ * Forget loaded scalers (after one was rewritten)
+ */
+function clearScalerCache() {
+  Object.keys(SCALERS).forEach(key => delete SCALERS[key]);
+}
+
+// ============================================================================
+// SCALING
+// ============================================================================
+
+/**
+ * Scale feature rows for one model
+ *
+ * @param {Object|null} scaler - Compiled scaler (null: raw values, missing as 0)
+ * @param {Array<Array<Number>>} rows - Raw feature vectors (NaN for missing values)
+ * @returns {Object} { rows, reports: [{ inputs, missing, out_of_range, features_out_of_range }] }
+ *   out_of_range is null for unscaled rows (no training range known)
+ * @throws {Error} INVALID_SCALER when a row's width differs from the scaler's
+ */
+function scaleRows(scaler, rows) {
+  const scaled = [];
+  const reports = [];
+
+  for (const row of rows) {
+    const report = { inputs: row.length, missing: 0, out_of_range: scaler ? 0 : null, features_out_of_range: [] };
+
+    if (!scaler) {
+      scaled.push(row.map(value => {
+        if (Number.isFinite(value)) return value;
+        report.missing++;
+        return 0;
+      }));
+      reports.push(report);
+      continue;
+    }
+
+    if (row.length !== scaler.features.length) {
+      throw scalerError(`${scaler.source} scales ${scaler.features.length} features, got ${row.length}`);
+    }
+
+    scaled.push(row.map((raw, j) => {
+      let value = raw;
+      let outside = false;
+
+      if (!Number.isFinite(value)) {
+        report.missing++;
+        value = scaler.impute[j];
+      }
+
+      if (scaler.lo && (value < scaler.lo[j] || value > scaler.hi[j])) {
+        value = Math.min(Math.max(value, scaler.lo[j]), scaler.hi[j]);
+        outside = true;
+      }
+
+      let z = (value - scaler.center[j]) / scaler.scale[j];
+      if (scaler.method !== 'minmax' && Math.abs(z) > scaler.clip) {
+        z = Math.sign(z) * scaler.clip;
+        outside = true;
+      }
+
+      if (outside) {
+        report.out_of_range++;
+        if (report.features_out_of_range.length < CONFIG.REPORT_FEATURE_LIMIT) {
+          report.features_out_of_range.push(scaler.features[j]);
+        }
+      }
+
+      return z;
+    }));
+    reports.push(report);
+  }
+
+  return { rows: scaled, reports };
+}
+
+/**
+ * Per-request scaling summary: one entry per model, for responses and
+ * stored predictions
+ *
+ * @param {Array<Object>} modelEntries - [{ name, scaler }] that ran
+ * @param {Object} reports - { [model]: scaleRows report for this request's row }
+ * @returns {Object} { applied, out_of_range, missing, models: { [model]: { method, source, ... } } }
+ */
+function summarizeScaling(modelEntries, reports) {
+  const models = {};
+  let outOfRange = 0;
+  let missing = 0;
+
+  for (const entry of modelEntries) {
+    const report = reports[entry.name];
+    if (!report) continue;
+
+    models[entry.name] = {
+      method: entry.scaler ? entry.scaler.method : null,
+      source: entry.scaler ? entry.scaler.source : null,
+      ...report
+    };
+    outOfRange += report.out_of_range || 0;
+    missing += report.missing;
+  }
+
+  const scaled = Object.values(models).filter(m => m.method);
+  if (scaled.length < Object.keys(models).length) {
+    const unscaled = Object.keys(models).filter(name => !models[name].method);
+    console.warn(`[Scaler] No scaler for ${unscaled.join(', ')}: running on raw features`);
+  }
+
+  return {
+    applied: scaled.length > 0 && scaled.length === Object.keys(models).length,
+    out_of_range: outOfRange,
+    missing,
+    models
+  };
+}
+
+module.exports = {
+  CONFIG,
+  scalerError,
+  compileScaler,
+  loadScaler,
+  clearScalerCache,
+  scaleRows,
+  summarizeScaling
+};
@@ -19,11 +19,33 @@
  * - Volume dynamics
  * - Multi-timeframe alignment
  * - Simple technical indicators
+ * 
+ * TIMEFRAMES: a model declares the timeframes it was trained on
+ * (new ConservativeFeatureEngineer({ timeframes: ['30m', '1h', '4h', '1d'] })).
+ * Intra-bar and alignment features cover every declared timeframe; the
+ * single-timeframe features use the primary one (1h when declared).
+ * The default 1h/4h/1d yields exactly the v3.0 feature set.
+ * 
+ * MODEL INPUT: the shipped models take 51 columns per step, three more
+ * than the feature list. getModelInputColumns() puts each timeframe's
+ * timestamp column ahead of it to reach that width. The training
+ * pipeline's column order is not in this repository, so the manifests
+ * declare no `features` and only the width is checked (utils/model-contract).
  */
 
+const { parseTimeframes, intervalMs } = require('./timeframes');
+
 class ConservativeFeatureEngineer {
-    constructor() {
+    constructor(config = {}) {
         this.featureNames = [];
+        this.modelInputColumns = [];
+        
+        // Shortest first; unknown timeframes throw
+        this.timeframes = parseTimeframes(config.timeframes);
+        this.primaryTimeframe = config.primaryTimeframe ||
+            (this.timeframes.includes('1h') ? '1h' : this.timeframes[0]);
+        // Progress lines go here (any console-like object)
+        this.logger = config.logger || console;
     }
     
     // ========================================================================
@@ -362,51 +384,41 @@ class ConservativeFeatureEngineer {
         /**
          * Multi-timeframe features: relationships between timeframes
          * These are safe because higher timeframes are strictly historical
+         * For 1h/4h/1d: 4h_vs_1d_price, 1h_vs_4h_price, 1h_in_4h_range,
+         * 1h_in_1d_range and trend_alignment
          */
-        // 4H vs 1D
-        if (df['4h_close'] && df['1d_close']) {
-            const h4Close = df['4h_close'];
-            const d1Close = df['1d_close'];
-            df['4h_vs_1d_price'] = h4Close.map((h4, i) => 
-                (h4 - d1Close[i]) / (d1Close[i] + 1e-10)
-            );
-        }
-        
-        // 1H vs 4H
-        if (df['1h_close'] && df['4h_close']) {
-            const h1Close = df['1h_close'];
-            const h4Close = df['4h_close'];
-            df['1h_vs_4h_price'] = h1Close.map((h1, i) => 
-                (h1 - h4Close[i]) / (h4Close[i] + 1e-10)
+        const timeframes = this.timeframes.filter(tf => df[`${tf}_close`]);
+        const primary = this.primaryTimeframe;
+        
+        // Each timeframe vs the next longer one (longest pair first)
+        for (let i = timeframes.length - 2; i >= 0; i--) {
+            const lowerClose = df[`${timeframes[i]}_close`];
+            const higherClose = df[`${timeframes[i + 1]}_close`];
+            df[`${timeframes[i]}_vs_${timeframes[i + 1]}_price`] = lowerClose.map((lower, j) => 
+                (lower - higherClose[j]) / (higherClose[j] + 1e-10)
             );
         }
         
         // Position within higher timeframe ranges
-        if (df['1h_close'] && df['4h_low'] && df['4h_high']) {
-            const h1Close = df['1h_close'];
-            const h4Low = df['4h_low'];
-            const h4High = df['4h_high'];
-            df['1h_in_4h_range'] = h1Close.map((h1, i) => 
-                (h1 - h4Low[i]) / (h4High[i] - h4Low[i] + 1e-10)
-            );
-        }
-        
-        if (df['1h_close'] && df['1d_low'] && df['1d_high']) {
-            const h1Close = df['1h_close'];
-            const d1Low = df['1d_low'];
-            const d1High = df['1d_high'];
-            df['1h_in_1d_range'] = h1Close.map((h1, i) => 
-                (h1 - d1Low[i]) / (d1High[i] - d1Low[i] + 1e-10)
-            );
+        if (df[`${primary}_close`]) {
+            const primaryClose = df[`${primary}_close`];
+            for (const higher of timeframes.filter(tf => intervalMs(tf) > intervalMs(primary))) {
+                if (!df[`${higher}_low`] || !df[`${higher}_high`]) continue;
+                
+                const higherLow = df[`${higher}_low`];
+                const higherHigh = df[`${higher}_high`];
+                df[`${primary}_in_${higher}_range`] = primaryClose.map((p, i) => 
+                    (p - higherLow[i]) / (higherHigh[i] - higherLow[i] + 1e-10)
+                );
+            }
         }
         
         // Trend alignment (all timeframes agreeing)
-        if (df['1d_trend'] && df['4h_trend'] && df['1h_trend']) {
-            const d1Trend = df['1d_trend'];
-            const h4Trend = df['4h_trend'];
-            const h1Trend = df['1h_trend'];
-            df['trend_alignment'] = d1Trend.map((d1, i) => 
-                Math.sign(d1) * Math.sign(h4Trend[i]) * Math.sign(h1Trend[i])
+        const trends = this.timeframes.map(tf => df[`${tf}_trend`]);
+        if (trends.length > 1 && trends.every(Boolean)) {
+            const [longest, ...shorter] = trends.reverse();
+            df['trend_alignment'] = longest.map((t, i) => 
+                shorter.reduce((sign, trend) => sign * Math.sign(trend[i]), Math.sign(t))
             );
         }
         
@@ -489,59 +501,62 @@ ConservativeFeatureEngineer.prototype.engineerFeatures = function(df) {
      * Main feature engineering pipeline
      * Returns dataframe with ~40 carefully selected features
      */
-    console.log("      → Engineering conservative features...");
+    this.logger.log(`      → Engineering conservative features (${this.timeframes.join('/')})...`);
+    
+    const primary = this.primaryTimeframe;
     
-    // Intra-bar features (all timeframes)
-    const timeframes = ['1h', '4h', '1d'];
-    for (const timeframe of timeframes) {
+    // Columns are added to a copy: the caller's frame stays raw
+    df = { ...df };
+    
+    // Intra-bar features (all declared timeframes)
+    for (const timeframe of this.timeframes) {
         if (df[`${timeframe}_open`] && df[`${timeframe}_high`] && 
             df[`${timeframe}_low`] && df[`${timeframe}_close`]) {
             df = this.addIntrabarFeatures(df, timeframe);
         }
     }
     
-    // Historical momentum (1H only to keep feature count manageable)
-    if (df['1h_close']) {
-        df = this.addHistoricalMomentum(df, '1h', [1, 3, 6, 12]);
+    // Historical momentum (primary timeframe only to keep feature count manageable)
+    if (df[`${primary}_close`]) {
+        df = this.addHistoricalMomentum(df, primary, [1, 3, 6, 12]);
     }
     
     // Moving averages
-    if (df['1h_close']) {
-        df = this.addConservativeMovingAverages(df, '1h', [10, 20, 50]);
+    if (df[`${primary}_close`]) {
+        df = this.addConservativeMovingAverages(df, primary, [10, 20, 50]);
     }
     
     // Volatility
-    if (df['1h_close']) {
-        df = this.addRealizedVolatility(df, '1h', [10, 20]);
+    if (df[`${primary}_close`]) {
+        df = this.addRealizedVolatility(df, primary, [10, 20]);
     }
     
     // Volume
-    if (df['1h_volume']) {
-        df = this.addVolumeFeatures(df, '1h');
+    if (df[`${primary}_volume`]) {
+        df = this.addVolumeFeatures(df, primary);
     }
     
     // Multi-timeframe alignment
     df = this.addMultiTimeframeAlignment(df);
     
     // Simple indicators
-    if (df['1h_close']) {
-        df = this.addSimpleIndicators(df, '1h');
+    if (df[`${primary}_close`]) {
+        df = this.addSimpleIndicators(df, primary);
     }
     
-    // 30M momentum (historical)
-    if (df['30m1_close'] && df['30m2_close']) {
-        const m1Close = df['30m1_close'];
-        const m2Close = df['30m2_close'];
-        df['30m_momentum'] = m2Close.map((m2, i) => 
-            (m2 - m1Close[i]) / (m1Close[i] + 1e-10)
+    // 30M momentum (historical): the latest half hour vs the one before
+    if (primary !== '30m' && this.timeframes.includes('30m') && df['30m_close']) {
+        const m30Close = df['30m_close'];
+        const m30Prev = ConservativeFeatureEngineer.shift(m30Close, 1);
+        df['30m_momentum'] = m30Close.map((m30, i) => 
+            m30Prev[i] === null ? null : (m30 - m30Prev[i]) / (m30Prev[i] + 1e-10)
         );
     }
     
     // Store feature names for later use
     const excludePatterns = [
         'timestamp', 'symbol', 'future_close', 'future_return',
-        '_open', '_high', '_low', '_close', '_volume',
-        '30m1', '30m2', '30m_avg'
+        '_open', '_high', '_low', '_close', '_volume'
     ];
     
     this.featureNames = Object.keys(df).filter(col => {
@@ -549,8 +564,12 @@ ConservativeFeatureEngineer.prototype.engineerFeatures = function(df) {
             col === pattern || col.endsWith(pattern) || col.startsWith(pattern)
         );
     });
+    this.modelInputColumns = [
+        ...this.timeframes.map(tf => `${tf}_timestamp`).filter(col => df[col]),
+        ...this.featureNames
+    ];
     
-    console.log(`      ✓ Created ${this.featureNames.length} conservative features`);
+    this.logger.log(`      ✓ Created ${this.featureNames.length} conservative features`);
     
     return df;
 };
@@ -562,6 +581,13 @@ ConservativeFeatureEngineer.prototype.getFeatureList = function() {
     return this.featureNames;
 };
 
+ConservativeFeatureEngineer.prototype.getModelInputColumns = function() {
+    /**
+     * Return the model input columns: timestamps, then the feature list
+     */
+    return this.modelInputColumns;
+};
+
 // ========================================================================
 // VERIFICATION FUNCTIONS
 // ========================================================================
@@ -1,51 +1,45 @@
 /**
- * GLOBAL Model Cache with Explicit File References
- * This ensures Vercel's Node File Trace detects the models
+ * GLOBAL Model Cache
+ * 
+ * One model set per asset class and horizon (utils/horizons); getters
+ * without a horizon use the default set. A set's files come from its
+ * manifest.json (utils/model-registry); vercel.json includes models/** in
+ * every function bundle.
+ * 
+ * Models are cached per file, so several versions of a model load side by
+ * side. utils/model-rollout picks the versions each role runs: the
+ * champion answers requests, the challenger (when set) runs in shadow.
+ * Each model carries the scaler stored next to its file, if any.
  */
 
 const tf = require('@tensorflow/tfjs');
 const path = require('path');
 const fs = require('fs');
+const { resolveHorizon, horizonsFor, CONFIG: HORIZON_CONFIG } = require('./horizons');
+const { loadManifest, findModel } = require('./model-registry');
+const { modelRollout } = require('./model-rollout');
+const { loadScaler } = require('./feature-scaler');
 
-// ============================================================================
-// CRITICAL: Explicit file references for Vercel's Node File Trace
-// ============================================================================
+// Global state (persists across invocations), keyed by model file path
+const LOADED_MODELS = {};
+const LOAD_PROMISES = {};
+const FILE_FAILURES = {};
 
-// List all model files explicitly so Vercel knows they're needed
-const CRYPTO_MODEL_FILES = [
-    'temporal_transformer.keras',
-    'hybrid_transformer.keras',
-    'hierarchical_lstm.keras',
-    'bidirectional_attention.keras',
-    'multiscale_transformer.keras'
-];
+// Last load error per model name, keyed by `${assetClass}:${horizon}:${role}`
+const LOAD_FAILURES = {};
 
-const FOREX_MODEL_FILES = [
-    'temporal_transformer.keras',
-    'hierarchical_lstm.keras',
-    'hybrid_transformer.keras',
-    'multiscale_transformer.keras'
-];
-
-// Global state (persists across invocations)
-let CRYPTO_MODELS = null;
-let FOREX_MODELS = null;
-let IS_CRYPTO_LOADING = false;
-let IS_FOREX_LOADING = false;
-let CRYPTO_LOAD_PROMISE = null;
-let FOREX_LOAD_PROMISE = null;
+// Sets currently initializing, by the same key
+const LOADING_SETS = new Set();
 
 /**
  * Verify model files exist at startup
- * This creates fs references that Vercel's trace can detect
  */
-function verifyModelFiles(modelNames, modelsDir) {
+function verifyModelFiles(modelFiles, modelsDir) {
     const missing = [];
     
-    for (const fileName of modelNames) {
+    for (const fileName of modelFiles) {
         const filePath = path.join(process.cwd(), modelsDir, fileName);
         
-        // CRITICAL: This fs.existsSync call is what Node File Trace detects
         if (!fs.existsSync(filePath)) {
             missing.push(fileName);
         }
@@ -58,49 +52,79 @@ function verifyModelFiles(modelNames, modelsDir) {
         );
     }
     
-    console.log(`✓ Verified ${modelNames.length} model files in ${modelsDir}`);
+    console.log(`✓ Verified ${modelFiles.length} model files in ${modelsDir}`);
 }
 
 /**
  * Load multiple models in PARALLEL
+ * Failures are recorded per file instead of thrown; concurrent callers
+ * share each file's load
+ * 
+ * @param {Array<Object>} entries - Manifest entries to load
+ * @returns {Promise<Array<Object>>} Newly loaded models
  */
-async function loadModelsParallel(modelNames, modelsDir) {
-    console.log(`[GlobalCache] Loading ${modelNames.length} models in PARALLEL...`);
+async function loadModelsParallel(entries, modelsDir) {
+    console.log(`[GlobalCache] Loading ${entries.length} models in PARALLEL...`);
     const startTime = Date.now();
     
     // Load ALL models simultaneously
-    const loadPromises = modelNames.map(async (fileName) => {
-        try {
-            const modelPath = path.join(process.cwd(), modelsDir, fileName);
-            const model = await tf.loadLayersModel(`file://${modelPath}`);
-            
-            const name = fileName.replace('.keras', '');
-            console.log(`  ✓ ${name} loaded`);
-            return { name, model, fileName };
-        } catch (error) {
-            console.error(`  ✗ ${fileName} failed: ${error.message}`);
-            return null;
+    const loadPromises = entries.map((entry) => {
+        const modelPath = path.join(process.cwd(), modelsDir, entry.file);
+        
+        if (!LOAD_PROMISES[modelPath]) {
+            LOAD_PROMISES[modelPath] = (async () => {
+                try {
+                    // A broken scaler fails its model: unscaled inputs would mislead it
+                    const scaler = loadScaler(modelsDir, entry);
+                    const model = await tf.loadLayersModel(`file://${modelPath}`);
+                    
+                    delete FILE_FAILURES[modelPath];
+                    console.log(`  ✓ ${entry.name} v${entry.version} loaded`);
+                    return {
+                        name: entry.name,
+                        model,
+                        fileName: entry.file,
+                        version: entry.version,
+                        features: entry.features,
+                        inputShape: entry.input_shape,
+                        classes: entry.classes,
+                        padding: entry.padding,
+                        scaler
+                    };
+                } catch (error) {
+                    FILE_FAILURES[modelPath] = error.message;
+                    console.error(`  ✗ ${entry.file} failed: ${error.message}`);
+                    return null;
+                } finally {
+                    delete LOAD_PROMISES[modelPath];
+                }
+            })().then(loaded => {
+                if (loaded) LOADED_MODELS[modelPath] = loaded;
+                return loaded;
+            });
         }
+        
+        return LOAD_PROMISES[modelPath];
     });
     
     const results = await Promise.all(loadPromises);
     const loadedModels = results.filter(r => r !== null);
     
     const elapsed = Date.now() - startTime;
-    console.log(`[GlobalCache] Loaded ${loadedModels.length}/${modelNames.length} in ${elapsed}ms`);
+    console.log(`[GlobalCache] Loaded ${loadedModels.length}/${entries.length} in ${elapsed}ms`);
     
     return loadedModels;
 }
 
 /**
  * WARM UP models with dummy prediction
+ * Each model gets a batch of one in its manifest input_shape
  */
-async function warmUpModels(models, inputShape) {
+async function warmUpModels(models) {
     console.log('[GlobalCache] Warming up models...');
     
-    const dummyInput = tf.zeros(inputShape);
-    
-    for (const { name, model } of models) {
+    for (const { name, model, inputShape } of models) {
+        const dummyInput = tf.zeros([1, ...inputShape]);
         try {
             const warmupResult = model.predict(dummyInput);
             await warmupResult.data();
@@ -108,118 +132,164 @@ async function warmUpModels(models, inputShape) {
             console.log(`  ✓ ${name} warmed`);
         } catch (error) {
             console.warn(`  ⚠️ ${name} warmup failed: ${error.message}`);
+        } finally {
+            dummyInput.dispose();
         }
     }
-    
-    dummyInput.dispose();
 }
 
 /**
- * Initialize CRYPTO models globally
+ * Initialize a role's model set for an asset class and horizon globally
+ * Files already loaded (by any set or role) are reused; failed files are
+ * retried only when none of the set loaded
+ * 
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {String} horizon - Trained horizon (default: the asset class's default)
+ * @param {String} role - 'champion' (default) or 'challenger' (see utils/model-rollout)
+ * @returns {Promise<Array<Object>>} Loaded [{ name, model, fileName, version, ... }], [] without a challenger
  */
-async function initializeCryptoModels() {
-    if (CRYPTO_MODELS) return CRYPTO_MODELS;
-    if (IS_CRYPTO_LOADING && CRYPTO_LOAD_PROMISE) return CRYPTO_LOAD_PROMISE;
+async function initializeModelSet(assetClass, horizon, role = 'champion') {
+    const set = resolveHorizon(assetClass, horizon);
+    const key = `${assetClass}:${set.horizon}:${role}`;
     
-    IS_CRYPTO_LOADING = true;
+    await modelRollout.load();
+    const selection = modelRollout.selection(assetClass, set.horizon, role);
+    if (!selection) return [];
     
-    CRYPTO_LOAD_PROMISE = (async () => {
-        try {
-            console.log('\n🚀 [COLD START] Initializing crypto models...');
-            
-            const modelsDir = 'models/crypto';
-            
-            // CRITICAL: Verify files exist (creates fs references for Vercel)
-            verifyModelFiles(CRYPTO_MODEL_FILES, modelsDir);
-            
-            // Load in parallel
-            const loaded = await loadModelsParallel(CRYPTO_MODEL_FILES, modelsDir);
-            
-            if (loaded.length === 0) {
-                throw new Error('No crypto models loaded!');
-            }
-            
-            // Warm up with correct input shape
-            await warmUpModels(loaded, [1, 50]);
-            
-            CRYPTO_MODELS = loaded;
-            IS_CRYPTO_LOADING = false;
-            
-            console.log(`✅ Crypto models ready: ${loaded.length} models\n`);
-            return loaded;
-            
-        } catch (error) {
-            IS_CRYPTO_LOADING = false;
-            CRYPTO_LOAD_PROMISE = null;
-            console.error('❌ Crypto model initialization failed:', error.message);
-            throw error;
-        }
-    })();
+    const entries = Object.entries(selection).map(([name, version]) => findModel(set.modelsDir, name, version));
+    const modelPath = (entry) => path.join(process.cwd(), set.modelsDir, entry.file);
+    const cached = () => entries.map(entry => LOADED_MODELS[modelPath(entry)]).filter(Boolean);
     
-    return CRYPTO_LOAD_PROMISE;
-}
-
-/**
- * Initialize FOREX models globally
- */
-async function initializeForexModels() {
-    if (FOREX_MODELS) return FOREX_MODELS;
-    if (IS_FOREX_LOADING && FOREX_LOAD_PROMISE) return FOREX_LOAD_PROMISE;
+    const noneLoaded = cached().length === 0;
+    const pending = entries.filter(entry =>
+        !LOADED_MODELS[modelPath(entry)] && (noneLoaded || !FILE_FAILURES[modelPath(entry)])
+    );
     
-    IS_FOREX_LOADING = true;
-    
-    FOREX_LOAD_PROMISE = (async () => {
+    if (pending.length > 0) {
+        LOADING_SETS.add(key);
         try {
-            console.log('\n🚀 [COLD START] Initializing forex models...');
-            
-            const modelsDir = 'models/forex';
-            
-            // CRITICAL: Verify files exist
-            verifyModelFiles(FOREX_MODEL_FILES, modelsDir);
-            
-            const loaded = await loadModelsParallel(FOREX_MODEL_FILES, modelsDir);
+            console.log(`\n🚀 [COLD START] Initializing ${assetClass} ${set.horizon} ${role} models (${set.modelsDir})...`);
             
-            if (loaded.length === 0) {
-                throw new Error('No forex models loaded!');
-            }
+            // Fail fast when the deployment lacks files the manifest lists
+            verifyModelFiles(pending.map(entry => entry.file), set.modelsDir);
             
-            await warmUpModels(loaded, [1, 40]);
-            
-            FOREX_MODELS = loaded;
-            IS_FOREX_LOADING = false;
-            
-            console.log(`✅ Forex models ready: ${loaded.length} models\n`);
-            return loaded;
+            // Load in parallel, then warm up with each model's input shape
+            const loaded = await loadModelsParallel(pending, set.modelsDir);
+            await warmUpModels(loaded);
             
         } catch (error) {
-            IS_FOREX_LOADING = false;
-            FOREX_LOAD_PROMISE = null;
-            console.error('❌ Forex model initialization failed:', error.message);
+            console.error(`❌ ${assetClass} ${set.horizon} ${role} model initialization failed:`, error.message);
             throw error;
+        } finally {
+            LOADING_SETS.delete(key);
         }
-    })();
+    }
     
-    return FOREX_LOAD_PROMISE;
+    LOAD_FAILURES[key] = Object.fromEntries(entries
+        .filter(entry => FILE_FAILURES[modelPath(entry)])
+        .map(entry => [entry.name, FILE_FAILURES[modelPath(entry)]]));
+    
+    const models = cached();
+    if (models.length === 0) {
+        throw new Error(`No ${assetClass} ${set.horizon} ${role} models loaded!`);
+    }
+    
+    if (pending.length > 0) {
+        console.log(`✅ ${assetClass} ${set.horizon} ${role} models ready: ${models.length} models\n`);
+    }
+    return models;
 }
 
 /**
  * Get crypto models (loads if needed)
+ * 
+ * @param {String} horizon - Trained horizon (default 4h)
  */
-async function getCryptoModels() {
-    if (!CRYPTO_MODELS) {
-        await initializeCryptoModels();
-    }
-    return CRYPTO_MODELS.map(m => m.model);
+async function getCryptoModels(horizon) {
+    const loaded = await initializeModelSet('crypto', horizon);
+    return loaded.map(m => m.model);
 }
 
 /**
  * Get forex models (loads if needed)
+ * 
+ * @param {String} horizon - Trained horizon (default 4h)
  */
-async function getForexModels() {
-    if (!FOREX_MODELS) {
-        await initializeForexModels();
-    }
-    return FOREX_MODELS.map(m => m.model);
+async function getForexModels(horizon) {
+    const loaded = await initializeModelSet('forex', horizon);
+    return loaded.map(m => m.model);
+}
+
+/**
+ * Loaded model with the manifest fields its input contract and windows
+ * need (utils/model-contract, utils/sequence-window) and its stored
+ * scaler (utils/feature-scaler)
+ */
+function toEntry({ name, model, version, features, inputShape, classes, padding, scaler }) {
+    return { name, model, version, features, inputShape, classes, padding, scaler };
+}
+
+/**
+ * Get crypto models with their names (loads if needed)
+ * Used where per-model results are reported and input contracts checked
+ * 
+ * @param {String} horizon - Trained horizon (default 4h)
+ * @param {String} role - 'champion' (default) or 'challenger'
+ */
+async function getCryptoModelEntries(horizon, role = 'champion') {
+    const loaded = await initializeModelSet('crypto', horizon, role);
+    return loaded.map(toEntry);
+}
+
+/**
+ * Get forex models with their names (loads if needed)
+ * 
+ * @param {String} horizon - Trained horizon (default 4h)
+ * @param {String} role - 'champion' (default) or 'challenger'
+ */
+async function getForexModelEntries(horizon, role = 'champion') {
+    const loaded = await initializeModelSet('forex', horizon, role);
+    return loaded.map(toEntry);
+}
+
+/**
+ * Get models that failed to load, with their errors
+ * 
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {String} horizon - Trained horizon (default: the asset class's default)
+ * @param {String} role - 'champion' (default) or 'challenger'
+ * @returns {Object} { [modelName]: errorMessage }
+ */
+function getModelLoadFailures(assetClass, horizon = HORIZON_CONFIG.DEFAULT[assetClass], role = 'champion') {
+    return { ...(LOAD_FAILURES[`${assetClass}:${horizon}:${role}`] || {}) };
+}
+
+/**
+ * Stats for one asset class: the default model set, plus every horizon
+ */
+function assetClassStats(assetClass) {
+    const setStats = (horizon) => {
+        const key = `${assetClass}:${horizon}:champion`;
+        const { modelsDir } = resolveHorizon(assetClass, horizon);
+        return {
+            loaded: Object.entries(modelRollout.selection(assetClass, horizon)).filter(([name, version]) =>
+                LOADED_MODELS[path.join(process.cwd(), modelsDir, findModel(modelsDir, name, version).file)]
+            ).length,
+            isLoading: LOADING_SETS.has(key),
+            loadFailures: getModelLoadFailures(assetClass, horizon),
+            champion: modelRollout.selection(assetClass, horizon),
+            challenger: modelRollout.selection(assetClass, horizon, 'challenger')
+        };
+    };
+    
+    return {
+        ...setStats(HORIZON_CONFIG.DEFAULT[assetClass]),
+        modelFiles: loadManifest(resolveHorizon(assetClass).modelsDir).models.map(entry => entry.file),
+        horizons: Object.fromEntries(horizonsFor(assetClass).map(horizon => [
+            horizon,
+            { modelsDir: HORIZON_CONFIG.MODEL_SETS[assetClass][horizon].modelsDir, ...setStats(horizon) }
+        ]))
+    };
 }
 
 /**
@@ -228,16 +298,9 @@ async function getForexModels() {
 function getGlobalCacheStats() {
     const tfMem = tf.memory();
     return {
-        crypto: {
-            loaded: CRYPTO_MODELS ? CRYPTO_MODELS.length : 0,
-            isLoading: IS_CRYPTO_LOADING,
-            modelFiles: CRYPTO_MODEL_FILES
-        },
-        forex: {
-            loaded: FOREX_MODELS ? FOREX_MODELS.length : 0,
-            isLoading: IS_FOREX_LOADING,
-            modelFiles: FOREX_MODEL_FILES
-        },
+        crypto: assetClassStats('crypto'),
+        forex: assetClassStats('forex'),
+        filesLoaded: Object.values(LOADED_MODELS).map(m => `${m.name}@${m.version}`),
         tfMemory: {
             numBytes: tfMem.numBytes,
             numBytesMB: (tfMem.numBytes / 1024 / 1024).toFixed(2),
@@ -249,8 +312,8 @@ function getGlobalCacheStats() {
 module.exports = {
     getCryptoModels,
     getForexModels,
-    getGlobalCacheStats,
-    // Export file lists for verification
-    CRYPTO_MODEL_FILES,
-    FOREX_MODEL_FILES
+    getCryptoModelEntries,
+    getForexModelEntries,
+    getModelLoadFailures,
+    getGlobalCacheStats
 };
\ No newline at end of file
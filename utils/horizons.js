@@ -0,0 +1,136 @@
+/**
+ * Prediction Horizons - What a DOWN/NEUTRAL/UP call refers to
+ *
+ * A horizon is a timeframe key (utils/timeframes): '4h' means the move
+ * from the prediction time to four hours later. Each asset class lists
+ * the horizons it has a trained model set for, and where that set lives:
+ *
+ *   crypto: { '4h': { modelsDir: 'models/crypto' },
+ *             '1d': { modelsDir: 'models/crypto/1d' } }
+ *
+ * Each model set's directory has a manifest.json listing its models
+ * (utils/model-registry). Requests may only ask for a listed horizon;
+ * omitting it means the asset class's default.
+ *
+ * Predictions stored before horizons were recorded carry no `horizon`
+ * field; they were all 4h calls and are read as CONFIG.LEGACY.
+ */
+
+const { isTimeframe, intervalMs } = require('./timeframes');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  MODEL_SETS: {
+    crypto: {
+      '4h': { modelsDir: 'models/crypto' }
+    },
+    forex: {
+      '4h': { modelsDir: 'models/forex' }
+    }
+  },
+
+  DEFAULT: {
+    crypto: '4h',
+    forex: '4h'
+  },
+
+  // Horizon of stored predictions without a `horizon` field
+  LEGACY: '4h'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create an error for a horizon no model set was trained for
+ * Callers check error.code to answer 400 instead of 500
+ *
+ * @param {String} message - Error message
+ * @returns {Error} Error with code INVALID_HORIZON
+ */
+function invalidHorizonError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_HORIZON';
+  return error;
+}
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @returns {Array<String>} Horizons with a trained model set, shortest first
+ */
+function horizonsFor(assetClass) {
+  return Object.keys(CONFIG.MODEL_SETS[assetClass] || {})
+    .sort((a, b) => intervalMs(a) - intervalMs(b));
+}
+
+/**
+ * @param {String} horizon - e.g. '4h'
+ * @returns {Number} Horizon length in hours
+ */
+function horizonHours(horizon) {
+  return intervalMs(horizon) / HOUR_MS;
+}
+
+/**
+ * Validate a requested horizon and find its model set
+ *
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {String} horizon - Requested horizon (empty = CONFIG.DEFAULT)
+ * @returns {Object} { horizon, hours, modelsDir }
+ * @throws {Error} INVALID_HORIZON when no model set was trained for it
+ */
+function resolveHorizon(assetClass, horizon) {
+  const sets = CONFIG.MODEL_SETS[assetClass];
+  if (!sets) {
+    throw invalidHorizonError(`No model sets for asset class: ${assetClass}`);
+  }
+
+  const requested = horizon || CONFIG.DEFAULT[assetClass];
+  if (!isTimeframe(requested) || !sets[requested]) {
+    throw invalidHorizonError(
+      `Invalid horizon: ${requested}. ${assetClass} models are trained for: ${horizonsFor(assetClass).join(', ')}`
+    );
+  }
+
+  return {
+    horizon: requested,
+    hours: horizonHours(requested),
+    modelsDir: sets[requested].modelsDir
+  };
+}
+
+/**
+ * Horizon a stored prediction refers to
+ *
+ * @param {Object} doc - Prediction document
+ * @returns {String} Horizon ('4h' for documents stored without one)
+ */
+function documentHorizon(doc) {
+  return doc.horizon || CONFIG.LEGACY;
+}
+
+/**
+ * MongoDB condition on `horizon` matching documents for a horizon
+ * Documents stored without a horizon match CONFIG.LEGACY.
+ *
+ * @param {String} horizon - e.g. '4h'
+ * @returns {*} Value for query.horizon
+ */
+function horizonCondition(horizon) {
+  return horizon === CONFIG.LEGACY ? { $in: [horizon, null] } : horizon;
+}
+
+module.exports = {
+  CONFIG,
+  horizonsFor,
+  horizonHours,
+  resolveHorizon,
+  documentHorizon,
+  horizonCondition
+};
@@ -7,6 +7,14 @@
 const tf = require('@tensorflow/tfjs');
 const path = require('path');
 const fs = require('fs');
+const { modelNames, findModel } = require('./model-registry');
+
+// Preferred models for a minimal ensemble, best first
+const MINIMAL_ENSEMBLE = [
+    'temporal_transformer',
+    'hybrid_transformer',
+    'hierarchical_lstm'
+];
 
 class LazyModelLoader {
     constructor(modelsDir = 'models/crypto') {
@@ -45,7 +53,7 @@ class LazyModelLoader {
                 const modelPath = path.join(
                     process.cwd(),
                     this.modelsDir,
-                    `${modelName}.keras`
+                    findModel(this.modelsDir, modelName).file
                 );
 
                 // Check file exists
@@ -92,21 +100,20 @@ class LazyModelLoader {
     }
 
     /**
-     * Load minimum required models (not all 5)
+     * Load minimum required models (not the whole manifest)
      * Strategy: Load best-performing models first, skip others if tight on memory
      * 
-     * PRIORITY ORDER (based on performance):
-     * 1. temporal_transformer.keras (usually best)
-     * 2. hybrid_transformer.keras
-     * 3. hierarchical_lstm.keras
-     * SKIP: bidirectional_attention, multiscale_transformer (to save memory)
+     * PRIORITY ORDER (based on performance), limited to models the
+     * manifest lists; the rest are skipped to save memory:
+     * 1. temporal_transformer (usually best)
+     * 2. hybrid_transformer
+     * 3. hierarchical_lstm
+     * Without any of these, the first 3 manifest models are loaded.
      */
     async loadMinimalEnsemble() {
-        const priorityModels = [
-            'temporal_transformer',
-            'hybrid_transformer',
-            'hierarchical_lstm'
-        ];
+        const listed = modelNames(this.modelsDir);
+        const preferred = MINIMAL_ENSEMBLE.filter(name => listed.includes(name));
+        const priorityModels = preferred.length > 0 ? preferred : listed.slice(0, MINIMAL_ENSEMBLE.length);
 
         console.log(`\n[Models] Loading minimal ensemble (${priorityModels.length} models)...`);
 
@@ -142,12 +149,8 @@ class LazyModelLoader {
      * Load models on-demand only when needed
      * Returns only successfully loaded models (may be less than requested)
      */
-    async loadAvailableModels(modelNames = null) {
-        const toLoad = modelNames || [
-            'temporal_transformer',
-            'hybrid_transformer',
-            'hierarchical_lstm'
-        ];
+    async loadAvailableModels(names = null) {
+        const toLoad = names || modelNames(this.modelsDir);
 
         const models = [];
 
@@ -0,0 +1,193 @@
+/**
+ * Model Input Contracts - Check the feature vector before inference
+ *
+ * A model's contract is its manifest entry (utils/model-registry): the
+ * feature names in input order, and an input_shape whose last dimension
+ * is the feature width. Before any tensor is built, the engineer's
+ * feature list must equal each model's declared features exactly;
+ * otherwise the request fails with the difference:
+ *
+ *   missing   - declared features the engineer did not produce
+ *   extra     - produced features the model does not take
+ *   reordered - features both have, at a different position
+ *
+ * Model entries without declared features (manifests whose training
+ * column order is not known, in-memory test models) are only checked for
+ * width, and only when they carry an input shape.
+ */
+
+const { loadManifest } = require('./model-registry');
+const { CONFIG: WINDOW_CONFIG, timestepsOf } = require('./sequence-window');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  // Names listed per category in error messages (the full diff is in error.contract)
+  MESSAGE_LIMIT: 5
+};
+
+/**
+ * Create an error for a feature vector that breaks a model's contract
+ * Callers check error.code and return error.contract to the client
+ *
+ * @param {String} message - Error message
+ * @param {Array<Object>} mismatches - One checkModelContract result per failing model
+ * @returns {Error} Error with code CONTRACT_MISMATCH
+ */
+function contractError(message, mismatches) {
+  const error = new Error(message);
+  error.code = 'CONTRACT_MISMATCH';
+  error.contract = mismatches;
+  return error;
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+/**
+ * Compare declared feature names with the ones produced
+ *
+ * @param {Array<String>} expected - Declared features, in input order
+ * @param {Array<String>} actual - Produced features, in vector order
+ * @returns {Object} { missing, extra, reordered: [{ feature, expected_index, actual_index }] }
+ */
+function diffFeatures(expected, actual) {
+  const expectedIndex = new Map(expected.map((name, i) => [name, i]));
+  const actualIndex = new Map(actual.map((name, i) => [name, i]));
+
+  return {
+    missing: expected.filter(name => !actualIndex.has(name)),
+    extra: actual.filter(name => !expectedIndex.has(name)),
+    reordered: expected
+      .filter(name => actualIndex.has(name) && actualIndex.get(name) !== expectedIndex.get(name))
+      .map(name => ({ feature: name, expected_index: expectedIndex.get(name), actual_index: actualIndex.get(name) }))
+  };
+}
+
+/**
+ * @param {Array<Number>} inputShape - Input shape without the batch dimension
+ * @returns {Number} Features per time step
+ */
+function inputWidth(inputShape) {
+  return inputShape[inputShape.length - 1];
+}
+
+/**
+ * Check one model's contract against the produced feature list
+ *
+ * @param {Object} entry - { name, features?, inputShape? } (global-model-cache entry)
+ * @param {Array<String>} featureList - Produced feature names, in vector order
+ * @returns {Object|null} null when the contract holds, else
+ *   { model, expected_width, actual_width, declared_width?, missing, extra, reordered }
+ */
+function checkModelContract(entry, featureList) {
+  const width = entry.inputShape ? inputWidth(entry.inputShape) : null;
+  const declared = entry.features || null;
+
+  if (!declared) {
+    if (width === null || width === featureList.length) {
+      return null;
+    }
+    return {
+      model: entry.name,
+      expected_width: width,
+      actual_width: featureList.length,
+      missing: [],
+      extra: [],
+      reordered: []
+    };
+  }
+
+  const diff = diffFeatures(declared, featureList);
+  const shapeHolds = width === null || width === declared.length;
+  if (shapeHolds && declared.length === featureList.length &&
+      diff.missing.length === 0 && diff.extra.length === 0 && diff.reordered.length === 0) {
+    return null;
+  }
+
+  return {
+    model: entry.name,
+    expected_width: width === null ? declared.length : width,
+    actual_width: featureList.length,
+    ...(!shapeHolds && { declared_width: declared.length }),
+    ...diff
+  };
+}
+
+/**
+ * One line per mismatch, listing at most CONFIG.MESSAGE_LIMIT names per category
+ */
+function describeMismatch(mismatch) {
+  const list = (items) => {
+    const shown = items.slice(0, CONFIG.MESSAGE_LIMIT).join(', ');
+    return items.length > CONFIG.MESSAGE_LIMIT ? `${shown} (+${items.length - CONFIG.MESSAGE_LIMIT} more)` : shown;
+  };
+
+  const parts = [`${mismatch.model} expects ${mismatch.expected_width} features, got ${mismatch.actual_width}`];
+  if (mismatch.declared_width !== undefined) {
+    parts.push(`manifest lists ${mismatch.declared_width} feature names`);
+  }
+  if (mismatch.missing.length > 0) parts.push(`missing: ${list(mismatch.missing)}`);
+  if (mismatch.extra.length > 0) parts.push(`extra: ${list(mismatch.extra)}`);
+  if (mismatch.reordered.length > 0) {
+    parts.push(`reordered: ${list(mismatch.reordered.map(r => `${r.feature} ${r.expected_index}->${r.actual_index}`))}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Check every model before inference
+ *
+ * @param {Array<Object>} modelEntries - [{ name, features?, inputShape? }]
+ * @param {Array<String>} featureList - Produced feature names, in vector order
+ * @throws {Error} CONTRACT_MISMATCH naming each failing model and its diff
+ */
+function assertContracts(modelEntries, featureList) {
+  const mismatches = modelEntries
+    .map(entry => checkModelContract(entry, featureList))
+    .filter(Boolean);
+
+  if (mismatches.length > 0) {
+    throw contractError(
+      `Feature vector does not match the model input contract: ${mismatches.map(describeMismatch).join(' | ')}`,
+      mismatches
+    );
+  }
+}
+
+// ============================================================================
+// CONTRACT VIEW
+// ============================================================================
+
+/**
+ * Every model's contract in a model set, for GET ?contract=true
+ *
+ * @param {String} modelsDir - Model directory (see utils/horizons)
+ * @returns {Array<Object>} [{ name, version, input_shape, width, timesteps, padding, features, classes }]
+ *   timesteps is null for flat-vector models (utils/sequence-window), features
+ *   null when the manifest declares none
+ */
+function describeContracts(modelsDir) {
+  return loadManifest(modelsDir).models.map(entry => ({
+    name: entry.name,
+    version: entry.version,
+    input_shape: entry.input_shape,
+    width: inputWidth(entry.input_shape),
+    timesteps: timestepsOf({ inputShape: entry.input_shape }),
+    padding: entry.padding || WINDOW_CONFIG.DEFAULT_PADDING,
+    features: entry.features || null,
+    classes: entry.classes
+  }));
+}
+
+module.exports = {
+  CONFIG,
+  diffFeatures,
+  inputWidth,
+  checkModelContract,
+  assertContracts,
+  describeContracts
+};
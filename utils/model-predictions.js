@@ -0,0 +1,359 @@
+/**
+ * Model Predictions - Per-model audit trail and head-to-head comparison
+ *
+ * Every prediction stores one entry per model:
+ *   { model, version, success, class, probabilities, latency_ms }           (ran)
+ *   { model, version, success: false, stage: 'inference'|'load', error }   (failed)
+ *
+ * buildModelComparison() turns a set of stored documents into per-symbol
+ * model stats and pairwise head-to-head records. buildVersionComparison()
+ * scores champion predictions and their shadow challengers
+ * (utils/shadow-mode) per model version.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  CLASS_NAMES: ['DOWN', 'NEUTRAL', 'UP']
+};
+
+/**
+ * Ratio rounded to 4 decimals, null when the denominator is zero
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? parseFloat((numerator / denominator).toFixed(4)) : null;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * @param {Array<Object>} modelEntries - [{ name, version }] from the model cache
+ * @returns {Object} { [model]: version }, stored as model_versions
+ */
+function versionMap(modelEntries) {
+  return Object.fromEntries(modelEntries.filter(e => e.version).map(e => [e.name, e.version]));
+}
+
+/**
+ * Build the stored/returned per-model entries
+ *
+ * @param {Array<Object>} results - Inference results ({ model, success, prediction, error, latency_ms })
+ * @param {Object} loadFailures - { [model]: error } for models that never loaded
+ * @param {Object} versions - { [model]: version } (see versionMap)
+ * @returns {Array<Object>} Per-model entries
+ */
+function formatModelPredictions(results, loadFailures = {}, versions = {}) {
+  const versioned = (model) => (versions[model] ? { model, version: versions[model] } : { model });
+
+  const entries = results.map(result => {
+    if (!result.success) {
+      return {
+        ...versioned(result.model),
+        success: false,
+        stage: 'inference',
+        error: result.error,
+        latency_ms: result.latency_ms ?? null
+      };
+    }
+
+    const probs = result.prediction;
+    const classIndex = probs.indexOf(Math.max(...probs));
+
+    return {
+      ...versioned(result.model),
+      success: true,
+      class: CONFIG.CLASS_NAMES[classIndex],
+      probabilities: {
+        down: probs[0],
+        neutral: probs[1],
+        up: probs[2]
+      },
+      latency_ms: result.latency_ms ?? null
+    };
+  });
+
+  const ran = new Set(entries.map(e => e.model));
+
+  for (const [model, error] of Object.entries(loadFailures)) {
+    if (!ran.has(model)) {
+      entries.push({ ...versioned(model), success: false, stage: 'load', error, latency_ms: null });
+    }
+  }
+
+  return entries;
+}
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/**
+ * Compare models head-to-head per symbol
+ *
+ * @param {Array<Object>} docs - Stored predictions with model_predictions
+ * @returns {Object} { [symbol]: { predictions, models: [...], head_to_head: [...] } }
+ */
+function buildModelComparison(docs) {
+  const symbols = {};
+
+  for (const doc of docs) {
+    const key = doc.symbol || doc.pair;
+    if (!key || !Array.isArray(doc.model_predictions)) continue;
+
+    if (!symbols[key]) {
+      symbols[key] = { asset_class: doc.asset_class, predictions: 0, models: {}, pairs: {} };
+    }
+
+    const entry = symbols[key];
+    const resolved = CONFIG.CLASS_NAMES.includes(doc.outcome);
+    entry.predictions++;
+
+    const ran = [];
+
+    for (const mp of doc.model_predictions) {
+      if (!entry.models[mp.model]) {
+        entry.models[mp.model] = {
+          runs: 0, failures: 0, agree: 0, resolved: 0, correct: 0,
+          confidence_sum: 0, latency_sum: 0, latency_count: 0, last_error: null
+        };
+      }
+
+      const stats = entry.models[mp.model];
+
+      if (!mp.success) {
+        stats.failures++;
+        stats.last_error = mp.error || null;
+        continue;
+      }
+
+      stats.runs++;
+      if (mp.class === doc.class) stats.agree++;
+      if (mp.probabilities && mp.class) {
+        stats.confidence_sum += mp.probabilities[mp.class.toLowerCase()] || 0;
+      }
+      if (typeof mp.latency_ms === 'number') {
+        stats.latency_sum += mp.latency_ms;
+        stats.latency_count++;
+      }
+      if (resolved) {
+        stats.resolved++;
+        if (mp.class === doc.outcome) stats.correct++;
+      }
+
+      ran.push(mp);
+    }
+
+    // Pairwise records between models that both ran on this prediction
+    for (let a = 0; a < ran.length; a++) {
+      for (let b = a + 1; b < ran.length; b++) {
+        const [first, second] = [ran[a], ran[b]].sort((x, y) => x.model.localeCompare(y.model));
+        const pairKey = `${first.model}|${second.model}`;
+
+        if (!entry.pairs[pairKey]) {
+          entry.pairs[pairKey] = {
+            models: [first.model, second.model],
+            compared: 0, agree: 0, resolved: 0, first_only: 0, second_only: 0, both_correct: 0
+          };
+        }
+
+        const pair = entry.pairs[pairKey];
+        pair.compared++;
+        if (first.class === second.class) pair.agree++;
+
+        if (resolved) {
+          pair.resolved++;
+          const firstRight = first.class === doc.outcome;
+          const secondRight = second.class === doc.outcome;
+          if (firstRight && secondRight) pair.both_correct++;
+          else if (firstRight) pair.first_only++;
+          else if (secondRight) pair.second_only++;
+        }
+      }
+    }
+  }
+
+  const report = {};
+
+  for (const [key, entry] of Object.entries(symbols)) {
+    report[key] = {
+      asset_class: entry.asset_class,
+      predictions: entry.predictions,
+      models: Object.entries(entry.models).map(([model, s]) => ({
+        model,
+        runs: s.runs,
+        failures: s.failures,
+        failure_rate: ratio(s.failures, s.runs + s.failures),
+        agreement_with_ensemble: ratio(s.agree, s.runs),
+        resolved: s.resolved,
+        hit_rate: ratio(s.correct, s.resolved),
+        avg_confidence: ratio(s.confidence_sum, s.runs),
+        avg_latency_ms: s.latency_count > 0 ? Math.round(s.latency_sum / s.latency_count) : null,
+        last_error: s.last_error
+      })).sort((x, y) => x.model.localeCompare(y.model)),
+      head_to_head: Object.values(entry.pairs).map(p => ({
+        models: p.models,
+        compared: p.compared,
+        agreement: ratio(p.agree, p.compared),
+        resolved: p.resolved,
+        wins: {
+          [p.models[0]]: p.first_only,
+          [p.models[1]]: p.second_only
+        },
+        both_correct: p.both_correct
+      }))
+    };
+  }
+
+  return report;
+}
+
+/**
+ * Score model versions side by side on realized outcomes
+ *
+ * Champion documents (predictions) and challenger documents
+ * (shadow_predictions, role 'challenger') are pooled; entries without a
+ * stored version count as 'unversioned'. Challengers are paired with the
+ * champion prediction made on the same request.
+ *
+ * @param {Array<Object>} docs - Stored champion and shadow predictions
+ * @returns {Object} { versions: [...], ensembles: [...], head_to_head: [...] }
+ */
+function buildVersionComparison(docs) {
+  const versions = {};
+  const ensembles = {};
+  const champions = new Map();
+  const pairs = {};
+
+  const setOf = (doc) => `${doc.asset_class}:${doc.horizon || 'default'}`;
+  const requestOf = (doc) => `${doc.request_id}|${doc.symbol || doc.pair}`;
+
+  for (const doc of docs) {
+    const role = doc.role || 'champion';
+    const resolved = CONFIG.CLASS_NAMES.includes(doc.outcome);
+    const docVersions = doc.model_versions || {};
+
+    // Ensemble per role and version set
+    const label = Object.entries(docVersions).map(([model, version]) => `${model}@${version}`).join(', ') || 'unversioned';
+    const ensembleKey = `${setOf(doc)}|${role}|${label}`;
+    if (!ensembles[ensembleKey]) {
+      ensembles[ensembleKey] = {
+        asset_class: doc.asset_class, horizon: doc.horizon || null, role, model_versions: docVersions,
+        predictions: 0, resolved: 0, correct: 0
+      };
+    }
+    const ensemble = ensembles[ensembleKey];
+    ensemble.predictions++;
+    if (resolved) {
+      ensemble.resolved++;
+      if (doc.class === doc.outcome) ensemble.correct++;
+    }
+
+    // Each model version
+    for (const mp of doc.model_predictions || []) {
+      const version = mp.version || docVersions[mp.model] || 'unversioned';
+      const versionKey = `${setOf(doc)}|${mp.model}@${version}`;
+      if (!versions[versionKey]) {
+        versions[versionKey] = {
+          asset_class: doc.asset_class, horizon: doc.horizon || null, model: mp.model, version,
+          roles: new Set(), runs: 0, failures: 0, resolved: 0, correct: 0, confidence_sum: 0
+        };
+      }
+
+      const stats = versions[versionKey];
+      stats.roles.add(role);
+      if (!mp.success) {
+        stats.failures++;
+        continue;
+      }
+
+      stats.runs++;
+      if (mp.probabilities && mp.class) {
+        stats.confidence_sum += mp.probabilities[mp.class.toLowerCase()] || 0;
+      }
+      if (resolved) {
+        stats.resolved++;
+        if (mp.class === doc.outcome) stats.correct++;
+      }
+    }
+
+    if (role === 'champion' && doc.request_id) {
+      champions.set(requestOf(doc), doc);
+    }
+  }
+
+  // Challenger vs the champion answer to the same request
+  for (const doc of docs) {
+    if (doc.role !== 'challenger' || !doc.request_id) continue;
+    const champion = champions.get(requestOf(doc));
+    if (!champion) continue;
+
+    const key = setOf(doc);
+    if (!pairs[key]) {
+      pairs[key] = {
+        asset_class: doc.asset_class, horizon: doc.horizon || null,
+        compared: 0, agree: 0, resolved: 0, champion_only: 0, challenger_only: 0, both_correct: 0
+      };
+    }
+
+    const pair = pairs[key];
+    pair.compared++;
+    if (doc.class === champion.class) pair.agree++;
+
+    const outcome = CONFIG.CLASS_NAMES.includes(doc.outcome) ? doc.outcome : champion.outcome;
+    if (CONFIG.CLASS_NAMES.includes(outcome)) {
+      pair.resolved++;
+      const championRight = champion.class === outcome;
+      const challengerRight = doc.class === outcome;
+      if (championRight && challengerRight) pair.both_correct++;
+      else if (championRight) pair.champion_only++;
+      else if (challengerRight) pair.challenger_only++;
+    }
+  }
+
+  const bySet = (x, y) => `${x.asset_class}:${x.horizon}`.localeCompare(`${y.asset_class}:${y.horizon}`);
+
+  return {
+    versions: Object.values(versions).map(s => ({
+      asset_class: s.asset_class,
+      horizon: s.horizon,
+      model: s.model,
+      version: s.version,
+      roles: [...s.roles].sort(),
+      runs: s.runs,
+      failures: s.failures,
+      resolved: s.resolved,
+      hit_rate: ratio(s.correct, s.resolved),
+      avg_confidence: ratio(s.confidence_sum, s.runs)
+    })).sort((x, y) => bySet(x, y) || x.model.localeCompare(y.model) || x.version.localeCompare(y.version)),
+    ensembles: Object.values(ensembles).map(e => ({
+      asset_class: e.asset_class,
+      horizon: e.horizon,
+      role: e.role,
+      model_versions: e.model_versions,
+      predictions: e.predictions,
+      resolved: e.resolved,
+      hit_rate: ratio(e.correct, e.resolved)
+    })).sort((x, y) => bySet(x, y) || (x.role === y.role ? 0 : x.role === 'champion' ? -1 : 1)),
+    head_to_head: Object.values(pairs).map(p => ({
+      asset_class: p.asset_class,
+      horizon: p.horizon,
+      compared: p.compared,
+      agreement: ratio(p.agree, p.compared),
+      resolved: p.resolved,
+      wins: { champion: p.champion_only, challenger: p.challenger_only },
+      both_correct: p.both_correct
+    })).sort(bySet)
+  };
+}
+
+module.exports = {
+  CONFIG,
+  versionMap,
+  formatModelPredictions,
+  buildModelComparison,
+  buildVersionComparison
+};
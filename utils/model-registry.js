@@ -0,0 +1,275 @@
+/**
+ * Model Registry - Which models a model set serves, from its manifest
+ *
+ * Every model directory (see utils/horizons) holds a manifest.json:
+ *
+ *   {
+ *     "asset_class": "crypto",
+ *     "models": [{
+ *       "name": "hierarchical_lstm",
+ *       "file": "hierarchical_lstm.keras",
+ *       "version": "11.2",
+ *       "trained_at": "2025-11-17T03:36:42Z",
+ *       "sha256": "ddef63...",
+ *       "input_shape": [1, 56],
+ *       "classes": ["DOWN", "NEUTRAL", "UP"]
+ *     }]
+ *   }
+ *
+ * `input_shape` excludes the batch dimension: [features] for a flat
+ * vector, [timesteps, features] for a window of engineered rows, with an
+ * optional `padding` (none | edge | zero) for short history (see
+ * utils/sequence-window). `classes` are in output order. An entry may
+ * also list `features`, the training pipeline's input columns in order
+ * (as many as the last input_shape dimension); declare them only from the
+ * training code. Without them utils/model-contract checks the width
+ * alone. Loaders, scripts/verify-models.js
+ * and /api/check-models read the manifest, so adding or retiring a model
+ * is a manifest edit. After retraining, refresh checksums with
+ * `npm run verify-models -- --update`.
+ *
+ * A model may be listed once per version (each with its own file), so a
+ * retrained model ships next to the one it may replace. The first listed
+ * version of each model is the default champion; utils/model-rollout
+ * decides which versions serve and which run in shadow.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG: WINDOW_CONFIG } = require('./sequence-window');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  FILE_NAME: 'manifest.json',
+  REQUIRED_FIELDS: ['name', 'file', 'version', 'trained_at', 'sha256', 'input_shape', 'classes']
+};
+
+// Parsed manifests, keyed by absolute path
+const MANIFESTS = {};
+
+/**
+ * Create an error for a missing or malformed manifest
+ *
+ * @param {String} message - Error message
+ * @returns {Error} Error with code INVALID_MANIFEST
+ */
+function manifestError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_MANIFEST';
+  return error;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * @param {String} modelsDir - Model directory, relative to the project root
+ * @returns {String} Absolute path of its manifest
+ */
+function manifestPath(modelsDir) {
+  return path.join(process.cwd(), modelsDir, CONFIG.FILE_NAME);
+}
+
+/**
+ * Check a parsed manifest has every field loaders rely on
+ *
+ * @param {Object} manifest - Parsed manifest.json
+ * @param {String} source - Manifest path (for error messages)
+ * @throws {Error} INVALID_MANIFEST naming the first problem found
+ */
+function validateManifest(manifest, source) {
+  if (!manifest || !Array.isArray(manifest.models) || manifest.models.length === 0) {
+    throw manifestError(`${source}: "models" must be a non-empty array`);
+  }
+
+  const versions = new Set();
+  manifest.models.forEach((entry, i) => {
+    const missing = CONFIG.REQUIRED_FIELDS.filter(field => entry[field] === undefined);
+    if (missing.length > 0) {
+      throw manifestError(`${source}: models[${i}] is missing ${missing.join(', ')}`);
+    }
+    if (versions.has(`${entry.name}@${entry.version}`)) {
+      throw manifestError(`${source}: duplicate model "${entry.name}" version ${entry.version}`);
+    }
+    if (!Array.isArray(entry.input_shape) || !entry.input_shape.every(n => Number.isInteger(n) && n > 0)) {
+      throw manifestError(`${source}: ${entry.name} input_shape must list positive integers`);
+    }
+    if (entry.padding !== undefined && !WINDOW_CONFIG.PADDING.includes(entry.padding)) {
+      throw manifestError(`${source}: ${entry.name} padding must be one of ${WINDOW_CONFIG.PADDING.join(', ')}`);
+    }
+    if (!Array.isArray(entry.classes) || entry.classes.length < 2) {
+      throw manifestError(`${source}: ${entry.name} needs at least 2 classes`);
+    }
+    if (entry.features !== undefined && !Array.isArray(entry.features)) {
+      throw manifestError(`${source}: ${entry.name} features must be an array`);
+    }
+    if (entry.features && entry.features.length !== entry.input_shape[entry.input_shape.length - 1]) {
+      throw manifestError(
+        `${source}: ${entry.name} lists ${entry.features.length} features for input_shape ` +
+        `[${entry.input_shape.join(', ')}] (expected ${entry.input_shape[entry.input_shape.length - 1]})`
+      );
+    }
+    versions.add(`${entry.name}@${entry.version}`);
+  });
+}
+
+/**
+ * Read a model directory's manifest (parsed once per instance)
+ *
+ * @param {String} modelsDir - Model directory, relative to the project root
+ * @returns {Object} { asset_class, models: [...] }
+ * @throws {Error} INVALID_MANIFEST when missing, unparsable or incomplete
+ */
+function loadManifest(modelsDir) {
+  const source = manifestPath(modelsDir);
+  if (MANIFESTS[source]) {
+    return MANIFESTS[source];
+  }
+
+  if (!fs.existsSync(source)) {
+    throw manifestError(`Missing model manifest: ${path.join(modelsDir, CONFIG.FILE_NAME)}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (error) {
+    throw manifestError(`${source}: ${error.message}`);
+  }
+
+  validateManifest(manifest, source);
+  MANIFESTS[source] = manifest;
+  return manifest;
+}
+
+/**
+ * Forget parsed manifests (after one was rewritten)
+ */
+function clearManifestCache() {
+  Object.keys(MANIFESTS).forEach(key => delete MANIFESTS[key]);
+}
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * @param {String} modelsDir - Model directory
+ * @returns {Array<String>} Model names (each once), in manifest order
+ */
+function modelNames(modelsDir) {
+  return [...new Set(loadManifest(modelsDir).models.map(entry => entry.name))];
+}
+
+/**
+ * @param {String} modelsDir - Model directory
+ * @param {String} name - Model name
+ * @returns {Array<String>} Listed versions, default champion first
+ */
+function modelVersions(modelsDir, name) {
+  return loadManifest(modelsDir).models.filter(m => m.name === name).map(m => m.version);
+}
+
+/**
+ * Default champion version of every model
+ *
+ * @param {String} modelsDir - Model directory
+ * @returns {Object} { [name]: version }
+ */
+function defaultVersions(modelsDir) {
+  return Object.fromEntries(modelNames(modelsDir).map(name => [name, modelVersions(modelsDir, name)[0]]));
+}
+
+/**
+ * @param {String} modelsDir - Model directory
+ * @param {String} name - Model name
+ * @param {String} version - Listed version (default: the default champion)
+ * @returns {Object} Manifest entry
+ * @throws {Error} INVALID_MANIFEST when the manifest does not list it
+ */
+function findModel(modelsDir, name, version = null) {
+  const entry = loadManifest(modelsDir).models.find(m =>
+    m.name === name && (version === null || m.version === version)
+  );
+  if (!entry) {
+    const label = version === null ? name : `${name} version ${version}`;
+    throw manifestError(`Model ${label} is not listed in ${path.join(modelsDir, CONFIG.FILE_NAME)}`);
+  }
+  return entry;
+}
+
+/**
+ * Manifest entries without their feature lists, for status responses
+ *
+ * @param {String} modelsDir - Model directory
+ * @returns {Array<Object>} [{ name, file, version, trained_at, input_shape, classes }]
+ */
+function describeModels(modelsDir) {
+  return loadManifest(modelsDir).models.map(({ name, file, version, trained_at, input_shape, classes }) => ({
+    name, file, version, trained_at, input_shape, classes
+  }));
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * @param {String} filePath - Absolute file path
+ * @returns {String} Hex SHA-256 of the file
+ */
+function sha256File(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Compare a model directory against its manifest
+ *
+ * @param {String} modelsDir - Model directory
+ * @param {Object} options - { checksums: compare SHA-256 (default true) }
+ * @returns {Object} { modelsDir, expected, present: [{ name, version, file, bytes }], missing: [file], mismatched: [file], unlisted: [file] }
+ */
+function verifyModelSet(modelsDir, options = {}) {
+  const { checksums = true } = options;
+  const manifest = loadManifest(modelsDir);
+  const dir = path.join(process.cwd(), modelsDir);
+  const result = { modelsDir, expected: manifest.models.length, present: [], missing: [], mismatched: [], unlisted: [] };
+
+  for (const entry of manifest.models) {
+    const filePath = path.join(dir, entry.file);
+    if (!fs.existsSync(filePath)) {
+      result.missing.push(entry.file);
+      continue;
+    }
+
+    result.present.push({ name: entry.name, version: entry.version, file: entry.file, bytes: fs.statSync(filePath).size });
+    if (checksums && sha256File(filePath) !== entry.sha256) {
+      result.mismatched.push(entry.file);
+    }
+  }
+
+  const listed = new Set(manifest.models.map(entry => entry.file));
+  result.unlisted = fs.readdirSync(dir).filter(file => file.endsWith('.keras') && !listed.has(file));
+
+  return result;
+}
+
+module.exports = {
+  CONFIG,
+  manifestPath,
+  validateManifest,
+  loadManifest,
+  clearManifestCache,
+  modelNames,
+  modelVersions,
+  defaultVersions,
+  findModel,
+  describeModels,
+  sha256File,
+  verifyModelSet
+};
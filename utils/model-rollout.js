@@ -0,0 +1,372 @@
+/**
+ * Model Rollout - Which model versions serve, and which run in shadow
+ *
+ * Each model set (`${assetClass}:${horizon}`, see utils/horizons) has:
+ *
+ *   champion   - { [modelName]: version } answering live requests
+ *   challenger - the champion with some versions swapped, run in shadow on
+ *                the same live requests; its predictions are stored in
+ *                `shadow_predictions` and never returned (utils/shadow-mode)
+ *   previous   - the champion before the last promote, for rollback
+ *
+ * Versions must be listed in the set's manifest (utils/model-registry).
+ * Without a stored state the champion is every model's first listed
+ * version and there is no challenger, so a retrained model is deployed
+ * next to the current one and switched over through POST
+ * /api/model-rollout (challenge, promote, rollback) without a redeploy.
+ *
+ * STORAGE:
+ * - MongoDB collection `model_rollouts` when MONGODB_URI is set
+ * - Memory otherwise, or for the rest of the instance if MongoDB fails
+ *
+ * Selections are synchronous against the last loaded snapshot; the model
+ * cache calls `await modelRollout.load()` before picking a set, so a
+ * promote made on another instance is served within REFRESH_MS.
+ */
+
+const { connectToDatabase } = require('./mongodb-connection');
+const { resolveHorizon } = require('./horizons');
+const { modelNames, modelVersions, defaultVersions } = require('./model-registry');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  COLLECTION: 'model_rollouts',
+
+  ROLES: ['champion', 'challenger'],
+
+  // Snapshot age before load() reads the store again
+  REFRESH_MS: parseInt(process.env.MODEL_ROLLOUT_REFRESH_MS || '60000', 10),
+
+  // Rollout actions kept per model set
+  HISTORY_LIMIT: 20
+};
+
+/**
+ * Create an error for a rejected rollout change
+ * Callers check error.code to answer 400 instead of 500
+ *
+ * @param {String} message - Error message
+ * @returns {Error} Error with code INVALID_ROLLOUT
+ */
+function rolloutError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ROLLOUT';
+  return error;
+}
+
+/**
+ * @returns {String} Model set key, e.g. 'crypto:4h'
+ */
+function setKey(assetClass, horizon) {
+  return `${assetClass}:${horizon}`;
+}
+
+/**
+ * @param {Object} versions - { [modelName]: version }
+ * @returns {String} e.g. 'hierarchical_lstm@12.0, hybrid_transformer@1.0'
+ */
+function formatVersions(versions) {
+  return Object.entries(versions).map(([name, version]) => `${name}@${version}`).join(', ');
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+class MemoryRolloutStore {
+  constructor() {
+    this.name = 'memory';
+    this.states = new Map();
+  }
+
+  async list() {
+    return [...this.states.values()].map(state => JSON.parse(JSON.stringify(state)));
+  }
+
+  async save(state) {
+    this.states.set(state.key, JSON.parse(JSON.stringify(state)));
+  }
+}
+
+class MongoRolloutStore {
+  /**
+   * @param {Object} options - { db } to reuse an open connection
+   */
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.db = options.db || null;
+    this.ready = false;
+  }
+
+  async _collection() {
+    if (!this.db) {
+      this.db = await connectToDatabase();
+    }
+
+    const collection = this.db.collection(CONFIG.COLLECTION);
+
+    if (!this.ready) {
+      await collection.createIndex({ key: 1 }, { unique: true });
+      this.ready = true;
+    }
+
+    return collection;
+  }
+
+  async list() {
+    const collection = await this._collection();
+    return collection.find({}, { projection: { _id: 0 } }).toArray();
+  }
+
+  async save(state) {
+    const collection = await this._collection();
+    await collection.replaceOne({ key: state.key }, state, { upsert: true });
+  }
+}
+
+// ============================================================================
+// ROLLOUT
+// ============================================================================
+
+class ModelRollout {
+  /**
+   * @param {Object} options - { store } (default: MongoDB when configured)
+   */
+  constructor(options = {}) {
+    this.store = options.store ||
+      (process.env.MONGODB_URI ? new MongoRolloutStore() : new MemoryRolloutStore());
+    this.states = new Map();
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Call the store, dropping to memory for this instance if it fails so a
+   * database outage keeps serving the last known champion
+   */
+  async _call(method, ...args) {
+    try {
+      return await this.store[method](...args);
+    } catch (error) {
+      if (this.store.name === 'memory') {
+        throw error;
+      }
+      console.warn(`[ModelRollout] ${this.store.name} store failed (${error.message}), using memory`);
+      this.store = new MemoryRolloutStore();
+      await Promise.all([...this.states.values()].map(state => this.store.save(state)));
+      return this.store[method](...args);
+    }
+  }
+
+  /**
+   * Refresh the snapshot from the store when it is older than REFRESH_MS
+   * Concurrent callers share one read.
+   *
+   * @param {Object} options - { force } to read the store regardless of age
+   * @returns {Promise<ModelRollout>} this
+   */
+  async load({ force = false } = {}) {
+    if (!force && this.loadedAt > 0 && Date.now() - this.loadedAt < CONFIG.REFRESH_MS) {
+      return this;
+    }
+
+    if (!this.loading) {
+      this.loading = this._call('list')
+        .then(states => {
+          this.states = new Map(states.map(state => [state.key, state]));
+          this.loadedAt = Date.now();
+          return this;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Keep only versions this deployment's manifest lists; a champion falls
+   * back to the default version of any model it lost
+   */
+  _available(modelsDir, versions, fillDefaults) {
+    const listed = Object.fromEntries(Object.entries(versions || {}).filter(([name, version]) => {
+      const ok = modelVersions(modelsDir, name).includes(version);
+      if (!ok) {
+        console.warn(`[ModelRollout] ${name}@${version} is not in ${modelsDir}/manifest.json, skipped`);
+      }
+      return ok;
+    }));
+
+    return fillDefaults ? { ...defaultVersions(modelsDir), ...listed } : listed;
+  }
+
+  /**
+   * Versions a role runs for a model set
+   *
+   * @param {String} assetClass - 'crypto' or 'forex'
+   * @param {String} horizon - Trained horizon (default: the asset class's default)
+   * @param {String} role - 'champion' (default) or 'challenger'
+   * @returns {Object|null} { [modelName]: version }, null when there is no challenger
+   */
+  selection(assetClass, horizon, role = 'champion') {
+    const set = resolveHorizon(assetClass, horizon);
+    const state = this.states.get(setKey(assetClass, set.horizon));
+
+    if (role === 'challenger') {
+      if (!state || !state.challenger) {
+        return null;
+      }
+      const challenger = this._available(set.modelsDir, state.challenger, false);
+      return Object.keys(challenger).length > 0 ? challenger : null;
+    }
+
+    return this._available(set.modelsDir, state && state.champion, true);
+  }
+
+  /**
+   * Rollout state of a model set, for /api/model-rollout
+   *
+   * @returns {Object} { asset_class, horizon, champion, challenger, previous, available, history, updated_at }
+   */
+  describe(assetClass, horizon) {
+    const set = resolveHorizon(assetClass, horizon);
+    const state = this.states.get(setKey(assetClass, set.horizon)) || {};
+
+    return {
+      asset_class: assetClass,
+      horizon: set.horizon,
+      champion: this.selection(assetClass, set.horizon, 'champion'),
+      challenger: this.selection(assetClass, set.horizon, 'challenger'),
+      previous: state.previous || null,
+      available: Object.fromEntries(modelNames(set.modelsDir).map(name => [name, modelVersions(set.modelsDir, name)])),
+      history: state.history || [],
+      updated_at: state.updated_at || null
+    };
+  }
+
+  /**
+   * Apply a change to a model set's state and store it
+   */
+  async _update(assetClass, horizon, action, change) {
+    const set = resolveHorizon(assetClass, horizon);
+    await this.load({ force: true });
+
+    const key = setKey(assetClass, set.horizon);
+    const current = this.states.get(key) || {
+      key,
+      asset_class: assetClass,
+      horizon: set.horizon,
+      champion: null,
+      challenger: null,
+      previous: null,
+      history: []
+    };
+
+    const next = { ...current, ...change(current, set), updated_at: new Date().toISOString() };
+    next.history = [
+      ...(current.history || []),
+      { action, champion: next.champion, challenger: next.challenger, at: next.updated_at }
+    ].slice(-CONFIG.HISTORY_LIMIT);
+
+    await this._call('save', next);
+    this.states.set(key, next);
+
+    console.log(`[ModelRollout] ${action} ${key}: champion ${formatVersions(this.selection(assetClass, set.horizon))}`);
+    return this.describe(assetClass, set.horizon);
+  }
+
+  /**
+   * Start shadowing a challenger: the champion with the given versions swapped in
+   *
+   * @param {String} assetClass - 'crypto' or 'forex'
+   * @param {String} horizon - Trained horizon (null for the default)
+   * @param {Object} versions - { [modelName]: version }, each listed in the manifest
+   * @returns {Promise<Object>} describe() of the model set
+   * @throws {Error} INVALID_ROLLOUT for unknown versions or a challenger equal to the champion
+   */
+  async setChallenger(assetClass, horizon, versions) {
+    if (!versions || typeof versions !== 'object' || Array.isArray(versions) || Object.keys(versions).length === 0) {
+      throw rolloutError('models must map model names to versions, e.g. { "hierarchical_lstm": "12.0" }');
+    }
+
+    const { modelsDir } = resolveHorizon(assetClass, horizon);
+    for (const [name, version] of Object.entries(versions)) {
+      const listed = modelVersions(modelsDir, name);
+      if (!listed.includes(version)) {
+        throw rolloutError(`${name}@${version} is not in ${modelsDir}/manifest.json (listed: ${listed.join(', ') || 'none'})`);
+      }
+    }
+
+    const champion = this.selection(assetClass, horizon);
+    const challenger = { ...champion, ...versions };
+    if (formatVersions(challenger) === formatVersions(champion)) {
+      throw rolloutError(`Challenger ${formatVersions(versions)} is already the champion`);
+    }
+
+    return this._update(assetClass, horizon, 'challenge', () => ({ challenger }));
+  }
+
+  /**
+   * Stop shadowing the challenger
+   */
+  async clearChallenger(assetClass, horizon) {
+    return this._update(assetClass, horizon, 'clear_challenger', () => ({ challenger: null }));
+  }
+
+  /**
+   * Make the challenger the champion; the old champion becomes `previous`
+   *
+   * @throws {Error} INVALID_ROLLOUT when no challenger is set
+   */
+  async promote(assetClass, horizon) {
+    await this.load({ force: true });
+    const challenger = this.selection(assetClass, horizon, 'challenger');
+    if (!challenger) {
+      throw rolloutError(`No challenger to promote for ${assetClass} ${resolveHorizon(assetClass, horizon).horizon}`);
+    }
+
+    const champion = this.selection(assetClass, horizon);
+    return this._update(assetClass, horizon, 'promote', () => ({
+      champion: challenger,
+      challenger: null,
+      previous: champion
+    }));
+  }
+
+  /**
+   * Swap the champion with the previous one (a second rollback undoes the first)
+   *
+   * @throws {Error} INVALID_ROLLOUT when there is nothing to roll back to
+   */
+  async rollback(assetClass, horizon) {
+    await this.load({ force: true });
+    const { horizon: resolved } = resolveHorizon(assetClass, horizon);
+    const state = this.states.get(setKey(assetClass, resolved));
+    if (!state || !state.previous) {
+      throw rolloutError(`No previous champion to roll back to for ${assetClass} ${resolved}`);
+    }
+
+    const champion = this.selection(assetClass, resolved);
+    return this._update(assetClass, resolved, 'rollback', (current) => ({
+      champion: current.previous,
+      previous: champion
+    }));
+  }
+}
+
+// Shared by the model caches and the rollout endpoint in this instance
+const modelRollout = new ModelRollout();
+
+module.exports = {
+  CONFIG,
+  modelRollout,
+  rolloutError,
+  formatVersions,
+  ModelRollout,
+  MemoryRolloutStore,
+  MongoRolloutStore
+};
@@ -0,0 +1,424 @@
+/**
+ * Outcome Resolver - Check stored predictions against realized prices
+ *
+ * FLOW:
+ * 1. Find stored predictions whose own horizon has elapsed but carry no outcome
+ * 2. Group them by symbol/pair so each instrument is fetched once
+ * 3. Pull realized 1h candles (Binance for crypto, Twelve Data/EODHD for forex)
+ * 4. Label the realized move DOWN/NEUTRAL/UP with the per-asset thresholds
+ * 5. Write outcome, realized_return and resolved_at back onto the document
+ *
+ * Challenger predictions in `shadow_predictions` (utils/shadow-mode) are
+ * resolved in the same pass, sharing each instrument's fetch, so champion
+ * and challenger versions are scored on the same realized prices.
+ *
+ * Synthetic CoinGecko candles are never used for resolution - a prediction
+ * stays pending until real candles are available.
+ *
+ * A due prediction that a run cannot resolve (unknown or disabled symbol,
+ * provider failure, candles not covering the horizon) counts a
+ * `resolution_attempts`; after CONFIG.MAX_ATTEMPTS it is marked
+ * `resolution_abandoned_at` and never picked again, so it cannot keep
+ * newer predictions out of the oldest-first batch.
+ */
+
+const cryptoFetcher = require('../api/crypto-data-fetcher');
+const forexFetcher = require('../api/forex-data-fetcher');
+const {
+  horizonsFor,
+  horizonHours,
+  documentHorizon,
+  horizonCondition
+} = require('./horizons');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  COLLECTIONS: {
+    predictions: 'predictions',
+    shadow: 'shadow_predictions'
+  },
+
+  // Shortest horizon each asset class has models for; a stored prediction's
+  // own `horizon` decides when it resolves (see utils/horizons)
+  HORIZON_HOURS: {
+    crypto: Math.min(...horizonsFor('crypto').map(horizonHours)),
+    forex: Math.min(...horizonsFor('forex').map(horizonHours))
+  },
+
+  // Absolute return needed to count as a directional move
+  THRESHOLDS: {
+    crypto: 0.005,  // 0.5%
+    forex: 0.001    // 0.1% (~10 pips on EURUSD)
+  },
+
+  // Fetchers return ~168 hourly candles, so older predictions cannot be resolved
+  MAX_LOOKBACK_HOURS: 160,
+
+  // Keep a single run inside the serverless time budget
+  DEFAULT_LIMIT: 200,
+  MAX_LIMIT: 1000,
+
+  // Runs a due prediction may fail to resolve before it is abandoned
+  MAX_ATTEMPTS: 5,
+
+  CLASS_NAMES: ['DOWN', 'NEUTRAL', 'UP']
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// ============================================================================
+// LABELING
+// ============================================================================
+
+/**
+ * Label a realized return with the DOWN/NEUTRAL/UP thresholds
+ *
+ * @param {Number} realizedReturn - Fractional return over the horizon
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @returns {String} 'DOWN', 'NEUTRAL' or 'UP'
+ */
+function labelReturn(realizedReturn, assetClass) {
+  const threshold = CONFIG.THRESHOLDS[assetClass];
+
+  if (threshold === undefined) {
+    throw new Error(`Invalid asset_class for labeling: ${assetClass}`);
+  }
+
+  if (realizedReturn > threshold) return 'UP';
+  if (realizedReturn < -threshold) return 'DOWN';
+  return 'NEUTRAL';
+}
+
+/**
+ * Get the horizon (ms) a stored prediction refers to
+ *
+ * @param {Object} doc - Prediction document (4h when stored without a horizon)
+ * @returns {Number} Horizon in milliseconds
+ */
+function getHorizonMs(doc) {
+  return horizonHours(documentHorizon(doc)) * HOUR_MS;
+}
+
+// ============================================================================
+// PRICE LOOKUP
+// ============================================================================
+
+/**
+ * Find the last closed hourly price known at a given time
+ * Candle timestamps are open times, so a candle is closed at timestamp + 1h
+ *
+ * @param {Object} series - { timestamps: [...], closes: [...] } in chronological order
+ * @param {Number} targetMs - Point in time (ms)
+ * @returns {Object|null} { price, timestamp } or null if not covered by the series
+ */
+function priceAt(series, targetMs) {
+  const { timestamps, closes } = series;
+
+  if (!timestamps || timestamps.length === 0) {
+    return null;
+  }
+
+  const lastCloseTime = timestamps[timestamps.length - 1] + HOUR_MS;
+
+  // Target lies beyond the data we have - not resolvable yet
+  if (targetMs > lastCloseTime + HOUR_MS) {
+    return null;
+  }
+
+  for (let i = timestamps.length - 1; i >= 0; i--) {
+    if (timestamps[i] + HOUR_MS <= targetMs) {
+      const price = closes[i];
+      if (price === null || price === undefined || !isFinite(price)) {
+        return null;
+      }
+      return { price, timestamp: timestamps[i] };
+    }
+  }
+
+  // Target precedes the first candle
+  return null;
+}
+
+// ============================================================================
+// REALIZED DATA
+// ============================================================================
+
+/**
+ * Fetch realized hourly closes for an instrument
+ *
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {String} symbol - Crypto symbol or forex pair
+ * @returns {Promise<Object>} { timestamps, closes, source }
+ */
+async function fetchRealizedSeries(assetClass, symbol) {
+  let data;
+  let source;
+
+  if (assetClass === 'crypto') {
+    // Binance only: CoinGecko hourly candles are synthetic
+    const result = await cryptoFetcher.fetchCryptoDataBinance(symbol);
+    if (!result.success) {
+      throw new Error(result.error || `Binance data unavailable for ${symbol}`);
+    }
+    data = result.data;
+    source = result.source;
+  } else {
+    data = await forexFetcher.fetchForexData(symbol);
+    source = 'forex-data-fetcher';
+  }
+
+  if (!data['1h_timestamp'] || !data['1h_close']) {
+    throw new Error(`No hourly candles returned for ${symbol}`);
+  }
+
+  return {
+    timestamps: data['1h_timestamp'],
+    closes: data['1h_close'],
+    source
+  };
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Resolve a single prediction against a realized price series
+ *
+ * @param {Object} doc - Prediction document (needs timestamp, asset_class)
+ * @param {Object} series - Realized hourly series
+ * @param {Date} now - Resolution time
+ * @returns {Object|null} Fields to $set, or null if not resolvable yet
+ */
+function resolvePrediction(doc, series, now = new Date()) {
+  const predictedAt = new Date(doc.timestamp).getTime();
+  const horizonMs = getHorizonMs(doc);
+
+  const entry = priceAt(series, predictedAt);
+  const exit = priceAt(series, predictedAt + horizonMs);
+
+  if (!entry || !exit || entry.price === 0) {
+    return null;
+  }
+
+  // Exit candle must close after the prediction was made
+  if (exit.timestamp <= entry.timestamp) {
+    return null;
+  }
+
+  const realizedReturn = (exit.price - entry.price) / entry.price;
+
+  return {
+    outcome: labelReturn(realizedReturn, doc.asset_class),
+    realized_return: realizedReturn,
+    resolved_at: now,
+    entry_price: entry.price,
+    exit_price: exit.price,
+    horizon_hours: horizonMs / HOUR_MS
+  };
+}
+
+/**
+ * Build the query for predictions that are due for resolution
+ * Each horizon only matches predictions at least that old
+ * (timestamp + horizon <= now); abandoned predictions never match.
+ *
+ * @param {Object} options - { assetClass, now }
+ * @returns {Object} MongoDB query
+ */
+function buildPendingQuery({ assetClass, now = new Date() } = {}) {
+  const assetClasses = assetClass ? [assetClass] : Object.keys(CONFIG.HORIZON_HOURS);
+  const minHorizonHours = Math.min(...assetClasses.map(name => CONFIG.HORIZON_HOURS[name]));
+  const horizons = [...new Set(assetClasses.flatMap(horizonsFor))];
+
+  const query = {
+    outcome: { $exists: false },
+    resolution_abandoned_at: { $exists: false },
+    timestamp: {
+      $lte: new Date(now.getTime() - minHorizonHours * HOUR_MS),
+      $gte: new Date(now.getTime() - CONFIG.MAX_LOOKBACK_HOURS * HOUR_MS)
+    },
+    $or: horizons.map(horizon => ({
+      horizon: horizonCondition(horizon),
+      timestamp: { $lte: new Date(now.getTime() - horizonHours(horizon) * HOUR_MS) }
+    }))
+  };
+
+  if (assetClass) {
+    query.asset_class = assetClass;
+  }
+
+  return query;
+}
+
+/**
+ * Update recording a run that could not resolve a due prediction
+ *
+ * @param {Object} doc - Prediction document
+ * @param {String} reason - Why it could not be resolved
+ * @param {Date} now - Resolution time
+ * @returns {Object} MongoDB update; sets resolution_abandoned_at on the last attempt
+ */
+function failedAttemptUpdate(doc, reason, now) {
+  const attempts = (doc.resolution_attempts || 0) + 1;
+  return {
+    $inc: { resolution_attempts: 1 },
+    $set: {
+      last_resolution_error: reason,
+      last_resolution_attempt_at: now,
+      ...(attempts >= CONFIG.MAX_ATTEMPTS && { resolution_abandoned_at: now })
+    }
+  };
+}
+
+/**
+ * Resolve all pending predictions, champion and shadow
+ *
+ * @param {Object} db - MongoDB database handle
+ * @param {Object} options - { assetClass, limit (per collection), dryRun, now }
+ * @returns {Promise<Object>} Run summary; challenger counts are under `shadow`
+ */
+async function resolveOutcomes(db, options = {}) {
+  const {
+    assetClass = null,
+    limit = CONFIG.DEFAULT_LIMIT,
+    dryRun = false,
+    now = new Date()
+  } = options;
+
+  if (assetClass && !CONFIG.HORIZON_HOURS[assetClass]) {
+    throw new Error('Invalid asset_class. Must be "crypto" or "forex"');
+  }
+
+  const query = buildPendingQuery({ assetClass, now });
+  const findPending = (name) => db.collection(CONFIG.COLLECTIONS[name])
+    .find(query)
+    .sort({ timestamp: 1 })
+    .limit(Math.min(limit, CONFIG.MAX_LIMIT))
+    .toArray()
+    .then(docs => docs.map(doc => ({ doc, source: name })));
+
+  const pending = [...await findPending('predictions'), ...await findPending('shadow')];
+  const champions = pending.filter(p => p.source === 'predictions').length;
+
+  console.log(`[Resolver] ${champions} predictions (+${pending.length - champions} shadow) due for resolution`);
+
+  // Group by instrument so each one is fetched once
+  const groups = {};
+  for (const item of pending) {
+    const symbol = item.doc.symbol || item.doc.pair;
+    const key = `${item.doc.asset_class}:${symbol}`;
+    if (!groups[key]) {
+      groups[key] = { assetClass: item.doc.asset_class, symbol, items: [] };
+    }
+    groups[key].items.push(item);
+  }
+
+  const summary = {
+    scanned: champions,
+    resolved: 0,
+    not_ready: 0,
+    abandoned: 0,
+    failed_symbols: {},
+    outcomes: { DOWN: 0, NEUTRAL: 0, UP: 0 },
+    correct: 0,
+    shadow: { scanned: pending.length - champions, resolved: 0, correct: 0 },
+    dry_run: dryRun
+  };
+
+  const updates = { predictions: [], shadow: [] };
+
+  const recordFailure = (doc, source, reason) => {
+    const update = failedAttemptUpdate(doc, reason, now);
+    if (update.$set.resolution_abandoned_at && source === 'predictions') {
+      summary.abandoned++;
+    }
+    updates[source].push({
+      updateOne: {
+        filter: { _id: doc._id, outcome: { $exists: false } },
+        update
+      }
+    });
+  };
+
+  // Sequential to stay within provider rate limits
+  for (const group of Object.values(groups)) {
+    let series;
+    try {
+      series = await fetchRealizedSeries(group.assetClass, group.symbol);
+    } catch (error) {
+      console.warn(`[Resolver] ✗ ${group.symbol}: ${error.message}`);
+      summary.failed_symbols[group.symbol] = error.message;
+      for (const { doc, source } of group.items) {
+        recordFailure(doc, source, error.message);
+      }
+      continue;
+    }
+
+    for (const { doc, source } of group.items) {
+      const fields = resolvePrediction(doc, series, now);
+
+      if (!fields) {
+        recordFailure(doc, source, 'Realized candles do not cover the horizon');
+      }
+
+      if (source === 'shadow') {
+        if (fields) {
+          summary.shadow.resolved++;
+          if (fields.outcome === doc.class) summary.shadow.correct++;
+        }
+      } else if (!fields) {
+        summary.not_ready++;
+      } else {
+        summary.resolved++;
+        summary.outcomes[fields.outcome]++;
+        if (fields.outcome === doc.class) {
+          summary.correct++;
+        }
+      }
+
+      if (fields) {
+        updates[source].push({
+          updateOne: {
+            filter: { _id: doc._id, outcome: { $exists: false } },
+            update: { $set: fields }
+          }
+        });
+      }
+    }
+
+    console.log(`[Resolver] ✓ ${group.symbol}: ${group.items.length} checked`);
+  }
+
+  if (!dryRun) {
+    for (const [source, ops] of Object.entries(updates)) {
+      if (ops.length === 0) continue;
+      const result = await db.collection(CONFIG.COLLECTIONS[source]).bulkWrite(ops, { ordered: false });
+      console.log(`[Resolver] ✓ Updated ${result.modifiedCount} ${CONFIG.COLLECTIONS[source]} documents`);
+    }
+  }
+
+  summary.hit_rate = summary.resolved > 0
+    ? parseFloat((summary.correct / summary.resolved).toFixed(4))
+    : null;
+  summary.shadow.hit_rate = summary.shadow.resolved > 0
+    ? parseFloat((summary.shadow.correct / summary.shadow.resolved).toFixed(4))
+    : null;
+
+  return summary;
+}
+
+module.exports = {
+  CONFIG,
+  labelReturn,
+  getHorizonMs,
+  priceAt,
+  fetchRealizedSeries,
+  resolvePrediction,
+  buildPendingQuery,
+  failedAttemptUpdate,
+  resolveOutcomes
+};
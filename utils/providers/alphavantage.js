@@ -0,0 +1,132 @@
+/**
+ * Alpha Vantage Provider - FX_INTRADAY / FX_DAILY (last forex fallback)
+ *
+ * Needs ALPHA_VANTAGE_KEY. The free tier allows 25 calls/day and 5/min
+ * (QUOTA_ALPHAVANTAGE_DAILY / _PER_MINUTE for paid keys). One call per
+ * timeframe (two for 60min and daily by default); the registry aggregates
+ * 4h from the hourly candles and 1w from the daily ones. FX series are UTC
+ * and carry no volume.
+ */
+
+const axios = require('axios');
+const { quotaLedger, quotaExhaustedError } = require('../quota-ledger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  API: 'https://www.alphavantage.co/query',
+
+  LIMITS: {
+    '15m': 192,
+    '30m': 168,
+    '1h': 168,
+    '1d': 365
+  },
+
+  // FX_INTRADAY interval per registry timeframe (1d is FX_DAILY)
+  INTERVALS: {
+    '15m': '15min',
+    '30m': '30min',
+    '1h': '60min'
+  },
+
+  REQUEST_TIMEOUT_MS: 12000
+};
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+/**
+ * Convert an Alpha Vantage time series object to chronological candles
+ * Keys are "YYYY-MM-DD HH:MM:SS" (intraday) or "YYYY-MM-DD" (daily), UTC.
+ *
+ * @param {Object} series - e.g. response['Time Series FX (60min)']
+ * @param {Number} limit - Keep the most recent candles
+ * @returns {Array} Candles
+ */
+function parseSeries(series, limit) {
+  return Object.entries(series)
+    .map(([datetime, c]) => ({
+      timestamp: new Date(`${datetime.replace(' ', 'T')}${datetime.includes(' ') ? '' : 'T00:00:00'}Z`).getTime(),
+      open: parseFloat(c['1. open']),
+      high: parseFloat(c['2. high']),
+      low: parseFloat(c['3. low']),
+      close: parseFloat(c['4. close']),
+      volume: 0
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-limit);
+}
+
+/**
+ * Call one FX function and return its time series
+ * Rate-limit replies come back as 200s with a Note/Information field.
+ *
+ * @param {Object} params - Query params (function, from_symbol, ...)
+ * @param {String} seriesKey - Response key holding the series
+ * @returns {Promise<Object>} Time series object
+ */
+async function fetchSeries(params, seriesKey) {
+  await quotaLedger.reserve('alphavantage');
+
+  const response = await axios.get(CONFIG.API, {
+    params: { ...params, apikey: process.env.ALPHA_VANTAGE_KEY },
+    timeout: CONFIG.REQUEST_TIMEOUT_MS
+  });
+
+  const body = response.data || {};
+
+  if (body.Note || body.Information) {
+    throw quotaExhaustedError(body.Note || body.Information, { provider: 'alphavantage' });
+  }
+
+  if (body['Error Message']) {
+    throw new Error(body['Error Message']);
+  }
+
+  const series = body[seriesKey];
+  if (!series || Object.keys(series).length === 0) {
+    throw new Error(`Empty ${params.function} response from Alpha Vantage`);
+  }
+
+  return series;
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+module.exports = {
+  name: 'alphavantage',
+  label: 'AlphaVantage',
+  assetClasses: ['forex'],
+  // Free tier; QUOTA_ALPHAVANTAGE_DAILY overrides for paid keys
+  rateLimits: { daily: 25, perMinute: 5 },
+  timeframes: Object.keys(CONFIG.LIMITS),
+  callsPerFetch: (timeframes) => timeframes.length,
+  requiredEnv: 'ALPHA_VANTAGE_KEY',
+  synthetic: false,
+
+  async fetchCandles([fromSymbol, toSymbol], pair, { timeframes = ['1h', '1d'] } = {}) {
+    const candles = {};
+    for (const tf of timeframes) {
+      const series = tf === '1d'
+        ? await fetchSeries(
+          { function: 'FX_DAILY', from_symbol: fromSymbol, to_symbol: toSymbol, outputsize: 'full' },
+          'Time Series FX (Daily)'
+        )
+        : await fetchSeries(
+          { function: 'FX_INTRADAY', from_symbol: fromSymbol, to_symbol: toSymbol, interval: CONFIG.INTERVALS[tf], outputsize: 'full' },
+          `Time Series FX (${CONFIG.INTERVALS[tf]})`
+        );
+      candles[tf] = parseSeries(series, CONFIG.LIMITS[tf]);
+    }
+    return candles;
+  },
+
+  parseSeries,
+  CONFIG
+};
@@ -0,0 +1,145 @@
+/**
+ * Binance Provider - Crypto spot klines
+ *
+ * Practically unlimited free tier, real candles for every registry
+ * timeframe (15m to 1w, one call each). Some regions and CI runners are
+ * geo-blocked (HTTP 451), which is why CoinGecko can be placed ahead of it
+ * in the registry priority. Incremental: with stored history only bars
+ * from startTime on are requested.
+ */
+
+const axios = require('axios');
+const { quotaLedger } = require('../quota-ledger');
+const { retryWithBackoff, CONFIG: COMMON_CONFIG } = require('./common');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  API: 'https://api.binance.com/api/v3',
+
+  // Candle limits (Binance max = 1000)
+  LIMITS: {
+    '15m': 192,  // 2 days of 15m
+    '30m': 168,  // 3.5 days of 30m
+    '1h': 168,   // 1 week of hourly
+    '4h': 168,   // 4 weeks of 4h
+    '1d': 365,   // ~1 year of daily
+    '1w': 104    // 2 years of weekly
+  },
+
+  REQUEST_TIMEOUT_MS: 15000,
+
+  // Enhanced headers to bypass geo-blocking
+  HEADERS: {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'application/json, text/plain, */*',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Origin': 'https://www.binance.com',
+    'Referer': 'https://www.binance.com/',
+    'Connection': 'keep-alive',
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache',
+    'Sec-Fetch-Dest': 'empty',
+    'Sec-Fetch-Mode': 'cors',
+    'Sec-Fetch-Site': 'same-site',
+    'sec-ch-ua': '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+    'sec-ch-ua-mobile': '?0',
+    'sec-ch-ua-platform': '"Windows"'
+  }
+};
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+/**
+ * Fetch klines for one interval
+ *
+ * @param {String} symbol - Native symbol (e.g., 'BTCUSDT')
+ * @param {String} interval - Interval (15m, 30m, 1h, 4h, 1d, 1w - Binance uses the registry names)
+ * @param {Number} limit - Number of candles
+ * @param {Number} startTime - Only candles opening at or after this time (ms)
+ * @returns {Promise<Array>} Candles
+ */
+async function fetchKlines(symbol, interval, limit = 168, startTime = null) {
+  const fetchFn = async () => {
+    console.log(`  [Binance] ${symbol} (${interval})...`);
+    await quotaLedger.reserve('binance');
+
+    const response = await axios.get(`${CONFIG.API}/klines`, {
+      params: {
+        symbol,
+        interval,
+        limit: Math.min(limit, 1000),
+        ...(startTime !== null && { startTime })
+      },
+      timeout: CONFIG.REQUEST_TIMEOUT_MS,
+      headers: CONFIG.HEADERS,
+      validateStatus: (status) => status < 500 // Don't throw on 4xx
+    });
+
+    // Handle geo-blocking explicitly
+    if (response.status === 451) {
+      throw new Error('Binance geo-blocking detected (HTTP 451). Try CoinGecko instead.');
+    }
+
+    if (response.status === 403 || response.status === 418) {
+      throw new Error(`Binance access restricted (HTTP ${response.status}). IP may be blocked.`);
+    }
+
+    if (response.status !== 200) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    if (!Array.isArray(response.data) || response.data.length === 0) {
+      throw new Error('Empty response from Binance');
+    }
+
+    // Transform Binance format
+    return response.data.map(candle => ({
+      timestamp: candle[0],
+      open: parseFloat(candle[1]),
+      high: parseFloat(candle[2]),
+      low: parseFloat(candle[3]),
+      close: parseFloat(candle[4]),
+      volume: parseFloat(candle[7]) || 0
+    }));
+  };
+
+  try {
+    return await retryWithBackoff(fetchFn, `Binance ${symbol}`);
+  } catch (error) {
+    const wrapped = new Error(`Binance ${symbol} failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+module.exports = {
+  name: 'binance',
+  label: 'Binance',
+  assetClasses: ['crypto'],
+  rateLimits: { daily: null, perMinute: null },
+  timeframes: Object.keys(CONFIG.LIMITS),
+  callsPerFetch: (timeframes) => timeframes.length,
+  synthetic: false,
+  incremental: true,
+
+  async fetchCandles(nativeSymbol, symbol, { since = {}, timeframes = COMMON_CONFIG.TIMEFRAMES } = {}) {
+    // All timeframes in parallel
+    const candles = await Promise.all(
+      timeframes.map(tf => fetchKlines(nativeSymbol, tf, CONFIG.LIMITS[tf], since[tf] ?? null))
+    );
+    return Object.fromEntries(timeframes.map((tf, i) => [tf, candles[i]]));
+  },
+
+  fetchKlines,
+  CONFIG
+};
@@ -0,0 +1,217 @@
+/**
+ * CoinGecko Provider - Crypto daily prices, synthetic intraday
+ *
+ * Free tier, no API key, rarely geo-blocked. Only daily prices are
+ * available, so hourly and 4h candles are interpolated from them and the
+ * daily high/low are estimated: every timeframe is flagged synthetic.
+ */
+
+const axios = require('axios');
+const { quotaLedger } = require('../quota-ledger');
+const { retryWithBackoff, aggregateCandles } = require('./common');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  API: 'https://api.coingecko.com/api/v3',
+
+  DAYS: 365,
+  MIN_DAILY_CANDLES: 30,
+  HOURLY_CANDLES: 168,
+  FOUR_HOUR_CANDLES: 42,   // 1 week of 4h
+
+  REQUEST_TIMEOUT_MS: 15000
+};
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+/**
+ * Fetch daily market data with retry logic
+ *
+ * @param {String} coinId - CoinGecko coin ID
+ * @returns {Promise<Array>} Daily candles
+ */
+async function fetchMarketData(coinId) {
+  const fetchFn = async () => {
+    console.log(`  [CoinGecko] ${coinId}...`);
+    await quotaLedger.reserve('coingecko');
+
+    const response = await axios.get(
+      `${CONFIG.API}/coins/${coinId}/market_chart`,
+      {
+        params: {
+          vs_currency: 'usd',
+          days: CONFIG.DAYS,
+          interval: 'daily'
+        },
+        timeout: CONFIG.REQUEST_TIMEOUT_MS,
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'Mozilla/5.0 (compatible; CryptoAnalyzer/1.0)'
+        }
+      }
+    );
+
+    // Validate response structure
+    if (!response.data) {
+      throw new Error('Empty response from CoinGecko');
+    }
+
+    const { prices, total_volumes } = response.data;
+
+    if (!prices || !Array.isArray(prices) || prices.length === 0) {
+      throw new Error('No price data from CoinGecko');
+    }
+
+    // Transform to candles
+    const candles = prices.map((price, i) => {
+      if (!Array.isArray(price) || price.length < 2) {
+        return null;
+      }
+
+      const priceValue = price[1];
+      const volume = (total_volumes && total_volumes[i] && total_volumes[i][1]) || 0;
+
+      return {
+        timestamp: price[0],
+        open: priceValue,
+        high: priceValue * (1 + Math.random() * 0.02),
+        low: priceValue * (1 - Math.random() * 0.02),
+        close: priceValue,
+        volume: volume
+      };
+    }).filter(c => c !== null);
+
+    if (candles.length === 0) {
+      throw new Error('Failed to parse CoinGecko price data');
+    }
+
+    return candles;
+  };
+
+  try {
+    return await retryWithBackoff(fetchFn, `CoinGecko ${coinId}`);
+  } catch (error) {
+    const wrapped = new Error(`CoinGecko ${coinId} failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+}
+
+// ============================================================================
+// SYNTHETIC INTRADAY
+// ============================================================================
+
+/**
+ * Create synthetic hourly candles from daily candles
+ * Guarantees exactly targetLength candles
+ *
+ * @param {Array} dailyCandles - Daily candles
+ * @param {Number} targetLength - Target number of hourly candles (default 168)
+ * @returns {Array} Synthetic hourly candles
+ */
+function createSyntheticHourly(dailyCandles, targetLength = 168) {
+  console.log(`[Synthetic] Creating ${targetLength} hourly candles from ${dailyCandles.length} daily candles`);
+
+  const hourlyCandles = [];
+  const daysNeeded = Math.ceil(targetLength / 24);
+
+  if (dailyCandles.length < daysNeeded) {
+    console.warn(`[Synthetic] Insufficient daily data: ${dailyCandles.length} days, need ${daysNeeded}`);
+
+    // Repeat the available data to fill the gap
+    const repeatedCandles = [];
+    while (repeatedCandles.length < daysNeeded) {
+      repeatedCandles.push(...dailyCandles);
+    }
+    dailyCandles = repeatedCandles.slice(0, daysNeeded);
+  }
+
+  const candlesToUse = dailyCandles.slice(-daysNeeded);
+
+  for (const dailyCandle of candlesToUse) {
+    if (hourlyCandles.length >= targetLength) {
+      break;
+    }
+
+    const dayStart = new Date(dailyCandle.timestamp);
+    const dayHours = 24;
+
+    const range = (dailyCandle.high || dailyCandle.close) - (dailyCandle.low || dailyCandle.close);
+    const volatility = range * 0.005;
+
+    const candlesThisDay = Math.min(dayHours, targetLength - hourlyCandles.length);
+
+    for (let hour = 0; hour < candlesThisDay; hour++) {
+      const timestamp = dayStart.getTime() + (hour * 60 * 60 * 1000);
+
+      const progress = hour / dayHours;
+      const midPrice = dailyCandle.open + (dailyCandle.close - dailyCandle.open) * progress;
+      const noise = (Math.random() - 0.5) * volatility * 2;
+      const close = midPrice + noise;
+
+      hourlyCandles.push({
+        timestamp,
+        open: midPrice - volatility,
+        high: Math.max(midPrice, close) + volatility,
+        low: Math.min(midPrice, close) - volatility,
+        close,
+        volume: (dailyCandle.volume || 0) / dayHours
+      });
+    }
+  }
+
+  // If still short, pad with last candle
+  while (hourlyCandles.length < targetLength) {
+    const lastCandle = hourlyCandles[hourlyCandles.length - 1];
+    hourlyCandles.push({
+      ...lastCandle,
+      timestamp: lastCandle.timestamp + (60 * 60 * 1000)
+    });
+  }
+
+  const result = hourlyCandles.slice(-targetLength);
+
+  if (result.length !== targetLength) {
+    throw new Error(`Synthetic hourly generation failed: got ${result.length}, expected ${targetLength}`);
+  }
+
+  return result;
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+module.exports = {
+  name: 'coingecko',
+  label: 'CoinGecko',
+  assetClasses: ['crypto'],
+  rateLimits: { daily: 10000, perMinute: 50 },
+  timeframes: ['1h', '4h', '1d'],
+  callsPerFetch: 1,
+  synthetic: true,
+  syntheticTimeframes: ['1h', '4h', '1d'],
+  note: 'Synthetic hourly/4h interpolated from daily prices; daily high/low estimated',
+
+  async fetchCandles(coinId) {
+    const candles = await fetchMarketData(coinId);
+
+    if (candles.length < CONFIG.MIN_DAILY_CANDLES) {
+      throw new Error(`Insufficient data: ${candles.length} candles`);
+    }
+
+    const candles1d = candles.slice(-CONFIG.DAYS);
+    const candles1h = createSyntheticHourly(candles1d, CONFIG.HOURLY_CANDLES);
+    const candles4h = aggregateCandles(candles1h, '4h').slice(-CONFIG.FOUR_HOUR_CANDLES);
+
+    return { '1h': candles1h, '4h': candles4h, '1d': candles1d };
+  },
+
+  createSyntheticHourly,
+  CONFIG
+};
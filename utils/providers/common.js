@@ -0,0 +1,113 @@
+/**
+ * Provider Helpers - Shared by the data provider adapters
+ *
+ * - retryWithBackoff: exponential backoff that never retries an exhausted quota
+ * - aggregateCandles: roll base candles up into a longer timeframe (utils/timeframes)
+ * - toColumns: candles per timeframe -> the multi-timeframe column format (1h_close, ...)
+ * - fromColumns: one timeframe of the column format -> candles
+ */
+
+const { aggregateCandles, CONFIG: TIMEFRAME_CONFIG } = require('../timeframes');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  TIMEFRAMES: TIMEFRAME_CONFIG.DEFAULT,
+  FIELDS: ['timestamp', 'open', 'high', 'low', 'close', 'volume'],
+
+  MAX_RETRIES: 3,
+  INITIAL_RETRY_DELAY_MS: 1000,
+  MAX_RETRY_DELAY_MS: 8000
+};
+
+// ============================================================================
+// RETRY LOGIC WITH EXPONENTIAL BACKOFF
+// ============================================================================
+
+/**
+ * Execute function with exponential backoff retry
+ *
+ * @param {Function} fn - Async function to retry
+ * @param {String} label - Label for logging
+ * @param {Number} maxRetries - Maximum retry attempts
+ * @returns {Promise<any>} Result of function
+ */
+async function retryWithBackoff(fn, label, maxRetries = CONFIG.MAX_RETRIES) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+
+      // Retrying cannot help once the provider quota is gone
+      if (attempt === maxRetries || error.code === 'QUOTA_EXHAUSTED') {
+        break;
+      }
+
+      // Calculate exponential backoff delay
+      const delay = Math.min(
+        CONFIG.INITIAL_RETRY_DELAY_MS * Math.pow(2, attempt),
+        CONFIG.MAX_RETRY_DELAY_MS
+      );
+
+      console.log(`  ⚠️ ${label} attempt ${attempt + 1}/${maxRetries + 1} failed: ${error.message}`);
+      console.log(`  ⏳ Retrying in ${delay}ms...`);
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+}
+
+// ============================================================================
+// CANDLES
+// ============================================================================
+
+/**
+ * Convert candles per timeframe to the multi-timeframe column format
+ *
+ * @param {Object} candlesByTimeframe - { '1h': [...], '4h': [...], '1d': [...] }
+ * @param {Array<String>} timeframes - Timeframes to emit (missing ones come out empty)
+ * @returns {Object} { '1h_timestamp': [...], '1h_open': [...], ... }
+ */
+function toColumns(candlesByTimeframe, timeframes = CONFIG.TIMEFRAMES) {
+  const data = {};
+  for (const tf of timeframes) {
+    const candles = candlesByTimeframe[tf] || [];
+    for (const field of CONFIG.FIELDS) {
+      data[`${tf}_${field}`] = candles.map(c => c[field]);
+    }
+  }
+  return data;
+}
+
+/**
+ * Candles for one timeframe of the multi-timeframe column format
+ *
+ * @param {Object} data - { '1h_timestamp': [...], '1h_open': [...], ... }
+ * @param {String} timeframe - e.g. '1h' (see utils/timeframes)
+ * @returns {Array<Object>} { timestamp, open, high, low, close, volume } (empty without timestamps)
+ */
+function fromColumns(data, timeframe) {
+  const timestamps = data[`${timeframe}_timestamp`] || [];
+  return timestamps.map((_, i) => {
+    const candle = {};
+    for (const field of CONFIG.FIELDS) {
+      candle[field] = data[`${timeframe}_${field}`][i];
+    }
+    return candle;
+  });
+}
+
+module.exports = {
+  CONFIG,
+  retryWithBackoff,
+  aggregateCandles,
+  toColumns,
+  fromColumns
+};
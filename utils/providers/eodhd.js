@@ -0,0 +1,92 @@
+/**
+ * EODHD Provider - Forex intraday and daily (paid fallback)
+ *
+ * Needs EODHD_KEY. Two calls per fetch (1h and daily); the registry
+ * aggregates 4h from the hourly candles and 1w from the daily ones.
+ */
+
+const axios = require('axios');
+const { quotaLedger } = require('../quota-ledger');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  API: 'https://eodhd.com/api',
+
+  LIMITS: {
+    '1h': 168,
+    '1d': 365
+  },
+
+  // EODHD period per registry timeframe
+  PERIODS: {
+    '1h': '1h',
+    '1d': 'd'
+  },
+
+  REQUEST_TIMEOUT_MS: 12000
+};
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+/**
+ * Fetch one intraday period
+ *
+ * @param {String} symbol - Native symbol (e.g., 'EURUSD.FOREX')
+ * @param {String} period - EODHD period ('1h' or 'd')
+ * @param {Number} limit - Number of candles
+ * @returns {Promise<Array>} Candles
+ */
+async function fetchIntraday(symbol, period, limit) {
+  await quotaLedger.reserve('eodhd');
+
+  const response = await axios.get(
+    `${CONFIG.API}/intraday/${symbol}`,
+    {
+      params: {
+        api_token: process.env.EODHD_KEY,
+        period,
+        fmt: 'json'
+      },
+      timeout: CONFIG.REQUEST_TIMEOUT_MS
+    }
+  );
+
+  return response.data.slice(0, limit).map(c => ({
+    timestamp: new Date(c.datetime).getTime(),
+    open: parseFloat(c.open),
+    high: parseFloat(c.high),
+    low: parseFloat(c.low),
+    close: parseFloat(c.close),
+    volume: parseFloat(c.volume) || 0
+  })).reverse();
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+module.exports = {
+  name: 'eodhd',
+  label: 'EODHD',
+  assetClasses: ['forex'],
+  rateLimits: { daily: 100000, perMinute: 20 },
+  timeframes: Object.keys(CONFIG.PERIODS),
+  callsPerFetch: (timeframes) => timeframes.length,
+  requiredEnv: 'EODHD_KEY',
+  synthetic: false,
+
+  async fetchCandles(symbol, pair, { timeframes = ['1h', '1d'] } = {}) {
+    const candles = {};
+    for (const tf of timeframes) {
+      candles[tf] = await fetchIntraday(symbol, CONFIG.PERIODS[tf], CONFIG.LIMITS[tf]);
+    }
+    return candles;
+  },
+
+  CONFIG
+};
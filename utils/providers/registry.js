@@ -0,0 +1,410 @@
+/**
+ * Provider Registry - Market data adapters and their fallback order
+ *
+ * Each provider is one adapter file in this directory exporting:
+ *   name            - Key used in priorities and the quota ledger ('binance')
+ *   label           - Source name reported to callers ('Binance')
+ *   assetClasses    - ['crypto'] and/or ['forex']
+ *   rateLimits      - { daily, perMinute } (null = unlimited)
+ *   callsPerFetch   - Provider calls one fetchCandles() makes, or
+ *                     (timeframes) => calls when it depends on the timeframes
+ *   fetchCandles(native, symbol, { since, timeframes }) -> { '1h': [...], '4h': [...], '1d': [...] }
+ *                     chronological { timestamp, open, high, low, close, volume }
+ *                     for each of `timeframes`
+ * Optional: minDailyRemaining, requiredEnv, note,
+ *   timeframes      - timeframes fetchCandles can return (default 1h/4h/1d); any
+ *                     other requested timeframe is aggregated (utils/timeframes)
+ *   incremental     - fetchCandles honours since ({ '1h': openTimeMs, ... }) and
+ *                     returns only bars from those open times on
+ *   synthetic       - candles are not all observed market data
+ *   syntheticTimeframes - which timeframes (default: all when synthetic);
+ *                     timeframes aggregated from them are synthetic too
+ *   symbols         - { 'BTC/USDT': <native symbol> } used when the symbol
+ *                     registry does not list the provider for an instrument
+ *
+ * Which instruments a provider serves comes from the symbol registry
+ * (utils/symbol-registry: instrument.providers[name] is the native symbol).
+ * Adding a source (Kraken, Bybit, OANDA...) is one adapter file plus a
+ * require in BUILT_IN_ADAPTERS. Fallback order is CONFIG.PRIORITY, overridable
+ * with PROVIDER_PRIORITY_CRYPTO / PROVIDER_PRIORITY_FOREX; registered
+ * adapters missing from the priority list are tried last.
+ *
+ * Given stored history (utils/candle-store), incremental adapters fetch only
+ * the tail after the newest stored bar, merged onto the history.
+ *
+ * Fetched candles go through gap repair (utils/candle-gaps) against the
+ * instrument's trading calendar before the minimum-candle check; under the
+ * reject strategy a gapped provider fails and the next one is tried.
+ */
+
+const { quotaLedger, quotaExhaustedError } = require('../quota-ledger');
+const { symbolRegistry } = require('../symbol-registry');
+const { toColumns, CONFIG: COMMON_CONFIG } = require('./common');
+const { repairGaps } = require('../candle-gaps');
+const { mergeCandles, CONFIG: STORE_CONFIG } = require('../candle-store');
+const {
+  intervalMs,
+  parseTimeframes,
+  aggregationBase,
+  fetchPlan,
+  resampleCandles,
+  CONFIG: TIMEFRAME_CONFIG
+} = require('../timeframes');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const IS_CI_ENVIRONMENT = !!(
+  process.env.CI ||
+  process.env.GITHUB_ACTIONS ||
+  process.env.GITLAB_CI ||
+  process.env.CIRCLECI ||
+  process.env.TRAVIS
+);
+
+function parseList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : null;
+}
+
+const CONFIG = {
+  PRIORITY: {
+    // CI runners are often geo-blocked by Binance, so CoinGecko goes first there
+    crypto: parseList(process.env.PROVIDER_PRIORITY_CRYPTO) ||
+      (IS_CI_ENVIRONMENT ? ['coingecko', 'binance'] : ['binance', 'coingecko']),
+    forex: parseList(process.env.PROVIDER_PRIORITY_FOREX) ||
+      ['twelvedata', 'eodhd', 'alphavantage']
+  },
+
+  // History older than this many bars is refetched in full (below every adapter's window)
+  MAX_TAIL_BARS: 40,
+
+  REQUIRED_FIELDS: ['name', 'label', 'assetClasses', 'fetchCandles'],
+
+  IS_CI_ENVIRONMENT
+};
+
+const adapters = new Map();
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+/**
+ * Register an adapter and its budgets with the quota ledger
+ *
+ * @param {Object} adapter - See module header
+ * @returns {Object} The adapter
+ */
+function registerProvider(adapter) {
+  const missing = CONFIG.REQUIRED_FIELDS.filter(field => !adapter[field]);
+  if (missing.length > 0) {
+    throw new Error(`Provider ${adapter.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+  }
+
+  adapters.set(adapter.name, adapter);
+  quotaLedger.setBudget(adapter.name, {
+    name: adapter.label,
+    ...(adapter.rateLimits || { daily: null, perMinute: null })
+  });
+  return adapter;
+}
+
+/**
+ * @param {String} name - Provider name
+ * @returns {Object} Adapter
+ */
+function getProvider(name) {
+  const adapter = adapters.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown provider: ${name}`);
+  }
+  return adapter;
+}
+
+/**
+ * Native symbol an adapter uses for an instrument
+ *
+ * @param {Object} adapter - Registered adapter
+ * @param {String} symbol - e.g. 'BTC/USDT'
+ * @returns {*} Native symbol, undefined when unsupported
+ */
+function nativeSymbolFor(adapter, symbol) {
+  const native = symbolRegistry.nativeSymbol(symbol, adapter.name);
+  return native !== undefined ? native : (adapter.symbols || {})[symbol];
+}
+
+/**
+ * Providers that can serve a symbol, in fallback order
+ *
+ * @param {String} symbol - e.g. 'BTC/USDT'
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @returns {Array<Object>} Adapters
+ */
+function providersFor(symbol, assetClass) {
+  const priority = CONFIG.PRIORITY[assetClass] || [];
+  const ordered = [
+    ...priority.filter(name => adapters.has(name)).map(name => adapters.get(name)),
+    ...[...adapters.values()].filter(a => !priority.includes(a.name))
+  ];
+
+  return ordered.filter(a => a.assetClasses.includes(assetClass) && nativeSymbolFor(a, symbol) !== undefined);
+}
+
+/**
+ * Enabled registry symbols served by at least one provider
+ *
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @returns {Array<String>} Symbols
+ */
+function supportedSymbols(assetClass) {
+  return symbolRegistry.symbols(assetClass)
+    .filter(symbol => providersFor(symbol, assetClass).length > 0);
+}
+
+/**
+ * Summary of every registered provider (for health/quota reports)
+ *
+ * @returns {Array<Object>} { name, label, assetClasses, symbols, rateLimits, synthetic }
+ */
+function listProviders() {
+  return [...adapters.values()].map(a => ({
+    name: a.name,
+    label: a.label,
+    assetClasses: a.assetClasses,
+    symbols: symbolRegistry.list({ includeDisabled: true })
+      .filter(i => nativeSymbolFor(a, i.symbol) !== undefined)
+      .map(i => i.symbol),
+    rateLimits: a.rateLimits || { daily: null, perMinute: null },
+    synthetic: !!a.synthetic
+  }));
+}
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+/**
+ * Refuse a fetch up front when its calls would not fit the remaining budget
+ * (a fetch cut off halfway spends quota for nothing)
+ */
+async function checkBudget(adapter, plan) {
+  if (adapter.requiredEnv && !process.env[adapter.requiredEnv]) {
+    throw new Error(`${adapter.requiredEnv} not set`);
+  }
+
+  const { daily, per_minute } = await quotaLedger.getStatus(adapter.name);
+  const calls = typeof adapter.callsPerFetch === 'function'
+    ? adapter.callsPerFetch(plan)
+    : adapter.callsPerFetch || 1;
+  const dailyNeeded = Math.max(calls, adapter.minDailyRemaining || 0);
+
+  console.log(`  Quota remaining: ${daily.remaining ?? '∞'}/${daily.limit ?? '∞'} today, ${per_minute.remaining ?? '∞'}/${per_minute.limit ?? '∞'} this minute`);
+
+  if (daily.limit !== null && daily.remaining < dailyNeeded) {
+    throw quotaExhaustedError(
+      `Insufficient ${adapter.label} quota. Need ${dailyNeeded} calls, have ${daily.remaining}`,
+      { provider: adapter.name, window: 'daily', resetAt: daily.resets_at }
+    );
+  }
+
+  if (per_minute.limit !== null && per_minute.remaining < calls) {
+    throw quotaExhaustedError(
+      `${adapter.label} per-minute limit reached. Resets at ${per_minute.resets_at}`,
+      { provider: adapter.name, window: 'per_minute', resetAt: per_minute.resets_at }
+    );
+  }
+}
+
+/**
+ * Open time of the newest stored bar per timeframe, or null when the
+ * history is too short or too old for a tail fetch
+ *
+ * @param {Object} history - { '1h': [...], ... } chronological stored candles
+ * @param {Number} now - Reference time (ms)
+ * @param {Array<String>} timeframes - Timeframes about to be fetched
+ * @returns {Object|null} { '1h': openTimeMs, ... }
+ */
+function tailStart(history, now = Date.now(), timeframes = COMMON_CONFIG.TIMEFRAMES) {
+  if (!history) return null;
+
+  const since = {};
+  for (const tf of timeframes) {
+    const candles = history[tf] || [];
+    const last = candles[candles.length - 1];
+    if (candles.length < TIMEFRAME_CONFIG.TIMEFRAMES[tf].minBars ||
+        now - last.timestamp > CONFIG.MAX_TAIL_BARS * intervalMs(tf)) {
+      return null;
+    }
+    since[tf] = last.timestamp;
+  }
+  return since;
+}
+
+/**
+ * Fetch multi-timeframe candles from one provider
+ * Never throws: failures come back as success: false.
+ *
+ * @param {String} name - Provider name
+ * @param {String} symbol - e.g. 'EURUSD'
+ * @param {Object} options - { history } stored candles per timeframe, { timeframes } to fetch (default 1h/4h/1d)
+ * @returns {Promise<Object>} { source, pair, data, success, timeframes, synthetic, syntheticTimeframes, incremental, gapRepair, note, error, quotaExhausted }
+ */
+async function fetchFromProvider(name, symbol, options = {}) {
+  const adapter = getProvider(name);
+  console.log(`\n[${adapter.label}] Fetching ${symbol}...`);
+
+  try {
+    const native = nativeSymbolFor(adapter, symbol);
+    if (native === undefined) {
+      throw new Error(`Unknown pair for ${adapter.label}: ${symbol}`);
+    }
+
+    // Timeframes the adapter lacks are aggregated from one it serves
+    const timeframes = parseTimeframes(options.timeframes);
+    const served = adapter.timeframes || COMMON_CONFIG.TIMEFRAMES;
+    const plan = fetchPlan(served, timeframes);
+
+    await checkBudget(adapter, plan);
+
+    const since = adapter.incremental ? tailStart(options.history, Date.now(), plan) : null;
+    let fetched = await adapter.fetchCandles(native, symbol, since ? { since, timeframes: plan } : { timeframes: plan });
+    if (since) {
+      console.log(`  Tail only: ${Object.entries(fetched).map(([tf, c]) => `${tf} ${c.length}`).join(', ')} bars`);
+      fetched = Object.fromEntries(plan.map(tf => [
+        tf,
+        mergeCandles(options.history[tf], fetched[tf], STORE_CONFIG.HISTORY_BARS[tf])
+      ]));
+    }
+    fetched = resampleCandles(fetched, timeframes);
+
+    const instrument = symbolRegistry.get(symbol);
+    const { candles, report: gapRepair } = repairGaps(
+      fetched,
+      { tradingHours: instrument ? instrument.tradingHours : null }
+    );
+
+    const repaired = timeframes.filter(tf => gapRepair[tf] && gapRepair[tf].gaps > 0);
+    if (repaired.length > 0) {
+      console.log(`  ⚠️ Gaps (${gapRepair.strategy}): ${repaired.map(tf => `${tf} ${gapRepair[tf].missing_bars} missing, ${gapRepair[tf].filled} filled, ${gapRepair[tf].dropped} dropped`).join('; ')}`);
+    }
+
+    const counts = Object.fromEntries(timeframes.map(tf => [tf, (candles[tf] || []).length]));
+    if (timeframes.some(tf => counts[tf] < TIMEFRAME_CONFIG.TIMEFRAMES[tf].minBars)) {
+      throw new Error(`Insufficient data: ${timeframes.map(tf => `${tf}=${counts[tf]}`).join(', ')}`);
+    }
+
+    console.log(`✓ ${adapter.label} success (${timeframes.map(tf => `${tf}: ${counts[tf]}`).join(', ')})`);
+
+    const syntheticServed = adapter.syntheticTimeframes || (adapter.synthetic ? served : []);
+    const syntheticTimeframes = timeframes.filter(tf =>
+      syntheticServed.includes(plan.includes(tf) ? tf : aggregationBase(tf, plan))
+    );
+
+    return {
+      source: adapter.label,
+      pair: symbol,
+      data: toColumns(candles, timeframes),
+      success: true,
+      timeframes,
+      synthetic: syntheticTimeframes.length > 0,
+      syntheticTimeframes,
+      incremental: !!since,
+      gapRepair,
+      note: adapter.note || null
+    };
+
+  } catch (error) {
+    console.error(`✗ ${adapter.label} failed: ${error.message}`);
+    return {
+      source: adapter.label,
+      pair: symbol,
+      data: {},
+      success: false,
+      error: error.message,
+      quotaExhausted: error.code === 'QUOTA_EXHAUSTED'
+    };
+  }
+}
+
+/**
+ * Fetch a symbol from the first provider that succeeds, in priority order
+ * When every provider fails and a quota is among the reasons, the thrown
+ * error has code QUOTA_EXHAUSTED.
+ *
+ * @param {String} symbol - Trading symbol
+ * @param {String} assetClass - 'crypto' or 'forex'
+ * @param {Object} options - { history } stored candles per timeframe, { timeframes } to fetch
+ * @returns {Promise<Object>} { data, source, timeframes, synthetic, syntheticTimeframes, incremental, gapRepair, note }
+ */
+async function fetchWithFallback(symbol, assetClass, options = {}) {
+  // An unknown timeframe is the caller's mistake, not a provider failure
+  parseTimeframes(options.timeframes);
+
+  const providers = providersFor(symbol, assetClass);
+  if (providers.length === 0) {
+    throw new Error(`No provider supports ${symbol}`);
+  }
+
+  console.log(`[Strategy] ${providers.map(p => p.label).join(' → ')}`);
+
+  const failures = [];
+
+  for (const [i, adapter] of providers.entries()) {
+    if (i > 0) {
+      console.log(`\n[Fallback] Trying ${adapter.label}...`);
+    }
+
+    const result = await fetchFromProvider(adapter.name, symbol, options);
+    if (result.success) {
+      console.log(`✅ Using ${result.source} (${result.data[`${result.timeframes[0]}_close`].length} points)`);
+      return {
+        data: result.data,
+        source: result.source,
+        timeframes: result.timeframes,
+        synthetic: result.synthetic,
+        syntheticTimeframes: result.syntheticTimeframes,
+        incremental: result.incremental,
+        gapRepair: result.gapRepair,
+        note: result.note
+      };
+    }
+
+    failures.push(result);
+  }
+
+  const error = new Error(
+    `Failed to fetch ${symbol}: ${failures.map(f => `${f.source}=(${f.error})`).join(', ')}`
+  );
+  if (failures.some(f => f.quotaExhausted)) {
+    error.code = 'QUOTA_EXHAUSTED';
+  }
+  throw error;
+}
+
+// ============================================================================
+// BUILT-IN ADAPTERS
+// ============================================================================
+
+// Static requires so the serverless bundler traces every adapter
+const BUILT_IN_ADAPTERS = [
+  require('./binance'),
+  require('./coingecko'),
+  require('./twelvedata'),
+  require('./eodhd'),
+  require('./alphavantage')
+];
+
+BUILT_IN_ADAPTERS.forEach(registerProvider);
+
+module.exports = {
+  CONFIG,
+  registerProvider,
+  getProvider,
+  providersFor,
+  supportedSymbols,
+  listProviders,
+  fetchFromProvider,
+  tailStart,
+  fetchWithFallback
+};
@@ -0,0 +1,129 @@
+/**
+ * Twelve Data Provider - Forex time series (primary)
+ *
+ * Best free tier for forex: 800 calls/day, 8/min, real candles, no key
+ * needed for the basic tier. A fetch is one call per timeframe, and the
+ * registry holds back the last 15 daily calls. Incremental: with stored
+ * history only bars from start_date on are requested (same credit cost,
+ * smaller responses).
+ */
+
+const axios = require('axios');
+const { quotaLedger, quotaExhaustedError } = require('../quota-ledger');
+const { CONFIG: COMMON_CONFIG } = require('./common');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  API: 'https://api.twelvedata.com',
+
+  LIMITS: {
+    '15m': 192,
+    '30m': 168,
+    '1h': 168,
+    '4h': 42,
+    '1d': 365,
+    '1w': 104
+  },
+
+  // Twelve Data interval names per registry timeframe
+  INTERVALS: {
+    '15m': '15min',
+    '30m': '30min',
+    '1h': '1h',
+    '4h': '4h',
+    '1d': '1day',
+    '1w': '1week'
+  },
+
+  REQUEST_TIMEOUT_MS: 12000
+};
+
+// ============================================================================
+// FETCH
+// ============================================================================
+
+/**
+ * Fetch candles for one interval
+ *
+ * @param {String} symbol - Native symbol (e.g., 'EURUSD')
+ * @param {String} interval - Twelve Data interval (CONFIG.INTERVALS)
+ * @param {Number} limit - Number of candles
+ * @param {Number} startTime - Only candles opening at or after this time (ms)
+ * @returns {Promise<Array>} Candles
+ */
+async function fetchTimeSeries(symbol, interval, limit = 50, startTime = null) {
+  await quotaLedger.reserve('twelvedata');
+
+  try {
+    console.log(`  [TwelveData] ${symbol} (${interval})...`);
+
+    const response = await axios.get(`${CONFIG.API}/time_series`, {
+      params: {
+        symbol,
+        interval,
+        format: 'json',
+        outputsize: limit,
+        ...(startTime !== null && {
+          start_date: new Date(startTime).toISOString().slice(0, 19).replace('T', ' '),
+          timezone: 'UTC'
+        })
+      },
+      timeout: CONFIG.REQUEST_TIMEOUT_MS
+    });
+
+    // Twelve Data reports exhausted credits as a 429 inside a 200 body
+    if (response.data.status === 'error' && response.data.code === 429) {
+      throw quotaExhaustedError(response.data.message || 'Twelve Data API credits exhausted');
+    }
+
+    if (!response.data.values || response.data.values.length === 0) {
+      throw new Error('Empty response from Twelve Data');
+    }
+
+    // Transform Twelve Data format
+    return response.data.values.map(candle => ({
+      timestamp: new Date(candle.datetime).getTime(),
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: parseFloat(candle.volume) || 0
+    })).reverse(); // Reverse to chronological order
+
+  } catch (error) {
+    const wrapped = new Error(`Twelve Data ${symbol} failed: ${error.message}`);
+    wrapped.code = error.code;
+    throw wrapped;
+  }
+}
+
+// ============================================================================
+// ADAPTER
+// ============================================================================
+
+module.exports = {
+  name: 'twelvedata',
+  label: 'TwelveData',
+  assetClasses: ['forex'],
+  rateLimits: { daily: 800, perMinute: 8 },
+  timeframes: Object.keys(CONFIG.INTERVALS),
+  callsPerFetch: (timeframes) => timeframes.length,
+  minDailyRemaining: 15,
+  synthetic: false,
+  incremental: true,
+
+  async fetchCandles(symbol, pair, { since = {}, timeframes = COMMON_CONFIG.TIMEFRAMES } = {}) {
+    // Sequential so a mid-fetch quota error stops further calls
+    const candles = {};
+    for (const tf of timeframes) {
+      candles[tf] = await fetchTimeSeries(symbol, CONFIG.INTERVALS[tf], CONFIG.LIMITS[tf], since[tf] ?? null);
+    }
+    return candles;
+  },
+
+  fetchTimeSeries,
+  CONFIG
+};
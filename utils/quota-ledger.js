@@ -0,0 +1,324 @@
+/**
+ * Quota Ledger - Provider call accounting shared across instances
+ *
+ * Every outbound provider call is recorded with a timestamp before it is
+ * made. Daily (UTC calendar day) and per-minute (rolling 60s) budgets are
+ * checked against the shared record, so the Twelve Data 800/day limit holds
+ * across cold starts and concurrent serverless instances.
+ *
+ * STORAGE:
+ * - MongoDB collection `provider_calls` when MONGODB_URI is set
+ * - In-memory otherwise; if MongoDB fails, calls are counted in memory
+ *   until it is retried STORE_RETRY_MS later
+ *
+ * BUDGETS:
+ * Declared by each provider adapter (utils/providers) and registered with
+ * setBudget(); override with QUOTA_<PROVIDER>_DAILY / QUOTA_<PROVIDER>_PER_MINUTE.
+ * A null budget is recorded but never refused (e.g. Binance).
+ */
+
+const { connectToDatabase } = require('./mongodb-connection');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function envBudget(provider, window, fallback) {
+  const value = process.env[`QUOTA_${provider.toUpperCase()}_${window}`];
+  return value !== undefined && value !== '' ? parseInt(value, 10) : fallback;
+}
+
+const CONFIG = {
+  COLLECTION: 'provider_calls',
+
+  // Calls older than this are never counted again
+  RETENTION_MS: 2 * DAY_MS,
+
+  // After a store failure, count in memory this long before retrying it
+  STORE_RETRY_MS: 30 * 1000
+};
+
+/**
+ * Create an error marking an exhausted provider quota
+ * Callers check error.code to fall back to cached candles instead of retrying
+ *
+ * @param {String} message - Error message
+ * @param {Object} details - { provider, window, resetAt }
+ * @returns {Error} Error with code QUOTA_EXHAUSTED
+ */
+function quotaExhaustedError(message, details = {}) {
+  const error = new Error(message);
+  error.code = 'QUOTA_EXHAUSTED';
+  Object.assign(error, details);
+  return error;
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+class MemoryQuotaStore {
+  constructor() {
+    this.name = 'memory';
+    this.calls = [];
+    this.nextId = 0;
+  }
+
+  async record(provider, count, now) {
+    const cutoff = now - CONFIG.RETENTION_MS;
+    this.calls = this.calls.filter(c => c.timestamp >= cutoff);
+
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+      const id = this.nextId++;
+      this.calls.push({ id, provider, timestamp: now });
+      ids.push(id);
+    }
+    return ids;
+  }
+
+  async remove(ids) {
+    this.calls = this.calls.filter(c => !ids.includes(c.id));
+  }
+
+  async countSince(provider, since) {
+    return this.calls.filter(c => c.provider === provider && c.timestamp >= since).length;
+  }
+
+  async oldestSince(provider, since) {
+    const call = this.calls.find(c => c.provider === provider && c.timestamp >= since);
+    return call ? call.timestamp : null;
+  }
+}
+
+class MongoQuotaStore {
+  /**
+   * @param {Object} options - { db } to reuse an open connection
+   */
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.db = options.db || null;
+    this.indexesReady = false;
+  }
+
+  async _collection() {
+    if (!this.db) {
+      this.db = await connectToDatabase();
+    }
+
+    const collection = this.db.collection(CONFIG.COLLECTION);
+
+    if (!this.indexesReady) {
+      await collection.createIndex({ provider: 1, timestamp: 1 });
+      await collection.createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+      this.indexesReady = true;
+    }
+
+    return collection;
+  }
+
+  async record(provider, count, now) {
+    const collection = await this._collection();
+    const docs = Array.from({ length: count }, () => ({
+      provider,
+      timestamp: new Date(now),
+      expireAt: new Date(now + CONFIG.RETENTION_MS)
+    }));
+    const result = await collection.insertMany(docs);
+    return Object.values(result.insertedIds);
+  }
+
+  async remove(ids) {
+    const collection = await this._collection();
+    await collection.deleteMany({ _id: { $in: ids } });
+  }
+
+  async countSince(provider, since) {
+    const collection = await this._collection();
+    return collection.countDocuments({ provider, timestamp: { $gte: new Date(since) } });
+  }
+
+  async oldestSince(provider, since) {
+    const collection = await this._collection();
+    const doc = await collection.findOne(
+      { provider, timestamp: { $gte: new Date(since) } },
+      { sort: { timestamp: 1 }, projection: { timestamp: 1 } }
+    );
+    return doc ? doc.timestamp.getTime() : null;
+  }
+}
+
+// ============================================================================
+// LEDGER
+// ============================================================================
+
+class QuotaLedger {
+  /**
+   * @param {Object} options - { store, providers } (default store: MongoDB when configured)
+   */
+  constructor(options = {}) {
+    this.store = options.store ||
+      (process.env.MONGODB_URI ? new MongoQuotaStore() : new MemoryQuotaStore());
+    this.providers = { ...options.providers };
+    this.fallback = new MemoryQuotaStore();
+    this.retryAt = 0;
+  }
+
+  /**
+   * Register a provider's budgets (env overrides win)
+   *
+   * @param {String} provider - Provider key
+   * @param {Object} budget - { name, daily, perMinute } (null = unlimited)
+   */
+  setBudget(provider, budget) {
+    this.providers[provider] = {
+      name: budget.name || provider,
+      daily: envBudget(provider, 'DAILY', budget.daily ?? null),
+      perMinute: envBudget(provider, 'PER_MINUTE', budget.perMinute ?? null)
+    };
+  }
+
+  /**
+   * Store to use now: the configured one, or memory while a failed one backs off
+   */
+  _activeStore() {
+    return this.store.name !== 'memory' && Date.now() < this.retryAt ? this.fallback : this.store;
+  }
+
+  /**
+   * Run an operation against the active store, repeating it in memory if
+   * the store fails so a database outage never blocks provider calls outright.
+   * The failed store is retried once STORE_RETRY_MS has passed.
+   *
+   * @param {Function} operation - async (store) => result
+   */
+  async _withStore(operation) {
+    const store = this._activeStore();
+    try {
+      return await operation(store);
+    } catch (error) {
+      if (store.name === 'memory' || error.code === 'QUOTA_EXHAUSTED') {
+        throw error;
+      }
+      console.warn(`[QuotaLedger] ${store.name} store failed (${error.message}), using memory for ${CONFIG.STORE_RETRY_MS / 1000}s`);
+      this.retryAt = Date.now() + CONFIG.STORE_RETRY_MS;
+      return operation(this.fallback);
+    }
+  }
+
+  _budget(provider) {
+    const budget = this.providers[provider];
+    if (!budget) {
+      throw new Error(`Unknown quota provider: ${provider}`);
+    }
+    return budget;
+  }
+
+  /**
+   * Record calls about to be made, refusing them if a budget would be exceeded
+   * Calls are recorded first and rolled back on refusal, so two instances
+   * racing for the last slot cannot both get it.
+   *
+   * @param {String} provider - Registered provider key
+   * @param {Number} calls - Calls about to be made
+   * @returns {Promise<Object>} Status after recording (see getStatus)
+   * @throws {Error} QUOTA_EXHAUSTED with provider, window and resetAt
+   */
+  async reserve(provider, calls = 1) {
+    const budget = this._budget(provider);
+
+    return this._withStore(async (store) => {
+      const now = Date.now();
+      const ids = await store.record(provider, calls, now);
+
+      let status;
+      try {
+        status = await this._status(store, provider, budget, now);
+      } catch (error) {
+        // The reservation is about to be repeated in memory: don't count it twice
+        await store.remove(ids).catch(() => {});
+        throw error;
+      }
+
+      for (const window of ['daily', 'per_minute']) {
+        const { limit, used, resets_at: resetAt } = status[window];
+        if (limit !== null && used > limit) {
+          await store.remove(ids);
+          throw quotaExhaustedError(
+            `${budget.name} ${window === 'daily' ? 'daily' : 'per-minute'} limit of ${limit} reached. Resets at ${resetAt}`,
+            { provider, window, resetAt }
+          );
+        }
+      }
+
+      return status;
+    });
+  }
+
+  /**
+   * Usage and remaining budget for one provider
+   *
+   * @param {String} provider - Registered provider key
+   * @param {Number} now - Reference time (ms)
+   * @returns {Promise<Object>} { provider, name, daily, per_minute } each { limit, used, remaining, resets_at }
+   */
+  async getStatus(provider, now = Date.now()) {
+    const budget = this._budget(provider);
+    return this._withStore(store => this._status(store, provider, budget, now));
+  }
+
+  async _status(store, provider, budget, now) {
+    const dayStart = Math.floor(now / DAY_MS) * DAY_MS;
+    const minuteStart = now - MINUTE_MS;
+
+    const usedToday = await store.countSince(provider, dayStart);
+    const usedMinute = await store.countSince(provider, minuteStart);
+    const oldestInMinute = usedMinute > 0
+      ? await store.oldestSince(provider, minuteStart)
+      : null;
+
+    const window = (limit, used, resetAt) => ({
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      resets_at: new Date(resetAt).toISOString()
+    });
+
+    return {
+      provider,
+      name: budget.name,
+      daily: window(budget.daily, usedToday, dayStart + DAY_MS),
+      // A slot frees up once the oldest call in the window is a minute old
+      per_minute: window(budget.perMinute, usedMinute, oldestInMinute !== null ? oldestInMinute + MINUTE_MS : now)
+    };
+  }
+
+  /**
+   * Status of every provider
+   *
+   * @returns {Promise<Object>} { store, providers: { [provider]: status } }
+   */
+  async getReport() {
+    const now = Date.now();
+    const providers = {};
+    for (const provider of Object.keys(this.providers)) {
+      providers[provider] = await this.getStatus(provider, now);
+    }
+    return { store: this._activeStore().name, providers };
+  }
+}
+
+// Shared by every fetcher in this instance
+const quotaLedger = new QuotaLedger();
+
+module.exports = {
+  CONFIG,
+  quotaLedger,
+  quotaExhaustedError,
+  QuotaLedger,
+  MemoryQuotaStore,
+  MongoQuotaStore
+};
@@ -0,0 +1,234 @@
+/**
+ * Regime Detector - Classify the market as trending, ranging or high-volatility
+ *
+ * JS re-implementation of the regime detector. models/regime_detector.pkl is
+ * an empty placeholder in this repo, so there is no fitted state to export;
+ * the decision logic below works directly on the engineered 1h columns that
+ * both feature engineers keep (1h_close, plus 1h_high/1h_low when present).
+ *
+ * DECISION (checked in order):
+ * 1. high_volatility - current realized volatility sits in the top of its
+ *    own recent distribution (percentile >= HIGH_VOL_PERCENTILE)
+ * 2. trending        - price moved efficiently in one direction
+ *    (Kaufman efficiency ratio >= TREND_EFFICIENCY)
+ * 3. ranging         - everything else
+ *
+ * The regime can also gate or reweight the ensemble (see ENSEMBLE_MODE).
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  VERSION: 'rules-v1',
+  REGIMES: ['trending', 'ranging', 'high_volatility'],
+
+  // Windows are in 1h bars
+  TREND_WINDOW: 24,
+  VOL_WINDOW: 24,
+  VOL_LOOKBACK: 168,
+
+  TREND_EFFICIENCY: 0.35,
+  HIGH_VOL_PERCENTILE: 0.8,
+
+  // How the regime affects the ensemble:
+  // 'off'      - reported only
+  // 'gate'     - weak directional calls become NEUTRAL (minDirectionalConfidence)
+  // 'reweight' - per-model weights from the policy
+  // 'both'     - gate and reweight
+  ENSEMBLE_MODE: process.env.REGIME_ENSEMBLE_MODE || 'off',
+
+  // Per-regime policy. modelWeights are keyed by model name; missing models weigh 1.
+  POLICIES: {
+    trending: { minDirectionalConfidence: 0, modelWeights: {} },
+    ranging: { minDirectionalConfidence: 0.45, modelWeights: {} },
+    high_volatility: { minDirectionalConfidence: 0.55, modelWeights: {} },
+    unknown: { minDirectionalConfidence: 0, modelWeights: {} }
+  }
+};
+
+// ============================================================================
+// INDICATORS
+// ============================================================================
+
+/**
+ * Last `count` finite values of a column
+ */
+function tailValues(column, count) {
+  if (!Array.isArray(column)) return [];
+  return column.slice(-count).filter(v => v !== null && v !== undefined && isFinite(v));
+}
+
+/**
+ * Kaufman efficiency ratio: net move / total path length (0 = chop, 1 = straight line)
+ *
+ * @param {Array<Number>} closes - Chronological closes
+ * @returns {Number} Efficiency in [0, 1]
+ */
+function efficiencyRatio(closes) {
+  if (closes.length < 2) return 0;
+
+  let path = 0;
+  for (let i = 1; i < closes.length; i++) {
+    path += Math.abs(closes[i] - closes[i - 1]);
+  }
+
+  if (path === 0) return 0;
+  return Math.abs(closes[closes.length - 1] - closes[0]) / path;
+}
+
+/**
+ * Standard deviation of simple returns
+ */
+function returnStd(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    if (closes[i - 1] !== 0) {
+      returns.push(closes[i] / closes[i - 1] - 1);
+    }
+  }
+
+  if (returns.length < 2) return 0;
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((a, r) => a + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Percentile of the current rolling volatility within its lookback
+ *
+ * @param {Array<Number>} closes - Chronological closes
+ * @returns {Object} { current, percentile }
+ */
+function volatilityPercentile(closes) {
+  const window = CONFIG.VOL_WINDOW + 1;
+  const current = returnStd(closes.slice(-window));
+
+  const history = [];
+  for (let end = window; end < closes.length; end++) {
+    history.push(returnStd(closes.slice(end - window, end)));
+  }
+
+  if (history.length === 0) {
+    return { current, percentile: 0.5 };
+  }
+
+  const below = history.filter(v => v < current).length;
+  return { current, percentile: below / history.length };
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Classify the latest bar of an engineered dataset
+ *
+ * @param {Object} engineeredData - Output of the crypto/forex feature engineer
+ * @param {Object} options - { logger } (default console)
+ * @returns {Object} { regime, trend_strength, direction, volatility_percentile, volatility, bars, version }
+ */
+function detectRegime(engineeredData, { logger = console } = {}) {
+  const lookback = CONFIG.VOL_LOOKBACK + CONFIG.VOL_WINDOW + 1;
+  const closes = tailValues(engineeredData && engineeredData['1h_close'], lookback);
+
+  if (closes.length < Math.max(CONFIG.TREND_WINDOW, CONFIG.VOL_WINDOW) + 1) {
+    return {
+      regime: 'unknown',
+      trend_strength: null,
+      direction: null,
+      volatility_percentile: null,
+      volatility: null,
+      bars: closes.length,
+      version: CONFIG.VERSION
+    };
+  }
+
+  const trendCloses = closes.slice(-(CONFIG.TREND_WINDOW + 1));
+  const trendStrength = efficiencyRatio(trendCloses);
+  const netMove = trendCloses[trendCloses.length - 1] - trendCloses[0];
+  const vol = volatilityPercentile(closes);
+
+  let regime = 'ranging';
+  if (vol.percentile >= CONFIG.HIGH_VOL_PERCENTILE) {
+    regime = 'high_volatility';
+  } else if (trendStrength >= CONFIG.TREND_EFFICIENCY) {
+    regime = 'trending';
+  }
+
+  logger.log(`[Regime] ${regime} (trend=${trendStrength.toFixed(2)}, vol pct=${vol.percentile.toFixed(2)})`);
+
+  return {
+    regime,
+    trend_strength: parseFloat(trendStrength.toFixed(4)),
+    direction: netMove > 0 ? 'up' : netMove < 0 ? 'down' : 'flat',
+    volatility_percentile: parseFloat(vol.percentile.toFixed(4)),
+    volatility: parseFloat(vol.current.toFixed(6)),
+    bars: closes.length,
+    version: CONFIG.VERSION
+  };
+}
+
+// ============================================================================
+// ENSEMBLE POLICY
+// ============================================================================
+
+/**
+ * Resolve the ensemble options for a detected regime
+ *
+ * @param {Object} regimeResult - Output of detectRegime
+ * @param {Array<String>} modelNames - Names of the models whose predictions will be ensembled
+ * @param {String} mode - Override for CONFIG.ENSEMBLE_MODE
+ * @returns {Object} { mode, weights, minDirectionalConfidence }
+ */
+function getEnsemblePolicy(regimeResult, modelNames = [], mode = CONFIG.ENSEMBLE_MODE) {
+  const policy = CONFIG.POLICIES[regimeResult && regimeResult.regime] || CONFIG.POLICIES.unknown;
+  const reweight = mode === 'reweight' || mode === 'both';
+  const gate = mode === 'gate' || mode === 'both';
+
+  return {
+    mode,
+    weights: reweight
+      ? modelNames.map(name => policy.modelWeights[name] !== undefined ? policy.modelWeights[name] : 1)
+      : null,
+    minDirectionalConfidence: gate ? policy.minDirectionalConfidence : 0
+  };
+}
+
+/**
+ * Downgrade a weak directional call to NEUTRAL
+ * Probabilities are left untouched; confidence becomes the NEUTRAL probability.
+ *
+ * @param {Object} ensembleResult - { class, className, confidence, probabilities }
+ * @param {Number} minDirectionalConfidence - Required confidence for DOWN/UP
+ * @returns {Object} Possibly gated result with a `gated` flag
+ */
+function applyRegimeGate(ensembleResult, minDirectionalConfidence) {
+  if (!minDirectionalConfidence ||
+      ensembleResult.className === 'NEUTRAL' ||
+      ensembleResult.confidence >= minDirectionalConfidence) {
+    return { ...ensembleResult, gated: false };
+  }
+
+  console.log(`  [Regime] Gated ${ensembleResult.className} (${(ensembleResult.confidence * 100).toFixed(1)}% < ${(minDirectionalConfidence * 100).toFixed(0)}%) → NEUTRAL`);
+
+  return {
+    ...ensembleResult,
+    class: 1,
+    className: 'NEUTRAL',
+    confidence: ensembleResult.probabilities.neutral,
+    gated: true,
+    gated_from: ensembleResult.className
+  };
+}
+
+module.exports = {
+  CONFIG,
+  efficiencyRatio,
+  volatilityPercentile,
+  detectRegime,
+  getEnsemblePolicy,
+  applyRegimeGate
+};
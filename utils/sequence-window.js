@@ -0,0 +1,246 @@
+/**
+ * Sequence Window - Time-step inputs for the sequence models
+ *
+ * A manifest entry's input_shape (utils/model-registry) says what a model
+ * takes per sample:
+ *
+ *   [features]             - one flat vector, the last engineered row
+ *   [timesteps, features]  - a window of the last `timesteps` engineered
+ *                            rows, oldest first, ending with the last row
+ *
+ * Every row of a window is scaled with the model's scaler
+ * (utils/feature-scaler). History is cut explicitly:
+ *
+ * - Rows come from the engineered columns, newest first, and stop at the
+ *   first older row missing more than MAX_MISSING_RATIO of its features
+ *   (indicator warm-up) or at the start of the data.
+ * - A window still short of `timesteps` rows is filled per the entry's
+ *   `padding` field:
+ *     none - refuse (INSUFFICIENT_HISTORY); the model does not run (default)
+ *     edge - repeat the oldest available row at the front
+ *     zero - rows of 0 after scaling (the training center for standard
+ *            and robust scalers)
+ * - Missing values inside kept rows are filled by the scaler.
+ *
+ * Every prepared sample reports { timesteps, available, padded, padding }
+ * under `window`, next to its scaling counts.
+ */
+
+const { CONFIG: SCALER_CONFIG, scaleRows, summarizeScaling } = require('./feature-scaler');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  PADDING: ['none', 'edge', 'zero'],
+  DEFAULT_PADDING: 'none',
+
+  // Share of missing features that marks a row as indicator warm-up
+  MAX_MISSING_RATIO: 0.5
+};
+
+/**
+ * Create an error for a window the model's padding cannot complete
+ *
+ * @param {String} message - Error message
+ * @returns {Error} Error with code INSUFFICIENT_HISTORY
+ */
+function historyError(message) {
+  const error = new Error(message);
+  error.code = 'INSUFFICIENT_HISTORY';
+  return error;
+}
+
+/**
+ * @param {Object} entry - { inputShape? } (global-model-cache entry)
+ * @returns {Number|null} Time steps per sample, null for flat-vector models
+ */
+function timestepsOf(entry) {
+  const shape = entry.inputShape;
+  return Array.isArray(shape) && shape.length === 2 ? shape[0] : null;
+}
+
+/**
+ * @param {Array<Object>} modelEntries - Models about to run
+ * @returns {Number} Engineered rows the longest window needs (at least 1)
+ */
+function lookbackOf(modelEntries) {
+  return Math.max(1, ...modelEntries.map(entry => timestepsOf(entry) || 1));
+}
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Last engineered rows, oldest first, ending with the most recent row
+ *
+ * @param {Object} engineeredData - Engineered columns, one array per feature
+ * @param {Array<String>} featureList - Feature names in order
+ * @param {Number} timesteps - Rows wanted
+ * @returns {Array<Array<Number>>} Up to `timesteps` raw rows, NaN where a value is missing
+ */
+function extractFeatureWindow(engineeredData, featureList, timesteps) {
+  const firstKey = Object.keys(engineeredData).find(k => Array.isArray(engineeredData[k]));
+  if (!firstKey) {
+    throw new Error('No array columns in engineered data');
+  }
+
+  const lastRowIndex = engineeredData[firstKey].length - 1;
+  if (lastRowIndex < 0) {
+    throw new Error('No data rows available');
+  }
+
+  const rowAt = (index) => featureList.map(name => {
+    const value = Array.isArray(engineeredData[name]) ? engineeredData[name][index] : undefined;
+    return value !== null && value !== undefined && isFinite(value) ? parseFloat(value) : NaN;
+  });
+
+  // The last row always counts: its gaps are the scaler's to fill
+  const rows = [rowAt(lastRowIndex)];
+
+  for (let index = lastRowIndex - 1; index >= 0 && rows.length < timesteps; index--) {
+    const row = rowAt(index);
+    const missing = row.filter(Number.isNaN).length;
+    if (missing > featureList.length * CONFIG.MAX_MISSING_RATIO) {
+      break;
+    }
+    rows.unshift(row);
+  }
+
+  return rows;
+}
+
+/**
+ * History for the models about to run; null when none takes more than one row
+ *
+ * @param {Array<Object>} modelEntries - Models about to run
+ * @param {Object} engineeredData - Engineered columns
+ * @param {Array<String>} featureList - Feature names in order
+ * @param {Function} extract - Window extractor (default extractFeatureWindow)
+ * @returns {Array<Array<Number>>|null} Raw rows, oldest first
+ */
+function extractHistory(modelEntries, engineeredData, featureList, extract = extractFeatureWindow) {
+  const lookback = lookbackOf(modelEntries);
+  return lookback > 1 ? extract(engineeredData, featureList, lookback) : null;
+}
+
+/**
+ * First model a history is too short for, given its padding
+ *
+ * @param {Array<Object>} modelEntries - Models about to run
+ * @param {Array<Array<Number>>|null} history - Raw rows (null: the last row only)
+ * @returns {String|null} Reason, null when every model can run
+ */
+function checkHistory(modelEntries, history) {
+  const available = history ? history.length : 1;
+
+  for (const entry of modelEntries) {
+    const timesteps = timestepsOf(entry);
+    if (timesteps && available < timesteps && (entry.padding || CONFIG.DEFAULT_PADDING) === 'none') {
+      return `${entry.name} needs ${timesteps} timesteps of history, got ${available} (padding: none)`;
+    }
+  }
+
+  return null;
+}
+
+// ============================================================================
+// MODEL INPUTS
+// ============================================================================
+
+/**
+ * One scaling report for a window: counts summed over its rows
+ */
+function mergeReports(reports) {
+  const sum = (field) => reports.reduce((total, report) => total + report[field], 0);
+
+  return {
+    inputs: sum('inputs'),
+    missing: sum('missing'),
+    out_of_range: reports[0].out_of_range === null ? null : sum('out_of_range'),
+    features_out_of_range: [...new Set(reports.flatMap(r => r.features_out_of_range))]
+      .slice(0, SCALER_CONFIG.REPORT_FEATURE_LIMIT)
+  };
+}
+
+/**
+ * Scaled samples for one model, shaped as its input_shape says
+ *
+ * @param {Object} entry - { name, inputShape?, scaler?, padding? }
+ * @param {Array<Array<Array<Number>>>} histories - Raw rows per sample, oldest first
+ * @returns {Object} { samples, reports } - a vector or a [timesteps x features] window per sample
+ * @throws {Error} INSUFFICIENT_HISTORY when a window cannot be completed
+ */
+function prepareInputs(entry, histories) {
+  const timesteps = timestepsOf(entry);
+  const scaler = entry.scaler || null;
+
+  if (timesteps === null) {
+    const { rows, reports } = scaleRows(scaler, histories.map(rows => rows[rows.length - 1]));
+    return { samples: rows, reports };
+  }
+
+  const padding = entry.padding || CONFIG.DEFAULT_PADDING;
+  const samples = [];
+  const reports = [];
+
+  histories.forEach((history, i) => {
+    const rows = history.slice(-timesteps);
+    const padded = timesteps - rows.length;
+
+    if (padded > 0 && padding === 'none') {
+      throw historyError(`${entry.name} needs ${timesteps} timesteps of history, sample ${i} has ${rows.length} (padding: none)`);
+    }
+
+    const scaled = scaleRows(scaler, rows);
+    const fill = padding === 'edge' ? scaled.rows[0] : scaled.rows[0].map(() => 0);
+
+    samples.push([...Array.from({ length: padded }, () => [...fill]), ...scaled.rows]);
+    reports.push({
+      ...mergeReports(scaled.reports),
+      window: { timesteps, available: rows.length, padded, padding }
+    });
+  });
+
+  return { samples, reports };
+}
+
+/**
+ * Inputs for each model of a single-request ensemble
+ *
+ * @param {Array<Object>} modelEntries - Models about to run
+ * @param {Array<Number>} featureVector - Raw last row (NaN for missing values)
+ * @param {Array<Array<Number>>|null} history - Raw rows ending with featureVector (extractHistory)
+ * @returns {Object} { inputs, scaling } - one sample per entry, or the Error that
+ *   keeps that model from running; scaling from summarizeScaling()
+ */
+function prepareForModels(modelEntries, featureVector, history = null) {
+  const reports = {};
+
+  const inputs = modelEntries.map(entry => {
+    try {
+      const { samples, reports: [report] } = prepareInputs(entry, [history || [featureVector]]);
+      reports[entry.name] = report;
+      return samples[0];
+    } catch (error) {
+      console.warn(`[SequenceWindow] ${error.message}`);
+      return error;
+    }
+  });
+
+  return { inputs, scaling: summarizeScaling(modelEntries, reports) };
+}
+
+module.exports = {
+  CONFIG,
+  historyError,
+  timestepsOf,
+  lookbackOf,
+  extractFeatureWindow,
+  extractHistory,
+  checkHistory,
+  prepareInputs,
+  prepareForModels
+};
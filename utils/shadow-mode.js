@@ -0,0 +1,184 @@
+/**
+ * Shadow Mode - Run the challenger on live requests, out of sight
+ *
+ * When a model set has a challenger (utils/model-rollout), every live
+ * prediction also runs the challenger versions on the same feature rows,
+ * with the same ensemble strategy and regime policy. Challenger results
+ * are stored in `shadow_predictions` (role 'challenger', model_versions,
+ * the champion's answer and request_id) and never returned to the caller;
+ * the outcome resolver labels them with the champion predictions, and
+ * GET /api/get-predictions?compare=versions scores them side by side.
+ *
+ * Shadow runs never fail the request: errors are logged and reported in
+ * the returned summary only.
+ */
+
+const { connectToDatabase } = require('./mongodb-connection');
+const { runBatchedInference } = require('./batch-inference');
+const { checkModelContract } = require('./model-contract');
+const { versionMap, formatModelPredictions } = require('./model-predictions');
+const { summarizeScaling } = require('./feature-scaler');
+const { extractHistory, checkHistory } = require('./sequence-window');
+const { getEnsemblePolicy } = require('./regime-detector');
+const { resolveStrategyWeights, combineWeights } = require('./ensemble-strategies');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  COLLECTION: 'shadow_predictions'
+};
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Insert challenger predictions into the shadow collection
+ *
+ * @param {Array<Object>} docs - Shadow prediction documents
+ * @returns {Promise<Number>} Inserted count
+ */
+async function storeShadowPredictions(docs) {
+  const db = await connectToDatabase();
+  const result = await db.collection(CONFIG.COLLECTION).insertMany(docs, { ordered: false });
+  return result.insertedCount;
+}
+
+// ============================================================================
+// SHADOW RUN
+// ============================================================================
+
+/**
+ * Run the challenger for rows the champion just answered
+ *
+ * @param {Object} context
+ *   - assetClass, horizon, ensembleStrategy
+ *   - keyField: 'symbol' or 'pair'
+ *   - loadModels(horizon, role): global-model-cache entries ([] without a challenger)
+ *   - ensemble(predictions, { strategy, weights, modelNames, minDirectionalConfidence })
+ *   - store(docs): persistence (default: storeShadowPredictions)
+ * @param {Array<Object>} rows - [{ symbol, requestId, features, featureList, engineeredData?, regime,
+ *   champion: { class, confidence, model_versions } }]; engineeredData feeds the
+ *   challenger's history windows (utils/sequence-window)
+ * @returns {Promise<Object>} { ran, stored, skipped: [{ symbol, reason }], error? }
+ */
+async function runShadow(context, rows) {
+  const {
+    assetClass,
+    horizon,
+    ensembleStrategy,
+    keyField,
+    loadModels,
+    ensemble,
+    store = storeShadowPredictions
+  } = context;
+
+  try {
+    const modelEntries = await loadModels(horizon, 'challenger');
+    if (modelEntries.length === 0) {
+      return { ran: false, stored: 0, skipped: [] };
+    }
+
+    // A challenger trained on other features, or needing more history than
+    // the row has, is skipped, never run misaligned
+    const skipped = [];
+    const histories = new Map();
+    const usable = rows.filter(row => {
+      const mismatch = modelEntries.map(entry => checkModelContract(entry, row.featureList)).find(Boolean);
+      if (mismatch) {
+        skipped.push({ symbol: row.symbol, reason: `contract: ${mismatch.model} expects ${mismatch.expected_width} features` });
+        return false;
+      }
+
+      const history = row.engineeredData ? extractHistory(modelEntries, row.engineeredData, row.featureList) : null;
+      const shortHistory = checkHistory(modelEntries, history);
+      if (shortHistory) {
+        skipped.push({ symbol: row.symbol, reason: `history: ${shortHistory}` });
+        return false;
+      }
+
+      histories.set(row, history);
+      return true;
+    });
+
+    if (usable.length === 0) {
+      console.warn(`[Shadow] ${assetClass} ${horizon}: no rows fit the challenger's contract and history`);
+      return { ran: false, stored: 0, skipped };
+    }
+
+    const { rowPredictions, modelResults, rowScaling } = await runBatchedInference(
+      modelEntries,
+      usable.map(row => row.features),
+      usable.map(row => histories.get(row))
+    );
+
+    const versions = versionMap(modelEntries);
+    const modelNames = modelResults.filter(r => r.success).map(r => r.model);
+    const strategyWeights = await resolveStrategyWeights(ensembleStrategy, assetClass, modelNames, { horizon });
+    const timestamp = new Date();
+
+    const docs = [];
+    usable.forEach((row, i) => {
+      if (rowPredictions[i].length === 0) {
+        skipped.push({ symbol: row.symbol, reason: 'All challenger predictions failed' });
+        return;
+      }
+
+      const ensemblePolicy = getEnsemblePolicy(row.regime, modelNames);
+      const result = ensemble(rowPredictions[i], {
+        strategy: strategyWeights.strategy,
+        weights: combineWeights(strategyWeights.weights, ensemblePolicy.weights),
+        modelNames,
+        minDirectionalConfidence: ensemblePolicy.minDirectionalConfidence
+      });
+
+      let k = 0;
+      docs.push({
+        timestamp,
+        asset_class: assetClass,
+        [keyField]: row.symbol,
+        horizon,
+        role: 'challenger',
+        request_id: row.requestId,
+        prediction: result.class,
+        class: result.className,
+        confidence: result.confidence,
+        probabilities: result.probabilities,
+        models_used: result.modelsUsed,
+        model_versions: versions,
+        champion: row.champion,
+        regime: {
+          ...row.regime,
+          ensemble_mode: ensemblePolicy.mode,
+          gated: result.gated,
+          gated_from: result.gated_from || null
+        },
+        ensemble: { ...result.ensemble, weights_source: strategyWeights.source },
+        scaling: summarizeScaling(modelEntries, rowScaling[i]),
+        model_predictions: formatModelPredictions(
+          modelResults.map(r => r.success
+            ? { model: r.model, success: true, prediction: rowPredictions[i][k++], latency_ms: r.latency_ms }
+            : r),
+          {},
+          versions
+        )
+      });
+    });
+
+    const stored = docs.length > 0 ? await store(docs) : 0;
+    console.log(`[Shadow] ${assetClass} ${horizon}: ${stored} challenger predictions stored`);
+    return { ran: true, stored, skipped };
+
+  } catch (error) {
+    console.warn(`[Shadow] ${assetClass} ${horizon} failed: ${error.message}`);
+    return { ran: false, stored: 0, skipped: [], error: error.message };
+  }
+}
+
+module.exports = {
+  CONFIG,
+  storeShadowPredictions,
+  runShadow
+};
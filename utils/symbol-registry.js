@@ -0,0 +1,342 @@
+/**
+ * Symbol Registry - The tradable instrument universe
+ *
+ * One record per instrument: asset class, native symbol per provider
+ * adapter, tick size, trading hours and whether it is enabled. Fetchers,
+ * predictors and the workflow matrix all read from here, so adding a symbol
+ * (e.g. XRP/USDT) is a data change through POST /api/symbols.
+ *
+ * STORAGE:
+ * - MongoDB collection `symbols` when MONGODB_URI is set, seeded from
+ *   utils/symbols.json (seed entries never overwrite stored ones)
+ * - The seed file in memory otherwise, or for the rest of the instance if
+ *   MongoDB fails
+ *
+ * Lookups are synchronous against the last loaded snapshot (the seed until
+ * the first load()); call `await symbolRegistry.load()` at the start of a
+ * request to pick up changes made by other instances.
+ */
+
+const { connectToDatabase } = require('./mongodb-connection');
+const SEED = require('./symbols.json');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const CONFIG = {
+  COLLECTION: 'symbols',
+
+  ASSET_CLASSES: ['crypto', 'forex'],
+
+  // Snapshot age before load() reads the store again
+  REFRESH_MS: parseInt(process.env.SYMBOL_REGISTRY_REFRESH_MS || '300000', 10),
+
+  SYMBOL_PATTERN: /^[A-Z0-9]+(\/[A-Z0-9]+)?$/,
+
+  TRADING_DAY_PATTERN: /^(Sun|Mon|Tue|Wed|Thu|Fri|Sat) ([01]\d|2[0-3]):[0-5]\d$/,
+
+  DEFAULT_TRADING_HOURS: {
+    crypto: { schedule: '24/7' },
+    forex: { schedule: 'weekly', timezone: 'UTC', open: 'Sun 22:00', close: 'Fri 22:00' }
+  }
+};
+
+/**
+ * Create an error for a rejected instrument definition
+ * Callers check error.code to answer 400 instead of 500
+ *
+ * @param {String} message - Error message
+ * @returns {Error} Error with code INVALID_SYMBOL
+ */
+function invalidSymbolError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SYMBOL';
+  return error;
+}
+
+/**
+ * Validate an instrument definition and fill in defaults
+ *
+ * @param {Object} input - { symbol, assetClass, providers, tickSize, tradingHours?, enabled? }
+ * @returns {Object} Instrument
+ * @throws {Error} INVALID_SYMBOL describing the first problem found
+ */
+function normalizeInstrument(input) {
+  if (!input || typeof input !== 'object') {
+    throw invalidSymbolError('Instrument must be an object');
+  }
+
+  const symbol = typeof input.symbol === 'string' ? input.symbol.trim().toUpperCase() : '';
+  if (!CONFIG.SYMBOL_PATTERN.test(symbol)) {
+    throw invalidSymbolError(`Invalid symbol: ${input.symbol} (expected e.g. XRP/USDT or EURUSD)`);
+  }
+
+  const { assetClass } = input;
+  if (!CONFIG.ASSET_CLASSES.includes(assetClass)) {
+    throw invalidSymbolError(`Invalid assetClass for ${symbol}: ${assetClass} (expected ${CONFIG.ASSET_CLASSES.join(' or ')})`);
+  }
+
+  const providers = input.providers;
+  if (!providers || typeof providers !== 'object' || Array.isArray(providers) ||
+      Object.keys(providers).length === 0) {
+    throw invalidSymbolError(`${symbol} needs at least one provider symbol, e.g. { "binance": "XRPUSDT" }`);
+  }
+
+  if (!(typeof input.tickSize === 'number' && input.tickSize > 0)) {
+    throw invalidSymbolError(`Invalid tickSize for ${symbol}: ${input.tickSize}`);
+  }
+
+  const tradingHours = input.tradingHours || CONFIG.DEFAULT_TRADING_HOURS[assetClass];
+  if (tradingHours.schedule === 'weekly') {
+    if (!CONFIG.TRADING_DAY_PATTERN.test(tradingHours.open) ||
+        !CONFIG.TRADING_DAY_PATTERN.test(tradingHours.close)) {
+      throw invalidSymbolError(`Invalid trading hours for ${symbol}: open/close must look like "Sun 22:00"`);
+    }
+  } else if (tradingHours.schedule !== '24/7') {
+    throw invalidSymbolError(`Invalid trading hours schedule for ${symbol}: ${tradingHours.schedule} (expected 24/7 or weekly)`);
+  }
+
+  return {
+    symbol,
+    assetClass,
+    providers: { ...providers },
+    tickSize: input.tickSize,
+    tradingHours: { ...tradingHours },
+    enabled: input.enabled !== false
+  };
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+class MemorySymbolStore {
+  /**
+   * @param {Array<Object>} seed - Instruments to start with (default: utils/symbols.json)
+   */
+  constructor(seed = SEED) {
+    this.name = 'memory';
+    this.instruments = new Map(seed.map(i => [i.symbol, JSON.parse(JSON.stringify(i))]));
+  }
+
+  async list() {
+    return [...this.instruments.values()].map(i => ({ ...i }));
+  }
+
+  async upsert(instrument) {
+    this.instruments.set(instrument.symbol, { ...instrument });
+  }
+
+  async update(symbol, fields) {
+    const existing = this.instruments.get(symbol);
+    if (!existing) {
+      return null;
+    }
+    const updated = { ...existing, ...fields };
+    this.instruments.set(symbol, updated);
+    return { ...updated };
+  }
+}
+
+class MongoSymbolStore {
+  /**
+   * @param {Object} options - { db } to reuse an open connection, { seed } to override the seed file
+   */
+  constructor(options = {}) {
+    this.name = 'mongo';
+    this.db = options.db || null;
+    this.seed = options.seed || SEED;
+    this.ready = false;
+  }
+
+  async _collection() {
+    if (!this.db) {
+      this.db = await connectToDatabase();
+    }
+
+    const collection = this.db.collection(CONFIG.COLLECTION);
+
+    if (!this.ready) {
+      await collection.createIndex({ symbol: 1 }, { unique: true });
+      // Insert seed entries that are missing; stored edits always win
+      await collection.bulkWrite(this.seed.map(instrument => ({
+        updateOne: {
+          filter: { symbol: instrument.symbol },
+          update: { $setOnInsert: instrument },
+          upsert: true
+        }
+      })), { ordered: false });
+      this.ready = true;
+    }
+
+    return collection;
+  }
+
+  async list() {
+    const collection = await this._collection();
+    return collection.find({}, { projection: { _id: 0 } }).sort({ assetClass: 1, symbol: 1 }).toArray();
+  }
+
+  async upsert(instrument) {
+    const collection = await this._collection();
+    await collection.updateOne(
+      { symbol: instrument.symbol },
+      { $set: { ...instrument, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  async update(symbol, fields) {
+    const collection = await this._collection();
+    return collection.findOneAndUpdate(
+      { symbol },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after', projection: { _id: 0 } }
+    );
+  }
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+class SymbolRegistry {
+  /**
+   * @param {Object} options - { store } (default: MongoDB when configured)
+   */
+  constructor(options = {}) {
+    this.store = options.store ||
+      (process.env.MONGODB_URI ? new MongoSymbolStore() : new MemorySymbolStore());
+    this.instruments = new Map(SEED.map(i => [i.symbol, i]));
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Call the store, dropping to the seed in memory for this instance if it
+   * fails so a database outage never takes the symbol universe down with it
+   */
+  async _call(method, ...args) {
+    try {
+      return await this.store[method](...args);
+    } catch (error) {
+      if (this.store.name === 'memory') {
+        throw error;
+      }
+      console.warn(`[SymbolRegistry] ${this.store.name} store failed (${error.message}), using seed file`);
+      this.store = new MemorySymbolStore();
+      return this.store[method](...args);
+    }
+  }
+
+  /**
+   * Refresh the snapshot from the store when it is older than REFRESH_MS
+   * Concurrent callers share one read.
+   *
+   * @param {Object} options - { force } to read the store regardless of age
+   * @returns {Promise<SymbolRegistry>} this
+   */
+  async load({ force = false } = {}) {
+    if (!force && this.loadedAt > 0 && Date.now() - this.loadedAt < CONFIG.REFRESH_MS) {
+      return this;
+    }
+
+    if (!this.loading) {
+      this.loading = this._call('list')
+        .then(instruments => {
+          this.instruments = new Map(instruments.map(i => [i.symbol, i]));
+          this.loadedAt = Date.now();
+          return this;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * @param {String} symbol - e.g. 'BTC/USDT'
+   * @returns {Object|null} Instrument, enabled or not
+   */
+  get(symbol) {
+    return this.instruments.get(symbol) || null;
+  }
+
+  /**
+   * @param {Object} options - { assetClass, includeDisabled }
+   * @returns {Array<Object>} Instruments
+   */
+  list({ assetClass = null, includeDisabled = false } = {}) {
+    return [...this.instruments.values()].filter(i =>
+      (includeDisabled || i.enabled) && (!assetClass || i.assetClass === assetClass)
+    );
+  }
+
+  /**
+   * Enabled symbols
+   *
+   * @param {String} assetClass - 'crypto', 'forex' or null for all
+   * @returns {Array<String>} Symbols
+   */
+  symbols(assetClass = null) {
+    return this.list({ assetClass }).map(i => i.symbol);
+  }
+
+  /**
+   * Native symbol a provider adapter uses for an instrument
+   *
+   * @param {String} symbol - e.g. 'BTC/USDT'
+   * @param {String} provider - Adapter name, e.g. 'binance'
+   * @returns {*} Native symbol, undefined when the provider does not list it
+   */
+  nativeSymbol(symbol, provider) {
+    const instrument = this.get(symbol);
+    return instrument ? instrument.providers[provider] : undefined;
+  }
+
+  /**
+   * Add an instrument or replace its definition
+   *
+   * @param {Object} input - See normalizeInstrument
+   * @returns {Promise<Object>} Stored instrument
+   */
+  async add(input) {
+    const instrument = normalizeInstrument(input);
+    await this._call('upsert', instrument);
+    this.instruments.set(instrument.symbol, instrument);
+    return instrument;
+  }
+
+  /**
+   * Enable or disable an instrument (disabled ones are never fetched or predicted)
+   *
+   * @param {String} symbol - e.g. 'XRP/USDT'
+   * @param {Boolean} enabled - New state
+   * @returns {Promise<Object>} Updated instrument
+   * @throws {Error} INVALID_SYMBOL for unknown symbols
+   */
+  async setEnabled(symbol, enabled) {
+    const updated = await this._call('update', symbol, { enabled: !!enabled });
+    if (!updated) {
+      throw invalidSymbolError(`Unknown symbol: ${symbol}`);
+    }
+    this.instruments.set(symbol, updated);
+    return updated;
+  }
+}
+
+// Shared by every fetcher and predictor in this instance
+const symbolRegistry = new SymbolRegistry();
+
+module.exports = {
+  CONFIG,
+  symbolRegistry,
+  normalizeInstrument,
+  invalidSymbolError,
+  SymbolRegistry,
+  MemorySymbolStore,
+  MongoSymbolStore
+};
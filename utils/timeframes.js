@@ -0,0 +1,237 @@
+/**
+ * Timeframes - The candle intervals every layer agrees on
+ *
+ * A timeframe is a key of CONFIG.TIMEFRAMES ('15m', '30m', '1h', '4h', '1d',
+ * '1w') and names its columns in the multi-timeframe format ('15m_close').
+ * Each entry holds the bar length, the window a fetch keeps (also the
+ * candle store read-back) and the fewest bars a usable fetch may have.
+ *
+ * Fetches return CONFIG.DEFAULT (1h/4h/1d) unless a caller asks for others
+ * (fetch option `timeframes`, DATA_TIMEFRAMES for every fetch). A provider
+ * fetches the timeframes it serves natively (adapter.timeframes); any other
+ * is aggregated from the longest native timeframe that divides it, so 1w
+ * can come from 1d and 4h from 1h, but 15m never from 1h.
+ *
+ * Aggregation buckets by open time, not by count, so buckets stay put as
+ * the window slides and a session gap never merges two periods. Weekly
+ * bars open Monday 00:00 UTC, as Binance and Twelve Data do.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const CONFIG = {
+  TIMEFRAMES: {
+    '15m': { ms: 15 * MINUTE_MS, bars: 192, minBars: 50 },   // 2 days
+    '30m': { ms: 30 * MINUTE_MS, bars: 168, minBars: 50 },   // 3.5 days
+    '1h': { ms: HOUR_MS, bars: 168, minBars: 50 },           // 1 week
+    '4h': { ms: 4 * HOUR_MS, bars: 168, minBars: 20 },       // 4 weeks
+    '1d': { ms: DAY_MS, bars: 365, minBars: 20 },            // 1 year
+    '1w': { ms: 7 * DAY_MS, bars: 104, minBars: 10 }         // 2 years
+  },
+
+  DEFAULT: ['1h', '4h', '1d'],
+
+  // 1970-01-01 was a Thursday; weeks start four days later
+  WEEK_OFFSET_MS: 4 * DAY_MS
+};
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * @param {String} timeframe - e.g. '4h'
+ * @returns {Boolean} Whether the registry knows it
+ */
+function isTimeframe(timeframe) {
+  return Object.prototype.hasOwnProperty.call(CONFIG.TIMEFRAMES, timeframe);
+}
+
+/**
+ * @param {String} timeframe - e.g. '4h'
+ * @returns {Number} Bar length in ms
+ */
+function intervalMs(timeframe) {
+  if (!isTimeframe(timeframe)) {
+    throw new Error(`Unknown timeframe: ${timeframe} (expected ${Object.keys(CONFIG.TIMEFRAMES).join(', ')})`);
+  }
+  return CONFIG.TIMEFRAMES[timeframe].ms;
+}
+
+/**
+ * Validate a timeframe list and put it in registry order (shortest first)
+ *
+ * @param {Array<String>|String} timeframes - List or comma-separated string (empty = CONFIG.DEFAULT)
+ * @returns {Array<String>} Unique timeframes, shortest first
+ * @throws {Error} On an unknown timeframe
+ */
+function parseTimeframes(timeframes) {
+  const list = typeof timeframes === 'string'
+    ? timeframes.split(',').map(tf => tf.trim()).filter(Boolean)
+    : (timeframes || []);
+
+  if (list.length === 0) {
+    return [...CONFIG.DEFAULT];
+  }
+
+  list.forEach(intervalMs);
+  return Object.keys(CONFIG.TIMEFRAMES).filter(tf => list.includes(tf));
+}
+
+/**
+ * Timeframes with a close column in column-format data, plus `always`
+ *
+ * @param {Object} data - Column format ('1h_close', ...)
+ * @param {Array<String>} always - Timeframes reported even without columns
+ * @returns {Array<String>} Shortest first
+ */
+function timeframesIn(data, always = []) {
+  return Object.keys(CONFIG.TIMEFRAMES).filter(tf =>
+    always.includes(tf) || Array.isArray((data || {})[`${tf}_close`])
+  );
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Open time of the bar containing a timestamp
+ *
+ * @param {Number} timestamp - ms
+ * @param {String} timeframe - e.g. '1w'
+ * @returns {Number} Bar open time (ms)
+ */
+function bucketStart(timestamp, timeframe) {
+  const ms = intervalMs(timeframe);
+  const offset = timeframe === '1w' ? CONFIG.WEEK_OFFSET_MS : 0;
+  return Math.floor((timestamp - offset) / ms) * ms + offset;
+}
+
+/**
+ * Aggregate candles into a longer timeframe
+ * The newest bucket may still be forming, exactly like a provider's last bar.
+ * A leading bucket the window starts inside is dropped: its open, high and
+ * low would miss the bars before the window.
+ *
+ * @param {Array<Object>} candles - Chronological base candles
+ * @param {String} timeframe - Target timeframe
+ * @returns {Array<Object>} Aggregated candles
+ */
+function aggregateCandles(candles, timeframe) {
+  const aggregated = [];
+  let current = null;
+  let leading = null;
+
+  for (const candle of candles || []) {
+    if (!candle) continue;
+    const start = bucketStart(candle.timestamp, timeframe);
+
+    if (leading === null) {
+      leading = candle.timestamp === start ? -1 : start;
+    }
+    if (start === leading) continue;
+
+    if (!current || current.timestamp !== start) {
+      current = {
+        timestamp: start,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0
+      };
+      aggregated.push(current);
+    } else {
+      current.high = Math.max(current.high, candle.high);
+      current.low = Math.min(current.low, candle.low);
+      current.close = candle.close;
+      current.volume += candle.volume || 0;
+    }
+  }
+
+  return aggregated;
+}
+
+/**
+ * Longest of `available` that a timeframe can be aggregated from
+ *
+ * @param {String} timeframe - Target timeframe
+ * @param {Array<String>} available - Candidate base timeframes
+ * @returns {String|null} Base timeframe, null when none divides it
+ */
+function aggregationBase(timeframe, available) {
+  const target = intervalMs(timeframe);
+  const bases = available
+    .filter(tf => isTimeframe(tf) && intervalMs(tf) < target && target % intervalMs(tf) === 0)
+    .sort((a, b) => intervalMs(b) - intervalMs(a));
+  return bases[0] || null;
+}
+
+/**
+ * Native timeframes a provider has to fetch to serve `timeframes`
+ *
+ * @param {Array<String>} native - adapter.timeframes
+ * @param {Array<String>} timeframes - Requested timeframes
+ * @returns {Array<String>} Shortest first
+ * @throws {Error} When a requested timeframe can neither be fetched nor aggregated
+ */
+function fetchPlan(native, timeframes) {
+  const plan = new Set();
+  for (const tf of timeframes) {
+    const source = native.includes(tf) ? tf : aggregationBase(tf, native);
+    if (!source) {
+      throw new Error(`Timeframe ${tf} not available (serves ${native.join(', ')})`);
+    }
+    plan.add(source);
+  }
+  return parseTimeframes([...plan]);
+}
+
+/**
+ * Fill in requested timeframes a provider did not return by aggregating
+ * the longest returned timeframe that divides them
+ *
+ * @param {Object} candlesByTimeframe - { '1h': [...], '1d': [...] }
+ * @param {Array<String>} timeframes - Requested timeframes
+ * @returns {Object} { [timeframe]: candles } for exactly the requested timeframes
+ * @throws {Error} When a timeframe cannot be built
+ */
+function resampleCandles(candlesByTimeframe, timeframes) {
+  const available = Object.keys(candlesByTimeframe).filter(tf => Array.isArray(candlesByTimeframe[tf]));
+  const resampled = {};
+
+  for (const tf of timeframes) {
+    if (available.includes(tf)) {
+      resampled[tf] = candlesByTimeframe[tf];
+      continue;
+    }
+
+    const base = aggregationBase(tf, available);
+    if (!base) {
+      throw new Error(`No ${tf} candles and no shorter timeframe to aggregate them from`);
+    }
+    resampled[tf] = aggregateCandles(candlesByTimeframe[base], tf).slice(-CONFIG.TIMEFRAMES[tf].bars);
+  }
+
+  return resampled;
+}
+
+module.exports = {
+  CONFIG,
+  isTimeframe,
+  intervalMs,
+  parseTimeframes,
+  timeframesIn,
+  bucketStart,
+  aggregateCandles,
+  aggregationBase,
+  fetchPlan,
+  resampleCandles
+};